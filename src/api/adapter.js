@@ -0,0 +1,1076 @@
+/**
+ * @fileoverview Storage adapter contract shared by all mediumroast.io backends
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @file adapter.js
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ *
+ * @class StorageAdapter
+ * @classdesc Defines the primitives every storage backend must provide (catch/release, readObjects/writeObject
+ * and readBlob/writeBlob) and implements the object level operations that are built on top of them.
+ *
+ * @exports StorageAdapter
+ *
+ * @example
+ * class MyBackend extends StorageAdapter {
+ *   async readObjects(containerName) { ... }
+ *   ...
+ * }
+ * const companies = new Companies(null, null, 'my-process', { adapter: new MyBackend() })
+ */
+
+import { Readable } from 'stream';
+import ResponseFactory from './github/response.js';
+import { DEFAULT_LOCK_TTL } from './lease.js';
+import { TransactionContext, summarizeRollback } from './transaction.js';
+import { logger, toLogger } from './gitHubServer/logger.js';
+import { LINK_FIELDS, linkRef } from './gitHubServer/graph.js';
+import { linkKey, createLink, findLinked, findLinkKey, withLink } from './gitHubServer/ids.js';
+import { isEmpty, isArray, deepClone, mergeObjects, formatDate, objectVersion } from '../utils/helpers.js';
+
+/**
+ * Container the blobs of soft deleted objects are moved to
+ */
+const TRASH_CONTAINER = 'Trash';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+class StorageAdapter {
+  /**
+     * @constructor
+     * @classdesc Base class for storage backends, subclasses must implement the primitive operations.
+     * @param {String} processName - the name of the process that is using the backend
+     * @param {Object} [options] - backend options
+     * @param {Number} [options.lockTtl=600] - lease length of container locks in seconds
+     * @param {Object} [options.logger] - logger from createLogger, or a pino or winston style logger
+     * @memberof StorageAdapter
+    */
+  constructor(processName, options = {}) {
+    this.processName = processName;
+    this.lockFileName = `${processName}.lock`;
+    this.lockTtl = options.lockTtl || DEFAULT_LOCK_TTL;
+    this.logger = toLogger(options.logger || logger).child({ process: processName });
+    this.mainBranchName = 'main';
+    this.objectFiles = {
+      Studies: 'Studies.json',
+      Companies: 'Companies.json',
+      Interactions: 'Interactions.json',
+      Users: null,
+      Billings: null
+    };
+
+    // Field of the linked objects that refers back to an object, by its container and the linked container.
+    // It is derived from LINK_FIELDS so deletes clean up every link the entities can write.
+    this.fieldMap = Object.fromEntries(Object.entries(LINK_FIELDS).map(([from, linked]) => [
+      from,
+      Object.fromEntries(Object.keys(linked).map(target => [target, LINK_FIELDS[target][from]]))
+    ]));
+
+    // Add a cache for frequently used data
+    this._cache = new Map();
+    this._defaultTtl = 60000; // 1 minute default TTL
+
+    // Add transaction tracking for complex operations
+    this._transactionDepth = 0;
+  }
+
+  /**
+     * Creates the standard response for a primitive a subclass has not implemented
+     * @private
+     * @param {String} method - Name of the missing method
+     * @returns {Array} Error response
+     */
+  _notImplemented(method) {
+    return ResponseFactory.error(
+      `Method [${method}] is not implemented by [${this.constructor.name}]`,
+      null,
+      501
+    );
+  }
+
+  /**
+     * Gets or sets a value in the cache
+     * @private
+     * @param {String} key - Cache key
+     * @param {Function} fetchFn - Function to fetch data if not in cache
+     * @param {Number} ttlMs - Time to live in milliseconds
+     * @returns {Promise<Array>} Cached or freshly fetched data
+     */
+  async _getCachedOrFetch(key, fetchFn, ttlMs = this._defaultTtl) {
+    const now = Date.now();
+    const cached = this._cache.get(key);
+
+    // Return cached data if valid
+    if (cached && (now - cached.timestamp < ttlMs)) {
+      return cached.data;
+    }
+
+    // Otherwise fetch fresh data
+    const result = await fetchFn();
+
+    // Only cache successful responses
+    if (result[0]) {
+      this._cache.set(key, {
+        timestamp: now,
+        data: result
+      });
+    }
+
+    return result;
+  }
+
+  /**
+     * Invalidate a specific cache entry or the entire cache
+     * @param {String} [key] - Optional key to invalidate specific entry
+     */
+  invalidateCache(key = null) {
+    if (key === null) {
+      this._cache.clear();
+    } else {
+      this._cache.delete(key);
+    }
+  }
+
+  /**
+     * Validates parameters against expected types
+     * @private
+     * @param {Object} params - Parameters to validate
+     * @param {Object} expectedTypes - Expected types for each parameter
+     * @returns {Array|null} Error response or null if valid
+     */
+  _validateParams(params, expectedTypes) {
+    for (const [name, value] of Object.entries(params)) {
+      const expectedType = expectedTypes[name];
+      if (!expectedType) continue;
+
+      if (expectedType === 'array') {
+        if (!isArray(value)) {
+          return ResponseFactory.error(
+            `Invalid parameter: [${name}] must be an array`,
+            null,
+            400
+          );
+        }
+      } else if (expectedType === 'object') {
+        if (typeof value !== 'object' || value === null) {
+          return ResponseFactory.error(
+            `Invalid parameter: [${name}] must be an object`,
+            null,
+            400
+          );
+        }
+      } else if (expectedType === 'string') {
+        if (typeof value !== 'string' || isEmpty(value)) {
+          return ResponseFactory.error(
+            `Invalid parameter: [${name}] must be a non-empty string`,
+            null,
+            400
+          );
+        }
+      } else if (expectedType === 'boolean') {
+        if (typeof value !== 'boolean') {
+          return ResponseFactory.error(
+            `Invalid parameter: [${name}] must be a boolean`,
+            null,
+            400
+          );
+        }
+      } else if (expectedType === 'number') {
+        if (typeof value !== 'number') {
+          return ResponseFactory.error(
+            `Invalid parameter: [${name}] must be a number`,
+            null,
+            400
+          );
+        }
+      }
+    }
+
+    return null; // No validation errors
+  }
+
+  /**
+     * Executes a series of operations as a transaction, see BaseObjects._executeTransaction for the
+     * (previousData, tx) arguments each operation receives and how undo actions are run
+     * @private
+     * @param {Array<Function>} operations - Array of async functions to execute
+     * @param {String} transactionName - Name of the transaction for logging
+     * @returns {Promise<Array>} Result of the transaction
+     */
+  async _executeTransaction(operations, transactionName) {
+    this._transactionDepth++;
+    const transactionId = `${transactionName}-${Date.now()}-${this._transactionDepth}`;
+    const tx = new TransactionContext();
+    const txLogger = this.logger.child({ transactionId });
+    const tracking = txLogger.trackTransaction(transactionName);
+
+    // Undo what the completed steps registered and report it with the failure
+    const abort = async (message, details, code) => {
+      const rollback = await tx.rollback();
+      txLogger.warn(message, { failedStep: details.failedStep, code });
+      if (rollback.some(action => !action.success)) {
+        txLogger.error(`Transaction [${transactionName}] could not be fully rolled back`, { rollback });
+      }
+      return ResponseFactory.error(
+        `${message}${summarizeRollback(rollback)}`,
+        { transactionId, ...details, rollback },
+        code
+      );
+    };
+
+    try {
+      const results = [];
+      for (let i = 0; i < operations.length; i++) {
+        const operation = operations[i];
+        const operationName = operation.name || `Step${i+1}`;
+
+        try {
+          const result = await operation(i > 0 ? results[i-1][2] : null, tx);
+          results.push(result);
+
+          if (!result[0]) {
+            // Operation failed, abort transaction
+            return await abort(
+              `Transaction [${transactionName}] failed at step [${operationName}]: ${result[1].status_msg}`,
+              {
+                failedStep: operationName,
+                stepResult: result,
+                completedSteps: i
+              },
+              result[1].status_code || 500
+            );
+          }
+        } catch (err) {
+          return await abort(
+            `Transaction [${transactionName}] failed at step [${operationName}]: ${err.message}`,
+            {
+              failedStep: operationName,
+              error: err,
+              completedSteps: i
+            },
+            500
+          );
+        }
+      }
+
+      // All operations succeeded
+      return ResponseFactory.success(
+        `Transaction [${transactionName}] completed successfully`,
+        results[results.length - 1][2],
+        200
+      );
+    } finally {
+      this._transactionDepth--;
+      tracking.end();
+    }
+  }
+
+  /**
+     * @async
+     * @function getSha
+     * @description Gets the SHA of a file in a container on a branch
+     * @param {String} containerName - the name of the container to get the SHA from
+     * @param {String} fileName - the short name of the file to get the SHA from
+     * @param {String} branchName - the name of the branch to get the SHA from
+     * @returns {Promise<Array>} Status, message, and the SHA
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async getSha(containerName, fileName, branchName) {
+    return this._notImplemented('getSha');
+  }
+
+  /**
+     * @function createContainers
+     * @description Creates the top level Study, Company and Interaction containers
+     * @param {Array<String>} containers - Names of the containers to create
+     * @returns {Promise<Array>} Status, message, and responses
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async createContainers(containers) {
+    return this._notImplemented('createContainers');
+  }
+
+  /**
+     * @function checkForLock
+     * @description Checks to see if a container is locked
+     * @param {String} containerName - The name of the container to check for a lock
+     * @returns {Promise<Array>} Status, message, and the lock holder (see describeLock in lease.js) or false
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async checkForLock(containerName) {
+    return this._notImplemented('checkForLock');
+  }
+
+  /**
+     * @function lockContainer
+     * @description Locks a container
+     * @param {String} containerName - The name of the container to lock
+     * @returns {Promise<Array>} Status, message, and the lock file information, the lock file holds a lease
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async lockContainer(containerName) {
+    return this._notImplemented('lockContainer');
+  }
+
+  /**
+     * @function unlockContainer
+     * @description Unlocks a container
+     * @param {String} containerName - The name of the container to unlock
+     * @param {String} commitSha - The SHA of the lock file
+     * @param {String} branchName - The name of the branch to unlock the container on
+     * @returns {Promise<Array>} Status, message, and response
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async unlockContainer(containerName, commitSha, branchName) {
+    return this._notImplemented('unlockContainer');
+  }
+
+  /**
+     * @function breakStaleLock
+     * @description Removes the locks on a container whose lease has expired
+     * @param {String} containerName - The name of the container
+     * @param {Object} [options] - Options
+     * @param {Boolean} [options.force=false] - Also remove locks whose lease is live or unknown
+     * @returns {Promise<Array>} Status, message, and the removed locks
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async breakStaleLock(containerName, options) {
+    return this._notImplemented('breakStaleLock');
+  }
+
+  /**
+     * @function getHeadSha
+     * @description Gets the commit the main branch points to, cheap enough to check if cached objects are current
+     * @returns {Promise<Array>} Status, message, and the commit SHA
+     * @memberof StorageAdapter
+     */
+  async getHeadSha() {
+    return this._notImplemented('getHeadSha');
+  }
+
+  /**
+     * @function getChangedFiles
+     * @description Lists the files that changed between two commits of the main branch
+     * @param {String} baseSha - The older commit
+     * @param {String} headSha - The newer commit
+     * @returns {Promise<Array>} Status, message, and { files: [{ filename, status, sha }], truncated }
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async getChangedFiles(baseSha, headSha) {
+    return this._notImplemented('getChangedFiles');
+  }
+
+  /**
+     * @function abortContainer
+     * @description Undoes a partial or failed catchContainer: removes the locks it took, as long as they are
+     * still the ones it wrote, and discards its branch
+     * @param {Object} repoMetadata - The metadata object passed to catchContainer
+     * @returns {Promise<Array>} Status, message, and what was undone
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async abortContainer(repoMetadata) {
+    return this._notImplemented('abortContainer');
+  }
+
+  /**
+     * @function restoreBlob
+     * @description Puts a file back to the content it had at a previous blob SHA, does nothing if it is already there
+     * @param {String} containerName - The name of the container
+     * @param {String} fileName - The short name of the file
+     * @param {String} sha - The blob SHA to restore
+     * @param {String} [branchName] - The branch, defaults to main
+     * @returns {Promise<Array>} Status, message, and response
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async restoreBlob(containerName, fileName, sha, branchName) {
+    return this._notImplemented('restoreBlob');
+  }
+
+  /**
+     * @function readBlob
+     * @description Reads a blob (file) using its complete path
+     * @param {String} fileName - The path of the blob to read
+     * @returns {Promise<Array>} Status, message, and the blob including a decodedContent property
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async readBlob(fileName) {
+    return this._notImplemented('readBlob');
+  }
+
+  /**
+     * @function readBlobStream
+     * @description Reads a blob (file) as a stream, backends that can stream their content override this
+     * @param {String} fileName - The path of the blob to read
+     * @returns {Promise<Array>} Status, message, and a readable stream of the content
+     * @memberof StorageAdapter
+     */
+  async readBlobStream(fileName) {
+    const result = await this.readBlob(fileName);
+    if (!result[0]) {
+      return result;
+    }
+    const content = result[2].content && result[2].encoding === 'base64'
+      ? Buffer.from(result[2].content, 'base64')
+      : Buffer.from(result[2].decodedContent || '');
+    return ResponseFactory.success(result[1].status_msg, Readable.from([content]));
+  }
+
+  /**
+     * @function writeBlob
+     * @description Writes a blob (file) to a container
+     * @param {String} containerName - The container name
+     * @param {String} fileName - The file name
+     * @param {String|Buffer|Readable} blob - The blob to write
+     * @param {String} branchName - The branch name
+     * @param {String} sha - The SHA of the file if updating
+     * @returns {Promise<Array>} Status, message, and response
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async writeBlob(containerName, fileName, blob, branchName, sha) {
+    return this._notImplemented('writeBlob');
+  }
+
+  /**
+     * @function deleteBlob
+     * @description Deletes a blob (file) from a container
+     * @param {String} containerName - The container name
+     * @param {String} fileName - The file name
+     * @param {String} branchName - The branch name
+     * @param {String} sha - The SHA of the file
+     * @returns {Promise<Array>} Status, message, and response
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async deleteBlob(containerName, fileName, branchName, sha) {
+    return this._notImplemented('deleteBlob');
+  }
+
+  /**
+     * @function writeObject
+     * @description Writes the objects of a container
+     * @param {String} containerName - The name of the container to write the objects to
+     * @param {Object} obj - The objects to write to the container
+     * @param {String} ref - The branch to write the objects to
+     * @param {String} mySha - The SHA of the current file if updating
+     * @returns {Promise<Array>} Status, message, and response
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async writeObject(containerName, obj, ref, mySha) {
+    return this._notImplemented('writeObject');
+  }
+
+  /**
+     * @function readObjects
+     * @description Reads the objects of a container from the main branch
+     * @param {String} containerName - The name of the container to read objects from
+     * @returns {Promise<Array>} Status, message, and contents with the parsed objects in mrJson
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async readObjects(containerName) {
+    return this._notImplemented('readObjects');
+  }
+
+  /**
+     * @function catchContainer
+     * @description Catches containers by locking them, creating a branch and reading their objects
+     * @param {Object} repoMetadata - The metadata object
+     * @returns {Promise<Array>} Status, message, and metadata
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async catchContainer(repoMetadata) {
+    return this._notImplemented('catchContainer');
+  }
+
+  /**
+     * @function releaseContainer
+     * @description Releases containers by merging the branch and unlocking them
+     * @param {Object} repoMetadata - The metadata object
+     * @returns {Promise<Array>} Status, message, and response
+     * @memberof StorageAdapter
+     */
+  // eslint-disable-next-line no-unused-vars
+  async releaseContainer(repoMetadata) {
+    return this._notImplemented('releaseContainer');
+  }
+
+  /**
+     * @function updateObject
+     * @description Updates an object in a specified container as one atomic commit. The optional preconditions
+     * are checked against the snapshot the commit replaces, so they hold for what is overwritten.
+     * @async
+     * @param {string} containerName - The name of the container containing the object
+     * @param {string} objName - The name of the object to update
+     * @param {string} key - The key of the object to update
+     * @param {string} value - The value to update the key with
+     * @param {boolean} [dontWrite=false] - A flag to indicate if the object should be written back
+     * @param {boolean} [system=false] - A flag to indicate if the update is a system call
+     * @param {Array} [whiteList=[]] - A list of keys that are allowed to be updated
+     * @param {Object} [preconditions] - Optimistic concurrency checks, a mismatch fails with a 409
+     * @param {string} [preconditions.expectedVersion] - Version (objectVersion) the object must still have
+     * @param {string} [preconditions.ifMatch] - SHA the container's object file must still have, as returned by readObjects
+     * @param {Function} [preconditions.validate] - Called with the updated object and the changed fields before it
+     * is written, returns an error response to stop the update or null
+     * @returns {Promise<Array>} Status, message, and the object's name with its previous and new version
+     * @memberof StorageAdapter
+     */
+  async updateObject(containerName, objName, key, value, dontWrite=false, system=false, whiteList=[], preconditions={}) {
+    // Validate parameters using the new validation method
+    const validationError = this._validateParams(
+      { containerName, objName, key, dontWrite, system, whiteList },
+      {
+        containerName: 'string',
+        objName: 'string',
+        key: 'string',
+        dontWrite: 'boolean',
+        system: 'boolean',
+        whiteList: 'array'
+      }
+    );
+
+    if (validationError) return validationError;
+
+    // Authorization check, ids are set on create and never change
+    if (key === '_id' || (!system && !whiteList.includes(key))) {
+      return ResponseFactory.error(
+        `Unauthorized operation: Updating the key [${key}] is not supported`,
+        null,
+        403
+      );
+    }
+
+    const { expectedVersion, ifMatch, validate } = preconditions;
+
+    // Checks the preconditions against the objects read and applies the update to a copy of them
+    const applyUpdate = (objects, currentSha) => {
+      if (ifMatch && ifMatch !== currentSha) {
+        return ResponseFactory.error(
+          `[${containerName}] changed since it was read: expected [${ifMatch}] but found [${currentSha}]`,
+          { container: containerName, expectedSha: ifMatch, currentSha },
+          409
+        );
+      }
+
+      // Objects in the trash can share the name of a live object, only the live one is updated
+      const index = objects.findIndex(obj => obj.name === objName && !obj.deleted_at);
+      if (index === -1) {
+        return ResponseFactory.error(
+          `Object with name [${objName}] not found in [${containerName}]`,
+          null,
+          404
+        );
+      }
+
+      const currentVersion = objectVersion(objects[index]);
+      if (expectedVersion && expectedVersion !== currentVersion) {
+        return ResponseFactory.error(
+          `Object [${objName}] changed since it was read: expected version [${expectedVersion}] but found [${currentVersion}]`,
+          { name: objName, expectedVersion, currentVersion },
+          409
+        );
+      }
+
+      const objectsCopy = deepClone(objects);
+      objectsCopy[index] = mergeObjects(objectsCopy[index], {
+        [key]: value,
+        modification_date: formatDate(new Date())
+      });
+      return ResponseFactory.success('Object updated in memory', { objects: objectsCopy, updated: objectsCopy[index] });
+    };
+
+    if (dontWrite) {
+      const readResponse = await this.readObjects(containerName);
+      if (!readResponse[0]) {
+        return ResponseFactory.error(
+          `Unable to read source objects from [${containerName}]`,
+          readResponse[2],
+          500
+        );
+      }
+      const applied = applyUpdate(readResponse[2].mrJson, readResponse[2].sha);
+      if (!applied[0]) return applied;
+      return ResponseFactory.success(
+        `Merged updates object(s) with [${containerName}] objects`,
+        applied[2].objects
+      );
+    }
+
+    // One atomic commit, the preconditions are checked against the snapshot it replaces
+    const committed = await this.commitChanges(
+      `Updated [${key}] of [${objName}] in [${containerName}]`,
+      async (commit) => {
+        const objectPath = this._objectPath(containerName);
+        const applied = applyUpdate(await commit.readJson(objectPath) || [], await commit.sha(objectPath));
+        if (!applied[0]) return applied;
+
+        if (validate) {
+          const invalid = validate(applied[2].updated, [key, 'modification_date']);
+          if (invalid) return invalid;
+        }
+        commit.writeJson(objectPath, applied[2].objects);
+        return applied;
+      },
+      { containers: [containerName] }
+    );
+    if (!committed[0]) return committed;
+
+    return ResponseFactory.success(
+      `Updated [${key}] of [${objName}] in [${containerName}]`,
+      { name: objName, version: objectVersion(committed[2].result.updated) }
+    );
+  }
+
+  /**
+     * @function beginCommit
+     * @description Starts an atomic commit on the main branch. The returned builder reads from a snapshot of the
+     * branch (readFile/readJson/exists/sha/locks), stages changes (writeFile/writeJson/deleteFile/moveFile) and applies them all
+     * at once with commit(message), which fails with a 409 when the branch moved after the snapshot was taken.
+     * @returns {Promise<Array>} Status, message, and the commit builder
+     * @memberof StorageAdapter
+     */
+  async beginCommit() {
+    return this._notImplemented('beginCommit');
+  }
+
+  /**
+     * @function commitChanges
+     * @description Applies changes to several containers as one atomic commit without lock files or branches.
+     * The apply function receives a builder from beginCommit, reads what it needs and stages its changes. When
+     * another commit lands first the whole operation is retried against the new snapshot.
+     * @param {String} message - Commit message
+     * @param {Function} applyFn - Async function receiving the builder, a failed response aborts the commit
+     * @param {Object} [options] - Options
+     * @param {Array<String>} [options.containers] - Containers touched, the commit is refused while any is locked
+     * @param {Number} [options.retries=3] - Attempts made when the branch moves under the commit
+     * @returns {Promise<Array>} Status, message, and the commit with the apply function's data as result
+     * @memberof StorageAdapter
+     */
+  async commitChanges(message, applyFn, { containers = [], retries = 3 } = {}) {
+    let committed;
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      const started = await this.beginCommit();
+      if (!started[0]) return started;
+      const builder = started[2];
+
+      // Respect containers caught by catchContainer, their pending merge would otherwise conflict
+      for (const container of containers) {
+        const locks = builder.locks(container);
+        if (locks.length > 0) {
+          return ResponseFactory.error(
+            `The container [${container}] is locked by [${locks.join(', ')}] and cannot perform creates, updates or deletes on objects.`,
+            locks,
+            503
+          );
+        }
+      }
+
+      const applied = await applyFn(builder);
+      if (applied && !applied[0]) return applied;
+
+      committed = await builder.commit(message);
+      if (committed[0]) {
+        for (const container of containers) {
+          this.invalidateCache(`container_${container}`);
+        }
+        return ResponseFactory.success(committed[1].status_msg, {
+          ...committed[2],
+          result: applied ? applied[2] : null
+        });
+      }
+      if (committed[1].status_code !== 409) break;
+    }
+    return committed;
+  }
+
+  /**
+     * Gets the path of a container's object file
+     * @private
+     * @param {String} containerName - Container name
+     * @returns {String} Path of the object file
+     */
+  _objectPath(containerName) {
+    return `${containerName}/${this.objectFiles[containerName]}`;
+  }
+
+  /**
+     * Removes an object that is not in the trash from its container and the links to it from the linked objects
+     * in the target containers
+     * @private
+     * @param {String} objName - Name of the object to remove
+     * @param {Object} source - The from container and the to containers
+     * @param {Object} objects - Objects by container name, modified in place
+     * @returns {Object|null} The removed object or null when it does not exist
+     */
+  _removeObjectAndLinks(objName, source, objects) {
+    const index = objects[source.from].findIndex(obj => obj.name === objName && !obj.deleted_at);
+    if (index === -1) return null;
+    const [removed] = objects[source.from].splice(index, 1);
+    this._removeLinks(removed, source, objects);
+    return removed;
+  }
+
+  /**
+     * Removes the links to an object from the linked objects in the target containers, matched by its id
+     * @private
+     * @param {Object} removed - The object
+     * @param {Object} source - The from container and the to containers
+     * @param {Object} objects - Objects by container name, modified in place
+     * @returns {Object} Links to the objects that linked to it by container, for restoring them. Links that are
+     * not objects, such as hashes, are kept as they were under the name of the object they were on.
+     */
+  _removeLinks(removed, source, objects) {
+    const removedLinks = {};
+    for (const target of source.to) {
+      const field = this.fieldMap[source.from] && this.fieldMap[source.from][target];
+      if (!field) continue;
+      for (const obj of objects[target]) {
+        const key = findLinkKey(obj[field], removed);
+        if (key === undefined) continue;
+        const link = obj[field][key];
+        removedLinks[target] = {
+          ...removedLinks[target],
+          ...(isPlainObject(link) ? { [linkKey(obj)]: createLink(obj, link.linked_date) } : { [obj.name]: link })
+        };
+        delete obj[field][key];
+        obj.modification_date = formatDate(new Date());
+      }
+    }
+    return removedLinks;
+  }
+
+  /**
+     * Gets the path of the content blob of an interaction, blobs of objects in the trash are under Trash/
+     * @private
+     * @param {String} containerName - Container name
+     * @param {Object} obj - The object
+     * @returns {String|null} Blob path or null when the object has no blob
+     */
+  _blobPath(containerName, obj) {
+    if (containerName !== 'Interactions' || isEmpty(obj.url)) return null;
+    const fileBits = obj.url.split('/');
+    const blobPath = `${containerName}/${fileBits[fileBits.length - 1]}`;
+    return obj.deleted_at ? `${TRASH_CONTAINER}/${blobPath}` : blobPath;
+  }
+
+  /**
+     * Validates the source of a delete, trash, restore or purge
+     * @private
+     * @param {Object} source - The from container and the to containers
+     * @returns {Array|null} Error response or null when valid
+     */
+  _validateSource(source) {
+    if (!source || isEmpty(source.from) || !isArray(source.to) || source.to.length === 0) {
+      return ResponseFactory.error(
+        'Invalid source configuration: [from] must be a non-empty string and [to] must be a non-empty array',
+        null,
+        400
+      );
+    }
+    return null;
+  }
+
+  /**
+     * Reads the object files of the source's containers in a commit
+     * @private
+     * @param {Object} commit - Builder from beginCommit
+     * @param {Array<String>} containers - Container names
+     * @returns {Promise<Object>} Objects by container name
+     */
+  async _readContainers(commit, containers) {
+    const objects = {};
+    for (const container of containers) {
+      objects[container] = await commit.readJson(this._objectPath(container)) || [];
+    }
+    return objects;
+  }
+
+  /**
+     * @function deleteObject
+     * @description Deletes an object from a specified container and removes the references to it from the
+     * linked containers. By default this is a single atomic commit, when catchIt is false the objects of the
+     * caught containers in repoMetadata are changed and written to its branch, the caller releases them.
+     * @async
+     * @param {string} objName - The name of the object to delete
+     * @param {object} source - The source object that contains the from and to containers
+     * @param {object} repoMetadata - The repository metadata
+     * @param {boolean} catchIt - Whether to catch the container
+     * @returns {Promise<Array>} Status, message, and response
+     * @memberof StorageAdapter
+     */
+  async deleteObject(objName, source, repoMetadata=null, catchIt=true) {
+    // Validate parameters
+    const validationError = this._validateParams(
+      { objName, source, catchIt },
+      {
+        objName: 'string',
+        source: 'object',
+        catchIt: 'boolean'
+      }
+    );
+
+    if (validationError) return validationError;
+
+    // Additional validation for source object
+    const sourceError = this._validateSource(source);
+    if (sourceError) return sourceError;
+
+    const containers = [source.from, ...source.to];
+    const notFound = () => ResponseFactory.error(
+      `Object with name [${objName}] not found in [${source.from}]`,
+      null,
+      404
+    );
+
+    if (catchIt) {
+      return this.commitChanges(
+        `Deleted [${source.from}] object [${objName}]`,
+        async (commit) => {
+          const objects = await this._readContainers(commit, containers);
+
+          const removed = this._removeObjectAndLinks(objName, source, objects);
+          if (!removed) return notFound();
+
+          const blobPath = this._blobPath(source.from, removed);
+          if (blobPath) {
+            if (!(await commit.exists(blobPath))) {
+              return ResponseFactory.error(`Failed to get content for [${removed.url}]: Not Found`, null, 503);
+            }
+            commit.deleteFile(blobPath);
+          }
+
+          for (const container of containers) {
+            commit.writeJson(this._objectPath(container), objects[container]);
+          }
+          return ResponseFactory.success(`Found and removed object [${objName}]`, removed);
+        },
+        { containers }
+      );
+    }
+
+    // The caller caught the containers, change their objects and write them to its branch
+    const branchName = repoMetadata.branch.name;
+    const objects = {};
+    for (const container of containers) {
+      objects[container] = repoMetadata.containers[container].objects;
+    }
+
+    return this._executeTransaction([
+      async () => {
+        const removed = this._removeObjectAndLinks(objName, source, objects);
+        if (!removed) return notFound();
+
+        const blobPath = this._blobPath(source.from, removed);
+        if (!blobPath) {
+          return ResponseFactory.success(`Found and removed object [${objName}]`, removed);
+        }
+        const shortFilename = blobPath.slice(source.from.length + 1);
+        const blobSha = await this.getSha(source.from, shortFilename, branchName);
+        if (!blobSha[0]) {
+          return ResponseFactory.error(
+            `Failed to get content for [${removed.url}]: ${blobSha[1].status_msg}`,
+            blobSha[2],
+            503
+          );
+        }
+        return this.deleteBlob(source.from, shortFilename, branchName, blobSha[2]);
+      },
+      ...containers.map(container => async () => {
+        const sha = await this.getSha(container, this.objectFiles[container], branchName);
+        if (!sha[0]) {
+          return sha; // Transaction will abort
+        }
+        return this.writeObject(container, objects[container], branchName, sha[2]);
+      }),
+      async () => ResponseFactory.success(
+        `Deleted [${source.from}] object of the name [${objName}] without releasing container`,
+        null
+      )
+    ], `delete-object-${source.from}-${objName}`);
+  }
+
+  /**
+     * @function trashObject
+     * @description Soft deletes an object in one atomic commit. The object stays in its container marked with
+     * deleted_at and deleted_by, the references to it are removed from the linked containers and kept on it as
+     * deleted_links, and the blob of an interaction is moved to the Trash container.
+     * @async
+     * @param {string} objName - The name of the object to delete
+     * @param {object} source - The source object that contains the from and to containers
+     * @param {object} [options] - Options
+     * @param {string} [options.deletedBy] - Who deleted the object, defaults to the process name
+     * @returns {Promise<Array>} Status, message, and the commit with the deleted object as result
+     * @memberof StorageAdapter
+     */
+  async trashObject(objName, source, { deletedBy = this.processName } = {}) {
+    const validationError = this._validateParams({ objName, source }, { objName: 'string', source: 'object' });
+    if (validationError) return validationError;
+    const sourceError = this._validateSource(source);
+    if (sourceError) return sourceError;
+
+    const containers = [source.from, ...source.to];
+    return this.commitChanges(
+      `Moved [${source.from}] object [${objName}] to the trash`,
+      async (commit) => {
+        const objects = await this._readContainers(commit, containers);
+        const obj = objects[source.from].find(candidate => candidate.name === objName && !candidate.deleted_at);
+        if (!obj) {
+          return ResponseFactory.error(`Object with name [${objName}] not found in [${source.from}]`, null, 404);
+        }
+
+        const blobPath = this._blobPath(source.from, obj);
+        if (blobPath) {
+          if (!(await commit.exists(blobPath))) {
+            return ResponseFactory.error(`Failed to get content for [${obj.url}]: Not Found`, null, 503);
+          }
+          commit.moveFile(blobPath, `${TRASH_CONTAINER}/${blobPath}`);
+        }
+
+        obj.deleted_links = this._removeLinks(obj, source, objects);
+        obj.deleted_at = new Date().toISOString();
+        obj.deleted_by = deletedBy;
+
+        for (const container of containers) {
+          commit.writeJson(this._objectPath(container), objects[container]);
+        }
+        return ResponseFactory.success(`Moved object [${objName}] to the trash`, obj);
+      },
+      { containers }
+    );
+  }
+
+  /**
+     * @function restoreObject
+     * @description Restores an object from the trash in one atomic commit: its blob is moved back and the links
+     * removed when it was deleted are added again to the objects that still exist.
+     * @async
+     * @param {string} objName - The name of the object to restore
+     * @param {object} source - The source object that contains the from and to containers
+     * @returns {Promise<Array>} Status, message, and the commit with { restored, missingLinks } as result
+     * @memberof StorageAdapter
+     */
+  async restoreObject(objName, source) {
+    const validationError = this._validateParams({ objName, source }, { objName: 'string', source: 'object' });
+    if (validationError) return validationError;
+    const sourceError = this._validateSource(source);
+    if (sourceError) return sourceError;
+
+    const containers = [source.from, ...source.to];
+    return this.commitChanges(
+      `Restored [${source.from}] object [${objName}] from the trash`,
+      async (commit) => {
+        const objects = await this._readContainers(commit, containers);
+        const obj = objects[source.from].find(candidate => candidate.name === objName && candidate.deleted_at);
+        if (!obj) {
+          return ResponseFactory.error(`Object with name [${objName}] not found in the trash of [${source.from}]`, null, 404);
+        }
+        if (objects[source.from].some(candidate => candidate.name === objName && !candidate.deleted_at)) {
+          return ResponseFactory.error(`An object with name [${objName}] already exists in [${source.from}]`, null, 409);
+        }
+
+        const trashPath = this._blobPath(source.from, obj);
+        if (trashPath) {
+          const blobPath = trashPath.slice(TRASH_CONTAINER.length + 1);
+          if (await commit.exists(blobPath)) {
+            return ResponseFactory.error(`A file already exists at [${blobPath}]`, null, 409);
+          }
+          if (!(await commit.exists(trashPath))) {
+            return ResponseFactory.error(`Failed to get content for [${obj.url}]: Not Found`, null, 503);
+          }
+          commit.moveFile(trashPath, blobPath);
+        }
+
+        // Links to objects deleted for good since are left out and reported
+        const missingLinks = {};
+        for (const [target, links] of Object.entries(obj.deleted_links || {})) {
+          const field = this.fieldMap[source.from] && this.fieldMap[source.from][target];
+          if (!field || !objects[target]) continue;
+          const live = objects[target].filter(candidate => !candidate.deleted_at);
+          for (const [key, link] of Object.entries(links)) {
+            const linked = findLinked(live, key, link);
+            if (!linked) {
+              missingLinks[target] = [...(missingLinks[target] || []), linkRef(key, link).name];
+              continue;
+            }
+            linked[field] = isPlainObject(link) ?
+              withLink(linked[field], obj, link.linked_date || new Date().toISOString()) :
+              { ...linked[field], [obj.name]: link };
+            linked.modification_date = formatDate(new Date());
+          }
+        }
+
+        delete obj.deleted_at;
+        delete obj.deleted_by;
+        delete obj.deleted_links;
+        obj.modification_date = formatDate(new Date());
+
+        for (const container of containers) {
+          commit.writeJson(this._objectPath(container), objects[container]);
+        }
+        return ResponseFactory.success(`Restored object [${objName}]`, { restored: obj, missingLinks });
+      },
+      { containers }
+    );
+  }
+
+  /**
+     * @function purgeObjects
+     * @description Deletes objects in the trash for good in one atomic commit, along with their blobs
+     * @async
+     * @param {object} source - The source object that contains the from and to containers
+     * @param {object} [options] - Options
+     * @param {Date|string|number} [options.olderThan] - Only purge objects deleted before this time, every object
+     * in the trash when omitted
+     * @returns {Promise<Array>} Status, message, and the commit with the purged objects as result
+     * @memberof StorageAdapter
+     */
+  async purgeObjects(source, { olderThan = null } = {}) {
+    const sourceError = this._validateSource(source);
+    if (sourceError) return sourceError;
+    const before = olderThan === null ? null : new Date(olderThan).getTime();
+    if (Number.isNaN(before)) {
+      return ResponseFactory.error(`Invalid parameter: [olderThan] is not a date: ${olderThan}`, null, 400);
+    }
+
+    const containers = [source.from, ...source.to];
+    return this.commitChanges(
+      `Purged the trash of [${source.from}]`,
+      async (commit) => {
+        const objects = await this._readContainers(commit, containers);
+        const purged = objects[source.from].filter(
+          obj => obj.deleted_at && (before === null || Date.parse(obj.deleted_at) < before)
+        );
+
+        for (const obj of purged) {
+          // Links to the object were taken away when it was trashed, links to its name now belong to a live object
+          objects[source.from].splice(objects[source.from].indexOf(obj), 1);
+          const blobPath = this._blobPath(source.from, obj);
+          if (blobPath) commit.deleteFile(blobPath);
+        }
+        if (purged.length > 0) {
+          for (const container of containers) {
+            commit.writeJson(this._objectPath(container), objects[container]);
+          }
+        }
+        return ResponseFactory.success(`Purged [${purged.length}] object(s) from the trash`, purged);
+      },
+      { containers }
+    );
+  }
+}
+
+export default StorageAdapter;
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Session object sharing one backend, cache and logger between all entities
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @file client.js
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ *
+ * @class MediumroastClient
+ * @classdesc Owns the storage backend (and so the Octokit instance), the cache and the logger for a session and
+ * hands out entities that use them. A change made through one entity invalidates what the others cached about
+ * the containers it touched, and helpers that read other containers reuse what is already cached.
+ *
+ * @exports MediumroastClient
+ *
+ * @example
+ * const client = new MediumroastClient(token, 'my-org', 'mr-cli')
+ * await client.studies.addToStudy('My study', 'Companies', 'Acme')
+ * const companies = await client.companies.getAll() // sees the new link
+ */
+
+import GitHubFunctions from './github.js';
+import { Studies, Companies, Interactions, Users, Storage, Actions } from './gitHubServer.js';
+import { CacheManager } from './gitHubServer/cache.js';
+import { logger, toLogger } from './gitHubServer/logger.js';
+
+class MediumroastClient {
+  /**
+     * @constructor
+     * @param {String} token - the GitHub token for the mediumroast.io application
+     * @param {String} org - the GitHub organization for the mediumroast.io application
+     * @param {String} processName - the name of the process, used for container locks
+     * @param {Object} [options] - Optional settings
+     * @param {StorageAdapter} [options.adapter] - Storage backend to use instead of GitHub
+     * @param {Object} [options.octokit] - Octokit compatible client for the GitHub backend, e.g. FakeOctokit
+     * @param {Number} [options.lockTtl=600] - Lease length of container locks in seconds
+     * @param {Object} [options.logger] - Logger from createLogger, or a pino or winston style logger
+     * @param {Object} [options.cacheStore] - Persistent cache store, e.g. a FileCacheStore
+     * @param {Object} [options.embedder] - Embedding model for Interactions.findSimilar as { name, embed(texts) }
+     * @param {Boolean} [options.softDelete=false] - Move deleted objects to the trash instead of removing them
+     * @memberof MediumroastClient
+    */
+  constructor(token, org, processName, options = {}) {
+    this.token = token;
+    this.org = org;
+    this.processName = processName;
+    this.logger = toLogger(options.logger || logger);
+    this.adapter = options.adapter || new GitHubFunctions(token, org, processName, {
+      octokit: options.octokit,
+      lockTtl: options.lockTtl,
+      logger: this.logger
+    });
+    this.cache = new CacheManager({ store: options.cacheStore });
+    this.embedder = options.embedder;
+    this.softDelete = options.softDelete === true;
+
+    // Entities are created on first use
+    this._entities = new Map();
+  }
+
+  /**
+     * Gets the entity of a class, creating it on first use
+     * @private
+     * @param {Function} EntityClass - Entity class, e.g. Companies
+     * @returns {BaseObjects} The entity
+     */
+  _entity(EntityClass) {
+    if (!this._entities.has(EntityClass)) {
+      this._entities.set(EntityClass, new EntityClass(this.token, this.org, this.processName, {
+        adapter: this.adapter,
+        cache: this.cache,
+        logger: this.logger,
+        embedder: this.embedder,
+        softDelete: this.softDelete
+      }));
+    }
+    return this._entities.get(EntityClass);
+  }
+
+  /**
+     * The Octokit instance of the GitHub backend, null for other backends
+     * @returns {Object|null} Octokit
+     */
+  get octokit() {
+    return this.adapter.octCtl || null;
+  }
+
+  get studies() {
+    return this._entity(Studies);
+  }
+
+  get companies() {
+    return this._entity(Companies);
+  }
+
+  get interactions() {
+    return this._entity(Interactions);
+  }
+
+  get users() {
+    return this._entity(Users);
+  }
+
+  get storage() {
+    return this._entity(Storage);
+  }
+
+  get actions() {
+    return this._entity(Actions);
+  }
+
+  /**
+     * Drops cached data, e.g. after the repository was changed outside of this client
+     * @param {String} [objType] - Container to invalidate, everything when omitted
+     */
+  invalidate(objType) {
+    const key = objType ? `container_${objType}` : null;
+    if (key) {
+      this.cache.invalidate(key);
+    } else {
+      this.cache.clear();
+    }
+    if (this.adapter.invalidateCache) {
+      this.adapter.invalidateCache(key);
+    }
+  }
+}
+
+export default MediumroastClient;
\ No newline at end of file
@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { zipSync, strToU8 } from 'fflate';
+import LocalFunctions from './local.js';
+import { Interactions } from './gitHubServer.js';
+import { logger } from './gitHubServer/logger.js';
+import { extractors, documentStats, parseCsv, detectContentType } from './gitHubServer/extractors.js';
+
+// Builds a PDF with one text line per entry, a line given as [text, size] uses that font size
+const makePdf = (pages) => {
+  const objects = [];
+  const add = (body) => objects.push(body);
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const pagesId = 2 + pages.length * 2;
+  const kids = [];
+  for (const lines of pages) {
+    const stream = `BT 72 720 Td ${lines.map(line => {
+      const [text, size] = Array.isArray(line) ? line : [line, 12];
+      return `/F1 ${size} Tf 0 -${size + 4} Td (${text}) Tj`;
+    }).join(' ')} ET`;
+    add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 612 792] /Contents ${objects.length} 0 R ` +
+      '/Resources << /Font << /F1 1 0 R >> >> >>');
+    kids.push(objects.length);
+  }
+  add(`<< /Type /Pages /Kids [${kids.map(kid => `${kid} 0 R`).join(' ')}] /Count ${kids.length} >>`);
+  add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+const zip = (files) => Buffer.from(zipSync(Object.fromEntries(
+  Object.entries(files).map(([name, content]) => [name, strToU8(content)])
+)));
+
+const wordParagraph = (text, style) =>
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+
+const makeDocx = () => zip({
+  'word/document.xml': '<w:document><w:body>' +
+    wordParagraph('Market Review', 'Title') +
+    wordParagraph('Acme &amp; Globex compete on price.') +
+    '<w:p><w:r><w:br w:type="page"/></w:r></w:p>' +
+    wordParagraph('Pricing', 'Heading2') +
+    '<w:tbl><w:tr><w:tc>' + wordParagraph('Vendor') + '</w:tc><w:tc>' + wordParagraph('Price') + '</w:tc></w:tr>' +
+    '<w:tr><w:tc>' + wordParagraph('Acme') + '</w:tc><w:tc>' + wordParagraph('$10') + '</w:tc></w:tr></w:tbl>' +
+    '</w:body></w:document>',
+  'docProps/core.xml': '<cp:coreProperties><dc:title>Q3 review</dc:title></cp:coreProperties>'
+});
+
+const slide = (title, body) => '<p:sld><p:cSld><p:spTree>' +
+  `<p:sp><p:nvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${title}</a:t></a:r></a:p></p:txBody></p:sp>` +
+  `<p:sp><p:txBody>${body.map(line => `<a:p><a:r><a:t>${line}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sp>` +
+  '</p:spTree></p:cSld></p:sld>';
+
+const makePptx = () => zip({
+  'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>',
+  'ppt/_rels/presentation.xml.rels': '<Relationships>' +
+    '<Relationship Id="rId2" Type="slide" Target="slides/slide1.xml"/>' +
+    '<Relationship Id="rId3" Type="slide" Target="slides/slide2.xml"/></Relationships>',
+  'ppt/slides/slide1.xml': slide('Roadmap', ['Launch in Q4']),
+  'ppt/slides/slide2.xml': slide('Agenda', ['Competitors', 'Pricing'])
+});
+
+describe('extractors', () => {
+  it('should extract PDF pages and headings set in larger type', async () => {
+    const document = await extractors.extract('PDF', makePdf([
+      [['Competitive Landscape', 24], 'Acme leads the market.', 'Globex follows.'],
+      ['Pricing is stable.']
+    ]));
+
+    expect(document.pages).toEqual([
+      { number: 1, text: 'Competitive Landscape\nAcme leads the market.\nGlobex follows.' },
+      { number: 2, text: 'Pricing is stable.' }
+    ]);
+    expect(document.headings).toEqual([{ level: 1, text: 'Competitive Landscape', page: 1 }]);
+    expect(documentStats(document)).toEqual({ word_count: 11, page_count: 2, reading_time: 1 });
+  });
+
+  it('should extract DOCX paragraphs, headings, tables and page breaks', async () => {
+    const document = await extractors.extract('DOCX', makeDocx());
+
+    expect(document.headings).toEqual([{ level: 1, text: 'Market Review' }, { level: 2, text: 'Pricing' }]);
+    expect(document.tables).toEqual([{ rows: [['Vendor', 'Price'], ['Acme', '$10']] }]);
+    expect(document.pages.map(page => page.text)).toEqual([
+      'Market Review\nAcme & Globex compete on price.',
+      'Pricing\nVendor\tPrice\nAcme\t$10'
+    ]);
+    expect(document.metadata.title).toBe('Q3 review');
+  });
+
+  it('should extract PPTX slides in presentation order', async () => {
+    const document = await extractors.extract('PPTX', makePptx());
+
+    expect(document.slides).toEqual([
+      { number: 1, title: 'Agenda', text: 'Competitors\nPricing' },
+      { number: 2, title: 'Roadmap', text: 'Launch in Q4' }
+    ]);
+    expect(document.headings.map(heading => heading.text)).toEqual(['Agenda', 'Roadmap']);
+    expect(documentStats(document).page_count).toBe(2);
+  });
+
+  it('should extract HTML text without scripts and markup', async () => {
+    const html = '<html><head><title>Acme &#8211; News</title><style>p { color: red }</style></head><body>' +
+      '<h1>Acme raises prices</h1><script>track()</script><p>Customers&nbsp;react.</p>' +
+      '<table><tr><th>Plan</th><th>Price</th></tr><tr><td>Pro</td><td>$20</td></tr></table></body></html>';
+    const document = await extractors.extract(null, Buffer.from(html), { fileName: 'Interactions/news.html' });
+
+    expect(document.metadata.title).toBe('Acme – News');
+    expect(document.headings).toEqual([{ level: 1, text: 'Acme raises prices' }]);
+    expect(document.tables[0].rows).toEqual([['Plan', 'Price'], ['Pro', '$20']]);
+    expect(document.text).toBe('Acme raises prices\n\nCustomers react.\n\nPlan\tPrice\nPro\t$20');
+  });
+
+  it('should parse quoted CSV fields and reject unsupported content', async () => {
+    expect(parseCsv('name,notes\r\nAcme,"Says ""hi"", twice\nthen leaves"\n')).toEqual([
+      ['name', 'notes'],
+      ['Acme', 'Says "hi", twice\nthen leaves']
+    ]);
+    await expect(extractors.extract('XLS', Buffer.from(''))).rejects.toMatchObject({ status: 415 });
+    await expect(extractors.extract('DOCX', Buffer.from('not a zip'))).rejects.toMatchObject({ status: 415 });
+  });
+
+  it('should detect content types from signatures before extensions', () => {
+    expect(detectContentType(makePdf([['Hi']]), 'notes.txt')).toEqual({ contentType: 'PDF', mimeType: 'application/pdf' });
+    expect(detectContentType(makeDocx(), 'review.zip').contentType).toBe('DOCX');
+    expect(detectContentType(makePptx()).contentType).toBe('PPTX');
+    expect(detectContentType(Buffer.from('<!DOCTYPE html><p>Hi</p>')).contentType).toBe('HTML');
+    expect(detectContentType(Buffer.from('a,b\n1,2'), 'rows.csv').contentType).toBe('CSV');
+    expect(detectContentType(Buffer.from('Plain notes')).contentType).toBe('TXT');
+    expect(() => detectContentType(Buffer.from([0, 1, 2]), 'blob.bin')).toThrow(expect.objectContaining({ status: 415 }));
+  });
+
+  it('should detect recordings from their signatures', () => {
+    const wav = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEfmt ')]);
+    const m4a = Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from('ftypM4A isom')]);
+    const mp4 = Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from('ftypisomiso2')]);
+    expect(detectContentType(Buffer.concat([Buffer.from('ID3'), Buffer.alloc(16)])).contentType).toBe('MP3');
+    expect(detectContentType(Buffer.from([0xff, 0xfb, 0x90, 0x64]), 'call.bin').contentType).toBe('MP3');
+    expect(detectContentType(wav)).toEqual({ contentType: 'WAV', mimeType: 'audio/wav' });
+    expect(detectContentType(m4a).contentType).toBe('M4A');
+    expect(detectContentType(mp4).contentType).toBe('MP4');
+    // A UTF-16 byte order mark is not a frame sync
+    expect(() => detectContentType(Buffer.from('\ufeffNotes', 'utf16le'), 'notes.txt'))
+      .toThrow(expect.objectContaining({ status: 415 }));
+  });
+
+  describe('used by Interactions', () => {
+    let rootDir;
+    let localCtl;
+    let interactions;
+
+    beforeEach(async () => {
+      logger.setLevel('silent');
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-extract-'));
+      localCtl = new LocalFunctions(rootDir, 'test-process');
+      await localCtl.createContainers();
+      interactions = new Interactions(null, null, 'test-process', { adapter: localCtl });
+    });
+
+    afterEach(() => {
+      logger.setLevel('info');
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('should fill in counts on create and analyze the extracted text', async () => {
+      await localCtl.writeBlob('Interactions', 'review.docx', makeDocx(), 'main');
+      await localCtl.writeBlob('Interactions', 'deck.pptx', makePptx(), 'main');
+
+      await interactions.createObj([
+        { name: 'Review', url: 'Interactions/review.docx' },
+        { name: 'Deck', url: 'Interactions/deck.pptx', reading_time: 5 }
+      ]);
+
+      const stored = (await localCtl.readObjects('Interactions'))[2].mrJson;
+      expect(stored[0]).toMatchObject({ content_type: 'DOCX', word_count: 12, page_count: 2, reading_time: 1 });
+      expect(stored[1]).toMatchObject({ content_type: 'PPTX', page_count: 2, reading_time: 5 });
+
+      const analysis = await interactions.getInteractionAnalysis('Review');
+      expect(analysis[2].topWords).toHaveProperty('pricing', 1);
+      expect(analysis[2].structure).toMatchObject({ pages: 2, tables: 1 });
+
+      const found = await interactions.searchText('roadmap');
+      expect(found[2].map(result => result.name)).toEqual(['Deck']);
+    });
+  });
+});
\ No newline at end of file
@@ -7,7 +7,7 @@ const org = 'test-org';
 const processName = 'test-process';
 
 // Mock the cache manager
-vi.mock('./gitHubServer/cache.js', () => {
+vi.mock('./gitHubServer/cache.js', async (importOriginal) => {
   const mockGetOrFetch = vi.fn().mockImplementation((key, fetchFn) => {
     return fetchFn(); // Execute the fetch function directly in tests
   });
@@ -15,6 +15,7 @@ vi.mock('./gitHubServer/cache.js', () => {
   const mockInvalidate = vi.fn();
   
   return {
+    ...await importOriginal(),
     CacheManager: vi.fn().mockImplementation(() => ({
       getOrFetch: mockGetOrFetch,
       invalidate: mockInvalidate,
@@ -25,12 +26,13 @@ vi.mock('./gitHubServer/cache.js', () => {
 });
 
 // Mock the logger
-vi.mock('./gitHubServer/logger.js', () => {
+vi.mock('./gitHubServer/logger.js', async (importOriginal) => {
   const mockEnd = vi.fn();
   const mockTrackOperation = vi.fn().mockReturnValue({ end: mockEnd });
   const mockTrackTransaction = vi.fn().mockReturnValue({ end: mockEnd });
   
   return {
+    ...await importOriginal(),
     logger: {
       debug: vi.fn(),
       info: vi.fn(),
@@ -11,9 +11,16 @@
 
 // Import required modules
 import GitHub from '../github.js';
-import { isEmpty, isArray, deepClone } from '../../utils/helpers.js';
+import { isEmpty, isArray, deepClone, objectVersion } from '../../utils/helpers.js';
 import { CacheManager } from './cache.js';
-import { logger } from './logger.js';
+import { logger, toLogger } from './logger.js';
+import { validator } from './schema.js';
+import { runQuery, serializeQuery } from './query.js';
+import { readSource, readRecords, writeRecords, normalizeFormat, fieldTypes, coerceValue } from './tabular.js';
+import { RelationshipGraph, GRAPH_CONTAINERS, LINK_FIELDS, parseNodeRef, linkRef } from './graph.js';
+import { checkIntegrity, applyRepairs } from './integrity.js';
+import { ID_FIELD, newId, findByRef, linkKey, findLinkKey, withLink, linkNames, backfillIds } from './ids.js';
+import { TransactionContext, summarizeRollback } from '../transaction.js';
 import { createHash } from 'crypto';
 import { Octokit } from '@octokit/core';
 
@@ -27,18 +34,31 @@ export class BaseObjects {
    * @param {string} org - GitHub organization name
    * @param {string} processName - Process name for locking
    * @param {string} objType - Object type
+   * @param {Object} [options] - Optional settings
+   * @param {StorageAdapter} [options.adapter] - Storage backend to use instead of GitHub
+   * @param {Object} [options.logger] - Logger from createLogger, or a pino or winston style logger
+   * @param {Object} [options.cacheStore] - Persistent cache store, e.g. a FileCacheStore, so containers read by
+   * one process are reused by the next while the repository has not changed
+   * @param {CacheManager} [options.cache] - Cache shared with other entities, see MediumroastClient
+   * @param {Boolean} [options.softDelete=false] - Move deleted objects to the trash instead of removing them
    */
-  constructor(token, org, processName, objType) {
+  constructor(token, org, processName, objType, options = {}) {
     this.token = token;
     this.org = org;
     this.processName = processName;
     this.objType = objType || 'BaseObject';
+    this.softDelete = options.softDelete === true;
+
+    // Every line this object logs carries its type
+    this._baseLogger = toLogger(options.logger || logger);
+    this.logger = this._baseLogger.child({ objType: this.objType });
     
-    // Initialize GitHub API client
-    this.serverCtl = new GitHub(this.token, this.org);
+    // Initialize the storage backend, GitHub unless another adapter is supplied
+    this.serverCtl = options.adapter ||
+      new GitHub(this.token, this.org, this.processName, { logger: options.logger });
     
-    // Initialize cache manager
-    this.cache = new CacheManager();
+    // Initialize cache manager, entities sharing one see each other's invalidations
+    this.cache = options.cache || new CacheManager({ store: options.cacheStore });
     
     // Initialize cache keys - must do this before adding specialized keys
     this._cacheKeys = {
@@ -56,10 +76,10 @@ export class BaseObjects {
     
     // Define object file names for containers
     this.objectFiles = {
-      Studies: 'studies.json',
-      Companies: 'companies.json',
-      Interactions: 'interactions.json',
-      Users: 'users.json' // Add users even though GitHub API doesn't store it the same way
+      Studies: 'Studies.json',
+      Companies: 'Companies.json',
+      Interactions: 'Interactions.json',
+      Users: 'Users.json' // Add users even though GitHub API doesn't store it the same way
     };
     
     // Define field whitelists centrally
@@ -74,7 +94,7 @@ export class BaseObjects {
       Interactions: [
         'status', 'content_type', 'file_size', 'reading_time', 'word_count', 'page_count', 'description', 'abstract',
         'region', 'country', 'city', 'state_province', 'zip_postal', 'street_address', 'latitude', 'longitude',
-        'public', 'groups'
+        'public', 'groups', 'topics'
       ],
       Studies: [
         'description', 'status', 'public', 'groups'
@@ -93,23 +113,44 @@ export class BaseObjects {
     };
     
     // Log initialization
-    logger.debug(`Initialized ${objType} with org: ${org}`);
+    this.logger.debug(`Initialized ${objType} with org: ${org}`);
   }
     
   /**
    * Invalidate cache entries when data is modified
    * @private
+   * @param {String} [objType] - Container whose entries to invalidate, defaults to this object's
    */
-  _invalidateCache() {
+  _invalidateCache(objType = this.objType) {
+    const containerKey = `container_${objType}`;
+
     // Invalidate the main container cache which will cascade to all dependent caches
-    this.cache.invalidate(this._cacheKeys.container);
+    this.cache.invalidate(containerKey);
     
     // Also forward to github.js cache invalidation if it exists
     if (this.serverCtl.invalidateCache) {
-      this.serverCtl.invalidateCache(this._cacheKeys.container);
+      this.serverCtl.invalidateCache(containerKey);
     }
     
-    logger.debug(`Cache invalidated for ${this.objType}`);
+    this.logger.debug(`Cache invalidated for ${objType}`);
+  }
+
+  /**
+   * Options for creating another entity that shares this one's backend, cache and logger
+   * @private
+   * @returns {Object} Constructor options
+   */
+  _sharedOptions() {
+    return { adapter: this.serverCtl, cache: this.cache, logger: this._baseLogger, softDelete: this.softDelete };
+  }
+
+  /**
+   * The source of deletes: this object's container and the containers holding links to its objects
+   * @private
+   * @returns {Object} { from, to }
+   */
+  _linkSource() {
+    return { from: this.objType, to: Object.keys(this.serverCtl.fieldMap?.[this.objType] || {}) };
   }
     
   /**
@@ -121,7 +162,7 @@ export class BaseObjects {
    * @returns {Array} Standardized error response
    */
   _createError(message, data = null, statusCode = 400) {
-    logger.error(message, { data, statusCode });
+    this.logger.error(message, { data, statusCode });
     return [false, { status_code: statusCode, status_msg: message }, data];
   }
     
@@ -134,7 +175,7 @@ export class BaseObjects {
    * @returns {Array} Standardized success response
    */
   _createSuccess(message, data = null, statusCode = 200) {
-    logger.debug(message);
+    this.logger.debug(message);
     return [true, { status_code: statusCode, status_msg: message }, data];
   }
     
@@ -169,9 +210,31 @@ export class BaseObjects {
         
     return null; // No validation errors
   }
+
+  /**
+   * Validates objects against the published JSON Schema of this object type
+   * @private
+   * @param {Array} objs - Objects to validate
+   * @param {Array<string>} [fields] - Only check these fields, e.g. the ones being updated
+   * @returns {Array|null} Error response listing every invalid field, or null if valid
+   */
+  _validateObjects(objs, fields) {
+    const errors = [];
+    for (const obj of objs) {
+      const result = validator.validate(this.objType, obj, { fields });
+      if (!result.valid) {
+        errors.push(...result.errors.map(error => ({ name: obj.name, ...error })));
+      }
+    }
+    if (errors.length === 0) return null;
+
+    const summary = errors.map(error => `[${error.name}] ${error.field} ${error.message}`).join('; ');
+    return this._createError(`Invalid ${this.objType} object(s): ${summary}`, { errors }, 400);
+  }
     
   /**
-   * Executes a series of operations as a transaction
+   * Executes a series of operations as a transaction. Each operation receives the data of the previous one
+   * and a TransactionContext to register undo actions with, which run in reverse order if a later step fails.
    * @private
    * @param {Array<Function>} operations - Array of async functions to execute
    * @param {String} transactionName - Name of the transaction for logging
@@ -180,12 +243,26 @@ export class BaseObjects {
   async _executeTransaction(operations, transactionName) {
     this._transactionDepth++;
     const transactionId = `${transactionName}-${Date.now()}-${this._transactionDepth}`;
+    const tx = new TransactionContext();
     let results = [];
     
-    // Track the transaction
-    const tracking = logger.trackTransaction ? 
-      logger.trackTransaction(transactionName) : 
-      { end: () => {} };
+    // Track the transaction, its lines carry the transactionId
+    const txLogger = this.logger.child({ transactionId });
+    const tracking = txLogger.trackTransaction(transactionName);
+
+    // Undo what the completed steps registered and report it with the failure
+    const abort = async (message, details, code) => {
+      const rollback = await tx.rollback();
+      txLogger.warn(message, { failedStep: details.failedStep, code });
+      if (rollback.some(action => !action.success)) {
+        txLogger.error(`Transaction [${transactionName}] could not be fully rolled back`, { rollback });
+      }
+      return this._createError(
+        `${message}${summarizeRollback(rollback)}`,
+        { transactionId, ...details, rollback },
+        code
+      );
+    };
         
     try {
       for (let i = 0; i < operations.length; i++) {
@@ -193,16 +270,15 @@ export class BaseObjects {
         const operationName = operation.name || `Step${i+1}`;
                 
         try {
-          // Pass accumulated data to each operation
-          const result = await operation(i > 0 ? results[i-1][2] : null);
+          // Pass accumulated data and the transaction context to each operation
+          const result = await operation(i > 0 ? results[i-1][2] : null, tx);
           results.push(result);
                     
           if (!result[0]) {
             // Operation failed, abort transaction
-            return this._createError(
+            return await abort(
               `Transaction [${transactionName}] failed at step [${operationName}]: ${result[1].status_msg}`,
               { 
-                transactionId,
                 failedStep: operationName,
                 stepResult: result,
                 completedSteps: i
@@ -211,10 +287,9 @@ export class BaseObjects {
             );
           }
         } catch (err) {
-          return this._createError(
+          return await abort(
             `Transaction [${transactionName}] failed at step [${operationName}]: ${err.message}`,
             { 
-              transactionId,
               failedStep: operationName,
               error: err,
               completedSteps: i
@@ -236,20 +311,38 @@ export class BaseObjects {
   }
     
   /**
-   * Enhanced search functionality with better filtering options
-   * @param {Object} filters - Filter criteria
-   * @param {Object} options - Search options (limit, sort, etc)
-   * @returns {Promise<Array>} Search results
+   * Search objects with a MongoDB style query
+   * @param {Object} [filters] - Filter criteria: a field maps to a value for equality, a RegExp, or operators
+   * ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $regex, $exists); $and and $or combine filters. Fields can be
+   * dotted paths such as linked_companies.<id>, and dates compare by time. A string name matches any name
+   * containing it, ignoring case.
+   * @param {Object} [options] - Search options
+   * @param {String|Array|Object} [options.sort] - Field, -field for descending, or several as an array or as
+   * { field: 1 | -1 }
+   * @param {Boolean} [options.descending=false] - Sort a single field in descending order
+   * @param {Number} [options.limit=0] - Page size, 0 for every match
+   * @param {Number} [options.offset=0] - Number of matches to skip
+   * @param {String} [options.cursor] - nextCursor of the previous page, instead of offset
+   * @param {Array<String>} [options.fields] - Fields to return, every field when omitted
+   * @param {Boolean} [options.includeDeleted=false] - Also match objects in the trash
+   * @returns {Promise<Array>} Status, message, and the matching objects. The status also carries
+   * page: { total, offset, limit, nextCursor }, nextCursor is null on the last page.
+   * @example
+   * // Interactions modified in the last 30 days
+   * await interactions.search(
+   *   { modification_date: { $gt: new Date(Date.now() - 30 * 24 * 3600 * 1000) } },
+   *   { sort: ['-modification_date', 'name'], limit: 20, fields: ['name', 'modification_date'] }
+   * );
    */
-  async search(filters = {}, options = { limit: 0, sort: null, descending: false }) {
+  async search(filters = {}, options = {}) {
     // Create a cache key based on filters and options
-    const filterKey = JSON.stringify(filters);
-    const optionsKey = JSON.stringify(options);
+    const filterKey = serializeQuery(filters);
+    const optionsKey = serializeQuery(options);
     const cacheKey = `${this._cacheKeys.search}_${filterKey}_${optionsKey}`;
     
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'search') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'search') : 
       { end: () => {} };
     
     try {
@@ -258,7 +351,8 @@ export class BaseObjects {
         cacheKey,
         async () => {
           // Get all objects
-          const allObjectsResp = await this.getAll();
+          const { includeDeleted = false, ...queryOptions } = options;
+          const allObjectsResp = await this.getAll({ includeDeleted });
           if (!allObjectsResp[0]) {
             return allObjectsResp;
           }
@@ -272,45 +366,25 @@ export class BaseObjects {
             );
           }
         
-          // Apply filters
-          let results = [...allObjects];
-          for (const [field, value] of Object.entries(filters)) {
-            results = results.filter(obj => {
-              if (field === 'name' && typeof value === 'string') {
-                return obj.name.toLowerCase().includes(value.toLowerCase());
-              }
-              return obj[field] === value;
-            });
-          }
-        
-          // Apply sorting
-          if (options.sort && results.length > 0) {
-            const sortField = options.sort;
-            results.sort((a, b) => {
-              if (!a[sortField]) return 1;
-              if (!b[sortField]) return -1;
-                
-              if (typeof a[sortField] === 'string') {
-                return options.descending 
-                  ? b[sortField].localeCompare(a[sortField])
-                  : a[sortField].localeCompare(b[sortField]);
-              }
-                
-              return options.descending 
-                ? b[sortField] - a[sortField]
-                : a[sortField] - b[sortField];
-            });
-          }
-        
-          // Apply limit
-          if (options.limit > 0) {
-            results = results.slice(0, options.limit);
+          // Filter, sort, page and project
+          let page;
+          try {
+            page = runQuery(allObjects, filters, queryOptions);
+          } catch (err) {
+            return this._createError(`Invalid search: ${err.message}`, null, err.status || 500);
           }
         
-          return this._createSuccess(
-            `Found ${results.length} ${this.objType}`,
-            results
+          const response = this._createSuccess(
+            `Found ${page.items.length} ${this.objType}`,
+            page.items
           );
+          response[1].page = {
+            total: page.total,
+            offset: page.offset,
+            limit: page.limit,
+            nextCursor: page.nextCursor
+          };
+          return response;
         },
         this.cacheTimeouts[this.objType] || 60000,
         [this._cacheKeys.container] // This search depends on the container data
@@ -323,23 +397,30 @@ export class BaseObjects {
   /**
    * @async
    * @function getAll
-   * @description Get all objects from the mediumroast.io application
+   * @description Get all objects from the mediumroast.io application, objects in the trash are left out
+   * @param {Object} [options] - Options
+   * @param {Boolean} [options.includeDeleted=false] - Include the objects in the trash
    * @returns {Array} the results from the called function mrRest class
    */
-  async getAll() {
+  async getAll({ includeDeleted = false } = {}) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getAll') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getAll') : 
       { end: () => {} };
     
     try {
-      // Use cache with the container key
-      return await this.cache.getOrFetch(
+      // Use cache with the container key, a persisted copy is reused while the container is unchanged
+      const result = await this.cache.getOrFetch(
         this._cacheKeys.container,
         () => this.serverCtl.readObjects(this.objType),
         this.cacheTimeouts[this.objType] || 60000,
-        [] // No dependencies for the main container
+        [], // No dependencies for the main container
+        (entry) => this._revalidateContainer(entry)
       );
+      if (!result[0] || includeDeleted || !isArray(result[2]?.mrJson)) {
+        return result;
+      }
+      return [result[0], result[1], { ...result[2], mrJson: result[2].mrJson.filter(obj => !obj.deleted_at) }];
     } catch (error) {
       return this._createError(
         `Failed to retrieve ${this.objType}: ${error.message}`,
@@ -351,14 +432,40 @@ export class BaseObjects {
     }
   }
 
+  /**
+   * Checks if a persisted copy of the container is current. The head of main is one small request; when it
+   * moved, the files changed since the copy was taken show whether this container's object file is among them.
+   * @private
+   * @param {Object|null} entry - Persisted entry with the commit it was read at as version
+   * @returns {Promise<Object|null>} { fresh, version }, or null when the backend cannot tell
+   */
+  async _revalidateContainer(entry) {
+    const head = await this.serverCtl.getHeadSha();
+    if (!head[0]) return null;
+    if (!entry || entry.version === head[2]) {
+      return { fresh: entry !== null, version: head[2] };
+    }
+
+    const changed = await this.serverCtl.getChangedFiles(entry.version, head[2]);
+    if (!changed[0] || changed[2].truncated) {
+      return { fresh: false, version: head[2] };
+    }
+    const objectPath = `${this.objType}/${this.objectFiles[this.objType]}`;
+    const file = changed[2].files.find(candidate => candidate.filename === objectPath);
+    return {
+      fresh: !file || (file.status !== 'removed' && file.sha === entry.data[2].sha),
+      version: head[2]
+    };
+  }
+
   /**
    * @async
    * @function findByName
    * @description Find all objects by name from the mediumroast.io application
    */
   async findByName(name) {
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'findByName') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'findByName') : 
       { end: () => {} };
     try {
       return await this.findByX('name', name);
@@ -370,13 +477,33 @@ export class BaseObjects {
   /**
    * @async
    * @function findById
-   * @description Find all objects by id from the mediumroast.io application
-   * @deprecated 
+   * @description Find an object by the id it was given on create, see migrateIds for objects created before
+   * objects had ids
    */
-  // eslint-disable-next-line no-unused-vars
   async findById(_id) {
-    logger.warn?.('Method findById is deprecated');
-    return this._createError('Method findById is deprecated', null, 410);
+    const tracking = this.logger.trackOperation(this.objType, 'findById');
+    try {
+      return await this.findByX(ID_FIELD, _id);
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * @async
+   * @function findByRef
+   * @description Find an object by id or, when no object has that id, by name
+   * @param {String} ref - Id or name of the object
+   * @returns {Promise<Array>} Status, message, and the objects found
+   */
+  async findByRef(ref) {
+    const tracking = this.logger.trackOperation(this.objType, 'findByRef');
+    try {
+      const found = await this.findById(ref);
+      return found[0] || found[1].status_code !== 404 ? found : await this.findByName(ref);
+    } finally {
+      tracking.end();
+    }
   }
 
   /**
@@ -389,8 +516,8 @@ export class BaseObjects {
     const cacheKey = `${this._cacheKeys.byAttribute}_${attribute}_${value}`;
     
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'findByX') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'findByX') : 
       { end: () => {} };
     
     try {
@@ -460,294 +587,1256 @@ export class BaseObjects {
     }
   }
 
+  /**
+   * Catches containers inside a transaction, registering the undo of the catch first so a partial catch is
+   * cleaned up as well
+   * @private
+   * @param {Object} repoMetadata - Container metadata object
+   * @param {TransactionContext} tx - Transaction context
+   * @returns {Promise<Array>} Result of catchContainer
+   */
+  async _catchInTransaction(repoMetadata, tx) {
+    tx.onRollback(
+      `abort catch of [${Object.keys(repoMetadata.containers).join(', ')}]`,
+      () => this.serverCtl.abortContainer(repoMetadata)
+    );
+    return await this.serverCtl.catchContainer(repoMetadata);
+  }
+
+  /**
+   * Releases containers inside a transaction, registering the restore of their object files in case the
+   * branch was merged but a later part of the release failed
+   * @private
+   * @param {Object} repoMetadata - Container metadata object
+   * @param {TransactionContext} tx - Transaction context
+   * @returns {Promise<Array>} Result of releaseContainer
+   */
+  async _releaseInTransaction(repoMetadata, tx) {
+    for (const container in repoMetadata.containers) {
+      const { objectSha } = repoMetadata.containers[container];
+      tx.onRollback(
+        `restore ${container}/${this.objectFiles[container]}`,
+        () => this.serverCtl.restoreBlob(container, this.objectFiles[container], objectSha)
+      );
+    }
+    return await this.serverCtl.releaseContainer(repoMetadata);
+  }
+
   /**
    * @async
    * @function createObj
-   * @description Create objects in the mediumroast.io application
+   * @description Create objects in the mediumroast.io application. Objects are validated against the
+   * published JSON Schema first, invalid objects fail with a 400 whose data lists the errors by field. Every
+   * object gets an _id unless it has one, an _id already used in the container fails with a 409, as does a name
+   * used by another object that is not in the trash, ignoring case.
    */
   async createObj(objs) {
     // Track this operation 
-    logger.trackOperation(this.objType, 'createObj');
-    
-    // Validate parameters
-    const validationError = this._validateParams(
-      { objs },
-      { objs: 'array' }
-    );
+    const tracking = this.logger.trackOperation(this.objType, 'createObj');
+    try {
+      // Validate parameters
+      const validationError = this._validateParams(
+        { objs },
+        { objs: 'array' }
+      );
         
-    if (validationError) return validationError;
+      if (validationError) return validationError;
 
-    // Use transaction pattern for safer operations
-    return this._executeTransaction([
-      // Step 1: Catch container
-      async () => {
-        let repoMetadata = {
-          containers: {
-            [this.objType]: {}
-          },
-          branch: {}
-        };
-        return await this.serverCtl.catchContainer(repoMetadata);
-      },
-            
-      // Step 2: Get SHA
-      async (data) => {
-        return await this.serverCtl.getSha(
-          this.objType, 
-          this.objectFiles[this.objType], 
-          data.branch.name
-        );
-      },
-            
-      // Step 3: Merge and write objects
-      async (sha, data) => {
-        // Append the new object to the existing objects
-        const mergedObjects = [...data.containers[this.objType].objects, ...objs];
-                
-        // Write the new objects to the container
-        return await this.serverCtl.writeObject(
-          this.objType, 
-          mergedObjects, 
-          data.branch.name,
-          sha
-        );
-      },
-            
-      // Step 4: Release container
-      async (data) => {
-        // Release the container
-        const result = await this.serverCtl.releaseContainer(data);
-                
-        // Invalidate cache if successful
-        if (result[0]) {
-          this._invalidateCache();
-        }
-                
-        return this._createSuccess(
-          `Created [${objs.length}] ${this.objType}`,
-          null
-        );
-      }
-    ], `create-${this.objType}`);
+      // Ids stay with an object through renames, so links and lookups do not depend on its name
+      const created = objs.map(obj => obj && obj[ID_FIELD] ? obj : { ...obj, [ID_FIELD]: newId() });
+
+      // Validate against the schema before anything is caught or written
+      const schemaError = this._validateObjects(created);
+      if (schemaError) return schemaError;
+
+      // One atomic commit appends the objects to the container
+      const objectPath = `${this.objType}/${this.objectFiles[this.objType]}`;
+      const result = await this.serverCtl.commitChanges(
+        `Created [${created.length}] ${this.objType}`,
+        async (commit) => {
+          const objects = await commit.readJson(objectPath) || [];
+          const ids = new Set(objects.map(obj => obj[ID_FIELD]));
+          // Names are matched ignoring case like rename does, objects in the trash can be created again
+          const names = new Set(objects.filter(obj => !obj.deleted_at).map(obj => String(obj.name).toLowerCase()));
+          for (const obj of created) {
+            if (ids.has(obj[ID_FIELD])) {
+              return this._createError(`[${obj.name}] has the id [${obj[ID_FIELD]}] of another object`, null, 409);
+            }
+            if (names.has(obj.name.toLowerCase())) {
+              return this._createError(`[${obj.name}] is already used by another object`, null, 409);
+            }
+            ids.add(obj[ID_FIELD]);
+            names.add(obj.name.toLowerCase());
+          }
+
+          commit.writeJson(objectPath, [...objects, ...created]);
+          return this._createSuccess(`Created [${created.length}] ${this.objType}`, created);
+        },
+        { containers: [this.objType] }
+      );
+      if (!result[0]) return result;
+
+      // Invalidate cache now the objects are on main
+      this._invalidateCache();
+      return this._createSuccess(`Created [${created.length}] ${this.objType}`, created);
+    } finally {
+      tracking.end();
+    }
   }
     
+  /**
+   * @async
+   * @function getVersion
+   * @description Get the current version of an object and the SHA of its container, read from main bypassing
+   * the cache so they can be used as updateObj and batchUpdate preconditions
+   * @param {String} name - Object name
+   * @returns {Promise<Array>} Status, message, and { name, version, containerSha }
+   */
+  async getVersion(name) {
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getVersion') : 
+      { end: () => {} };
+    try {
+      const result = await this.serverCtl.readObjects(this.objType);
+      if (!result[0]) return result;
+
+      const obj = result[2].mrJson.find(candidate => candidate.name === name && !candidate.deleted_at);
+      if (!obj) {
+        return this._createError(`Object with name [${name}] not found in [${this.objType}]`, null, 404);
+      }
+      return this._createSuccess(
+        `Retrieved the version of [${name}]`,
+        { name, version: objectVersion(obj), containerSha: result[2].sha }
+      );
+    } finally {
+      tracking.end();
+    }
+  }
+
   /**
    * @async
    * @function updateObj
-   * @description Update an object in the mediumroast.io application
+   * @description Update an object in the mediumroast.io application. Set expectedVersion to the object's version,
+   * or ifMatch to the container SHA, to only apply the update when nothing changed since they were read. The
+   * updated field is validated against the published JSON Schema before the object is written.
    */
   async updateObj(objToUpdate, dontWrite=false, system=false) {
     // Track this operation 
-    logger.trackOperation(this.objType, 'updateObj');
-    
-    // Extract object data
-    const { name, key, value } = objToUpdate;
+    const tracking = this.logger.trackOperation(this.objType, 'updateObj');
+    try {
+      // Extract object data
+      const { name, key, value, expectedVersion, ifMatch } = objToUpdate;
         
-    // Validate parameters
-    const validationError = this._validateParams(
-      { name, key },
-      { name: 'string', key: 'string' }
-    );
+      // Validate parameters
+      const validationError = this._validateParams(
+        { name, key },
+        { name: 'string', key: 'string' }
+      );
         
-    if (validationError) return validationError;
+      if (validationError) return validationError;
         
-    // Get whitelist for this object type
-    const whitelist = this.whitelists[this.objType] || [];
+      // Get whitelist for this object type
+      const whitelist = this.whitelists[this.objType] || [];
         
-    // Use github.js updateObject with proper parameter sequence
-    const result = await this.serverCtl.updateObject(
-      this.objType, 
-      name, 
-      key, 
-      value, 
-      dontWrite, 
-      system, 
-      whitelist
-    );
+      // Use github.js updateObject with proper parameter sequence
+      const result = await this.serverCtl.updateObject(
+        this.objType, 
+        name, 
+        key, 
+        value, 
+        dontWrite, 
+        system, 
+        whitelist,
+        {
+          expectedVersion,
+          ifMatch,
+          validate: (obj, fields) => this._validateObjects([obj], fields)
+        }
+      );
         
-    // Invalidate cache if the update was successful
-    if (result[0] && !dontWrite) {
-      this._invalidateCache();
-    }
+      // Invalidate cache if the update was successful
+      if (result[0] && !dontWrite) {
+        this._invalidateCache();
+      }
         
-    return result;
+      return result;
+    } finally {
+      tracking.end();
+    }
   }
 
   /**
    * @async
    * @function deleteObj
-   * @description Delete an object in the mediumroast.io application
+   * @description Delete an object in the mediumroast.io application. With softDelete the object is moved to the
+   * trash instead, see restore and purge.
    */
-  async deleteObj(objName, source, repoMetadata=null, catchIt=true) {
+  async deleteObj(objName, source=this._linkSource(), repoMetadata=null, catchIt=true) {
     // Track this operation 
-    logger.trackOperation(this.objType, 'deleteObj');
-    
-    // Validate parameters
-    const validationError = this._validateParams(
-      { objName },
-      { objName: 'string' }
-    );
+    const tracking = this.logger.trackOperation(this.objType, 'deleteObj');
+    try {
+      // Validate parameters
+      const validationError = this._validateParams(
+        { objName },
+        { objName: 'string' }
+      );
         
-    if (validationError) return validationError;
+      if (validationError) return validationError;
         
-    // Delegate to github.js
-    const result = await this.serverCtl.deleteObject(
-      objName, 
-      source, 
-      repoMetadata, 
-      catchIt
-    );
+      // Delegate to github.js, the trash is a single commit so it is not used for caught containers
+      const result = this.softDelete && catchIt ?
+        await this.serverCtl.trashObject(objName, source, { deletedBy: this.processName }) :
+        await this.serverCtl.deleteObject(
+          objName, 
+          source, 
+          repoMetadata, 
+          catchIt
+        );
+        
+      // Invalidate cache if successful, including the containers whose links were removed
+      if (result[0]) {
+        this._invalidateCache();
+        for (const objType of source?.to || []) {
+          this._invalidateCache(objType);
+        }
+      }
         
-    // Invalidate cache if successful
-    if (result[0]) {
+      return result;
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Restores an object from the trash, moving its blob back and adding its links to the objects that still exist
+   * @param {String} objName - Name of the object
+   * @returns {Promise<Array>} Status, message, and { restored, missingLinks }, the names by container of the
+   * linked objects that were deleted for good in the meantime
+   */
+  async restore(objName) {
+    const tracking = this.logger.trackOperation(this.objType, 'restore');
+    try {
+      const validationError = this._validateParams({ objName }, { objName: 'string' });
+      if (validationError) return validationError;
+
+      const source = this._linkSource();
+      const result = await this.serverCtl.restoreObject(objName, source);
+      if (!result[0]) return result;
+
       this._invalidateCache();
+      for (const objType of source.to) {
+        this._invalidateCache(objType);
+      }
+      return this._createSuccess(`Restored [${objName}] from the trash`, result[2].result);
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Lists the objects in the trash, most recently deleted first
+   * @returns {Promise<Array>} Status, message, and the deleted objects with deleted_at and deleted_by
+   */
+  async listDeleted() {
+    const allObjectsResp = await this.getAll({ includeDeleted: true });
+    if (!allObjectsResp[0]) return allObjectsResp;
+
+    const deleted = allObjectsResp[2].mrJson
+      .filter(obj => obj.deleted_at)
+      .sort((a, b) => Date.parse(b.deleted_at) - Date.parse(a.deleted_at));
+    return this._createSuccess(`Found ${deleted.length} ${this.objType} in the trash`, deleted);
+  }
+
+  /**
+   * Deletes objects in the trash for good, along with their blobs
+   * @param {Object} [options] - Purge options
+   * @param {Date|String|Number} [options.olderThan] - Only purge objects deleted before this time, every object
+   * in the trash when omitted
+   * @returns {Promise<Array>} Status, message, and the purged objects
+   */
+  async purge({ olderThan = null } = {}) {
+    const tracking = this.logger.trackOperation(this.objType, 'purge');
+    try {
+      const source = this._linkSource();
+      const result = await this.serverCtl.purgeObjects(source, { olderThan });
+      if (!result[0]) return result;
+
+      this._invalidateCache();
+      for (const objType of source.to) {
+        this._invalidateCache(objType);
+      }
+      return this._createSuccess(`Purged [${result[2].result.length}] ${this.objType} from the trash`, result[2].result);
+    } finally {
+      tracking.end();
     }
-        
-    return result;
   }
 
   /**
    * Perform batch updates on multiple objects
-   * @param {Array} updates - Array of update operations
+   * @param {Array} updates - Array of update operations, an update with an expectedVersion is only applied
+   * when the object still has that version
+   * @param {Object} [preconditions] - Batch preconditions
+   * @param {String} [preconditions.ifMatch] - SHA the container's object file must still have
    * @returns {Promise<Array>} Results of the update operations
    */
-  async batchUpdate(updates) {
+  async batchUpdate(updates, { ifMatch } = {}) {
     // Track this operation 
-    logger.trackOperation(this.objType, 'batchUpdate');
-    
-    // Validate parameters
-    const validationError = this._validateParams(
-      { updates },
-      { updates: 'array' }
-    );
-        
-    if (validationError) return validationError;
+    const tracking = this.logger.trackOperation(this.objType, 'batchUpdate');
+    try {
+      // Validate parameters
+      const validationError = this._validateParams(
+        { updates },
+        { updates: 'array' }
+      );
         
-    // Get whitelist for this object type
-    const whitelist = this.whitelists[this.objType] || [];
+      if (validationError) return validationError;
         
-    // Create the repo metadata object for transaction
-    let repoMetadata = {
-      containers: {
-        [this.objType]: {}
-      },
-      branch: {}
-    };
+      // Get whitelist for this object type
+      const whitelist = this.whitelists[this.objType] || [];
+
+      // Authorization check as in updateObj, the whole batch is refused before anything is read
+      const unauthorized = updates.find(({ key, system = false }) =>
+        key === ID_FIELD || (!isEmpty(key) && !system && whitelist.indexOf(key) === -1)
+      );
+      if (unauthorized) {
+        return this._createError(
+          `Unauthorized operation: Updating the key [${unauthorized.key}] is not supported`,
+          { name: unauthorized.name, key: unauthorized.key },
+          403
+        );
+      }
         
-    // Execute a transaction for batch updates
-    return this._executeTransaction([
-      // Step 1: Catch container
-      async () => await this.serverCtl.catchContainer(repoMetadata),
-            
-      // Step 2: Get SHA
-      async (data) => await this.serverCtl.getSha(
-        this.objType,
-        this.objectFiles[this.objType],
-        data.branch.name
-      ),
-            
-      // Step 3: Read objects
-      async () => {
-        return await this.serverCtl.readObjects(this.objType);
-      },
-            
-      // Step 4: Apply all updates
-      async (objects) => {
-        // Make deep copy to prevent unintended side effects
-        const updatedObjects = deepClone(objects.mrJson);
-                
-        for (const update of updates) {
-          const { name, key, value, system = false } = update;
-                    
-          // Skip if missing required data
-          if (isEmpty(name) || isEmpty(key)) continue;
-                    
-          // Skip unauthorized updates
-          if (!system && whitelist.indexOf(key) === -1) continue;
-                    
-          // Find and update the object
-          let found = false;
-          for (const i in updatedObjects) {
-            if (updatedObjects[i].name === name) {
-              found = true;
-              updatedObjects[i][key] = value;
-              updatedObjects[i].modification_date = new Date().toISOString();
-              break;
-            }
-          }
-                    
-          if (!found) {
+      // One atomic commit applies every update, the preconditions are checked against the snapshot it replaces
+      const objectPath = `${this.objType}/${this.objectFiles[this.objType]}`;
+      const result = await this.serverCtl.commitChanges(
+        `Updated [${updates.length}] objects in [${this.objType}]`,
+        async (commit) => {
+          const objects = await commit.readJson(objectPath) || [];
+          const objectSha = await commit.sha(objectPath);
+          if (ifMatch && ifMatch !== objectSha) {
             return this._createError(
-              `Object with name [${name}] not found`,
-              null,
-              404
+              `[${this.objType}] changed since it was read: expected [${ifMatch}] but found [${objectSha}]`,
+              { container: this.objType, expectedSha: ifMatch, currentSha: objectSha },
+              409
             );
           }
-        }
-                
-        // Store updated objects for next step
-        this._tempObjects = updatedObjects;
-        return this._createSuccess('Applied all updates');
-      },
-            
-      // Step 5: Write updated objects
-      async (data) => await this.serverCtl.writeObject(
-        this.objType,
-        this._tempObjects,
-        data.branch.name,
-        data.containers[this.objType].objectSha
-      ),
-            
-      // Step 6: Release container
-      async (data) => {
-        const result = await this.serverCtl.releaseContainer(data);
-                
-        // Invalidate cache if successful
-        if (result[0]) {
-          this._invalidateCache();
-        }
-                
-        return this._createSuccess(
-          `Updated [${updates.length}] objects in [${this.objType}]`
-        );
-      }
-    ], `batch-update-${this.objType}`);
-  }
 
-  /**
-   * @async
-   * @function linkObj
-   * @description Link objects in the mediumroast.io application
-   */
-  linkObj(objs) {
-    // Track this operation 
-    logger.trackOperation(this.objType, 'linkObj');
-    
-    // Validate parameters
-    const validationError = this._validateParams(
-      { objs },
-      { objs: 'array' }
-    );
-        
-    if (validationError) return validationError;
-        
-    let linkedObjs = {};
-    for(const obj in objs) {
-      const objName = objs[obj].name;
-      const sha256Hash = createHash('sha256').update(objName).digest('hex');
-      linkedObjs[objName] = sha256Hash;
-    }
-    return linkedObjs;
-  }
+          // Objects in the trash can share the name of a live object, only live objects are updated
+          const findLive = (candidates, name) => candidates.find(obj => obj.name === name && !obj.deleted_at);
+          for (const { name, expectedVersion } of updates) {
+            if (!expectedVersion) continue;
+            const current = findLive(objects, name);
+            const currentVersion = current ? objectVersion(current) : null;
+            if (expectedVersion !== currentVersion) {
+              return this._createError(
+                `Object [${name}] changed since it was read: expected version [${expectedVersion}] but found [${currentVersion}]`,
+                { name, expectedVersion, currentVersion },
+                409
+              );
+            }
+          }
 
-  /**
-   * Check if a container is locked
-   * @returns {Promise<Array>} Lock status
+          // Make deep copy to prevent unintended side effects, the fields of every applied update are kept to
+          // validate the objects they changed
+          const updatedObjects = deepClone(objects);
+          const changed = new Map();
+          for (const update of updates) {
+            const { name, key, value } = update;
+
+            // Skip if missing required data
+            if (isEmpty(name) || isEmpty(key)) continue;
+
+            const obj = findLive(updatedObjects, name);
+            if (!obj) {
+              return this._createError(
+                `Object with name [${name}] not found`,
+                null,
+                404
+              );
+            }
+            obj[key] = value;
+            obj.modification_date = new Date().toISOString();
+            changed.set(name, [...(changed.get(name) || []), key, 'modification_date']);
+          }
+
+          // Validate the changed fields of the changed objects before they are written
+          for (const [name, fields] of changed) {
+            const schemaError = this._validateObjects([findLive(updatedObjects, name)], fields);
+            if (schemaError) return schemaError;
+          }
+
+          commit.writeJson(objectPath, updatedObjects);
+          const names = [...changed.keys()];
+          return this._createSuccess(
+            `Updated [${names.length}] objects in [${this.objType}]`,
+            updatedObjects
+              .filter(obj => names.includes(obj.name) && !obj.deleted_at)
+              .map(obj => ({ name: obj.name, version: objectVersion(obj) }))
+          );
+        },
+        { containers: [this.objType] }
+      );
+      if (!result[0]) return result;
+
+      // Invalidate cache now the objects are on main
+      this._invalidateCache();
+      return this._createSuccess(`Updated [${result[2].result.length}] objects in [${this.objType}]`, result[2].result);
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Resolves the columns of an import or export to fields, only the name and whitelisted fields are allowed
+   * @private
+   * @param {Array<String>|Object} [columns] - Fields, or column headers mapped to fields
+   * @returns {Object} { mapping, allowed }: header to field, null for a column to skip, and the allowed fields
+   */
+  _tabularColumns(columns) {
+    const allowed = ['name', ...(this.whitelists[this.objType] || [])];
+    const mapping = Array.isArray(columns)
+      ? Object.fromEntries(columns.map(field => [field, field]))
+      : { ...(columns || {}) };
+    return { mapping, allowed };
+  }
+
+  /**
+   * Applies imported records to the objects of the container
+   * @private
+   * @param {Array<Object>} records - Records as { row, values } keyed by field
+   * @param {Array<Object>} objects - Current objects, not changed
+   * @param {String} mode - insert or upsert
+   * @returns {Object} { objects, rows }: the objects to write and the outcome of every row
+   */
+  _applyImport(records, objects, mode) {
+    const merged = deepClone(objects);
+    // Objects in the trash are neither updated nor in the way of new objects with their name
+    const byName = new Map(merged.flatMap((obj, i) => obj.deleted_at ? [] : [[obj.name, i]]));
+    const seen = new Map();
+    const now = new Date().toISOString();
+    const rows = [];
+
+    for (const { row, values } of records) {
+      const name = typeof values.name === 'string' ? values.name : undefined;
+      const fail = (errors) => rows.push({ row, name, action: 'error', errors });
+      if (isEmpty(name)) {
+        fail([{ field: 'name', message: 'must be a non-empty string' }]);
+        continue;
+      }
+      if (seen.has(name)) {
+        fail([{ field: 'name', message: `repeats row ${seen.get(name)}` }]);
+        continue;
+      }
+      seen.set(name, row);
+
+      const index = byName.get(name);
+      if (index === undefined) {
+        const obj = { [ID_FIELD]: newId(), ...values, creation_date: now, modification_date: now };
+        const schemaError = this._validateObjects([obj]);
+        if (schemaError) {
+          fail(schemaError[2].errors.map(({ field, message }) => ({ field, message })));
+          continue;
+        }
+        byName.set(name, merged.push(obj) - 1);
+        rows.push({ row, name, action: 'insert' });
+      } else if (mode === 'upsert') {
+        const changed = Object.keys(values)
+          .filter(field => JSON.stringify(merged[index][field]) !== JSON.stringify(values[field]));
+        if (changed.length === 0) {
+          rows.push({ row, name, action: 'unchanged' });
+          continue;
+        }
+        const obj = { ...merged[index], ...values, modification_date: now };
+        const schemaError = this._validateObjects([obj], [...changed, 'modification_date']);
+        if (schemaError) {
+          fail(schemaError[2].errors.map(({ field, message }) => ({ field, message })));
+          continue;
+        }
+        merged[index] = obj;
+        rows.push({ row, name, action: 'update' });
+      } else {
+        fail([{ field: 'name', message: `${this.objType} [${name}] already exists` }]);
+      }
+    }
+    return { objects: merged, rows };
+  }
+
+  /**
+   * @async
+   * @function importObjects
+   * @description Imports objects from a CSV, JSON Lines or XLSX file in one atomic commit. The first
+   * row of a CSV or XLSX file holds the column headers; each row is an object, matched to existing objects by
+   * name. Only the name and the whitelisted fields are imported, other columns are reported as ignored. Cells
+   * are converted to the types of the entity's schema, e.g. numbers, booleans, and JSON or semicolon separated
+   * lists for arrays. Nothing is written unless every row is valid.
+   * @param {String} format - csv, jsonl or xlsx
+   * @param {Buffer|String|AsyncIterable} stream - File content, or a readable stream of it
+   * @param {Object} [options] - Import options
+   * @param {String} [options.mode='insert'] - insert fails rows whose object exists, upsert updates them with
+   * the non-empty cells of the row
+   * @param {Boolean} [options.dryRun=false] - Report what the import would do without writing
+   * @param {Object} [options.columns] - Column headers mapped to fields, null skips a column; other headers
+   * are taken as field names
+   * @returns {Promise<Array>} The report { format, mode, dryRun, total, inserted, updated, unchanged, failed,
+   * ignoredColumns, rows }, rows list { row, name, action, errors } by the line or sheet row of the file. A 400
+   * carries the same report when any row is invalid.
+   */
+  async importObjects(format, stream, { mode = 'insert', dryRun = false, columns } = {}) {
+    // Track this operation
+    const tracking = this.logger.trackOperation(this.objType, 'importObjects');
+    try {
+      if (!['insert', 'upsert'].includes(mode)) {
+        return this._createError(`Invalid parameter: [mode] must be insert or upsert, not [${mode}]`, null, 400);
+      }
+
+      // Read the records and map their columns to fields
+      let read;
+      try {
+        read = readRecords(format, await readSource(stream));
+      } catch (err) {
+        return this._createError(`Unable to read the ${format} file: ${err.message}`, null, err.status || 500);
+      }
+      const { mapping, allowed } = this._tabularColumns(columns);
+      const types = new Map(allowed.map(field => [field, fieldTypes(validator.schemas[this.objType], field)]));
+      const ignoredColumns = new Set();
+      const records = read.records.map(({ row, values }) => {
+        const fields = {};
+        for (const [column, value] of Object.entries(values)) {
+          const field = Object.prototype.hasOwnProperty.call(mapping, column) ? mapping[column] : column;
+          if (!field) continue;
+          if (!allowed.includes(field)) {
+            ignoredColumns.add(column);
+            continue;
+          }
+          fields[field] = coerceValue(value, types.get(field));
+        }
+        return { row, values: fields };
+      });
+
+      // Builds the report, rows that could not be read count as failed
+      const report = (rows) => {
+        const all = [
+          ...read.errors.map(({ row, message }) => ({ row, action: 'error', errors: [{ field: '(root)', message }] })),
+          ...rows
+        ].sort((a, b) => a.row - b.row);
+        const count = action => all.filter(row => row.action === action).length;
+        return {
+          format: format.toLowerCase(),
+          mode,
+          dryRun,
+          total: all.length,
+          inserted: count('insert'),
+          updated: count('update'),
+          unchanged: count('unchanged'),
+          failed: count('error'),
+          ignoredColumns: [...ignoredColumns],
+          rows: all
+        };
+      };
+      const failure = (result) => this._createError(
+        `Unable to import into [${this.objType}]: [${result.failed}] of [${result.total}] rows are invalid`,
+        result,
+        400
+      );
+
+      // Check the rows against the current objects first, a dry run stops here
+      const current = await this.getAll();
+      if (!current[0]) return current;
+      const planned = report(this._applyImport(records, current[2].mrJson, mode).rows);
+      if (planned.failed > 0) return failure(planned);
+      if (dryRun) {
+        return this._createSuccess(`Checked [${planned.total}] rows to import into [${this.objType}]`, planned);
+      }
+
+      // One atomic commit writes the objects, the rows are applied again to the objects it replaces
+      const objectPath = `${this.objType}/${this.objectFiles[this.objType]}`;
+      const result = await this.serverCtl.commitChanges(
+        `Imported [${planned.total}] rows into [${this.objType}]`,
+        async (commit) => {
+          const applied = this._applyImport(records, await commit.readJson(objectPath) || [], mode);
+          const result = report(applied.rows);
+          if (result.failed > 0) return failure(result);
+
+          commit.writeJson(objectPath, applied.objects);
+          return this._createSuccess(`Applied all rows to [${this.objType}]`, result);
+        },
+        { containers: [this.objType] }
+      );
+      if (!result[0]) return result;
+
+      // Invalidate cache now the objects are on main
+      this._invalidateCache();
+      const imported = result[2].result;
+      return this._createSuccess(
+        `Imported [${imported.inserted}] new and [${imported.updated}] updated ${this.objType}`,
+        imported
+      );
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * @async
+   * @function exportObjects
+   * @description Exports objects as a CSV, JSON Lines or XLSX file that importObjects reads back. The columns
+   * are the name and the whitelisted fields any exported object has, objects and arrays are written as JSON
+   * text in CSV and XLSX cells.
+   * @param {String} format - csv, jsonl or xlsx
+   * @param {Object} [options] - Export options
+   * @param {Object} [options.filters] - Filter criteria, see search
+   * @param {String|Array|Object} [options.sort='name'] - Sort order, see search
+   * @param {Array<String>|Object} [options.columns] - Fields to export in order, or column headers mapped to
+   * fields
+   * @returns {Promise<Array>} The file content as a Buffer
+   */
+  async exportObjects(format, { filters = {}, sort = 'name', columns } = {}) {
+    // Track this operation
+    const tracking = this.logger.trackOperation(this.objType, 'exportObjects');
+    try {
+      let normalized;
+      try {
+        normalized = normalizeFormat(format);
+      } catch (err) {
+        return this._createError(err.message, null, err.status || 500);
+      }
+
+      const allObjectsResp = await this.getAll();
+      if (!allObjectsResp[0]) return allObjectsResp;
+
+      let objects;
+      try {
+        objects = runQuery(allObjectsResp[2].mrJson, filters, { sort }).items;
+      } catch (err) {
+        return this._createError(`Invalid export: ${err.message}`, null, err.status || 500);
+      }
+
+      const { mapping, allowed } = this._tabularColumns(columns);
+      const selected = columns
+        ? Object.entries(mapping).filter(([, field]) => field).map(([header, field]) => ({ header, field }))
+        : allowed
+          .filter(field => field === 'name' || objects.some(obj => obj[field] !== undefined))
+          .map(field => ({ header: field, field }));
+      const hidden = selected.filter(({ field }) => !allowed.includes(field));
+      if (hidden.length > 0) {
+        return this._createError(
+          `Invalid parameter: [${hidden.map(({ field }) => field).join(', ')}] cannot be exported from ${this.objType}`,
+          null,
+          400
+        );
+      }
+
+      return this._createSuccess(
+        `Exported [${objects.length}] ${this.objType} as ${normalized.toUpperCase()}`,
+        writeRecords(normalized, objects, selected, { sheetName: this.objType })
+      );
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Builds the relationship graph of Studies, Companies and Interactions from their linked_* fields. The
+   * containers are read through the cache and the graph is kept until any of them changes.
+   * @returns {Promise<Array>} Status, message, and the RelationshipGraph
+   */
+  async getGraph() {
+    const tracking = this.logger.trackOperation(this.objType, 'getGraph');
+    try {
+      return await this.cache.getOrFetch(
+        'relationship_graph',
+        async () => {
+          const containers = {};
+          for (const type of GRAPH_CONTAINERS) {
+            const entity = type === this.objType ?
+              this :
+              new BaseObjects(this.token, this.org, this.processName, type, this._sharedOptions());
+            const result = await entity.getAll();
+            if (!result[0]) return result;
+            containers[type] = result[2].mrJson;
+          }
+          const graph = RelationshipGraph.fromContainers(containers);
+          return this._createSuccess(`Built the relationship graph of [${graph.nodes().length}] objects`, graph);
+        },
+        this.cacheTimeouts.graph || 300000,
+        GRAPH_CONTAINERS.map(type => `container_${type}`)
+      );
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Runs a query against the relationship graph
+   * @private
+   * @param {String} operation - Name of the operation for messages
+   * @param {Function} queryFn - Receives the graph and returns the data
+   * @returns {Promise<Array>} Status, message, and the data, invalid node references fail with a 400
+   */
+  async _queryGraph(operation, queryFn) {
+    const graphResp = await this.getGraph();
+    if (!graphResp[0]) return graphResp;
+    try {
+      return this._createSuccess(`Computed ${operation}`, queryFn(graphResp[2]));
+    } catch (err) {
+      return this._createError(`Unable to compute ${operation}: ${err.message}`, null, err.status || 500);
+    }
+  }
+
+  /**
+   * Finds the objects within a number of links of an object, across Studies, Companies and Interactions
+   * @param {String} name - Object name
+   * @param {Number} [depth=1] - Number of links to follow
+   * @param {Object} [options] - Options
+   * @param {Array<String>} [options.types] - Only return objects of these containers
+   * @returns {Promise<Array>} Status, message, and the objects as { id, type, name, missing, distance }
+   */
+  async getNeighbors(name, depth = 1, { types } = {}) {
+    return this._queryGraph(`the neighbors of [${name}]`, (graph) => {
+      if (!graph.getNode({ type: this.objType, name })) {
+        const err = new Error(`Object with name [${name}] not found in [${this.objType}]`);
+        err.status = 404;
+        throw err;
+      }
+      return graph.getNeighbors({ type: this.objType, name }, depth, { types });
+    });
+  }
+
+  /**
+   * Finds a shortest chain of links from an object to another object of any container
+   * @param {String} name - Object name
+   * @param {String|Object} other - Other object as type:name, e.g. Companies:Acme, or { type, name }
+   * @returns {Promise<Array>} Status, message, and the objects along the path, or null when not connected
+   */
+  async shortestPath(name, other) {
+    return this._queryGraph(
+      `the shortest path from [${name}]`,
+      (graph) => graph.shortestPath({ type: this.objType, name }, other)
+    );
+  }
+
+  /**
+   * Finds the objects of this container without any link to another object
+   * @returns {Promise<Array>} Status, message, and the orphaned objects
+   */
+  async findOrphans() {
+    return this._queryGraph(`the orphans of [${this.objType}]`, (graph) => graph.findOrphans({ types: [this.objType] }));
+  }
+
+  /**
+   * Exports the relationship graph
+   * @param {String} [format='graphml'] - graphml or dot
+   * @returns {Promise<Array>} Status, message, and the document as a string
+   */
+  async exportGraph(format = 'graphml') {
+    return this._queryGraph(`the ${format} export of the relationship graph`, (graph) => {
+      const exporters = { graphml: () => graph.toGraphML(), dot: () => graph.toDot() };
+      const exporter = exporters[String(format).toLowerCase()];
+      if (!exporter) {
+        const err = new Error(`Unsupported graph format [${format}], expected graphml or dot`);
+        err.status = 400;
+        throw err;
+      }
+      return exporter();
+    });
+  }
+
+  /**
+   * Checks the links between all Studies, Companies and Interactions against one snapshot of the repository.
+   * Reports dangling links to objects that do not exist, links the other object does not return, links that are
+   * not { linked_date } objects, duplicate names and interactions whose file is missing.
+   * @returns {Promise<Array>} Status, message, and the report as { valid, checked, summary, issues }
+   */
+  async verifyIntegrity() {
+    const tracking = this.logger.trackOperation(this.objType, 'verifyIntegrity');
+    try {
+      const started = await this.serverCtl.beginCommit();
+      if (!started[0]) return started;
+      const snapshot = started[2];
+
+      const containers = {};
+      for (const type of GRAPH_CONTAINERS) {
+        containers[type] = await snapshot.readJson(`${type}/${this.objectFiles[type]}`) || [];
+      }
+      const report = await checkIntegrity(containers, { blobExists: (path) => snapshot.exists(path) });
+      return this._createSuccess(
+        report.valid ? 'No integrity issues found' : `Found [${report.issues.length}] integrity issue(s)`,
+        report
+      );
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Repairs the links between all Studies, Companies and Interactions in a single commit. Links are rewritten
+   * as { linked_date } objects, dangling links are removed, one-sided links are returned and identical
+   * duplicates are dropped. Duplicates that differ and missing files are reported but left for a person.
+   * @param {Object} [options] - Repair options
+   * @param {Boolean} [options.dryRun=false] - Report what would be repaired without writing anything
+   * @returns {Promise<Array>} Status, message, and the report of the issues found with the repaired ones as
+   * repaired, the unrepairable ones as remaining and the containers written as changed
+   */
+  async repairIntegrity({ dryRun = false } = {}) {
+    const tracking = this.logger.trackOperation(this.objType, 'repairIntegrity');
+    try {
+      const result = await this.serverCtl.commitChanges(
+        'Repaired the links between studies, companies and interactions',
+        async (commit) => {
+          const containers = {};
+          for (const type of GRAPH_CONTAINERS) {
+            containers[type] = await commit.readJson(`${type}/${this.objectFiles[type]}`) || [];
+          }
+          const report = await checkIntegrity(containers, { blobExists: (path) => commit.exists(path) });
+          const changed = applyRepairs(containers);
+          if (!dryRun) {
+            for (const type of changed) {
+              commit.writeJson(`${type}/${this.objectFiles[type]}`, containers[type]);
+            }
+          }
+          return this._createSuccess('Repaired the links', {
+            ...report,
+            dryRun,
+            repaired: report.issues.filter(found => found.repairable),
+            remaining: report.issues.filter(found => !found.repairable),
+            changed
+          });
+        },
+        { containers: GRAPH_CONTAINERS }
+      );
+      if (!result[0]) return result;
+
+      const report = result[2].result;
+      if (!dryRun) {
+        GRAPH_CONTAINERS.forEach(type => this._invalidateCache(type));
+      }
+      return this._createSuccess(
+        `${dryRun ? 'Would repair' : 'Repaired'} [${report.repaired.length}] integrity issue(s), ` +
+        `[${report.remaining.length}] need attention`,
+        report
+      );
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Gives an _id to the objects created before objects had ids, in Studies, Companies, Interactions and this
+   * container, and moves every { linked_date } link stored under a name under the id of the linked object, all
+   * in a single commit. Running it again only moves what is still stored under a name.
+   * @param {Object} [options] - Migration options
+   * @param {Boolean} [options.dryRun=false] - Report what would change without writing anything
+   * @returns {Promise<Array>} Status, message, and { dryRun, assigned, linked, ambiguous, changed }, the ids
+   * given by container, the number of links moved under an id, the links to names shared by several objects,
+   * which stay under the name, and the containers written
+   */
+  async migrateIds({ dryRun = false } = {}) {
+    const tracking = this.logger.trackOperation(this.objType, 'migrateIds');
+    try {
+      const containers = [...new Set([...GRAPH_CONTAINERS, this.objType])];
+      const result = await this.serverCtl.commitChanges(
+        'Added ids to objects and links',
+        async (commit) => {
+          const objects = {};
+          for (const type of containers) {
+            objects[type] = await commit.readJson(`${type}/${this.objectFiles[type]}`) || [];
+          }
+          const migrated = backfillIds(objects);
+          if (!dryRun) {
+            for (const type of migrated.changed) {
+              commit.writeJson(`${type}/${this.objectFiles[type]}`, objects[type]);
+            }
+          }
+          return this._createSuccess('Added ids', { dryRun, ...migrated });
+        },
+        { containers }
+      );
+      if (!result[0]) return result;
+
+      const migrated = result[2].result;
+      if (!dryRun) {
+        migrated.changed.forEach(type => this._invalidateCache(type));
+      }
+      const assigned = Object.values(migrated.assigned).reduce((total, count) => total + count, 0);
+      return this._createSuccess(
+        `${dryRun ? 'Would add' : 'Added'} [${assigned}] object id(s) and ${dryRun ? 'move' : 'moved'} [${migrated.linked}] link(s) under ids`,
+        migrated
+      );
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Changes the links of an object to the objects of another container on both sides, in one catch and release
+   * of the two containers. Both sides use the linked_* fields of LINK_FIELDS, with { name, linked_date } links
+   * stored under the id of the linked object.
+   * @private
+   * @param {String} name - Id or name of the object in this container
+   * @param {String} linkedType - Container of the linked objects
+   * @param {Function} planFn - Receives the keys of the links now and a function turning an id or name into the
+   * key of the link to that object, and returns { add, remove } as arrays of ids, names or keys
+   * @param {String} operation - Name of the operation, used for the transaction
+   * @returns {Promise<Array>} Status, message, and { name, type, added, removed, links }
+   */
+  async _updateLinks(name, linkedType, planFn, operation) {
+    const validationError = this._validateParams({ name, linkedType }, { name: 'string', linkedType: 'string' });
+    if (validationError) return validationError;
+
+    const field = LINK_FIELDS[this.objType]?.[linkedType];
+    if (!field) {
+      return this._createError(`[${this.objType}] objects cannot be linked to [${linkedType}]`, null, 400);
+    }
+    const backField = LINK_FIELDS[linkedType][this.objType];
+    const now = new Date().toISOString();
+    const changes = { added: [], removed: [] };
+    let objName = name;
+
+    let repoMetadata = {
+      containers: { [this.objType]: {}, [linkedType]: {} },
+      branch: {}
+    };
+    return this._executeTransaction([
+      // Step 1: Catch both containers
+      async (_, tx) => await this._catchInTransaction(repoMetadata, tx),
+
+      // Step 2: Change the links on both sides
+      async () => {
+        const obj = findByRef(repoMetadata.containers[this.objType].objects.filter(candidate => !candidate.deleted_at), name);
+        if (!obj) {
+          return this._createError(`Object with name [${name}] not found in [${this.objType}]`, null, 404);
+        }
+        objName = obj.name;
+        const linkedObjects = repoMetadata.containers[linkedType].objects.filter(candidate => !candidate.deleted_at);
+        let links = obj[field] && typeof obj[field] === 'object' && !Array.isArray(obj[field]) ? obj[field] : {};
+
+        // Linked objects can be given by id or name, links are stored under their id
+        const resolve = (ref) => {
+          const linked = findByRef(linkedObjects, ref);
+          return linked ? findLinkKey(links, linked) ?? linkKey(linked) : ref;
+        };
+        const { add = [], remove = [] } = planFn(Object.keys(links), resolve);
+        const missing = add.filter(ref => !findByRef(linkedObjects, ref));
+        if (missing.length > 0) {
+          return this._createError(`${linkedType} not found: [${missing.join(', ')}]`, { missing }, 404);
+        }
+
+        const touch = (target) => { target.modification_date = now; };
+        for (const linked of new Set(add.map(ref => findByRef(linkedObjects, ref)))) {
+          const key = findLinkKey(links, linked);
+          const backKey = findLinkKey(linked[backField], obj);
+          if (key !== undefined && backKey !== undefined) continue;
+
+          // Keep the date of a link that existed on one side only
+          const link = [links[key], linked[backField]?.[backKey]].find(existing => existing?.linked_date) ||
+            { linked_date: now };
+          links = withLink(links, linked, link.linked_date);
+          linked[backField] = withLink(linked[backField], obj, link.linked_date);
+          touch(linked);
+          changes.added.push(linked.name);
+        }
+        for (const ref of new Set(remove)) {
+          // Links to objects that no longer exist are removed by key or name
+          const linked = findByRef(linkedObjects, ref);
+          const key = linked ?
+            findLinkKey(links, linked) :
+            Object.keys(links).find(candidate => candidate === ref || linkRef(candidate, links[candidate]).name === ref);
+          if (key === undefined) continue;
+          changes.removed.push(linkRef(key, links[key]).name);
+          delete links[key];
+          const backKey = linked && findLinkKey(linked[backField], obj);
+          if (backKey !== undefined) {
+            delete linked[backField][backKey];
+            touch(linked);
+          }
+        }
+
+        if (changes.added.length > 0 || changes.removed.length > 0) {
+          obj[field] = links;
+          touch(obj);
+        }
+        return this._createSuccess(`Changed the links of [${objName}]`, linkNames(links));
+      },
+
+      // Step 3: Write both containers when anything changed
+      async (linkedNames) => {
+        if (changes.added.length > 0 || changes.removed.length > 0) {
+          for (const container of Object.keys(repoMetadata.containers)) {
+            const sha = await this.serverCtl.getSha(
+              container,
+              this.objectFiles[container],
+              repoMetadata.branch.name
+            );
+            if (!sha[0]) return sha;
+
+            const written = await this.serverCtl.writeObject(
+              container,
+              repoMetadata.containers[container].objects,
+              repoMetadata.branch.name,
+              sha[2]
+            );
+            if (!written[0]) return written;
+          }
+        }
+        return this._createSuccess(`Wrote the links of [${objName}]`, linkedNames);
+      },
+
+      // Step 4: Release both containers
+      async (linkedNames, tx) => {
+        const released = await this._releaseInTransaction(repoMetadata, tx);
+        if (!released[0]) {
+          return released;
+        }
+
+        // Invalidate cache now the objects are on main
+        this._invalidateCache();
+        this._invalidateCache(linkedType);
+
+        return this._createSuccess(
+          `Linked [${objName}] to [${changes.added.length}] and unlinked it from [${changes.removed.length}] ${linkedType}`,
+          { name: objName, type: linkedType, ...changes, links: linkedNames }
+        );
+      }
+    ], `${operation}-${this.objType}-${name}`);
+  }
+
+  /**
+   * Links an object to an object of another container, on both sides
+   * @param {String} name - Id or name of the object in this container
+   * @param {String|Object} to - Object to link as type:name, e.g. Companies:Acme, or { type, name }, the name
+   * can also be an id
+   * @returns {Promise<Array>} Status, message, and { name, type, added, removed, links }
+   */
+  async link(name, to) {
+    const tracking = this.logger.trackOperation(this.objType, 'link');
+    try {
+      let target;
+      try {
+        target = parseNodeRef(to);
+      } catch (err) {
+        return this._createError(err.message, null, err.status);
+      }
+      return await this._updateLinks(name, target.type, () => ({ add: [target.name] }), 'link');
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Removes the link between an object and an object of another container, on both sides
+   * @param {String} name - Id or name of the object in this container
+   * @param {String|Object} to - Linked object as type:name, e.g. Companies:Acme, or { type, name }, the name
+   * can also be an id
+   * @returns {Promise<Array>} Status, message, and { name, type, added, removed, links }
+   */
+  async unlink(name, to) {
+    const tracking = this.logger.trackOperation(this.objType, 'unlink');
+    try {
+      let target;
+      try {
+        target = parseNodeRef(to);
+      } catch (err) {
+        return this._createError(err.message, null, err.status);
+      }
+      return await this._updateLinks(name, target.type, () => ({ remove: [target.name] }), 'unlink');
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Replaces the objects of a container an object is linked to, on both sides. Links that are kept keep their
+   * linked_date.
+   * @param {String} name - Id or name of the object in this container
+   * @param {String} type - Container of the linked objects, e.g. Interactions
+   * @param {Array<String>} names - Ids or names of the objects to be linked to, an empty array removes every link
+   * @returns {Promise<Array>} Status, message, and { name, type, added, removed, links }
+   */
+  async setLinks(name, type, names) {
+    const tracking = this.logger.trackOperation(this.objType, 'setLinks');
+    try {
+      if (!isArray(names) || names.some(linkedName => typeof linkedName !== 'string' || isEmpty(linkedName))) {
+        return this._createError('Invalid parameter: [names] must be an array of non-empty strings', null, 400);
+      }
+      return await this._updateLinks(name, type, (current, resolve) => {
+        const wanted = names.map(resolve);
+        return { add: names, remove: current.filter(linkedName => !wanted.includes(linkedName)) };
+      }, 'set-links');
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Renames an object and rewrites every reference to it in one commit: the links of the objects in the other
+   * containers, including links recorded on objects in the trash, and link values that are the SHA-256 of the
+   * name as written by linkObj. The _id of the object does not change.
+   * @param {String} oldName - Current name or id of the object
+   * @param {String} newName - New name, no other object may have it ignoring case
+   * @returns {Promise<Array>} Status, message, and { oldName, newName, object, references }, the names by
+   * container of the objects whose references were rewritten
+   */
+  async rename(oldName, newName) {
+    const tracking = this.logger.trackOperation(this.objType, 'rename');
+    try {
+      const validationError = this._validateParams({ oldName, newName }, { oldName: 'string', newName: 'string' });
+      if (validationError) return validationError;
+      if (newName !== newName.trim()) {
+        return this._createError('Invalid parameter: [newName] cannot start or end with whitespace', null, 400);
+      }
+      if (oldName === newName) {
+        return this._createError(`[${oldName}] already has this name`, null, 400);
+      }
+
+      const linkedTypes = Object.keys(LINK_FIELDS[this.objType] || {});
+      const containers = [this.objType, ...linkedTypes];
+      const result = await this.serverCtl.commitChanges(
+        `Renamed ${this.objType} [${oldName}] to [${newName}]`,
+        async (commit) => {
+          const objects = {};
+          for (const type of containers) {
+            objects[type] = await commit.readJson(`${type}/${this.objectFiles[type]}`) || [];
+          }
+
+          const obj = findByRef(objects[this.objType].filter(candidate => !candidate.deleted_at), oldName);
+          if (!obj) {
+            return this._createError(`Object with name [${oldName}] not found in [${this.objType}]`, null, 404);
+          }
+          const currentName = obj.name;
+          // Names are matched ignoring case, and objects in the trash keep theirs for when they are restored
+          const clash = objects[this.objType].find(candidate =>
+            candidate !== obj && String(candidate.name).toLowerCase() === newName.toLowerCase());
+          if (clash) {
+            return this._createError(
+              `[${newName}] is already used by ${clash.deleted_at ? 'an object in the trash' : `[${clash.name}]`}`,
+              null,
+              409
+            );
+          }
+
+          const now = new Date().toISOString();
+          obj.name = newName;
+          obj.modification_date = now;
+          const schemaError = this._validateObjects([obj], ['name', 'modification_date']);
+          if (schemaError) return schemaError;
+
+          // Rewrites the link to the object: links under its id get the new name, links under the old name move
+          // to the new one, keeping the order of the keys
+          const renamed = { [ID_FIELD]: obj[ID_FIELD], name: currentName };
+          const oldHash = createHash('sha256').update(currentName).digest('hex');
+          const renameLink = (links) => {
+            const key = findLinkKey(links, renamed);
+            if (key === undefined) return links;
+            if (linkRef(key, links[key]).id) return { ...links, [key]: { ...links[key], name: newName } };
+            return Object.fromEntries(Object.entries(links).map(([name, link]) => name === key ?
+              [newName, link === oldHash ? createHash('sha256').update(newName).digest('hex') : link] :
+              [name, link]));
+          };
+
+          const references = {};
+          for (const type of linkedTypes) {
+            const backField = LINK_FIELDS[type][this.objType];
+            for (const linked of objects[type]) {
+              const links = renameLink(linked[backField]);
+              const deletedLinks = renameLink(linked.deleted_links?.[this.objType]);
+              if (links === linked[backField] && deletedLinks === linked.deleted_links?.[this.objType]) continue;
+
+              if (links !== linked[backField]) linked[backField] = links;
+              if (deletedLinks !== linked.deleted_links?.[this.objType]) {
+                linked.deleted_links = { ...linked.deleted_links, [this.objType]: deletedLinks };
+              }
+              linked.modification_date = now;
+              (references[type] = references[type] || []).push(linked.name);
+            }
+          }
+
+          commit.writeJson(`${this.objType}/${this.objectFiles[this.objType]}`, objects[this.objType]);
+          for (const type of Object.keys(references)) {
+            commit.writeJson(`${type}/${this.objectFiles[type]}`, objects[type]);
+          }
+          return this._createSuccess(`Renamed [${currentName}] to [${newName}]`, {
+            oldName: currentName,
+            newName,
+            object: obj,
+            references
+          });
+        },
+        { containers }
+      );
+      if (!result[0]) return result;
+
+      const renamed = result[2].result;
+      this._invalidateCache();
+      Object.keys(renamed.references).forEach(type => this._invalidateCache(type));
+      const count = Object.values(renamed.references).reduce((total, names) => total + names.length, 0);
+      return this._createSuccess(
+        `Renamed [${renamed.oldName}] to [${newName}] and updated the references of [${count}] object(s)`,
+        renamed
+      );
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * @async
+   * @function linkObj
+   * @description Link objects in the mediumroast.io application
+   */
+  linkObj(objs) {
+    // Track this operation 
+    const tracking = this.logger.trackOperation(this.objType, 'linkObj');
+    try {
+      // Validate parameters
+      const validationError = this._validateParams(
+        { objs },
+        { objs: 'array' }
+      );
+        
+      if (validationError) return validationError;
+        
+      let linkedObjs = {};
+      for(const obj in objs) {
+        const objName = objs[obj].name;
+        const sha256Hash = createHash('sha256').update(objName).digest('hex');
+        linkedObjs[objName] = sha256Hash;
+      }
+      return linkedObjs;
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Check if a container is locked
+   * @returns {Promise<Array>} Lock status, the data describes who holds the lock and for how long
    */
   async checkForLock() {
     // Track this operation 
-    logger.trackOperation(this.objType, 'checkForLock');
-    return await this.serverCtl.checkForLock(this.objType);
+    const tracking = this.logger.trackOperation(this.objType, 'checkForLock');
+    try {
+      return await this.serverCtl.checkForLock(this.objType);
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Break the lock on this container when its lease has expired
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force=false] - Break the lock even if its lease is live or unknown
+   * @returns {Promise<Array>} Result with the broken locks
+   */
+  async breakStaleLock(options = {}) {
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'breakStaleLock') : 
+      { end: () => {} };
+
+    try {
+      return await this.serverCtl.breakStaleLock(this.objType, options);
+    } finally {
+      tracking.end();
+    }
   }
 
   /**
@@ -758,8 +1847,8 @@ export class BaseObjects {
    */
   async getBranchStatus(branchName = 'main', repo = 'MegaRoast_discovery') {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getBranchStatus') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getBranchStatus') : 
       { end: () => {} };
     
     try {
@@ -771,8 +1860,8 @@ export class BaseObjects {
         cacheKey,
         async () => {
           try {
-            // Initialize Octokit with the token
-            const octokit = new Octokit({ 
+            // Reuse the backend's Octokit, only create one when the backend has none
+            const octokit = this.serverCtl.octCtl || new Octokit({ 
               auth: this.token 
             });
             
@@ -861,8 +1950,8 @@ export class BaseObjects {
    */
   async checkForUpdates(lastKnownCommitSha, branchName = 'main', repo = 'MegaRoast_discovery') {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'checkForUpdates') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'checkForUpdates') : 
       { end: () => {} };
       
     try {
@@ -7,47 +7,194 @@
  * @author Michael Hay <michael.hay@mediumroast.io>
  * @copyright 2025 Mediumroast, Inc. All rights reserved.
  */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * Gets the per user cache directory, following the XDG base directory convention
+ * @returns {String} Directory for mediumroast.io cache files
+ */
+export const defaultCacheDir = () => {
+  const base = process.env.XDG_CACHE_HOME ||
+    (process.platform === 'win32' && process.env.LOCALAPPDATA) ||
+    (process.platform === 'darwin' ? path.join(os.homedir(), 'Library', 'Caches') : path.join(os.homedir(), '.cache'));
+  return path.join(base, 'mediumroast');
+};
+
+/**
+ * Persistent cache store keeping one JSON file per entry, so cached containers survive between processes.
+ * Entries are stored with the version they were fetched at and only served while the caller can confirm that
+ * version is still current. Any object with the same get/set/delete/clear methods, sync or async, can be used
+ * instead, e.g. one backed by SQLite.
+ */
+export class FileCacheStore {
+  /**
+   * @constructor
+   * @param {Object} [options] - Store options
+   * @param {String} [options.dir] - Directory for the cache files, defaults to the user cache directory
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || defaultCacheDir();
+  }
+
+  /**
+   * Gets the file an entry is stored in
+   * @private
+   * @param {String} key - Cache key
+   * @returns {String} File path
+   */
+  _file(key) {
+    return path.join(this.dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  /**
+   * Reads an entry
+   * @param {String} key - Cache key
+   * @returns {Object|null} Entry, or null when missing or unreadable
+   */
+  get(key) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(this._file(key), 'utf-8'));
+      return entry.key === key ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Writes an entry, through a temporary file so readers never see a partial entry
+   * @param {String} key - Cache key
+   * @param {Object} entry - Entry to store
+   */
+  set(key, entry) {
+    const file = this._file(key);
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(temp, JSON.stringify({ ...entry, key }));
+    fs.renameSync(temp, file);
+  }
+
+  /**
+   * Removes an entry
+   * @param {String} key - Cache key
+   */
+  delete(key) {
+    fs.rmSync(this._file(key), { force: true });
+  }
+
+  /**
+   * Removes every entry
+   */
+  clear() {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  }
+}
+
 export class CacheManager {
-  constructor() {
+  /**
+   * @constructor
+   * @param {Object} [options] - Cache options
+   * @param {Object} [options.store] - Persistent store, e.g. a FileCacheStore, used by revalidated entries
+   */
+  constructor(options = {}) {
     this._cache = new Map();
     this._dependencyMap = new Map();
+    this.store = options.store || null;
   }
     
   /**
-     * Gets a value from cache or fetches it
+     * Gets a value from cache or fetches it. With a persistent store and a revalidate function, an expired or
+     * missing entry is looked up in the store and served from there when revalidate confirms it is current.
      * @param {string} key - Cache key
      * @param {Function} fetchFn - Function to fetch data if not cached
      * @param {number} ttl - Time to live in milliseconds
      * @param {Array<string>} dependencies - Keys this cache depends on
+     * @param {Function} [revalidateFn] - Called with the stored entry, or null, resolves to { fresh, version } or
+     * null when the version cannot be determined
      */
-  async getOrFetch(key, fetchFn, ttl, dependencies = []) {
+  async getOrFetch(key, fetchFn, ttl, dependencies = [], revalidateFn = null) {
     const cached = this._cache.get(key);
     const now = Date.now();
-        
+
     if (cached && (now - cached.timestamp < ttl)) {
       return cached.data;
     }
-        
+
+    let check = null;
+    if (this.store && revalidateFn) {
+      const entry = await this.readStore(key);
+      check = await revalidateFn(entry);
+      if (entry && check && check.fresh) {
+        if (entry.version !== check.version) {
+          await this.writeStore(key, { ...entry, version: check.version });
+        }
+        this._remember(key, entry.data, now, dependencies);
+        return entry.data;
+      }
+    }
+
     const data = await fetchFn();
-        
+
     if (data[0]) { // Only cache successful responses
-      this._cache.set(key, {
-        timestamp: now,
-        data
-      });
-            
-      // Register dependencies
-      dependencies.forEach(depKey => {
-        if (!this._dependencyMap.has(depKey)) {
-          this._dependencyMap.set(depKey, new Set());
-        }
-        this._dependencyMap.get(depKey).add(key);
-      });
+      this._remember(key, data, now, dependencies);
+      if (check && check.version) {
+        await this.writeStore(key, { version: check.version, data });
+      }
     }
-        
+
     return data;
   }
-    
+
+  /**
+     * Keeps a value in memory and registers its dependencies
+     * @private
+     */
+  _remember(key, data, timestamp, dependencies) {
+    this._cache.set(key, {
+      timestamp,
+      data
+    });
+
+    // Register dependencies
+    dependencies.forEach(depKey => {
+      if (!this._dependencyMap.has(depKey)) {
+        this._dependencyMap.set(depKey, new Set());
+      }
+      this._dependencyMap.get(depKey).add(key);
+    });
+  }
+
+  /**
+     * Reads from the persistent store, a failing or missing store behaves like an empty one
+     * @param {string} key - Store key
+     * @returns {Promise<Object|null>} Stored entry
+     */
+  async readStore(key) {
+    if (!this.store) return null;
+    try {
+      return (await this.store.get(key)) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+     * Writes to the persistent store, failures only cost the next process a fetch
+     * @param {string} key - Store key
+     * @param {Object} entry - Entry to store
+     */
+  async writeStore(key, entry) {
+    if (!this.store) return;
+    try {
+      await this.store.set(key, entry);
+    } catch {
+      // The entry is still cached in memory
+    }
+  }
+
   /**
      * Invalidate cache entry and its dependents
      * @param {string} key - Cache key to invalidate
@@ -9,7 +9,6 @@
  */
 
 import { BaseObjects } from '../baseObjects.js';
-import { logger } from '../logger.js';
 
 export class Actions extends BaseObjects {
   /**
@@ -17,9 +16,10 @@ export class Actions extends BaseObjects {
    * @param {string} token - GitHub API token
    * @param {string} org - GitHub organization name
    * @param {string} processName - Process name for locking
+   * @param {Object} [options] - Optional settings, see BaseObjects
    */
-  constructor(token, org, processName) {
-    super(token, org, processName, 'Actions');
+  constructor(token, org, processName, options = {}) {
+    super(token, org, processName, 'Actions', options);
     
     // Add actions-specific cache keys
     this._cacheKeys.workflowRuns = 'workflow_runs';
@@ -36,8 +36,8 @@ export class Actions extends BaseObjects {
    */
   async updateActions() {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'updateActions') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'updateActions') : 
       { end: () => {} };
     
     try {
@@ -54,7 +54,7 @@ export class Actions extends BaseObjects {
             this._tempManifest = manifestResp[2];
             return this._createSuccess('Retrieved actions manifest');
           } catch (err) {
-            logger.error('Failed to retrieve actions manifest', err);
+            this.logger.error('Failed to retrieve actions manifest', err);
             return this._createError(
               `Failed to retrieve actions manifest: ${err.message}`,
               err,
@@ -98,7 +98,7 @@ export class Actions extends BaseObjects {
               });
 
             } catch (err) {
-              logger.error(`Failed to install action [${action.name}]`, err);
+              this.logger.error(`Failed to install action [${action.name}]`, err);
               installStatus.push({
                 name: action.name,
                 operation: 'failed',
@@ -135,8 +135,8 @@ export class Actions extends BaseObjects {
    */
   async getActionsBilling() {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getActionsBilling') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getActionsBilling') : 
       { end: () => {} };
     
     try {
@@ -164,8 +164,8 @@ export class Actions extends BaseObjects {
    */
   async getAll() {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getAll') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getAll') : 
       { end: () => {} };
     
     try {
@@ -178,7 +178,7 @@ export class Actions extends BaseObjects {
           } catch (error) {
             // If the error is specifically about missing the method, use a fallback
             if (error.message && error.message.includes('getWorkflowRuns is not a function')) {
-              logger.warn('getWorkflowRuns not implemented in github.js, using fallback implementation');
+              this.logger.warn('getWorkflowRuns not implemented in github.js, using fallback implementation');
               
               // Fallback implementation - returns an empty successful response
               return [
@@ -216,8 +216,8 @@ export class Actions extends BaseObjects {
    */
   async getWorkflowRun(runId) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getWorkflowRun') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getWorkflowRun') : 
       { end: () => {} };
     
     try {
@@ -256,8 +256,8 @@ export class Actions extends BaseObjects {
    */
   async cancelWorkflowRun(runId) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'cancelWorkflowRun') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'cancelWorkflowRun') : 
       { end: () => {} };
     
     try {
@@ -298,8 +298,8 @@ export class Actions extends BaseObjects {
    */
   async triggerWorkflow(workflowId, inputs = {}) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'triggerWorkflow') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'triggerWorkflow') : 
       { end: () => {} };
     
     try {
@@ -336,8 +336,8 @@ export class Actions extends BaseObjects {
    */
   async getUsageMetrics() {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getUsageMetrics') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getUsageMetrics') : 
       { end: () => {} };
     
     try {
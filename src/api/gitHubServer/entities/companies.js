@@ -11,11 +11,10 @@
 
 import { BaseObjects } from '../baseObjects.js';
 import { Interactions } from './interactions.js';
-import { logger } from '../logger.js';
 
 export class Companies extends BaseObjects {
-  constructor(token, org, processName) {
-    super(token, org, processName, 'Companies');
+  constructor(token, org, processName, options = {}) {
+    super(token, org, processName, 'Companies', options);
     
     // Add profile-specific cache settings
     this._cacheKeys.profile = `${this.objType}_profile`;
@@ -29,8 +28,8 @@ export class Companies extends BaseObjects {
    */
   async generateCompanyProfile(name) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'generateCompanyProfile') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'generateCompanyProfile') : 
       { end: () => {} };
     
     // Validate parameter
@@ -56,19 +55,20 @@ export class Companies extends BaseObjects {
           
           const company = companyResp[2][0];
           
+          // Instantiate Interactions class to get details
+          const interactionsClass = new Interactions(
+            this.serverCtl.token,
+            this.serverCtl.orgName,
+            'profile-generator',
+            this._sharedOptions()
+          );
+
           // Get linked interactions
           let linkedInteractionDetails = [];
           if (company.linked_interactions && Object.keys(company.linked_interactions).length > 0) {
-            // Instantiate Interactions class to get details
-            const interactionsClass = new Interactions(
-              this.serverCtl.token,
-              this.serverCtl.orgName,
-              'profile-generator'
-            );
-                
             // Get details for each interaction
-            for (const interactionName of Object.keys(company.linked_interactions)) {
-              const interactionResp = await interactionsClass.findByName(interactionName);
+            for (const key of Object.keys(company.linked_interactions)) {
+              const interactionResp = await interactionsClass.findByRef(key);
               if (interactionResp[0]) {
                 linkedInteractionDetails.push(interactionResp[2][0]);
               }
@@ -129,6 +129,15 @@ export class Companies extends BaseObjects {
             analytics.avgReadingTime /= linkedInteractionDetails.length;
             analytics.avgPageCount /= linkedInteractionDetails.length;
           }
+
+          // Sentiment of the interactions and its trend by month
+          analytics.sentiment = null;
+          if (linkedInteractionDetails.length > 0) {
+            const sentimentResp = await interactionsClass.summarizeSentiment(linkedInteractionDetails.map(i => i.name));
+            if (sentimentResp[0]) {
+              analytics.sentiment = sentimentResp[2];
+            }
+          }
           
           // Create company profile
           const profile = {
@@ -166,15 +175,15 @@ export class Companies extends BaseObjects {
   }
   
   /**
-   * Link interactions to a company
+   * Link interactions to a company, replacing the interactions it was linked to on both sides
    * @param {string} companyName - Name of the company
-   * @param {Array<Object>} interactions - Interactions to link
-   * @returns {Promise<Array>} Result of the operation
+   * @param {Array<Object>} interactions - Interactions to link, an empty array unlinks them all
+   * @returns {Promise<Array>} Result of the operation with { name, type, added, removed, links }
    */
   async linkInteractions(companyName, interactions) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'linkInteractions') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'linkInteractions') : 
       { end: () => {} };
     
     try {
@@ -186,15 +195,12 @@ export class Companies extends BaseObjects {
           
       if (validationError) return validationError;
       
-      // Create linked objects hash
-      const linkedInteractions = this.linkObj(interactions);
-      
-      // Update the company with linked interactions
-      return await this.updateObj({
-        name: companyName,
-        key: 'linked_interactions',
-        value: linkedInteractions
-      });
+      // Replace the links on the company and on the interactions alike
+      return await this.setLinks(
+        companyName,
+        'Interactions',
+        interactions.map(interaction => interaction.name)
+      );
       
     } catch (error) {
       return this._createError(
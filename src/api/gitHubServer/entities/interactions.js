@@ -7,19 +7,51 @@
  * @author Michael Hay <michael.hay@mediumroast.io>
  * @copyright 2025 Mediumroast, Inc. All rights reserved.
  */
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
 import { BaseObjects } from '../baseObjects.js';
-import { logger } from '../logger.js';
+import { SearchIndex } from '../searchIndex.js';
+import { TopicModel } from '../topics.js';
+import { VectorIndex, rankBySimilarity } from '../similarity.js';
+import { sentiment, aggregateSentiment } from '../sentiment.js';
+import { extractors, documentStats, contentTypeFromName, detectContentType } from '../extractors.js';
+import { objectVersion } from '../../../utils/helpers.js';
+import { LINK_FIELDS } from '../graph.js';
+import { ID_FIELD, newId, withLink, linkNames } from '../ids.js';
+
+// Metadata indexed with the content of each interaction
+const TEXT_FIELDS = ['name', 'abstract', 'description', 'summary'];
+
+// Models built from the text of every interaction and kept in the cache store, the vector index is only built
+// when an embedder is configured
+const CORPUS_MODELS = {
+  textIndex: { Model: SearchIndex, label: 'full-text index' },
+  topicModel: { Model: TopicModel, label: 'topic model' },
+  vectorIndex: { Model: VectorIndex, label: 'vector index', needsEmbedder: true }
+};
 
 export class Interactions extends BaseObjects {
-  constructor(token, org, processName) {
-    super(token, org, processName, 'Interactions');
+  constructor(token, org, processName, options = {}) {
+    super(token, org, processName, 'Interactions', options);
     
     // Add interaction-specific cache settings
     this._cacheKeys.byHash = `${this.objType}_byHash`;
     this._cacheKeys.byText = `${this.objType}_byText`;
     this._cacheKeys.analysis = `${this.objType}_analysis`;
+    this._cacheKeys.sentiment = `${this.objType}_sentiment`;
     this._cacheKeys.topics = `${this.objType}_topics`;
     this._cacheKeys.similar = `${this.objType}_similar`;
+    this._cacheKeys.textIndex = `${this.objType}_textIndex`;
+    this._cacheKeys.content = `${this.objType}_content`;
+    this._cacheKeys.topicModel = `${this.objType}_topicModel`;
+    this._cacheKeys.vectorIndex = `${this.objType}_vectorIndex`;
+
+    // Embedding model for similarity as { name, embed(texts) }, TF-IDF vectors are compared without one
+    this.embedder = options.embedder || null;
+
+    // Corpus models by kind, loaded from the cache store or built on first use
+    this._models = {};
     
     // Set cache timeouts
     this.cacheTimeouts.analysis = 600000;  // 10 minutes for content analysis
@@ -27,6 +59,137 @@ export class Interactions extends BaseObjects {
     this.cacheTimeouts.similar = 600000;   // 10 minutes for similarity results
   }
 
+  /**
+   * Override createObj to fill in the counts of the interactions' files and add them to the full-text index.
+   * word_count, page_count and reading_time are computed from the extracted text unless they are given, file_size
+   * is the number of bytes in the file, and content_type is taken from the file extension when missing.
+   * @param {Array} objs - Interactions to create
+   * @returns {Promise<Array>} Operation result
+   */
+  async createObj(objs) {
+    if (Array.isArray(objs)) {
+      objs = await Promise.all(objs.map(obj => this._withContentStats(obj)));
+    }
+    const result = await super.createObj(objs);
+    if (result[0]) {
+      await this._updateModels(objs, []);
+    }
+    return result;
+  }
+
+  /**
+   * Fills in the content type and the counts of an interaction's file that were not given
+   * @private
+   * @param {Object} interaction - Interaction to create
+   * @param {Buffer} [content] - Content of the file when it is at hand, otherwise it is read from the url
+   * @returns {Promise<Object>} Interaction with the missing fields set
+   */
+  async _withContentStats(interaction, content = null) {
+    if (!interaction?.url) return interaction;
+
+    const filled = { ...interaction };
+    if (!filled.content_type && contentTypeFromName(filled.url)) {
+      filled.content_type = contentTypeFromName(filled.url);
+    }
+    const stats = ['word_count', 'page_count', 'reading_time', 'file_size'];
+    if (stats.every(field => filled[field] !== undefined) || !extractors.has(filled.content_type || 'TXT')) {
+      return filled;
+    }
+
+    const contentResp = await this._extractContent(filled, content);
+    if (!contentResp[0]) {
+      this.logger.warn(`Unable to extract [${filled.url}], the counts of [${filled.name}] are left out`);
+      return filled;
+    }
+    const extracted = { ...contentResp[2].stats, file_size: contentResp[2].size };
+    stats.forEach(field => {
+      if (filled[field] === undefined) filled[field] = extracted[field];
+    });
+    return filled;
+  }
+
+  /**
+   * Reads an interaction's file and extracts its text and structure with the extractor of its content_type.
+   * Results are cached by file and hash, so analysis, topics and search share one read.
+   * @private
+   * @param {Object} interaction - Interaction with a url
+   * @param {Buffer} [content] - Content of the file when it is at hand, otherwise it is read from the url
+   * @returns {Promise<Array>} Status, message, and the document with its stats and size in bytes
+   */
+  async _extractContent(interaction, content = null) {
+    return this.cache.getOrFetch(
+      `${this._cacheKeys.content}_${interaction.url}_${interaction.file_hash || ''}`,
+      async () => {
+        // Recordings and other files without text are not downloaded
+        if (interaction.content_type && !extractors.has(interaction.content_type)) {
+          return this._createError(
+            `Text extraction is not supported for [${interaction.content_type}] content`,
+            null,
+            415
+          );
+        }
+        if (!content) {
+          const contentResp = await this.serverCtl.readBlob(interaction.url);
+          if (!contentResp[0]) {
+            return contentResp;
+          }
+
+          const blob = contentResp[2];
+          content = blob.content && blob.encoding === 'base64'
+            ? Buffer.from(blob.content, 'base64')
+            : Buffer.from(blob.decodedContent || '');
+        }
+        try {
+          const document = await extractors.extract(interaction.content_type, content, { fileName: interaction.url });
+          return this._createSuccess(
+            `Extracted the text of [${interaction.url}]`,
+            { ...document, stats: documentStats(document), size: content.length }
+          );
+        } catch (err) {
+          return this._createError(
+            `Unable to extract the text of [${interaction.url}]: ${err.message}`,
+            null,
+            err.status || 500
+          );
+        }
+      },
+      this.cacheTimeouts.analysis || 600000
+    );
+  }
+
+  /**
+   * Gets the text and structure extracted from an interaction's file
+   * @param {string} name - Interaction name
+   * @returns {Promise<Array>} Status, message, and { text, pages, headings, slides, tables, metadata, stats }
+   */
+  async getContent(name) {
+    // Track this operation
+    const tracking = this.logger.trackOperation(this.objType, 'getContent');
+
+    try {
+      // Validate parameter
+      const validationError = this._validateParams(
+        { name },
+        { name: 'string' }
+      );
+
+      if (validationError) return validationError;
+
+      const interactionResp = await this.findByName(name);
+      if (!interactionResp[0]) {
+        return interactionResp;
+      }
+
+      const interaction = interactionResp[2][0];
+      if (!interaction.url) {
+        return this._createError(`Interaction [${name}] does not have content to extract`, null, 400);
+      }
+      return await this._extractContent(interaction);
+    } finally {
+      tracking.end();
+    }
+  }
+
   /**
    * Override deleteObj to handle cross-entity references
    * @param {string} objName - Name of the interaction to delete
@@ -34,21 +197,49 @@ export class Interactions extends BaseObjects {
    */
   async deleteObj(objName) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'deleteObj') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'deleteObj') : 
       { end: () => {} };
     
     try {
-      const source = {
-        from: 'Interactions',
-        to: ['Companies']
-      };
-      return await super.deleteObj(objName, source);
+      // The companies and studies linking to the interaction are cleaned up along with it
+      const result = await super.deleteObj(objName);
+      if (result[0]) {
+        await this._updateModels([], [objName]);
+      }
+      return result;
     } finally {
       tracking.end();
     }
   }
 
+  /**
+   * Override restore to add the interaction back to the full-text index and the similarity models
+   * @param {string} objName - Name of the interaction to restore
+   * @returns {Promise<Array>} Operation result
+   */
+  async restore(objName) {
+    const result = await super.restore(objName);
+    if (result[0]) {
+      await this._updateModels([result[2].restored], []);
+    }
+    return result;
+  }
+
+  /**
+   * Override rename to index the interaction under its new name in the full-text index and the similarity models
+   * @param {string} oldName - Current name or id of the interaction
+   * @param {string} newName - New name
+   * @returns {Promise<Array>} Operation result
+   */
+  async rename(oldName, newName) {
+    const result = await super.rename(oldName, newName);
+    if (result[0]) {
+      await this._updateModels([result[2].object], [result[2].oldName]);
+    }
+    return result;
+  }
+
   /**
    * Find interaction by file hash
    * @param {string} hash - File hash to search for
@@ -56,8 +247,8 @@ export class Interactions extends BaseObjects {
    */
   async findByHash(hash) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'findByHash') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'findByHash') : 
       { end: () => {} };
     
     try {
@@ -84,14 +275,370 @@ export class Interactions extends BaseObjects {
   }
     
   /**
-   * Finds interactions containing specific text in content or metadata
+   * Ingests a file as a new interaction: hashes it and refuses duplicates, detects its content type, stores it
+   * in the Interactions container and creates the interaction linked to companies and studies. Everything is
+   * written in a single catch and release of the containers involved.
+   * @param {String|Buffer} file - Path of the file to read, or its content
+   * @param {Object} [options] - Ingestion options
+   * @param {String} [options.name] - Interaction name, defaults to the file name without its extension
+   * @param {String} [options.fileName] - Name the file is stored under, required for a Buffer without a name
+   * @param {Array<String>} [options.companies=[]] - Names of the companies to link
+   * @param {Array<String>} [options.studies=[]] - Names of the studies to link
+   * @param {Object} [options.metadata={}] - Further fields of the interaction, e.g. description or status
+   * @returns {Promise<Array>} The created interaction, or 409 with the existing one for a duplicate file
+   */
+  async ingest(file, { name, fileName, companies = [], studies = [], metadata = {} } = {}) {
+    // Track this operation
+    const tracking = this.logger.trackOperation(this.objType, 'ingest');
+
+    try {
+      // Validate parameters
+      if (!Buffer.isBuffer(file) && (typeof file !== 'string' || file.trim() === '')) {
+        return this._createError('Invalid parameter: [file] must be a path or a Buffer', null, 400);
+      }
+      const validationError = this._validateParams(
+        { companies, studies, metadata },
+        { companies: 'array', studies: 'array', metadata: 'object' }
+      );
+
+      if (validationError) return validationError;
+
+      let content = file;
+      let sourceName = fileName;
+      if (!Buffer.isBuffer(file)) {
+        try {
+          content = await readFile(file);
+        } catch (err) {
+          return this._createError(
+            `Unable to read [${file}]: ${err.message}`,
+            null,
+            err.code === 'ENOENT' ? 404 : 400
+          );
+        }
+        sourceName = sourceName || file;
+      }
+
+      let detected;
+      try {
+        detected = detectContentType(content, sourceName);
+      } catch (err) {
+        return this._createError(err.message, null, err.status || 500);
+      }
+
+      if (!sourceName && !name) {
+        return this._createError('Missing parameter: [fileName] or [name] is needed to ingest a Buffer', null, 400);
+      }
+      const blobName = path.basename(sourceName || `${name}.${detected.contentType.toLowerCase()}`);
+      const interactionName = name || path.basename(blobName, path.extname(blobName));
+
+      // Refuse a file that is already stored, checked again once the containers are caught
+      const fileHash = createHash('sha256').update(content).digest('hex');
+      const existing = await this.findByHash(fileHash);
+      if (existing[0]) {
+        return this._createError(
+          `The content of [${blobName}] is already stored as interaction [${existing[2][0].name}]`,
+          existing[2][0],
+          409
+        );
+      }
+
+      const now = new Date().toISOString();
+      const links = names => Object.fromEntries(names.map(linked => [linked, { linked_date: now }]));
+      let interaction = {
+        [ID_FIELD]: newId(),
+        ...metadata,
+        name: interactionName,
+        url: `${this.objType}/${blobName}`,
+        content_type: detected.contentType,
+        file_hash: fileHash,
+        file_size: content.length,
+        creation_date: metadata.creation_date || now,
+        modification_date: now
+      };
+      if (companies.length > 0) interaction.linked_companies = links(companies);
+      if (studies.length > 0) interaction.linked_studies = links(studies);
+      interaction = await this._withContentStats(interaction, content);
+
+      // Validate against the schema before anything is caught or written
+      const schemaError = this._validateObjects([interaction]);
+      if (schemaError) return schemaError;
+
+      // Catch the containers of the linked objects along with the interactions
+      const linked = { Companies: companies, Studies: studies };
+      const containers = [this.objType, ...Object.keys(linked).filter(container => linked[container].length > 0)];
+      let repoMetadata = {
+        containers: Object.fromEntries(containers.map(container => [container, {}])),
+        branch: {}
+      };
+      const result = await this._executeTransaction([
+        // Step 1: Catch containers
+        async (_, tx) => await this._catchInTransaction(repoMetadata, tx),
+
+        // Step 2: Add the interaction and link it to the companies and studies
+        async () => {
+          // Interactions in the trash keep their names and their files are moved with them, only live ones clash
+          const interactions = repoMetadata.containers[this.objType].objects;
+          const live = interactions.filter(obj => !obj.deleted_at);
+          const stored = live.find(obj => obj.file_hash === interaction.file_hash);
+          if (stored) {
+            return this._createError(
+              `The content of [${blobName}] is already stored as interaction [${stored.name}]`,
+              stored,
+              409
+            );
+          }
+          const clash = live.find(obj =>
+            obj.name === interaction.name || obj.url === interaction.url || obj[ID_FIELD] === interaction[ID_FIELD]);
+          if (clash) {
+            return this._createError(
+              `Interaction [${clash.name}] already exists or is stored at [${interaction.url}]`,
+              clash,
+              409
+            );
+          }
+
+          for (const [container, names] of Object.entries(linked)) {
+            if (names.length === 0) continue;
+            const objects = repoMetadata.containers[container].objects;
+            const missing = names.filter(linkedName => !objects.some(obj => obj.name === linkedName && !obj.deleted_at));
+            if (missing.length > 0) {
+              return this._createError(`${container} not found: [${missing.join(', ')}]`, { missing }, 404);
+            }
+            // The links by name checked against the schema are replaced by links under the ids
+            const field = LINK_FIELDS[this.objType][container];
+            interaction[field] = {};
+            objects.forEach(obj => {
+              if (!names.includes(obj.name) || obj.deleted_at) return;
+              obj.linked_interactions = withLink(obj.linked_interactions, interaction, now);
+              obj.modification_date = now;
+              interaction[field] = withLink(interaction[field], obj, now);
+            });
+          }
+
+          interactions.push(interaction);
+          return this._createSuccess(`Added interaction [${interaction.name}]`);
+        },
+
+        // Step 3: Store the file
+        async () => await this.serverCtl.writeBlob(this.objType, blobName, content, repoMetadata.branch.name),
+
+        // Step 4: Write the objects of every caught container
+        async () => {
+          for (const container of containers) {
+            const sha = await this.serverCtl.getSha(
+              container,
+              this.objectFiles[container],
+              repoMetadata.branch.name
+            );
+            if (!sha[0]) return sha;
+
+            const written = await this.serverCtl.writeObject(
+              container,
+              repoMetadata.containers[container].objects,
+              repoMetadata.branch.name,
+              sha[2]
+            );
+            if (!written[0]) return written;
+          }
+          return this._createSuccess(`Wrote [${containers.join(', ')}]`);
+        },
+
+        // Step 5: Release containers
+        async (_, tx) => {
+          const released = await this._releaseInTransaction(repoMetadata, tx);
+          if (!released[0]) {
+            return released;
+          }
+
+          // Invalidate cache now the objects are on main
+          containers.forEach(container => this._invalidateCache(container));
+
+          return this._createSuccess(
+            `Ingested [${blobName}] as interaction [${interaction.name}]`,
+            interaction
+          );
+        }
+      ], `ingest-${interaction.name}`);
+
+      if (result[0]) {
+        await this._updateModels([interaction], []);
+      }
+      return result;
+    } catch (err) {
+      return this._createError(`Error ingesting interaction: ${err.message}`, err, 500);
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Gets the fingerprint of what is indexed for an interaction, it changes with its file or text metadata
+   * @private
+   * @param {Object} interaction - Interaction
+   * @returns {String} Fingerprint
+   */
+  _textFingerprint(interaction) {
+    const fields = { url: interaction.url, file_hash: interaction.file_hash };
+    TEXT_FIELDS.forEach(field => { fields[field] = interaction[field]; });
+    return objectVersion(fields);
+  }
+
+  /**
+   * Reads the text indexed for an interaction: its metadata followed by the content of its file
+   * @private
+   * @param {Object} interaction - Interaction
+   * @returns {Promise<String>} Text
+   */
+  async _readInteractionText(interaction) {
+    const parts = TEXT_FIELDS.map(field => interaction[field]).filter(value => typeof value === 'string');
+    if (interaction.url) {
+      const contentResp = await this._extractContent(interaction);
+      if (contentResp[0]) {
+        parts.push(contentResp[2].text);
+      } else {
+        this.logger.warn(`Unable to read [${interaction.url}], indexing the metadata of [${interaction.name}] only`);
+      }
+    }
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Gets a corpus model, from memory, then from the cache store, then a new empty one
+   * @private
+   * @param {String} kind - Key of CORPUS_MODELS
+   * @returns {Promise<SearchIndex|TopicModel|VectorIndex>} Model
+   */
+  async _loadModel(kind) {
+    if (!this._models[kind]) {
+      const { Model } = CORPUS_MODELS[kind];
+      const options = { embedder: this.embedder };
+      const stored = await this.cache.readStore(this._cacheKeys[kind]);
+      this._models[kind] = Model.fromJSON(stored?.data, options) || new Model(options);
+    }
+    return this._models[kind];
+  }
+
+  /**
+   * Adds and removes interactions in the corpus models and saves them. A model is left alone until it was
+   * built on first use, which picks up these changes anyway.
+   * @private
+   * @param {Array} added - Created interactions
+   * @param {Array<String>} removed - Names of deleted interactions
+   */
+  async _updateModels(added, removed) {
+    const texts = new Map();
+    for (const [kind, { Model, label, needsEmbedder }] of Object.entries(CORPUS_MODELS)) {
+      if (needsEmbedder && !this.embedder) continue;
+      const model = this._models[kind] ||
+        Model.fromJSON((await this.cache.readStore(this._cacheKeys[kind]))?.data, { embedder: this.embedder });
+      if (!model) continue;
+      this._models[kind] = model;
+
+      try {
+        for (const interaction of added) {
+          if (!texts.has(interaction.name)) {
+            texts.set(interaction.name, await this._readInteractionText(interaction));
+          }
+          await model.add(interaction.name, texts.get(interaction.name), this._textFingerprint(interaction));
+        }
+        removed.forEach(name => model.remove(name));
+        await this.cache.writeStore(this._cacheKeys[kind], { data: model.toJSON() });
+      } catch (err) {
+        // The next use of the model re-syncs it with the container
+        this.logger.warn(`Unable to update the ${label}`, err);
+      }
+    }
+  }
+
+  /**
+   * Brings a corpus model in line with the interactions, only new or changed ones are read
+   * @private
+   * @param {String} kind - Key of CORPUS_MODELS
+   * @param {Array} interactions - All interactions
+   * @returns {Promise<SearchIndex|TopicModel|VectorIndex>} Model
+   */
+  async _syncModel(kind, interactions) {
+    const model = await this._loadModel(kind);
+    let changed = false;
+
+    const names = new Set();
+    for (const interaction of interactions) {
+      names.add(interaction.name);
+      const fingerprint = this._textFingerprint(interaction);
+      if (model.has(interaction.name, fingerprint)) continue;
+      await model.add(interaction.name, await this._readInteractionText(interaction), fingerprint);
+      changed = true;
+    }
+    for (const name of [...model.docs.keys()]) {
+      if (!names.has(name)) changed = model.remove(name) || changed;
+    }
+
+    if (changed) {
+      await this.cache.writeStore(this._cacheKeys[kind], { data: model.toJSON() });
+    }
+    return model;
+  }
+
+  /**
+   * Searches the content and text metadata of interactions. The full-text index is kept in the cache store
+   * when one is configured, and only interactions added or changed since it was saved are read.
+   * @param {string} query - Words, "quoted phrases" that must appear and -words to exclude, words are stemmed
+   * so acquisition also finds acquired
+   * @param {Object} [options] - Search options
+   * @param {Number} [options.limit=10] - Maximum number of results, 0 for all
+   * @param {Number} [options.snippetLength=160] - Approximate snippet length in characters
+   * @param {Array<String>} [options.highlight] - Markers put around matches, <mark> and </mark> by default
+   * @returns {Promise<Array>} Results as { name, score, snippet, interaction }, best match first
+   */
+  async searchText(query, options = {}) {
+    // Track this operation
+    const tracking = this.logger.trackOperation(this.objType, 'searchText');
+    
+    try {
+      // Validate parameters
+      const validationError = this._validateParams(
+        { query },
+        { query: 'string' }
+      );
+          
+      if (validationError) return validationError;
+
+      const allObjectsResp = await this.getAll();
+      if (!allObjectsResp[0]) {
+        return allObjectsResp;
+      }
+      const allObjects = allObjectsResp[2].mrJson;
+
+      const index = await this._syncModel('textIndex', allObjects);
+      const byName = new Map(allObjects.map(interaction => [interaction.name, interaction]));
+      const results = index.search(query, options)
+        .map(result => ({ ...result, interaction: byName.get(result.name) }));
+
+      return this._createSuccess(
+        `Found ${results.length} interactions matching: "${query}"`,
+        results
+      );
+    } catch (error) {
+      return this._createError(
+        `Error searching interactions: ${error.message}`,
+        error,
+        500
+      );
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Finds interactions containing specific text in content or metadata. Matches are ranked with the full-text
+   * index, followed by interactions whose metadata merely contains the text, e.g. part of a word.
    * @param {string} text - The text to search for
    * @returns {Promise<Array>} Search results
    */
   async findByText(text) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'findByText') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'findByText') : 
       { end: () => {} };
     
     try {
@@ -109,22 +656,20 @@ export class Interactions extends BaseObjects {
       return await this.cache.getOrFetch(
         textCacheKey,
         async () => {
-          const allObjectsResp = await this.getAll();
-          if (!allObjectsResp[0]) {
-            return allObjectsResp;
+          const rankedResp = await this.searchText(text, { limit: 0 });
+          if (!rankedResp[0]) {
+            return rankedResp;
           }
+          const results = rankedResp[2].map(result => result.interaction);
           
-          const allObjects = allObjectsResp[2].mrJson;
+          const allObjects = (await this.getAll())[2].mrJson;
           const searchText = text.toLowerCase();
           
-          // Search through text fields
-          const results = allObjects.filter(interaction => {
-            if (interaction.name?.toLowerCase().includes(searchText)) return true;
-            if (interaction.abstract?.toLowerCase().includes(searchText)) return true;
-            if (interaction.description?.toLowerCase().includes(searchText)) return true;
-            if (interaction.summary?.toLowerCase().includes(searchText)) return true;
-            return false;
-          });
+          // Add interactions whose text fields contain the text but were not ranked
+          const ranked = new Set(results.map(interaction => interaction.name));
+          results.push(...allObjects.filter(interaction => !ranked.has(interaction.name) &&
+            TEXT_FIELDS.some(field => interaction[field]?.toLowerCase?.().includes(searchText))
+          ));
           
           if (results.length === 0) {
             return this._createError(
@@ -160,8 +705,8 @@ export class Interactions extends BaseObjects {
    */
   async getInteractionAnalysis(name) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getInteractionAnalysis') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getInteractionAnalysis') : 
       { end: () => {} };
     
     try {
@@ -173,8 +718,8 @@ export class Interactions extends BaseObjects {
           
       if (validationError) return validationError;
       
-      // Use cache for analysis results
-      const analysisCacheKey = `${this._cacheKeys.analysis}_${name}`;
+      // Use cache for analysis results, a changed sentiment lexicon gives a new key
+      const analysisCacheKey = `${this._cacheKeys.analysis}_${name}_${sentiment.version}`;
       
       return await this.cache.getOrFetch(
         analysisCacheKey,
@@ -197,17 +742,18 @@ export class Interactions extends BaseObjects {
           }
           
           // Use transaction pattern for better error handling
+          let document;
           return this._executeTransaction([
-            // Step 1: Read the content
+            // Step 1: Read the content and extract its text
             async () => {
               try {
-                const contentResp = await this.serverCtl.readBlob(interaction.url);
+                const contentResp = await this._extractContent(interaction);
                 if (!contentResp[0]) {
                   return contentResp;
                 }
                             
                 // Store for next steps
-                this._tempContent = contentResp[2].decodedContent;
+                document = contentResp[2];
                 return this._createSuccess('Retrieved interaction content');
               } catch (err) {
                 return this._createError(
@@ -221,7 +767,7 @@ export class Interactions extends BaseObjects {
             // Step 2: Analyze the content
             async () => {
               // Get word frequencies
-              const words = this._tempContent
+              const words = document.text
                 .toLowerCase()
                 .replace(/[^\w\s]/g, ' ')
                 .split(/\s+/)
@@ -238,34 +784,25 @@ export class Interactions extends BaseObjects {
                 .slice(0, 50)
                 .reduce((obj, [k, v]) => ({ ...obj, [k]: v }), {});
                       
-              // Basic sentiment analysis
-              const positiveWords = ['good', 'great', 'excellent', 'positive', 'advantage', 'benefit'];
-              const negativeWords = ['bad', 'poor', 'negative', 'disadvantage', 'problem', 'issue'];
-                      
-              let sentimentScore = 0;
-              words.forEach(word => {
-                if (positiveWords.includes(word)) sentimentScore++;
-                if (negativeWords.includes(word)) sentimentScore--;
-              });
-                      
               // Create analysis object
               const analysis = {
                 topWords: sortedWords,
                 totalWords: words.length,
                 uniqueWords: Object.keys(wordFreq).length,
-                avgWordLength: words.reduce((sum, word) => sum + word.length, 0) / words.length,
-                sentiment: {
-                  score: sentimentScore,
-                  normalized: words.length > 0 ? sentimentScore / words.length : 0,
-                  interpretation: sentimentScore > 0 ? 'Positive' : 
-                    sentimentScore < 0 ? 'Negative' : 'Neutral'
+                avgWordLength: words.length > 0 ? words.reduce((sum, word) => sum + word.length, 0) / words.length : 0,
+                sentiment: sentiment.analyze(document.text),
+                structure: {
+                  pages: document.pages.length,
+                  slides: document.slides.length,
+                  tables: document.tables.length,
+                  headings: document.headings
                 },
                 metadata: {
                   contentType: interaction.content_type,
                   fileSize: interaction.file_size,
-                  readingTime: interaction.reading_time,
-                  wordCount: interaction.word_count,
-                  pageCount: interaction.page_count
+                  readingTime: interaction.reading_time ?? document.stats.reading_time,
+                  wordCount: interaction.word_count ?? document.stats.word_count,
+                  pageCount: interaction.page_count ?? document.stats.page_count
                 }
               };
                       
@@ -294,14 +831,121 @@ export class Interactions extends BaseObjects {
   }
     
   /**
-   * Extracts topics from an interaction's content
+   * Scores the sentiment of an interaction's content and text metadata, sentence by sentence, with the shared
+   * sentiment analyzer and its lexicons
    * @param {string} name - Interaction name
-   * @returns {Promise<Array>} Extracted topics
+   * @returns {Promise<Array>} Status, message, and { score, comparative, normalized, interpretation, positive,
+   * negative, sentences }
    */
-  async extractTopics(name) {
+  async getSentiment(name) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'extractTopics') : 
+    const tracking = this.logger.trackOperation(this.objType, 'getSentiment');
+
+    try {
+      // Validate parameter
+      const validationError = this._validateParams(
+        { name },
+        { name: 'string' }
+      );
+
+      if (validationError) return validationError;
+
+      return await this.cache.getOrFetch(
+        `${this._cacheKeys.sentiment}_${name}_${sentiment.version}`,
+        async () => {
+          const interactionResp = await this.findByName(name);
+          if (!interactionResp[0]) {
+            return interactionResp;
+          }
+
+          const text = await this._readInteractionText(interactionResp[2][0]);
+          return this._createSuccess(
+            `Scored the sentiment of interaction [${name}]`,
+            sentiment.analyze(text)
+          );
+        },
+        this.cacheTimeouts.analysis || 600000,
+        [
+          this._cacheKeys.container,
+          `${this._cacheKeys.byName}_${name}`
+        ]
+      );
+    } catch (error) {
+      return this._createError(
+        `Error scoring sentiment: ${error.message}`,
+        error,
+        500
+      );
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Combines the sentiment of several interactions into an average and a trend by their creation date, used
+   * for company profiles and study summaries
+   * @param {Array<string>} names - Interaction names, unknown ones are skipped
+   * @param {Object} [options] - Aggregation options
+   * @param {String} [options.period='month'] - Trend period: day, month, quarter or year
+   * @returns {Promise<Array>} Status, message, and { average, interpretation, interactions, positive, negative,
+   * neutral, trend: [{ period, average, interactions }], items: [{ name, date, normalized, interpretation }] }
+   */
+  async summarizeSentiment(names, { period = 'month' } = {}) {
+    // Track this operation
+    const tracking = this.logger.trackOperation(this.objType, 'summarizeSentiment');
+
+    try {
+      // Validate parameter
+      const validationError = this._validateParams(
+        { names },
+        { names: 'array' }
+      );
+
+      if (validationError) return validationError;
+
+      const items = [];
+      for (const name of names) {
+        const sentimentResp = await this.getSentiment(name);
+        if (!sentimentResp[0]) continue;
+
+        const interaction = (await this.findByName(name))[2][0];
+        items.push({
+          name: interaction.name,
+          date: interaction.creation_date || interaction.modification_date || null,
+          normalized: sentimentResp[2].normalized,
+          interpretation: sentimentResp[2].interpretation
+        });
+      }
+
+      return this._createSuccess(
+        `Summarized the sentiment of ${items.length} interactions`,
+        { ...aggregateSentiment(items, { period }), items }
+      );
+    } catch (error) {
+      return this._createError(
+        `Error summarizing sentiment: ${error.message}`,
+        error,
+        error.status || 500
+      );
+    } finally {
+      tracking.end();
+    }
+  }
+
+  /**
+   * Extracts the topics of an interaction: its words and phrases of up to three words scored with TF-IDF
+   * against all interactions, so words that every interaction uses rank low. Stop words of the detected
+   * language are left out.
+   * @param {string} name - Interaction name
+   * @param {Object} [options] - Extraction options
+   * @param {Number} [options.limit=10] - Maximum number of topics
+   * @param {Boolean} [options.save=false] - Store the topics on the interaction as its topics field
+   * @returns {Promise<Array>} Topics as { topic, weight, count }, weights summing to 1, best first
+   */
+  async extractTopics(name, { limit = 10, save = false } = {}) {
+    // Track this operation
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'extractTopics') : 
       { end: () => {} };
     
     try {
@@ -313,37 +957,37 @@ export class Interactions extends BaseObjects {
           
       if (validationError) return validationError;
       
-      // Use cache for topics with dependency on analysis
-      const topicsCacheKey = `${this._cacheKeys.topics}_${name}`;
+      // Topics depend on every interaction through the document frequencies
+      const topicsCacheKey = `${this._cacheKeys.topics}_${name}_${limit}`;
       
-      return await this.cache.getOrFetch(
+      const topicsResp = await this.cache.getOrFetch(
         topicsCacheKey,
         async () => {
-          // First get the content analysis which contains word frequencies
-          const analysisResp = await this.getInteractionAnalysis(name);
-          if (!analysisResp[0]) {
-            return analysisResp;
+          const interactionResp = await this.findByName(name);
+          if (!interactionResp[0]) {
+            return interactionResp;
+          }
+
+          const allObjectsResp = await this.getAll();
+          if (!allObjectsResp[0]) {
+            return allObjectsResp;
           }
           
-          const topWords = analysisResp[2].topWords;
-          
-          // Filter common stop words
-          const stopWords = ['this', 'that', 'then', 'than', 'they', 'them', 'their', 'there', 'here', 'where'];
-          const topics = Object.entries(topWords)
-            .filter(([word]) => !stopWords.includes(word))
-            .slice(0, 10)
-            .map(([word, count]) => ({ topic: word, count }));
-          
+          const model = await this._syncModel('topicModel', allObjectsResp[2].mrJson);
           return this._createSuccess(
             `Extracted topics for interaction [${name}]`,
-            topics
+            model.keywords(name, { limit }) || []
           );
         },
         this.cacheTimeouts.topics || 600000,
-        [
-          `${this._cacheKeys.analysis}_${name}`     // Depends on content analysis
-        ]
+        [this._cacheKeys.container]
       );
+      if (!save || !topicsResp[0]) {
+        return topicsResp;
+      }
+
+      const saveResp = await this.updateObj({ name, key: 'topics', value: topicsResp[2] });
+      return saveResp[0] ? topicsResp : saveResp;
     } catch (error) {
       return this._createError(
         `Error extracting topics: ${error.message}`,
@@ -354,16 +998,105 @@ export class Interactions extends BaseObjects {
       tracking.end();
     }
   }
+
+  /**
+   * Groups all interactions into topics with non-negative matrix factorization of their TF-IDF vectors,
+   * computed locally. The same interactions and options always give the same topics.
+   * @param {Object} [options] - Clustering options
+   * @param {Number} [options.k=5] - Number of topics, at most the number of interactions
+   * @param {Number} [options.topTerms=10] - Terms listed per topic
+   * @param {Number} [options.iterations=200] - Update rounds
+   * @returns {Promise<Array>} { topics: [{ id, label, weight, terms: [{ topic, weight }] }],
+   * interactions: [{ name, topics: [{ id, weight }] }] }
+   */
+  async clusterTopics(options = {}) {
+    // Track this operation
+    const tracking = this.logger.trackOperation(this.objType, 'clusterTopics');
+
+    try {
+      return await this.cache.getOrFetch(
+        `${this._cacheKeys.topics}_clusters_${JSON.stringify(options)}`,
+        async () => {
+          const allObjectsResp = await this.getAll();
+          if (!allObjectsResp[0]) {
+            return allObjectsResp;
+          }
+
+          const model = await this._syncModel('topicModel', allObjectsResp[2].mrJson);
+          const { topics, documents } = model.clusters(options);
+          return this._createSuccess(
+            `Clustered ${documents.length} interactions into ${topics.length} topics`,
+            { topics, interactions: documents }
+          );
+        },
+        this.cacheTimeouts.topics || 600000,
+        [this._cacheKeys.container]
+      );
+    } catch (error) {
+      return this._createError(
+        `Error clustering topics: ${error.message}`,
+        error,
+        500
+      );
+    } finally {
+      tracking.end();
+    }
+  }
     
   /**
-   * Finds similar interactions based on content analysis
+   * Gets the vectors interactions are compared with: embeddings when an embedder is configured, TF-IDF weights
+   * against all interactions otherwise
+   * @private
+   * @param {Array} interactions - All interactions
+   * @returns {Promise<Object>} { vector(name), embed(text) }
+   */
+  async _similarityVectors(interactions) {
+    if (this.embedder) {
+      const index = await this._syncModel('vectorIndex', interactions);
+      return { vector: name => index.vector(name), embed: text => index.embed(text) };
+    }
+    const model = await this._syncModel('topicModel', interactions);
+    return { vector: name => model.vector(name), embed: async text => model.vectorize(text) };
+  }
+
+  /**
+   * Adds the metadata of each similar interaction to its score
+   * @private
+   * @param {Array} results - Results of rankBySimilarity
+   * @param {Array} interactions - All interactions
+   * @returns {Array} Results as { name, score, metadata }
+   */
+  _similarityResults(results, interactions) {
+    const byName = new Map(interactions.map(interaction => [interaction.name, interaction]));
+    return results.map(({ name, score }) => {
+      const other = byName.get(name);
+      return {
+        name,
+        score,
+        metadata: {
+          content_type: other.content_type,
+          file_size: other.file_size,
+          reading_time: other.reading_time,
+          linked_companies: linkNames(other.linked_companies)
+        }
+      };
+    });
+  }
+
+  /**
+   * Finds the interactions whose content is most like an interaction's, by cosine similarity of their
+   * embeddings when an embedder is configured and of their TF-IDF vectors otherwise
    * @param {string} name - Name of the base interaction
-   * @returns {Promise<Array>} Similar interactions
+   * @param {Object} [options] - Similarity options
+   * @param {Number} [options.k=5] - Maximum number of results, 0 for all
+   * @param {Number} [options.threshold=0] - Lowest similarity kept, from 0 to 1
+   * @param {Boolean} [options.sameCompany=false] - Only compare with interactions sharing a linked company
+   * @returns {Promise<Array>} Similar interactions as { name, score, metadata }, most similar first
    */
-  async findSimilar(name) {
+  async findSimilar(name, { k = 5, threshold = 0, sameCompany = false } = {}) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'findSimilar') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'findSimilar') : 
       { end: () => {} };
     
     try {
@@ -376,7 +1109,7 @@ export class Interactions extends BaseObjects {
       if (validationError) return validationError;
       
       // Use cache for similarity results
-      const similarCacheKey = `${this._cacheKeys.similar}_${name}`;
+      const similarCacheKey = `${this._cacheKeys.similar}_${name}_${k}_${threshold}_${sameCompany}`;
       
       return await this.cache.getOrFetch(
         similarCacheKey,
@@ -394,62 +1127,24 @@ export class Interactions extends BaseObjects {
           if (!allObjectsResp[0]) {
             return allObjectsResp;
           }
+          const allObjects = allObjectsResp[2].mrJson;
           
-          // Filter out the current interaction
-          const otherInteractions = allObjectsResp[2].mrJson.filter(i => i.name !== name);
-          
-          // Compare by metadata similarity
-          const similarities = otherInteractions.map(other => {
-            let score = 0;
-                  
-            // Content type match
-            if (other.content_type === interaction.content_type) score += 1;
-                  
-            // Similar length
-            const sizeDiff = Math.abs(
-              (other.file_size || 0) - (interaction.file_size || 0)
-            ) / Math.max(other.file_size || 1, interaction.file_size || 1);
-            score += (1 - sizeDiff);
-                  
-            // Similar reading time
-            if (other.reading_time && interaction.reading_time) {
-              const timeDiff = Math.abs(other.reading_time - interaction.reading_time) / 
-                          Math.max(other.reading_time, interaction.reading_time);
-              score += (1 - timeDiff);
-            }
-                  
-            // Same company
-            if (other.linked_companies && interaction.linked_companies) {
-              const otherCompanies = Object.keys(other.linked_companies);
-              const thisCompanies = Object.keys(interaction.linked_companies);
-                      
-              for (const company of thisCompanies) {
-                if (otherCompanies.includes(company)) {
-                  score += 2;
-                  break;
-                }
-              }
-            }
-                  
-            return {
-              name: other.name,
-              score,
-              metadata: {
-                content_type: other.content_type,
-                file_size: other.file_size,
-                reading_time: other.reading_time
-              }
-            };
-          });
-          
-          // Sort by score and take top 5
-          const topSimilar = similarities
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 5);
+          // Compare with every other interaction, or those of the same companies
+          const companies = Object.keys(interaction.linked_companies || {});
+          const others = allObjects.filter(other => other.name !== interaction.name &&
+            (!sameCompany || Object.keys(other.linked_companies || {}).some(company => companies.includes(company)))
+          );
+
+          const vectors = await this._similarityVectors(allObjects);
+          const results = rankBySimilarity(
+            vectors.vector(interaction.name),
+            others.map(other => [other.name, vectors.vector(other.name)]),
+            { k, threshold }
+          );
                   
           return this._createSuccess(
-            `Found similar interactions for [${name}]`,
-            topSimilar
+            `Found ${results.length} similar interactions for [${name}]`,
+            this._similarityResults(results, allObjects)
           );
         },
         this.cacheTimeouts.similar || 600000,
@@ -468,6 +1163,55 @@ export class Interactions extends BaseObjects {
       tracking.end();
     }
   }
+
+  /**
+   * Finds the interactions whose content is most like a text, e.g. a paragraph from a competitor's site
+   * @param {string} text - Text to compare with
+   * @param {Object} [options] - Similarity options
+   * @param {Number} [options.k=5] - Maximum number of results, 0 for all
+   * @param {Number} [options.threshold=0] - Lowest similarity kept, from 0 to 1
+   * @returns {Promise<Array>} Similar interactions as { name, score, metadata }, most similar first
+   */
+  async findSimilarToText(text, { k = 5, threshold = 0 } = {}) {
+    // Track this operation
+    const tracking = this.logger.trackOperation(this.objType, 'findSimilarToText');
+
+    try {
+      // Validate parameter
+      const validationError = this._validateParams(
+        { text },
+        { text: 'string' }
+      );
+
+      if (validationError) return validationError;
+
+      const allObjectsResp = await this.getAll();
+      if (!allObjectsResp[0]) {
+        return allObjectsResp;
+      }
+      const allObjects = allObjectsResp[2].mrJson;
+
+      const vectors = await this._similarityVectors(allObjects);
+      const results = rankBySimilarity(
+        await vectors.embed(text),
+        allObjects.map(interaction => [interaction.name, vectors.vector(interaction.name)]),
+        { k, threshold }
+      );
+
+      return this._createSuccess(
+        `Found ${results.length} interactions similar to the text`,
+        this._similarityResults(results, allObjects)
+      );
+    } catch (error) {
+      return this._createError(
+        `Error finding similar interactions: ${error.message}`,
+        error,
+        500
+      );
+    } finally {
+      tracking.end();
+    }
+  }
   
   /**
    * Group interactions by common attributes
@@ -476,8 +1220,8 @@ export class Interactions extends BaseObjects {
    */
   async groupBy(attribute) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'groupBy') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'groupBy') : 
       { end: () => {} };
     
     try {
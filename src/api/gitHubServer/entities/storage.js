@@ -10,7 +10,6 @@
  */
 
 import { BaseObjects } from '../baseObjects.js';
-import { logger } from '../logger.js';
 
 export class Storage extends BaseObjects {
   /**
@@ -18,9 +17,10 @@ export class Storage extends BaseObjects {
    * @param {string} token - GitHub API token
    * @param {string} org - GitHub organization name
    * @param {string} processName - Process name for locking
+   * @param {Object} [options] - Optional settings, see BaseObjects
    */
-  constructor(token, org, processName) {
-    super(token, org, processName, 'Storage');
+  constructor(token, org, processName, options = {}) {
+    super(token, org, processName, 'Storage', options);
     
     // Add storage-specific cache keys
     this._cacheKeys.storageBilling = 'storage_billing';
@@ -48,8 +48,8 @@ export class Storage extends BaseObjects {
    */
   async getRepoSize() {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getRepoSize') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getRepoSize') : 
       { end: () => {} };
     
     try {
@@ -73,12 +73,12 @@ export class Storage extends BaseObjects {
             } 
             // Try to use getRepoSize (older method name) as fallback
             else if (typeof this.serverCtl.getRepoSize === 'function') {
-              logger.info('Using legacy getRepoSize method');
+              this.logger.info('Using legacy getRepoSize method');
               return await this.serverCtl.getRepoSize();
             }
             // If neither method exists, provide a fallback response
             else {
-              logger.warn('Repository size methods not implemented in github.js, using fallback');
+              this.logger.warn('Repository size methods not implemented in github.js, using fallback');
               
               return this._createSuccess(
                 'Repository size functionality not fully implemented',
@@ -90,7 +90,7 @@ export class Storage extends BaseObjects {
             }
           } catch (error) {
             // Handle any unexpected errors
-            logger.error('Failed to retrieve repository size', error);
+            this.logger.error('Failed to retrieve repository size', error);
             throw error; // Re-throw to be caught by outer try-catch
           }
         },
@@ -114,8 +114,8 @@ export class Storage extends BaseObjects {
    */
   async getStorageBilling() {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getStorageBilling') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getStorageBilling') : 
       { end: () => {} };
     
     try {
@@ -128,7 +128,7 @@ export class Storage extends BaseObjects {
               return await this.serverCtl.getStorageBillings();
             } else {
               // Provide fallback mock data
-              logger.warn('getStorageBillings not implemented in github.js, using fallback');
+              this.logger.warn('getStorageBillings not implemented in github.js, using fallback');
               return this._createSuccess(
                 'Storage billing functionality not fully implemented',
                 {
@@ -140,7 +140,7 @@ export class Storage extends BaseObjects {
               );
             }
           } catch (error) {
-            logger.error('Failed to retrieve storage billing', error);
+            this.logger.error('Failed to retrieve storage billing', error);
             throw error;
           }
         },
@@ -164,8 +164,8 @@ export class Storage extends BaseObjects {
    */
   async getStorageByContainer() {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getStorageByContainer') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getStorageByContainer') : 
       { end: () => {} };
     
     try {
@@ -183,7 +183,7 @@ export class Storage extends BaseObjects {
             for (const container of containers) {
               // Skip if no object file for this container
               if (!this.objectFiles[container]) {
-                logger.debug(`Skipping container ${container} - no object file defined`);
+                this.logger.debug(`Skipping container ${container} - no object file defined`);
                 continue;
               }
                 
@@ -199,12 +199,13 @@ export class Storage extends BaseObjects {
                 this.serverCtl.token,
                 this.serverCtl.orgName,
                 'storage-analyzer',
-                container
+                container,
+                this._sharedOptions()
               );
                 
               const objectsResp = await containerClass.getAll();
               if (!objectsResp[0]) {
-                logger.warn(`Failed to get objects for ${container}: ${objectsResp[1]?.status_msg}`);
+                this.logger.warn(`Failed to get objects for ${container}: ${objectsResp[1]?.status_msg}`);
                 continue;
               }
                 
@@ -253,7 +254,7 @@ export class Storage extends BaseObjects {
                   }
                 }
               } catch (err) {
-                logger.error(`Error getting size for ${container}:`, err);
+                this.logger.error(`Error getting size for ${container}:`, err);
               }
             }
             
@@ -284,8 +285,8 @@ export class Storage extends BaseObjects {
    */
   async getStorageTrends(days = 30) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getStorageTrends') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getStorageTrends') : 
       { end: () => {} };
     
     // Validate parameters
@@ -323,7 +324,7 @@ export class Storage extends BaseObjects {
                   sizeByDate[date] = sizeResp[2];
                 }
               } catch (err) {
-                logger.error(`Error getting size at commit ${commit.sha}:`, err);
+                this.logger.error(`Error getting size at commit ${commit.sha}:`, err);
               }
             }
             
@@ -358,8 +359,8 @@ export class Storage extends BaseObjects {
    */
   async getQuota() {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getQuota') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getQuota') : 
       { end: () => {} };
     
     try {
@@ -422,8 +423,8 @@ export class Storage extends BaseObjects {
    */
   async getDiskUsageAnalytics() {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getDiskUsageAnalytics') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getDiskUsageAnalytics') : 
       { end: () => {} };
     
     try {
@@ -517,7 +518,7 @@ export class Storage extends BaseObjects {
                 };
               }
             } catch (err) {
-              logger.warn('Failed to calculate growth projections', err);
+              this.logger.warn('Failed to calculate growth projections', err);
             }
             
             return this._createSuccess(
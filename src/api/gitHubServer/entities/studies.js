@@ -9,7 +9,9 @@
  */
 
 import { BaseObjects } from '../baseObjects.js';
-import { logger } from '../logger.js';
+import { Interactions } from './interactions.js';
+import { aggregateTopics } from '../topics.js';
+import { withLink, findLinked } from '../ids.js';
 
 export class Studies extends BaseObjects {
   /**
@@ -17,9 +19,10 @@ export class Studies extends BaseObjects {
    * @param {string} token - GitHub API token
    * @param {string} org - GitHub organization name
    * @param {string} processName - Process name for locking
+   * @param {Object} [options] - Optional settings, see BaseObjects
    */
-  constructor(token, org, processName) {
-    super(token, org, processName, 'Studies');
+  constructor(token, org, processName, options = {}) {
+    super(token, org, processName, 'Studies', options);
     
     // Add studies-specific cache keys
     this._cacheKeys.byStatus = `${this.objType}_byStatus`;
@@ -35,8 +38,8 @@ export class Studies extends BaseObjects {
    */
   async deleteObj(objName) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'deleteObj') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'deleteObj') : 
       { end: () => {} };
     
     try {
@@ -53,66 +56,17 @@ export class Studies extends BaseObjects {
         to: ['Companies', 'Interactions']
       };
       
-      return await this._executeTransaction([
-        // Step 1: Catch containers
-        async () => {
-          let repoMetadata = {
-            containers: {
-              Studies: {},
-              Companies: {},
-              Interactions: {}
-            }, 
-            branch: {}
-          };
-          return this.serverCtl.catchContainer(repoMetadata);
-        },
-              
-        // Step 2: Get study info
-        async (data) => {
-          const studyObj = await this.findByX('name', objName, data.containers.Studies.objects);
-          if (!studyObj[0]) {
-            return studyObj; // Will abort transaction
-          }
-                  
-          // Store linked objects for later steps
-          this._tempStudy = studyObj[2][0];
-          return this._createSuccess('Found study');
-        },
-              
-        // Step 3: Delete study
-        async (data) => {
-          const deleteResult = await this.serverCtl.deleteObject(
-            objName, 
-            source, 
-            data, 
-            false
-          );
-                  
-          if (!deleteResult[0]) {
-            return deleteResult; // Will abort transaction
-          }
-                  
-          return this._createSuccess('Deleted study object');
-        },
-              
-        // Step 4: Release containers
-        async (data) => {
-          const result = await this.serverCtl.releaseContainer(data);
-          if (result[0]) {
-            // Invalidate all related caches
-            this._invalidateCache();
-            
-            // Also invalidate related entities' caches
-            this.cache.invalidate('container_Companies');
-            this.cache.invalidate('container_Interactions');
-            if (this.serverCtl.invalidateCache) {
-              this.serverCtl.invalidateCache('container_Companies');
-              this.serverCtl.invalidateCache('container_Interactions');
-            }
-          }
-          return result;
-        }
-      ], `delete-study-${objName}`);
+      // One atomic commit removes the study and the references to it, or moves it to the trash
+      const result = await super.deleteObj(objName, source);
+      if (result[0]) {
+        // Invalidate all related caches
+        this._invalidateCache();
+        
+        // Also invalidate related entities' caches
+        this._invalidateCache('Companies');
+        this._invalidateCache('Interactions');
+      }
+      return result;
     } finally {
       tracking.end();
     }
@@ -125,8 +79,8 @@ export class Studies extends BaseObjects {
    */
   async findByStatus(status) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'findByStatus') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'findByStatus') : 
       { end: () => {} };
     
     try {
@@ -159,8 +113,8 @@ export class Studies extends BaseObjects {
    */
   async findByAccess(isPublic) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'findByAccess') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'findByAccess') : 
       { end: () => {} };
     
     try {
@@ -190,8 +144,8 @@ export class Studies extends BaseObjects {
    */
   async findByGroup(group) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'findByGroup') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'findByGroup') : 
       { end: () => {} };
     
     try {
@@ -258,8 +212,8 @@ export class Studies extends BaseObjects {
    */
   async addToStudy(studyName, entityType, entityName) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'addToStudy') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'addToStudy') : 
       { end: () => {} };
     
     try {
@@ -284,165 +238,55 @@ export class Studies extends BaseObjects {
         );
       }
       
-      return await this._executeTransaction([
-        // Step 1: Catch containers
-        async () => {
-          let repoMetadata = {
-            containers: {
-              Studies: {},
-              [entityType]: {}
-            }, 
-            branch: {}
-          };
-          return this.serverCtl.catchContainer(repoMetadata);
-        },
-              
-        // Step 2: Find study and entity
-        async (data) => {
-          // Find study
-          const studyResp = await this.findByX('name', studyName, data.containers.Studies.objects);
-          if (!studyResp[0]) {
-            return studyResp;
+      // Link both sides in one atomic commit
+      const studiesPath = `Studies/${this.objectFiles.Studies}`;
+      const entityPath = `${entityType}/${this.objectFiles[entityType]}`;
+      const result = await this.serverCtl.commitChanges(
+        `Added [${entityType}] object [${entityName}] to study [${studyName}]`,
+        async (commit) => {
+          const studies = await commit.readJson(studiesPath) || [];
+          const entities = await commit.readJson(entityPath) || [];
+
+          // Find study and entity, objects in the trash are left alone
+          const study = studies.find(obj => obj.name === studyName && !obj.deleted_at);
+          if (!study) {
+            return this._createError(`Studies with name [${studyName}] not found`, null, 404);
           }
-                  
-          // Find entity
-          const entityClass = new BaseObjects(
-            this.serverCtl.token,
-            this.serverCtl.orgName,
-            'study-manager',
-            entityType
-          );
-                  
-          const entityResp = await entityClass.findByX(
-            'name', 
-            entityName, 
-            data.containers[entityType].objects
-          );
-                  
-          if (!entityResp[0]) {
+          const entity = entities.find(obj => obj.name === entityName && !obj.deleted_at);
+          if (!entity) {
             return this._createError(
               `${entityType} with name [${entityName}] not found`,
               null,
               404
             );
           }
-                  
-          // Store for next step
-          this._tempStudy = studyResp[2][0];
-          this._tempEntity = entityResp[2][0];
-          return this._createSuccess('Found study and entity');
-        },
-              
-        // Step 3: Update study
-        async (data) => {
-          // Initialize linked entities field if needed
-          const fieldName = `linked_${entityType.toLowerCase()}`;
-          if (!this._tempStudy[fieldName]) {
-            this._tempStudy[fieldName] = {};
-          }
-                  
+
+          const now = new Date().toISOString();
+
           // Add entity to study
-          this._tempStudy[fieldName][entityName] = {
-            linked_date: new Date().toISOString()
-          };
-                  
-          // Update study modification date
-          this._tempStudy.modification_date = new Date().toISOString();
-                  
-          // Update the study object in the container
-          for (let i = 0; i < data.containers.Studies.objects.length; i++) {
-            if (data.containers.Studies.objects[i].name === studyName) {
-              data.containers.Studies.objects[i] = this._tempStudy;
-              break;
-            }
-          }
-                  
-          return this._createSuccess('Updated study with link to entity');
-        },
-              
-        // Step 4: Update entity to reference study
-        async (data) => {
-          // Add study reference to entity
-          const fieldName = 'linked_studies';
-          if (!this._tempEntity[fieldName]) {
-            this._tempEntity[fieldName] = {};
-          }
-                  
+          const fieldName = `linked_${entityType.toLowerCase()}`;
+          study[fieldName] = withLink(study[fieldName], entity, now);
+          study.modification_date = now;
+
           // Add study to entity
-          this._tempEntity[fieldName][studyName] = {
-            linked_date: new Date().toISOString()
-          };
-                  
-          // Update entity modification date
-          this._tempEntity.modification_date = new Date().toISOString();
-                  
-          // Update the entity object in the container
-          for (let i = 0; i < data.containers[entityType].objects.length; i++) {
-            if (data.containers[entityType].objects[i].name === entityName) {
-              data.containers[entityType].objects[i] = this._tempEntity;
-              break;
-            }
-          }
-                  
-          return this._createSuccess('Updated entity with link to study');
-        },
-              
-        // Step 5: Write study container
-        async (data) => {
-          const studySha = await this.serverCtl.getSha(
-            'Studies', 
-            this.objectFiles.Studies, 
-            data.branch.name
-          );
-                  
-          if (!studySha[0]) {
-            return studySha;
-          }
-                  
-          return await this.serverCtl.writeObject(
-            'Studies',
-            data.containers.Studies.objects,
-            data.branch.name,
-            studySha[2]
-          );
+          entity.linked_studies = withLink(entity.linked_studies, study, now);
+          entity.modification_date = now;
+
+          commit.writeJson(studiesPath, studies);
+          commit.writeJson(entityPath, entities);
+          return this._createSuccess('Linked study and entity', { study, entity });
         },
-              
-        // Step 6: Write entity container
-        async (data) => {
-          const entitySha = await this.serverCtl.getSha(
-            entityType, 
-            this.objectFiles[entityType], 
-            data.branch.name
-          );
-                  
-          if (!entitySha[0]) {
-            return entitySha;
-          }
+        { containers: ['Studies', entityType] }
+      );
+
+      if (result[0]) {
+        // Invalidate related caches
+        this._invalidateCache();
                   
-          return await this.serverCtl.writeObject(
-            entityType,
-            data.containers[entityType].objects,
-            data.branch.name,
-            entitySha[2]
-          );
-        },
-              
-        // Step 7: Release containers
-        async (data) => {
-          const result = await this.serverCtl.releaseContainer(data);
-          if (result[0]) {
-            // Invalidate related caches
-            this._invalidateCache();
-                      
-            // Also invalidate the other entity's cache
-            this.cache.invalidate(`container_${entityType}`);
-            if (this.serverCtl.invalidateCache) {
-              this.serverCtl.invalidateCache(`container_${entityType}`);
-            }
-          }
-          return result;
-        }
-      ], `add-to-study-${studyName}-${entityName}`);
+        // Also invalidate the other entity's cache
+        this._invalidateCache(entityType);
+      }
+      return result;
     } catch (error) {
       return this._createError(
         `Error adding entity to study: ${error.message}`,
@@ -461,8 +305,8 @@ export class Studies extends BaseObjects {
    */
   async getStudySummary(studyName) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getStudySummary') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getStudySummary') : 
       { end: () => {} };
     
     try {
@@ -502,6 +346,8 @@ export class Studies extends BaseObjects {
               interactions: {
                 count: study.linked_interactions ? Object.keys(study.linked_interactions).length : 0,
                 byType: {},
+                topics: [],
+                sentiment: null,
                 items: []
               },
               recentActivity: null
@@ -519,7 +365,8 @@ export class Studies extends BaseObjects {
               this.serverCtl.token,
               this.serverCtl.orgName,
               'study-summarizer',
-              'Companies'
+              'Companies',
+              this._sharedOptions()
             );
                   
             const allCompaniesResp = await companiesClass.getAll();
@@ -527,14 +374,14 @@ export class Studies extends BaseObjects {
               const allCompanies = allCompaniesResp[2].mrJson;
                       
               // Find companies linked to this study
-              Object.keys(study.linked_companies).forEach(companyName => {
-                const company = allCompanies.find(c => c.name === companyName);
+              Object.entries(study.linked_companies).forEach(([key, link]) => {
+                const company = findLinked(allCompanies, key, link);
                 if (company) {
                   summary.statistics.companies.items.push({
                     name: company.name,
                     description: company.description,
                     company_type: company.company_type,
-                    linkedDate: study.linked_companies[companyName].linked_date
+                    linkedDate: link.linked_date
                   });
                               
                   // Update recent activity if company was modified more recently
@@ -550,11 +397,11 @@ export class Studies extends BaseObjects {
           
           // If there are linked interactions, get their details
           if (study.linked_interactions && Object.keys(study.linked_interactions).length > 0) {
-            const interactionsClass = new BaseObjects(
+            const interactionsClass = new Interactions(
               this.serverCtl.token,
               this.serverCtl.orgName,
               'study-summarizer',
-              'Interactions'
+              this._sharedOptions()
             );
                   
             const allInteractionsResp = await interactionsClass.getAll();
@@ -562,8 +409,9 @@ export class Studies extends BaseObjects {
               const allInteractions = allInteractionsResp[2].mrJson;
                       
               // Find interactions linked to this study
-              Object.keys(study.linked_interactions).forEach(interactionName => {
-                const interaction = allInteractions.find(i => i.name === interactionName);
+              const topicLists = [];
+              Object.entries(study.linked_interactions).forEach(([key, link]) => {
+                const interaction = findLinked(allInteractions, key, link);
                 if (interaction) {
                   // Track by content type
                   if (interaction.content_type) {
@@ -571,12 +419,13 @@ export class Studies extends BaseObjects {
                       (summary.statistics.interactions.byType[interaction.content_type] || 0) + 1;
                   }
                               
+                  topicLists.push(interaction.topics);
                   summary.statistics.interactions.items.push({
                     name: interaction.name,
                     description: interaction.description,
                     content_type: interaction.content_type,
                     file_size: interaction.file_size,
-                    linkedDate: study.linked_interactions[interactionName].linked_date
+                    linkedDate: link.linked_date
                   });
                               
                   // Update recent activity if interaction was modified more recently
@@ -587,6 +436,17 @@ export class Studies extends BaseObjects {
                   }
                 }
               });
+
+              // Topics stored on the interactions by extractTopics, combined
+              summary.statistics.interactions.topics = aggregateTopics(topicLists);
+
+              // Sentiment of the linked interactions and its trend by month
+              const sentimentResp = await interactionsClass.summarizeSentiment(
+                summary.statistics.interactions.items.map(item => item.name)
+              );
+              if (sentimentResp[0]) {
+                summary.statistics.interactions.sentiment = sentimentResp[2];
+              }
             }
           }
           
@@ -620,8 +480,8 @@ export class Studies extends BaseObjects {
    */
   async createStudy(studyData) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'createStudy') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'createStudy') : 
       { end: () => {} };
     
     try {
@@ -643,7 +503,7 @@ export class Studies extends BaseObjects {
       const study = {
         name: studyData.name,
         description: studyData.description || '',
-        status: studyData.status || 'active',
+        status: studyData.status || 'Active',
         public: studyData.public !== undefined ? studyData.public : false,
         groups: Array.isArray(studyData.groups) ? studyData.groups : [],
         creation_date: now,
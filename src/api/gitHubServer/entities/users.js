@@ -9,7 +9,6 @@
  */
 
 import { BaseObjects } from '../baseObjects.js';
-import { logger } from '../logger.js';
 
 export class Users extends BaseObjects {
   /**
@@ -17,9 +16,10 @@ export class Users extends BaseObjects {
    * @param {string} token - GitHub API token
    * @param {string} org - GitHub organization name
    * @param {string} processName - Process name for locking
+   * @param {Object} [options] - Optional settings, see BaseObjects
    */
-  constructor(token, org, processName) {
-    super(token, org, processName, 'Users');
+  constructor(token, org, processName, options = {}) {
+    super(token, org, processName, 'Users', options);
     
     // Add users-specific cache keys
     this._cacheKeys.allUsers = 'all_users';
@@ -41,8 +41,8 @@ export class Users extends BaseObjects {
    */
   async getAll() {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getAll') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getAll') : 
       { end: () => {} };
     
     try {
@@ -69,8 +69,8 @@ export class Users extends BaseObjects {
    */
   async getAuthenticatedUser() {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getAuthenticatedUser') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getAuthenticatedUser') : 
       { end: () => {} };
     
     try {
@@ -98,8 +98,8 @@ export class Users extends BaseObjects {
    */
   async findByLogin(login) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'findByLogin') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'findByLogin') : 
       { end: () => {} };
     
     try {
@@ -159,8 +159,8 @@ export class Users extends BaseObjects {
    */
   async findByRole(role) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'findByRole') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'findByRole') : 
       { end: () => {} };
     
     try {
@@ -221,8 +221,8 @@ export class Users extends BaseObjects {
    */
   async updateUserRole(login, newRole) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'updateUserRole') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'updateUserRole') : 
       { end: () => {} };
     
     try {
@@ -277,8 +277,8 @@ export class Users extends BaseObjects {
    */
   async getUserActivity(login = null) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'getUserActivity') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'getUserActivity') : 
       { end: () => {} };
     
     try {
@@ -360,8 +360,8 @@ export class Users extends BaseObjects {
    */
   async inviteUser(email, role = 'member') {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'inviteUser') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'inviteUser') : 
       { end: () => {} };
     
     try {
@@ -415,8 +415,8 @@ export class Users extends BaseObjects {
    */
   async removeUser(login) {
     // Track this operation
-    const tracking = logger.trackOperation ? 
-      logger.trackOperation(this.objType, 'removeUser') : 
+    const tracking = this.logger.trackOperation ? 
+      this.logger.trackOperation(this.objType, 'removeUser') : 
       { end: () => {} };
     
     try {
@@ -0,0 +1,603 @@
+/**
+ * @fileoverview Text extraction for interaction files, turning PDF, DOCX, PPTX, HTML, CSV and text files into
+ * plain text plus their structure
+ * @file extractors.js
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ *
+ * Every extractor resolves to a document of the same shape:
+ * { text, pages: [{ number, text }], headings: [{ level, text }], slides: [{ number, title, text }],
+ *   tables: [{ rows: [[cell]] }], metadata: {} }
+ */
+
+import { unzipSync, strFromU8 } from 'fflate';
+import { tokenize } from './text.js';
+
+/**
+ * Content types by file extension, the values are those of the Interactions schema
+ */
+export const CONTENT_TYPES = {
+  pdf: 'PDF',
+  doc: 'DOC',
+  docx: 'DOCX',
+  txt: 'TXT',
+  md: 'TXT',
+  htm: 'HTML',
+  html: 'HTML',
+  ppt: 'PPT',
+  pptx: 'PPTX',
+  xls: 'XLS',
+  xlsx: 'XLSX',
+  csv: 'CSV',
+  mp3: 'MP3',
+  m4a: 'M4A',
+  mp4: 'MP4',
+  wav: 'WAV'
+};
+
+/**
+ * Gets the content type of a file from its extension
+ * @param {String} fileName - File name or path
+ * @returns {String|null} Content type, e.g. PDF, or null when unknown
+ */
+export const contentTypeFromName = (fileName) => {
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  return CONTENT_TYPES[extension] || null;
+};
+
+const createDocument = (fields = {}) => ({
+  text: '',
+  pages: [],
+  headings: [],
+  slides: [],
+  tables: [],
+  metadata: {},
+  ...fields
+});
+
+const unsupported = (message) => {
+  const err = new Error(message);
+  err.status = 415;
+  return err;
+};
+
+/**
+ * MIME types by content type
+ */
+export const MIME_TYPES = {
+  PDF: 'application/pdf',
+  DOC: 'application/msword',
+  DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  TXT: 'text/plain',
+  HTML: 'text/html',
+  PPT: 'application/vnd.ms-powerpoint',
+  PPTX: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  XLS: 'application/vnd.ms-excel',
+  XLSX: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  CSV: 'text/csv',
+  MP3: 'audio/mpeg',
+  M4A: 'audio/mp4',
+  MP4: 'video/mp4',
+  WAV: 'audio/wav'
+};
+
+// Signature of OLE compound files, the container of the legacy Office formats
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+/**
+ * Detects the type of a file from its leading bytes. The extension only settles what the bytes cannot tell
+ * apart, such as CSV from other text or the legacy Office formats from each other.
+ * @param {Buffer} buffer - File content
+ * @param {String} [fileName] - File name
+ * @returns {Object} { contentType, mimeType }
+ * @throws {Error} With status 415 for binary files of an unknown type
+ */
+export const detectContentType = (buffer, fileName) => {
+  const fromName = contentTypeFromName(fileName);
+  let contentType = null;
+
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    contentType = 'PDF';
+  } else if (buffer.subarray(0, 4).equals(Buffer.from('PK\x03\x04', 'latin1'))) {
+    // Office Open XML packages are zip files told apart by their top folder
+    const names = [];
+    try {
+      unzipSync(new Uint8Array(buffer), {
+        filter: file => {
+          names.push(file.name);
+          return false;
+        }
+      });
+    } catch (err) {
+      throw unsupported(`Unable to read the zip file [${fileName || 'buffer'}]: ${err.message}`);
+    }
+    const folders = { 'word/': 'DOCX', 'ppt/': 'PPTX', 'xl/': 'XLSX' };
+    const folder = Object.keys(folders).find(prefix => names.some(name => name.startsWith(prefix)));
+    contentType = folder ? folders[folder] : null;
+  } else if (buffer.subarray(0, 8).equals(OLE_SIGNATURE)) {
+    contentType = ['DOC', 'PPT', 'XLS'].includes(fromName) ? fromName : 'DOC';
+  } else if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WAVE') {
+    contentType = 'WAV';
+  } else if (buffer.subarray(4, 8).toString('latin1') === 'ftyp') {
+    // ISO base media files, the brand that follows ftyp tells audio only M4A from video
+    contentType = buffer.subarray(8, 11).toString('latin1') === 'M4A' || fromName === 'M4A' ? 'M4A' : 'MP4';
+  } else if (
+    // MPEG audio starts with an ID3 tag or the sync word of a layer III frame
+    buffer.subarray(0, 3).toString('latin1') === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe6) === 0xe2)
+  ) {
+    contentType = 'MP3';
+  } else if (!buffer.subarray(0, 8000).includes(0)) {
+    const start = buffer.subarray(0, 1024).toString('utf-8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    if (start.startsWith('<!doctype html') || start.startsWith('<html')) contentType = 'HTML';
+    else contentType = ['CSV', 'HTML'].includes(fromName) ? fromName : 'TXT';
+  }
+
+  if (!contentType) {
+    throw unsupported(`The type of [${fileName || 'buffer'}] is not supported`);
+  }
+  return { contentType, mimeType: MIME_TYPES[contentType] };
+};
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', copy: '©', reg: '®', trade: '™', euro: '€'
+};
+
+/**
+ * Decodes XML and HTML character references
+ * @param {String} text - Encoded text
+ * @returns {String} Decoded text
+ */
+export const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]*>/g, ''));
+
+const tidy = (text) => text
+  .split('\n')
+  .map(line => line.replace(/[ \u00A0]+/g, ' ').replace(/ ?\t ?/g, '\t').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const tableText = (rows) => rows.map(row => row.join('\t')).join('\n');
+
+/**
+ * Parses CSV as described in RFC 4180: quoted fields may hold commas, quotes and line breaks
+ * @param {String} text - CSV text
+ * @param {Object} [options] - Parser options
+ * @param {String} [options.delimiter=','] - Field delimiter
+ * @returns {Array<Array<String>>} Rows of fields
+ */
+export const parseCsv = (text, { delimiter = ',' } = {}) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Extracts plain text files
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Object>} Document
+ */
+export const extractPlainText = async (buffer) => {
+  const text = buffer.toString('utf-8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  return createDocument({ text, pages: [{ number: 1, text }] });
+};
+
+/**
+ * Extracts CSV files as a single table
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Object>} Document
+ */
+export const extractCsv = async (buffer) => {
+  const rows = parseCsv(buffer.toString('utf-8'));
+  const text = tableText(rows);
+  return createDocument({ text, pages: [{ number: 1, text }], tables: [{ rows }] });
+};
+
+/**
+ * Extracts HTML pages, leaving out scripts, styles and markup
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Object>} Document
+ */
+export const extractHtml = async (buffer) => {
+  let html = buffer.toString('utf-8')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1>/gi, '');
+
+  const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+  html = html.replace(/<head\b[\s\S]*?<\/head>/i, '');
+
+  const headings = [...html.matchAll(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi)]
+    .map(([, level, content]) => ({ level: Number(level), text: tidy(stripTags(content)) }))
+    .filter(heading => heading.text);
+
+  const tables = [...html.matchAll(/<table\b[\s\S]*?<\/table>/gi)].map(([table]) => ({
+    rows: [...table.matchAll(/<tr\b[\s\S]*?<\/tr>/gi)].map(([row]) =>
+      [...row.matchAll(/<t[hd]\b[^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(([, cell]) => tidy(stripTags(cell)))
+    )
+  }));
+
+  const text = tidy(stripTags(html
+    .replace(/<\/t[hd]>/gi, '\t')
+    .replace(/<\/tr>/gi, '\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|header|footer|main|aside|nav|li|ul|ol|table|h[1-6]|blockquote|pre|dt|dd)\b[^>]*>/gi, '\n')
+  ));
+
+  return createDocument({
+    text,
+    pages: [{ number: 1, text }],
+    headings,
+    tables,
+    metadata: title ? { title: tidy(stripTags(title[1])) } : {}
+  });
+};
+
+/**
+ * Reads the entries of an Office Open XML package
+ * @param {Buffer} buffer - File content
+ * @param {String} format - Format name for errors
+ * @returns {Object} Entries by path, decoded as text
+ */
+export const readPackage = (buffer, format) => {
+  let entries;
+  try {
+    entries = unzipSync(new Uint8Array(buffer), { filter: file => file.name.endsWith('.xml') || file.name.endsWith('.rels') });
+  } catch (err) {
+    throw unsupported(`Unable to read the ${format} file: ${err.message}`);
+  }
+  return Object.fromEntries(Object.entries(entries).map(([name, data]) => [name, strFromU8(data)]));
+};
+
+// Text of Word paragraph runs, with tabs and line breaks, reporting page breaks through onPageBreak
+const wordRunsText = (xml, onPageBreak = text => text) => {
+  let text = '';
+  const runs = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br([^>]*)\/>|<w:lastRenderedPageBreak\/>/g;
+  for (const [token, content, brAttributes] of xml.matchAll(runs)) {
+    if (content !== undefined) text += decodeEntities(content);
+    else if (token === '<w:tab/>') text += '\t';
+    else if (token === '<w:lastRenderedPageBreak/>' || /w:type="page"/.test(brAttributes)) text = onPageBreak(text);
+    else text += '\n';
+  }
+  return text;
+};
+
+/**
+ * Extracts Word documents: paragraphs, headings from the Title and Heading styles, tables, and pages from the
+ * page breaks Word recorded when it last laid the document out
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Object>} Document
+ */
+export const extractDocx = async (buffer) => {
+  const entries = readPackage(buffer, 'DOCX');
+  const documentXml = entries['word/document.xml'];
+  if (!documentXml) throw unsupported('The DOCX file has no word/document.xml');
+
+  const pages = [];
+  let page = [];
+  const headings = [];
+  const tables = [];
+  const breakPage = (before) => {
+    page.push(before);
+    pages.push(page.join('\n'));
+    page = [];
+    return '';
+  };
+
+  const blocks = /<w:tbl>[\s\S]*?<\/w:tbl>|<w:p[ >][\s\S]*?<\/w:p>/g;
+  for (const [block] of documentXml.matchAll(blocks)) {
+    if (block.startsWith('<w:tbl>')) {
+      const rows = [...block.matchAll(/<w:tr[ >][\s\S]*?<\/w:tr>/g)].map(([row]) =>
+        [...row.matchAll(/<w:tc>[\s\S]*?<\/w:tc>/g)].map(([cell]) =>
+          [...cell.matchAll(/<w:p[ >][\s\S]*?<\/w:p>/g)].map(([p]) => wordRunsText(p)).join('\n').trim()
+        )
+      );
+      tables.push({ rows });
+      page.push(tableText(rows));
+      continue;
+    }
+
+    const text = wordRunsText(block, breakPage);
+    const style = /<w:pStyle w:val="([^"]+)"/.exec(block)?.[1] || '';
+    const outline = /<w:outlineLvl w:val="(\d)"/.exec(block)?.[1];
+    const level = style === 'Title' ? 1 : /^Heading(\d)$/i.test(style) ? Number(style.slice(7)) :
+      outline !== undefined ? Number(outline) + 1 : 0;
+    if (level > 0 && text.trim()) headings.push({ level, text: text.trim() });
+    page.push(text);
+  }
+  pages.push(page.join('\n'));
+
+  const documentPages = pages
+    .map(pageText => tidy(pageText))
+    .filter((pageText, i) => pageText || i === 0)
+    .map((pageText, i) => ({ number: i + 1, text: pageText }));
+  const app = entries['docProps/app.xml'] || '';
+  const core = entries['docProps/core.xml'] || '';
+  const reportedPages = Number(/<Pages>(\d+)<\/Pages>/.exec(app)?.[1]);
+  const title = /<dc:title>([^<]*)<\/dc:title>/.exec(core)?.[1];
+
+  return createDocument({
+    text: documentPages.map(({ text }) => text).join('\n\n'),
+    pages: documentPages,
+    headings,
+    tables,
+    metadata: {
+      ...(title ? { title: decodeEntities(title) } : {}),
+      ...(reportedPages > 0 ? { pageCount: reportedPages } : {})
+    }
+  });
+};
+
+// Text of DrawingML paragraphs, one line per paragraph
+const drawingText = (xml) =>
+  [...xml.matchAll(/<a:p>[\s\S]*?<\/a:p>|<a:p\/>/g)].map(([paragraph]) =>
+    [...paragraph.matchAll(/<a:t>([^<]*)<\/a:t>|<a:br\/>/g)]
+      .map(([, content]) => (content !== undefined ? decodeEntities(content) : '\n'))
+      .join('')
+  ).join('\n');
+
+/**
+ * Gets the slide files of a presentation in presentation order
+ * @param {Object} entries - Package entries
+ * @returns {Array<String>} Slide paths
+ */
+const slideOrder = (entries) => {
+  const byNumber = Object.keys(entries)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => Number(/(\d+)\.xml$/.exec(a)[1]) - Number(/(\d+)\.xml$/.exec(b)[1]));
+
+  const presentation = entries['ppt/presentation.xml'];
+  const rels = entries['ppt/_rels/presentation.xml.rels'];
+  if (!presentation || !rels) return byNumber;
+
+  const targets = Object.fromEntries([...rels.matchAll(/<Relationship [^>]*?Id="([^"]+)"[^>]*?Target="([^"]+)"/g)]
+    .map(([, id, target]) => [id, `ppt/${target.replace(/^\/?ppt\//, '')}`]));
+  const ordered = [...presentation.matchAll(/<p:sldId [^>]*?r:id="([^"]+)"/g)]
+    .map(([, id]) => targets[id])
+    .filter(target => entries[target]);
+  return ordered.length > 0 ? ordered : byNumber;
+};
+
+/**
+ * Extracts PowerPoint presentations: one slide per page with its title, body text and tables
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Object>} Document
+ */
+export const extractPptx = async (buffer) => {
+  const entries = readPackage(buffer, 'PPTX');
+  const paths = slideOrder(entries);
+  if (paths.length === 0 && !entries['ppt/presentation.xml']) throw unsupported('The PPTX file has no presentation');
+
+  const slides = [];
+  const tables = [];
+  paths.forEach((slidePath, i) => {
+    const xml = entries[slidePath];
+    let title = '';
+    const body = [];
+    for (const [shape] of xml.matchAll(/<p:sp>[\s\S]*?<\/p:sp>/g)) {
+      const text = drawingText(shape).trim();
+      if (!text) continue;
+      if (!title && /<p:ph [^>]*type="(ctrTitle|title)"/.test(shape)) title = text.replace(/\n/g, ' ');
+      else body.push(text);
+    }
+    for (const [table] of xml.matchAll(/<a:tbl>[\s\S]*?<\/a:tbl>/g)) {
+      const rows = [...table.matchAll(/<a:tr[ >][\s\S]*?<\/a:tr>/g)].map(([row]) =>
+        [...row.matchAll(/<a:tc[ >][\s\S]*?<\/a:tc>|<a:tc\/>/g)].map(([cell]) => drawingText(cell).trim())
+      );
+      tables.push({ rows, slide: i + 1 });
+      body.push(tableText(rows));
+    }
+    slides.push({ number: i + 1, title, text: tidy(body.join('\n')) });
+  });
+
+  const pages = slides.map(slide => ({
+    number: slide.number,
+    text: [slide.title, slide.text].filter(Boolean).join('\n')
+  }));
+  return createDocument({
+    text: pages.map(({ text }) => text).join('\n\n'),
+    pages,
+    headings: slides.filter(slide => slide.title).map(slide => ({ level: 1, text: slide.title, slide: slide.number })),
+    slides,
+    tables
+  });
+};
+
+/**
+ * Extracts PDF files page by page. Lines set noticeably larger than the body text of their page, and the
+ * document outline when there is one, become headings.
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Object>} Document
+ */
+export const extractPdf = async (buffer) => {
+  // Loaded on first use, pdf.js is large
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+  let pdf;
+  try {
+    pdf = await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      useSystemFonts: true,
+      verbosity: 0
+    }).promise;
+  } catch (err) {
+    throw unsupported(`Unable to read the PDF file: ${err.message}`);
+  }
+
+  try {
+    const pages = [];
+    const headings = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const { items } = await page.getTextContent();
+
+      // Group the text runs into lines
+      const lines = [];
+      let line = null;
+      for (const item of items) {
+        if (!line || item.transform[5] !== line.y) {
+          line = { y: item.transform[5], height: 0, text: '' };
+          lines.push(line);
+        }
+        line.text += item.str;
+        line.height = Math.max(line.height, item.height);
+        if (item.hasEOL) line = null;
+      }
+
+      // The most common line height is the body text
+      const heights = {};
+      lines.filter(l => l.text.trim()).forEach(l => { heights[l.height] = (heights[l.height] || 0) + l.text.length; });
+      const bodyHeight = Number(Object.entries(heights).sort(([, a], [, b]) => b - a)[0]?.[0] || 0);
+      lines
+        .filter(l => l.text.trim() && bodyHeight > 0 && l.height >= bodyHeight * 1.2 && l.text.length <= 120)
+        .forEach(l => headings.push({ level: l.height >= bodyHeight * 1.6 ? 1 : 2, text: l.text.trim(), page: number }));
+
+      pages.push({ number, text: tidy(lines.filter(l => l.text.trim()).map(l => l.text).join('\n')) });
+      page.cleanup();
+    }
+
+    // Prefer the author's outline over the guessed headings
+    const outline = await pdf.getOutline();
+    const flatten = (entries, level) => (entries || []).flatMap(entry =>
+      [{ level, text: entry.title }, ...flatten(entry.items, level + 1)]);
+    const info = (await pdf.getMetadata()).info || {};
+
+    return createDocument({
+      text: pages.map(({ text }) => text).join('\n\n'),
+      pages,
+      headings: outline && outline.length > 0 ? flatten(outline, 1) : headings,
+      metadata: {
+        ...(info.Title ? { title: info.Title } : {}),
+        ...(info.Author ? { author: info.Author } : {}),
+        pageCount: pdf.numPages
+      }
+    });
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+/**
+ * Maps content types to extractors. Each extractor turns file content into a document with its text, pages,
+ * slides, headings, tables and metadata.
+ */
+export class ExtractorRegistry {
+  /**
+   * @constructor
+   * @param {Object} [extractors] - Extractors by content type
+   */
+  constructor(extractors = {}) {
+    this.extractors = new Map();
+    Object.entries(extractors).forEach(([contentType, extractor]) => this.register(contentType, extractor));
+  }
+
+  /**
+   * Adds or replaces the extractor of a content type
+   * @param {String|Array<String>} contentTypes - Content types, e.g. DOCX, matched ignoring case
+   * @param {Function} extractor - Called with the file content as a Buffer and { fileName, contentType },
+   * resolves to a document
+   */
+  register(contentTypes, extractor) {
+    [].concat(contentTypes).forEach(contentType => this.extractors.set(contentType.toUpperCase(), extractor));
+  }
+
+  /**
+   * Checks if a content type can be extracted
+   * @param {String} contentType - Content type
+   * @returns {Boolean} True when an extractor is registered
+   */
+  has(contentType) {
+    return this.extractors.has(String(contentType).toUpperCase());
+  }
+
+  /**
+   * Extracts the text and structure of a file
+   * @param {String} contentType - Content type, guessed from the file name when empty
+   * @param {Buffer|String} content - File content
+   * @param {Object} [options] - Extraction options
+   * @param {String} [options.fileName] - File name, used when the content type is empty
+   * @returns {Promise<Object>} Document, with every field present
+   * @throws {Error} With status 415 when the content type is not supported or the file cannot be read
+   */
+  async extract(contentType, content, { fileName } = {}) {
+    const type = (contentType || contentTypeFromName(fileName) || 'TXT').toUpperCase();
+    const extractor = this.extractors.get(type);
+    if (!extractor) {
+      throw unsupported(`Text extraction is not supported for [${type}] content`);
+    }
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content || '');
+    return createDocument(await extractor(buffer, { fileName, contentType: type }));
+  }
+}
+
+/**
+ * Computes the counts stored on interactions from an extracted document
+ * @param {Object} document - Extracted document
+ * @param {Object} [options] - Options
+ * @param {Number} [options.wordsPerMinute=200] - Reading speed
+ * @returns {Object} { word_count, page_count, reading_time } with the reading time in minutes
+ */
+export const documentStats = (document, { wordsPerMinute = 200 } = {}) => {
+  const wordCount = tokenize(document.text).length;
+  return {
+    word_count: wordCount,
+    page_count: document.metadata.pageCount || document.slides.length || document.pages.length || 1,
+    reading_time: wordCount > 0 ? Math.ceil(wordCount / wordsPerMinute) : 0
+  };
+};
+
+// Create and export the registry with the built-in extractors
+export const extractors = new ExtractorRegistry({
+  TXT: extractPlainText,
+  CSV: extractCsv,
+  HTML: extractHtml,
+  DOCX: extractDocx,
+  PPTX: extractPptx,
+  PDF: extractPdf
+});
\ No newline at end of file
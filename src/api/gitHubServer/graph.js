@@ -0,0 +1,354 @@
+/**
+ * @fileoverview Relationship graph of Studies, Companies and Interactions built from their linked_* fields, with
+ * neighborhood and shortest path queries, orphan detection and GraphML and DOT export
+ * @file graph.js
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+/**
+ * The field of an object of each container that lists the objects it is linked to, by linked container
+ */
+export const LINK_FIELDS = {
+  Studies: { Companies: 'linked_companies', Interactions: 'linked_interactions' },
+  Companies: { Interactions: 'linked_interactions', Studies: 'linked_studies' },
+  Interactions: { Companies: 'linked_companies', Studies: 'linked_studies' }
+};
+
+export const GRAPH_CONTAINERS = Object.keys(LINK_FIELDS);
+
+const DOT_SHAPES = { Studies: 'folder', Companies: 'box', Interactions: 'note' };
+
+/**
+ * Error carrying an HTTP style status like the rest of the SDK
+ * @param {String} message - Error message
+ * @returns {Error} Error with status 400
+ */
+const invalid = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+/**
+ * Id of the node of an object
+ * @param {String} type - Container name
+ * @param {String} name - Object name
+ * @returns {String} Node id as type:name
+ */
+export const nodeId = (type, name) => `${type}:${name}`;
+
+/**
+ * Parses a reference to an object of one of the linked containers
+ * @param {String|Object} ref - type:name, e.g. Companies:Acme, or { type, name }
+ * @returns {Object} { type, name }, an invalid reference throws with status 400
+ */
+export const parseNodeRef = (ref) => {
+  const { type, name } = typeof ref === 'string'
+    ? { type: ref.slice(0, ref.indexOf(':')), name: ref.slice(ref.indexOf(':') + 1) }
+    : ref || {};
+  if (!LINK_FIELDS[type] || typeof name !== 'string' || name === '') {
+    throw invalid(`Invalid node [${typeof ref === 'string' ? ref : JSON.stringify(ref)}], expected type:name or { type, name }`);
+  }
+  return { type, name };
+};
+
+/**
+ * Indexes the names of the objects that are not in the trash by their _id, by container
+ * @param {Object} containers - Objects by container name
+ * @returns {Object} Map of _id to name by container name
+ */
+export const indexIds = (containers) => Object.fromEntries(GRAPH_CONTAINERS.map(type => [
+  type,
+  new Map((containers[type] || [])
+    .filter(obj => obj && obj._id && !obj.deleted_at)
+    .map(obj => [obj._id, obj.name]))
+]));
+
+/**
+ * Reads what a link points to. Links are stored under the _id of the object with its name kept in the link for
+ * display, links written before objects had ids are stored under the name.
+ * @param {String} key - Key the link is stored under
+ * @param {Object|String} link - The link
+ * @returns {Object} { id, name }, id is null for links stored under a name
+ */
+export const linkRef = (key, link) => link && typeof link === 'object' && typeof link.name === 'string' ?
+  { id: key, name: link.name } :
+  { id: null, name: key };
+
+/**
+ * Name of the object a link points to, found by id so a link to an object that was renamed still finds it
+ * @param {Map} ids - Names by _id of the linked container, see indexIds
+ * @param {String} key - Key the link is stored under
+ * @param {Object|String} link - The link
+ * @returns {String} Current name of the object with the link's id, or the name the link has
+ */
+export const linkTarget = (ids, key, link) => {
+  const { id, name } = linkRef(key, link);
+  return (id && ids.get(id)) || name;
+};
+
+/**
+ * Turns a node reference into its id
+ * @param {String|Object} ref - type:name, e.g. Companies:Acme, or { type, name }
+ * @returns {String} Node id
+ */
+const toId = (ref) => {
+  const { type, name } = parseNodeRef(ref);
+  return nodeId(type, name);
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const quoteDot = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+/**
+ * Undirected graph of the links between objects. Links are stored on both of the objects they join, an edge
+ * records which of its nodes declare it so one-sided links can be told apart. Objects that are linked to but
+ * do not exist are kept as nodes marked missing.
+ */
+export class RelationshipGraph {
+  constructor() {
+    // Node id -> { id, type, name, missing }, node id -> Map of neighbor id -> edge, and pair key -> edge
+    this._nodes = new Map();
+    this._adjacency = new Map();
+    this._edges = new Map();
+  }
+
+  /**
+   * Builds the graph from the objects of the containers in one pass, objects in the trash are left out
+   * @param {Object} containers - Objects by container name, e.g. { Studies, Companies, Interactions }
+   * @returns {RelationshipGraph} The graph
+   */
+  static fromContainers(containers) {
+    const graph = new RelationshipGraph();
+    const ids = indexIds(containers);
+    for (const type of GRAPH_CONTAINERS) {
+      for (const obj of containers[type] || []) {
+        if (!obj || typeof obj.name !== 'string' || obj.deleted_at) continue;
+        const id = graph._addNode(type, obj.name, false);
+        for (const [linkedType, field] of Object.entries(LINK_FIELDS[type])) {
+          const links = obj[field];
+          if (!links || typeof links !== 'object') continue;
+          for (const [key, link] of Object.entries(links)) {
+            graph._addEdge(id, graph._addNode(linkedType, linkTarget(ids[linkedType], key, link), true), link);
+          }
+        }
+      }
+    }
+    return graph;
+  }
+
+  /**
+   * Adds a node, an existing node only changes when an object turns up for a missing one
+   * @private
+   */
+  _addNode(type, name, missing) {
+    const id = nodeId(type, name);
+    const node = this._nodes.get(id);
+    if (!node) {
+      this._nodes.set(id, { id, type, name, missing });
+      this._adjacency.set(id, new Map());
+    } else if (!missing) {
+      node.missing = false;
+    }
+    return id;
+  }
+
+  /**
+   * Adds the link declared by a node, or records the declaration on the existing edge
+   * @private
+   */
+  _addEdge(from, to, link) {
+    if (from === to) return;
+    const [source, target] = from < to ? [from, to] : [to, from];
+    const key = `${source}\n${target}`;
+    let edge = this._edges.get(key);
+    if (!edge) {
+      edge = { source, target, declaredBy: [], linked_date: null };
+      this._edges.set(key, edge);
+      this._adjacency.get(source).set(target, edge);
+      this._adjacency.get(target).set(source, edge);
+    }
+    if (!edge.declaredBy.includes(from)) edge.declaredBy.push(from);
+    if (!edge.linked_date && link && typeof link === 'object' && link.linked_date) {
+      edge.linked_date = link.linked_date;
+    }
+  }
+
+  /**
+   * Lists the nodes
+   * @param {Object} [options] - Options
+   * @param {Array<String>} [options.types] - Only nodes of these containers
+   * @returns {Array<Object>} Nodes as { id, type, name, missing }
+   */
+  nodes({ types } = {}) {
+    return [...this._nodes.values()]
+      .filter(node => !types || types.includes(node.type))
+      .map(node => ({ ...node }));
+  }
+
+  /**
+   * Lists the edges
+   * @returns {Array<Object>} Edges as { source, target, declaredBy, linked_date }
+   */
+  edges() {
+    return [...this._edges.values()].map(edge => ({ ...edge, declaredBy: [...edge.declaredBy] }));
+  }
+
+  /**
+   * Gets a node
+   * @param {String|Object} ref - type:name or { type, name }
+   * @returns {Object|null} The node or null when it is not in the graph
+   */
+  getNode(ref) {
+    const node = this._nodes.get(toId(ref));
+    return node ? { ...node } : null;
+  }
+
+  /**
+   * Finds the nodes within a number of links of a node, nearest first
+   * @param {String|Object} ref - type:name or { type, name }
+   * @param {Number} [depth=1] - Number of links to follow
+   * @param {Object} [options] - Options
+   * @param {Array<String>} [options.types] - Only return nodes of these containers, all nodes are traversed
+   * @returns {Array<Object>} Nodes with their distance, the node itself is left out
+   */
+  getNeighbors(ref, depth = 1, { types } = {}) {
+    const start = toId(ref);
+    if (!this._nodes.has(start)) return [];
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw invalid(`Invalid depth [${depth}], expected a positive integer`);
+    }
+
+    const distances = new Map([[start, 0]]);
+    let frontier = [start];
+    for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+      const next = [];
+      for (const id of frontier) {
+        for (const neighbor of this._adjacency.get(id).keys()) {
+          if (distances.has(neighbor)) continue;
+          distances.set(neighbor, distance);
+          next.push(neighbor);
+        }
+      }
+      frontier = next;
+    }
+
+    distances.delete(start);
+    return [...distances]
+      .map(([id, distance]) => ({ ...this._nodes.get(id), distance }))
+      .filter(node => !types || types.includes(node.type))
+      .sort((a, b) => a.distance - b.distance || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Finds the nodes linked to both of two nodes, e.g. the interactions shared by two companies
+   * @param {String|Object} a - type:name or { type, name }
+   * @param {String|Object} b - type:name or { type, name }
+   * @param {Object} [options] - Options
+   * @param {Array<String>} [options.types] - Only nodes of these containers
+   * @returns {Array<Object>} Nodes sorted by id
+   */
+  commonNeighbors(a, b, { types } = {}) {
+    const [first, second] = [toId(a), toId(b)].map(id => this._adjacency.get(id) || new Map());
+    return [...first.keys()]
+      .filter(id => second.has(id))
+      .map(id => ({ ...this._nodes.get(id) }))
+      .filter(node => !types || types.includes(node.type))
+      .sort((x, y) => x.id.localeCompare(y.id));
+  }
+
+  /**
+   * Finds a shortest path between two nodes
+   * @param {String|Object} a - type:name or { type, name }
+   * @param {String|Object} b - type:name or { type, name }
+   * @returns {Array<Object>|null} Nodes from a to b, or null when they are not connected
+   */
+  shortestPath(a, b) {
+    const [start, end] = [toId(a), toId(b)];
+    if (!this._nodes.has(start) || !this._nodes.has(end)) return null;
+
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+    for (let i = 0; i < queue.length && !previous.has(end); i++) {
+      // Visit neighbors in a stable order so equal length paths are chosen the same way every time
+      for (const neighbor of [...this._adjacency.get(queue[i]).keys()].sort()) {
+        if (previous.has(neighbor)) continue;
+        previous.set(neighbor, queue[i]);
+        queue.push(neighbor);
+      }
+    }
+    if (!previous.has(end)) return null;
+
+    const path = [];
+    for (let id = end; id !== null; id = previous.get(id)) {
+      path.unshift({ ...this._nodes.get(id) });
+    }
+    return path;
+  }
+
+  /**
+   * Finds the objects without any link
+   * @param {Object} [options] - Options
+   * @param {Array<String>} [options.types] - Only nodes of these containers
+   * @returns {Array<Object>} Nodes sorted by id
+   */
+  findOrphans({ types } = {}) {
+    return this.nodes({ types })
+      .filter(node => !node.missing && this._adjacency.get(node.id).size === 0)
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Exports the graph as GraphML, nodes carry their type and name and edges their linked_date
+   * @returns {String} GraphML document
+   */
+  toGraphML() {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      '  <key id="type" for="node" attr.name="type" attr.type="string"/>',
+      '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+      '  <key id="missing" for="node" attr.name="missing" attr.type="boolean"/>',
+      '  <key id="linked_date" for="edge" attr.name="linked_date" attr.type="string"/>',
+      '  <graph id="mediumroast" edgedefault="undirected">'
+    ];
+    for (const node of this._nodes.values()) {
+      lines.push(
+        `    <node id="${escapeXml(node.id)}">` +
+        `<data key="type">${escapeXml(node.type)}</data>` +
+        `<data key="name">${escapeXml(node.name)}</data>` +
+        `<data key="missing">${node.missing}</data></node>`
+      );
+    }
+    for (const edge of this._edges.values()) {
+      const data = edge.linked_date ? `<data key="linked_date">${escapeXml(edge.linked_date)}</data>` : '';
+      lines.push(`    <edge source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">${data}</edge>`);
+    }
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Exports the graph in the DOT language of Graphviz, shapes tell the containers apart and missing objects
+   * are dashed
+   * @returns {String} DOT document
+   */
+  toDot() {
+    const lines = ['graph mediumroast {'];
+    for (const node of this._nodes.values()) {
+      const style = node.missing ? ', style=dashed' : '';
+      lines.push(`  ${quoteDot(node.id)} [label=${quoteDot(node.name)}, shape=${DOT_SHAPES[node.type]}${style}];`);
+    }
+    for (const edge of this._edges.values()) {
+      lines.push(`  ${quoteDot(edge.source)} -- ${quoteDot(edge.target)};`);
+    }
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+}
\ No newline at end of file
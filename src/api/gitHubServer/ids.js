@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Stable ids of objects: new ids, lookups by id or name, links stored under the id of the object
+ * they point to, and the migration that back-fills ids in containers written before objects had them
+ * @file ids.js
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+import { randomUUID } from 'crypto';
+import { LINK_FIELDS, GRAPH_CONTAINERS, linkRef } from './graph.js';
+
+/**
+ * Field holding the id of an object, it is set on create and never changes
+ */
+export const ID_FIELD = '_id';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Creates an id for a new object
+ * @returns {String} Random UUID
+ */
+export const newId = () => randomUUID();
+
+/**
+ * Finds an object by id, then by name
+ * @param {Array<Object>} objects - Objects to look in
+ * @param {String} ref - Id or name
+ * @returns {Object|undefined} The object
+ */
+export const findByRef = (objects, ref) =>
+  objects.find(obj => obj[ID_FIELD] === ref) || objects.find(obj => obj.name === ref);
+
+/**
+ * Key of the links to an object, its id or its name when it has none yet
+ * @param {Object} obj - Object linked to
+ * @returns {String} Id or name
+ */
+export const linkKey = (obj) => obj[ID_FIELD] || obj.name;
+
+/**
+ * Creates the link to an object. Links are stored under the id of the object, see linkKey, and keep its name
+ * for display.
+ * @param {Object} linked - Object linked to
+ * @param {String} linkedDate - When the objects were linked
+ * @returns {Object} Link as { name, linked_date }, only { linked_date } for objects that have no id yet
+ */
+export const createLink = (linked, linkedDate) =>
+  linked && linked[ID_FIELD] ? { name: linked.name, linked_date: linkedDate } : { linked_date: linkedDate };
+
+const pointsTo = (key, link, obj) => {
+  const { id, name } = linkRef(key, link);
+  return id ? id === obj[ID_FIELD] : name === obj.name;
+};
+
+/**
+ * Finds the object a link points to, by id or by name for links stored under a name
+ * @param {Array<Object>} objects - Objects of the linked container
+ * @param {String} key - Key the link is stored under
+ * @param {Object|String} link - The link
+ * @returns {Object|undefined} The object
+ */
+export const findLinked = (objects, key, link) => objects.find(obj => pointsTo(key, link, obj));
+
+/**
+ * Finds the key of the link to an object
+ * @param {Object} links - Links by key
+ * @param {Object} obj - Object linked to
+ * @returns {String|undefined} Key of the link
+ */
+export const findLinkKey = (links, obj) => isPlainObject(links) ?
+  Object.keys(links).find(key => pointsTo(key, links[key], obj)) :
+  undefined;
+
+/**
+ * Adds the link to an object, replacing the one it had, e.g. under its name
+ * @param {Object} links - Links by key, not modified
+ * @param {Object} linked - Object linked to
+ * @param {String} linkedDate - When the objects were linked
+ * @returns {Object} The new links
+ */
+export const withLink = (links, linked, linkedDate) => ({
+  ...Object.fromEntries(Object.entries(isPlainObject(links) ? links : {})
+    .filter(([key, link]) => !pointsTo(key, link, linked))),
+  [linkKey(linked)]: createLink(linked, linkedDate)
+});
+
+/**
+ * Names of the objects links point to, for display
+ * @param {Object} links - Links by key
+ * @returns {Array<String>} Names in the order of the links
+ */
+export const linkNames = (links) => isPlainObject(links) ?
+  Object.entries(links).map(([key, link]) => linkRef(key, link).name) :
+  [];
+
+/**
+ * Back-fills the containers in place: objects without an id get one, including objects in the trash, and
+ * { linked_date } links stored under a name move under the id of the object they point to. This includes the
+ * deleted_links of objects in the trash, which point to the objects that linked to them. Links to names used by
+ * more than one object stay where they are, as do links that are not objects, see repairIntegrity.
+ * @param {Object} containers - Objects by container name, modified in place
+ * @returns {Object} { assigned, linked, ambiguous, changed }, the number of ids given to objects by container,
+ * the number of links moved under an id, the links left out as { container, name, field, target } and the
+ * names of the containers that changed
+ */
+export const backfillIds = (containers) => {
+  const changed = new Set();
+  const assigned = {};
+  for (const [type, objects] of Object.entries(containers)) {
+    assigned[type] = 0;
+    for (const obj of objects) {
+      if (!isPlainObject(obj) || obj[ID_FIELD]) continue;
+      obj[ID_FIELD] = newId();
+      assigned[type]++;
+      changed.add(type);
+    }
+  }
+
+  // Objects that are not in the trash by name, null for names used by more than one object
+  const byName = {};
+  for (const type of GRAPH_CONTAINERS) {
+    byName[type] = new Map();
+    for (const obj of containers[type] || []) {
+      if (!isPlainObject(obj) || obj.deleted_at) continue;
+      byName[type].set(obj.name, byName[type].has(obj.name) ? null : obj);
+    }
+  }
+
+  let linked = 0;
+  const ambiguous = [];
+  // Returns the links with the ones stored under a name moved under the id, keeping their order
+  const rekey = (type, obj, field, links, linkedType) => {
+    let moved = false;
+    const entries = Object.entries(links).map(([key, link]) => {
+      if (!isPlainObject(link) || linkRef(key, link).id) return [key, link];
+      const linkedObj = byName[linkedType].get(key);
+      if (linkedObj === null) ambiguous.push({ container: type, name: obj.name, field, target: key });
+      if (!linkedObj) return [key, link];
+      moved = true;
+      linked++;
+      return [linkedObj[ID_FIELD], createLink(linkedObj, link.linked_date)];
+    });
+    if (!moved) return links;
+    changed.add(type);
+    return Object.fromEntries(entries);
+  };
+  for (const type of GRAPH_CONTAINERS) {
+    for (const obj of containers[type] || []) {
+      if (!isPlainObject(obj)) continue;
+      for (const [linkedType, field] of Object.entries(LINK_FIELDS[type])) {
+        if (isPlainObject(obj.deleted_links?.[linkedType])) {
+          obj.deleted_links[linkedType] =
+            rekey(type, obj, `deleted_links.${linkedType}`, obj.deleted_links[linkedType], linkedType);
+        }
+        if (!obj.deleted_at && isPlainObject(obj[field])) {
+          obj[field] = rekey(type, obj, field, obj[field], linkedType);
+        }
+      }
+    }
+  }
+
+  return {
+    assigned,
+    linked,
+    ambiguous,
+    changed: Object.keys(containers).filter(type => changed.has(type))
+  };
+};
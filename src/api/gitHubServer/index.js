@@ -29,6 +29,21 @@ export {
 export const VERSION = '3.0.0';
 
 // Also export some utility classes if needed by external code
-export { logger } from './logger.js';
-export { CacheManager } from './cache.js';
-export { validator } from './schema.js';
\ No newline at end of file
+export {
+  logger,
+  createLogger,
+  consoleTransport,
+  streamTransport,
+  fileTransport,
+  callbackTransport
+} from './logger.js';
+export { CacheManager, FileCacheStore } from './cache.js';
+export { validator, SchemaValidator } from './schema.js';
+export { extractors, ExtractorRegistry, detectContentType } from './extractors.js';
+export { TopicModel, aggregateTopics } from './topics.js';
+export { VectorIndex, cosine } from './similarity.js';
+export { sentiment, SentimentAnalyzer } from './sentiment.js';
+export { readRecords, writeRecords, TABULAR_FORMATS } from './tabular.js';
+export { RelationshipGraph, LINK_FIELDS } from './graph.js';
+export { checkIntegrity, applyRepairs, INTEGRITY_ISSUES } from './integrity.js';
+export { ID_FIELD, newId, findByRef, linkKey, createLink, findLinked, findLinkKey, withLink, linkNames, backfillIds } from './ids.js';
\ No newline at end of file
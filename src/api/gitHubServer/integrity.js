@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Referential integrity of the links between Studies, Companies and Interactions: finds dangling,
+ * one-sided and malformed links, duplicate names and missing interaction files, and repairs what can be
+ * repaired without losing information
+ * @file integrity.js
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+import { objectVersion } from '../../utils/helpers.js';
+import { LINK_FIELDS, GRAPH_CONTAINERS, linkRef } from './graph.js';
+import { ID_FIELD, linkKey, createLink, findLinked, findLinkKey, withLink } from './ids.js';
+
+/**
+ * Kinds of issues, in the order they are repaired
+ */
+export const INTEGRITY_ISSUES = ['duplicate', 'malformed', 'dangling', 'asymmetric', 'missing_blob'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isValidLink = (link) =>
+  isPlainObject(link) && typeof link.linked_date === 'string' && !Number.isNaN(Date.parse(link.linked_date));
+
+/**
+ * Path of the file behind an interaction, files of interactions in the trash are under Trash/
+ * @param {Object} interaction - Interaction with a url
+ * @returns {String} Repository relative path
+ */
+const blobPath = (interaction) => {
+  const path = `Interactions/${interaction.url.split('/').pop()}`;
+  return interaction.deleted_at ? `Trash/${path}` : path;
+};
+
+/**
+ * Lists the objects that are not in the trash by container
+ * @param {Object} containers - Objects by container name
+ * @returns {Object} Objects by container name
+ */
+const listLive = (containers) => Object.fromEntries(GRAPH_CONTAINERS.map(type => [
+  type,
+  (containers[type] || []).filter(obj => isPlainObject(obj) && !obj.deleted_at)
+]));
+
+/**
+ * Checks the links of all containers. Objects in the trash are skipped, and links to them count as dangling.
+ * @param {Object} containers - Objects by container name, e.g. { Studies, Companies, Interactions }
+ * @param {Object} [options] - Options
+ * @param {Function} [options.blobExists] - Async function telling if a repository path exists, files are not
+ * checked without it
+ * @returns {Promise<Object>} Report as { valid, checked, summary, issues }, every issue has a type, container,
+ * name, message and whether repairIntegrity can repair it; link issues also have a field and a target
+ */
+export const checkIntegrity = async (containers, { blobExists = null } = {}) => {
+  const issues = [];
+  const live = listLive(containers);
+  const issue = (type, container, name, message, details = {}) =>
+    issues.push({ type, container, name, ...details, message, repairable: details.repairable !== false });
+
+  for (const type of GRAPH_CONTAINERS) {
+    const objects = containers[type] || [];
+
+    // Names are matched ignoring case by findByName, so duplicates are too
+    const seen = new Map();
+    const seenIds = new Map();
+    for (const obj of objects) {
+      if (!isPlainObject(obj) || obj.deleted_at) continue;
+      const key = String(obj.name).toLowerCase();
+      const first = seen.get(key);
+      if (!first) {
+        seen.set(key, obj);
+      } else {
+        const identical = objectVersion(first) === objectVersion(obj);
+        issue('duplicate', type, obj.name, identical ?
+          `[${obj.name}] is an identical copy of another object` :
+          `[${obj.name}] has the same name as [${first.name}] but different content`,
+        { repairable: identical });
+        continue;
+      }
+
+      const firstWithId = obj[ID_FIELD] && seenIds.get(obj[ID_FIELD]);
+      if (firstWithId) {
+        issue('duplicate', type, obj.name, `[${obj.name}] has the same id as [${firstWithId.name}]`, { repairable: false });
+      } else if (obj[ID_FIELD]) {
+        seenIds.set(obj[ID_FIELD], obj);
+      }
+    }
+
+    for (const obj of objects) {
+      if (!isPlainObject(obj) || obj.deleted_at) continue;
+
+      for (const [linkedType, field] of Object.entries(LINK_FIELDS[type])) {
+        const links = obj[field];
+        if (links === undefined) continue;
+        if (!isPlainObject(links)) {
+          issue('malformed', type, obj.name, `[${field}] is not an object of links`, { field });
+          continue;
+        }
+
+        const backField = LINK_FIELDS[linkedType][type];
+        for (const [key, link] of Object.entries(links)) {
+          const target = linkRef(key, link).name;
+          if (!isValidLink(link)) {
+            issue('malformed', type, obj.name, `The link to [${target}] is not { linked_date }`, { field, target });
+          }
+          const linked = findLinked(live[linkedType], key, link);
+          if (!linked) {
+            issue('dangling', type, obj.name, `[${target}] does not exist in [${linkedType}]`, { field, target });
+            continue;
+          }
+          if (linked.name !== target) {
+            issue('malformed', type, obj.name, `The link to [${linked.name}] has its old name [${target}]`, { field, target });
+          }
+          if (findLinkKey(linked[backField], obj) === undefined) {
+            issue('asymmetric', type, obj.name, `[${linked.name}] in [${linkedType}] does not link back`, { field, target });
+          }
+        }
+      }
+
+      if (type === 'Interactions' && blobExists && typeof obj.url === 'string' && obj.url !== '') {
+        if (!(await blobExists(blobPath(obj)))) {
+          issue('missing_blob', type, obj.name, `The file [${blobPath(obj)}] does not exist`, { repairable: false });
+        }
+      }
+    }
+  }
+
+  const summary = Object.fromEntries(INTEGRITY_ISSUES.map(type => [type, 0]));
+  issues.forEach(found => { summary[found.type]++; });
+  issues.sort((a, b) => INTEGRITY_ISSUES.indexOf(a.type) - INTEGRITY_ISSUES.indexOf(b.type));
+  return {
+    valid: issues.length === 0,
+    checked: Object.fromEntries(GRAPH_CONTAINERS.map(type => [type, (containers[type] || []).length])),
+    summary,
+    issues
+  };
+};
+
+/**
+ * Repairs the containers in place: identical duplicates are dropped, links become { linked_date } objects under
+ * the id of the object they point to with its current name, dangling links are removed and one-sided links are
+ * added on the other side. Duplicates that differ and missing files need a person to decide and are left alone.
+ * @param {Object} containers - Objects by container name, modified in place
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Time used for modification dates and for links without a usable date
+ * @returns {Array<String>} Names of the containers that changed
+ */
+export const applyRepairs = (containers, { now = new Date() } = {}) => {
+  const timestamp = now.toISOString();
+  const changed = new Set();
+  const touch = (type, obj) => {
+    obj.modification_date = timestamp;
+    changed.add(type);
+  };
+
+  // Drop identical copies, keeping the first object of a name
+  for (const type of GRAPH_CONTAINERS) {
+    const objects = containers[type] || [];
+    const kept = new Map();
+    containers[type] = objects.filter(obj => {
+      if (!isPlainObject(obj) || obj.deleted_at) return true;
+      const key = String(obj.name).toLowerCase();
+      const first = kept.get(key);
+      if (!first) {
+        kept.set(key, obj);
+        return true;
+      }
+      return objectVersion(first) !== objectVersion(obj);
+    });
+    if (containers[type].length !== objects.length) changed.add(type);
+  }
+
+  const live = listLive(containers);
+
+  // A link without a usable date takes the one of its other side, then the date of the object
+  const linkDate = (obj, type, linkedType, linked) => {
+    const back = linked?.[LINK_FIELDS[linkedType][type]];
+    const backKey = findLinkKey(back, obj);
+    if (backKey !== undefined && isValidLink(back[backKey])) return back[backKey].linked_date;
+    return [obj.modification_date, obj.creation_date].find(date => date && !Number.isNaN(Date.parse(date))) ||
+      timestamp;
+  };
+
+  for (const type of GRAPH_CONTAINERS) {
+    for (const obj of live[type]) {
+      for (const [linkedType, field] of Object.entries(LINK_FIELDS[type])) {
+        if (obj[field] === undefined || isPlainObject(obj[field])) continue;
+        // A list of names is turned into links, anything else cannot be read
+        const names = Array.isArray(obj[field]) ? obj[field].filter(name => typeof name === 'string') : [];
+        obj[field] = Object.fromEntries(names.map(name => {
+          const linked = live[linkedType].find(candidate => candidate.name === name);
+          return [linked ? linkKey(linked) : name, createLink(linked, linkDate(obj, type, linkedType, linked))];
+        }));
+        touch(type, obj);
+      }
+    }
+  }
+
+  for (const type of GRAPH_CONTAINERS) {
+    for (const obj of live[type]) {
+      for (const [linkedType, field] of Object.entries(LINK_FIELDS[type])) {
+        const links = obj[field];
+        if (!links) continue;
+        const backField = LINK_FIELDS[linkedType][type];
+        for (const [key, link] of Object.entries(links)) {
+          const linked = findLinked(live[linkedType], key, link);
+          if (!linked) {
+            delete links[key];
+            touch(type, obj);
+            continue;
+          }
+          const valid = isValidLink(link);
+          const linkedDate = valid ? link.linked_date : linkDate(obj, type, linkedType, linked);
+          if (!valid || linkRef(key, link).name !== linked.name) {
+            if (linkKey(linked) !== key) delete links[key];
+            links[linkKey(linked)] = createLink(linked, linkedDate);
+            touch(type, obj);
+          }
+          if (findLinkKey(linked[backField], obj) === undefined) {
+            linked[backField] = withLink(linked[backField], obj, linkedDate);
+            touch(linkedType, linked);
+          }
+        }
+      }
+    }
+  }
+  return GRAPH_CONTAINERS.filter(type => changed.has(type));
+};
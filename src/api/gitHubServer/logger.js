@@ -8,45 +8,257 @@
 
 /* eslint-disable no-console */
 
-// Create a logger with sensible defaults
-export const logger = {
-  debug: (...args) => console.debug(`[${new Date().toISOString()}] [DEBUG]`, ...args),
-  info: (...args) => console.info(`[${new Date().toISOString()}] [INFO]`, ...args),
-  warn: (...args) => console.warn(`[${new Date().toISOString()}] [WARN]`, ...args),
-  error: (...args) => console.error(`[${new Date().toISOString()}] [ERROR]`, ...args),
-  
-  // Always return a tracker object with an end method
-  trackOperation: (objType, operation) => {
-    const startTime = Date.now();
-    // Only log in debug mode to avoid cluttering the console
-    if (process.env.DEBUG) {
-      console.debug(`[${new Date().toISOString()}] Starting operation: ${objType}.${operation}`);
+import fs from 'fs';
+
+/**
+ * Log levels in increasing order of severity, silent turns logging off
+ */
+export const LOG_LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  silent: Infinity
+};
+
+/**
+ * Writes log lines to the console method matching their level
+ * @returns {Function} Transport
+ */
+export const consoleTransport = () => (record, line) => {
+  const method = record.level === 'trace' ? 'debug' : record.level;
+  console[method](line);
+};
+
+/**
+ * Writes log lines to a writable stream such as process.stderr
+ * @param {Object} stream - Anything with a write method
+ * @returns {Function} Transport
+ */
+export const streamTransport = (stream) => (record, line) => {
+  stream.write(`${line}\n`);
+};
+
+/**
+ * Appends log lines to a file, synchronously so nothing is lost when the process exits
+ * @param {String} filePath - Path to the log file
+ * @returns {Function} Transport
+ */
+export const fileTransport = (filePath) => (record, line) => {
+  fs.appendFileSync(filePath, `${line}\n`);
+};
+
+/**
+ * Hands every log record to a callback
+ * @param {Function} callback - Called with the record object
+ * @returns {Function} Transport
+ */
+export const callbackTransport = (callback) => (record) => {
+  callback(record);
+};
+
+// Splits console style arguments into fields, an error and anything else
+const normalizeArgs = (args) => {
+  const fields = {};
+  const data = [];
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      fields.err = { name: arg.name, message: arg.message, status: arg.status, stack: arg.stack };
+    } else if (arg !== null && typeof arg === 'object' && Object.getPrototypeOf(arg) === Object.prototype) {
+      Object.assign(fields, arg);
+    } else {
+      data.push(arg);
+    }
+  }
+  if (data.length > 0) fields.data = data.length === 1 ? data[0] : data;
+  return fields;
+};
+
+const formatValue = (value) => {
+  if (typeof value === 'string') return /\s/.test(value) ? JSON.stringify(value) : value;
+  return JSON.stringify(value);
+};
+
+const formatters = {
+  json: (record) => JSON.stringify(record, (key, value) => (key === 'stack' ? undefined : value)),
+
+  pretty: (record) => {
+    const { time, level, msg, err, ...fields } = record;
+    const context = Object.entries(fields)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${formatValue(value)}`)
+      .join(' ');
+    return `[${time}] [${level.toUpperCase()}] ${msg}` +
+      (context ? ` ${context}` : '') +
+      (err ? ` - ${err.name}: ${err.message}` : '');
+  }
+};
+
+/**
+ * Structured logger. Every record carries the time, level and message plus the fields bound with child(), so
+ * lines can be correlated by objType, operation and transactionId.
+ */
+export class Logger {
+  /**
+   * @constructor
+   * @param {Object} core - Level, formatter and transports, shared with child loggers
+   * @param {Object} [fields] - Fields added to every record
+   */
+  constructor(core, fields = {}) {
+    this.core = core;
+    this.fields = fields;
+  }
+
+  /**
+   * Sets the minimum level written, for this logger and all its children
+   * @param {String} level - One of LOG_LEVELS
+   */
+  setLevel(level) {
+    if (!(level in LOG_LEVELS)) {
+      throw new Error(`Unknown log level [${level}]`);
     }
-    
+    this.core.level = level;
+  }
+
+  /**
+   * Checks if records at a level would be written
+   * @param {String} level - One of LOG_LEVELS
+   * @returns {Boolean} True when the level is enabled
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.core.level];
+  }
+
+  /**
+   * Creates a logger that adds fields to every record and shares this logger's level and transports
+   * @param {Object} fields - Fields to bind
+   * @returns {Logger} Child logger
+   */
+  child(fields) {
+    return new Logger(this.core, { ...this.fields, ...fields });
+  }
+
+  /**
+   * Writes a record. Plain objects among the arguments become fields, an Error becomes the err field
+   * @param {String} level - Record level
+   * @param {String} msg - Message
+   * @param {...*} args - Fields, an error or other values
+   */
+  log(level, msg, ...args) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      msg: String(msg),
+      ...this.fields,
+      ...normalizeArgs(args)
+    };
+    const line = this.core.format(record);
+    for (const transport of this.core.transports) {
+      try {
+        transport(record, line);
+      } catch (err) {
+        // A broken transport must never break the operation being logged
+        console.error(`Log transport failed: ${err.message}`);
+      }
+    }
+  }
+
+  trace(msg, ...args) { this.log('trace', msg, ...args); }
+  debug(msg, ...args) { this.log('debug', msg, ...args); }
+  info(msg, ...args) { this.log('info', msg, ...args); }
+  warn(msg, ...args) { this.log('warn', msg, ...args); }
+  error(msg, ...args) { this.log('error', msg, ...args); }
+
+  /**
+   * Times an operation, the completion record carries its duration in milliseconds
+   * @param {String} objType - Object type, e.g. Companies
+   * @param {String} operation - Operation name, e.g. getAll
+   * @param {Object} [fields] - Extra fields for both records
+   * @returns {Object} Tracker with an end method
+   */
+  trackOperation(objType, operation, fields = {}) {
+    const startTime = Date.now();
+    const tracked = this.child({ objType, operation, ...fields });
+    tracked.trace(`Starting operation: ${objType}.${operation}`);
     return {
-      end: () => {
-        if (process.env.DEBUG) {
-          const duration = Date.now() - startTime;
-          console.debug(`[${new Date().toISOString()}] Completed operation: ${objType}.${operation} (${duration}ms)`);
-        }
+      end: (endFields = {}) => {
+        tracked.debug(`Completed operation: ${objType}.${operation}`, { duration: Date.now() - startTime, ...endFields });
       }
     };
-  },
-  
-  // Similar for transaction tracking
-  trackTransaction: (transactionName) => {
+  }
+
+  /**
+   * Times a transaction, the completion record carries its duration in milliseconds
+   * @param {String} transactionName - Transaction name
+   * @param {Object} [fields] - Extra fields for both records, e.g. the transactionId
+   * @returns {Object} Tracker with an end method
+   */
+  trackTransaction(transactionName, fields = {}) {
     const startTime = Date.now();
-    if (process.env.DEBUG) {
-      console.debug(`[${new Date().toISOString()}] Starting transaction: ${transactionName}`);
-    }
-    
+    const tracked = this.child({ transaction: transactionName, ...fields });
+    tracked.trace(`Starting transaction: ${transactionName}`);
     return {
-      end: () => {
-        if (process.env.DEBUG) {
-          const duration = Date.now() - startTime;
-          console.debug(`[${new Date().toISOString()}] Completed transaction: ${transactionName} (${duration}ms)`);
-        }
+      end: (endFields = {}) => {
+        tracked.debug(`Completed transaction: ${transactionName}`, { duration: Date.now() - startTime, ...endFields });
       }
     };
   }
-};
\ No newline at end of file
+}
+
+/**
+ * Creates a logger
+ * @param {Object} [options] - Logger options
+ * @param {String} [options.level] - Minimum level, defaults to MEDIUMROAST_LOG_LEVEL, then debug when DEBUG is set,
+ * then info
+ * @param {String} [options.format] - pretty for human readable lines or json for JSON lines
+ * @param {Array<Function>} [options.transports] - Where lines are written, defaults to the console
+ * @param {Object} [options.fields] - Fields added to every record
+ * @returns {Logger} Logger
+ */
+export const createLogger = ({
+  level = process.env.MEDIUMROAST_LOG_LEVEL || (process.env.DEBUG ? 'debug' : 'info'),
+  format = 'pretty',
+  transports = [consoleTransport()],
+  fields = {}
+} = {}) => {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Unknown log level [${level}]`);
+  }
+  if (!formatters[format]) {
+    throw new Error(`Unknown log format [${format}], expected one of [${Object.keys(formatters).join(', ')}]`);
+  }
+  return new Logger({ level, format: formatters[format], transports }, fields);
+};
+
+/**
+ * Wraps a logger supplied by the consumer. Loggers created here are used as is, anything else with level methods
+ * (pino, winston, console) receives every record and applies its own level. Pino loggers are called with the
+ * fields first, everything else with the message first.
+ * @param {Object} target - Logger to wrap
+ * @returns {Logger} Logger
+ */
+export const toLogger = (target) => {
+  if (target instanceof Logger) return target;
+
+  const fieldsFirst = typeof target.bindings === 'function';
+  const forward = (record) => {
+    const { level, msg } = record;
+    const fields = { ...record };
+    delete fields.time;
+    delete fields.level;
+    delete fields.msg;
+    const method = typeof target[level] === 'function' ? level : 'debug';
+    if (fieldsFirst) {
+      target[method](fields, msg);
+    } else {
+      target[method](msg, fields);
+    }
+  };
+  return new Logger({ level: 'trace', format: formatters.json, transports: [forward] });
+};
+
+// Default logger shared by every entity that is not given its own
+export const logger = createLogger();
\ No newline at end of file
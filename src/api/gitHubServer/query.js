@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Query language for searching objects held in memory
+ * @file query.js
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ *
+ * Filters follow MongoDB's query operators: a field maps to a value for equality, to a RegExp, or to an object
+ * of operators ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $regex, $exists), and $and/$or combine filters.
+ * Fields are dotted paths into nested objects, e.g. linked_companies.<id>. Keys containing dots, such as the
+ * company names older links are keyed by, are matched before the path is split.
+ */
+
+import { createHash } from 'crypto';
+import { isDeepStrictEqual } from 'util';
+
+// Strings compared as dates rather than text, e.g. 2025-01-31 and 2025-01-31T12:00:00.000Z
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Creates an error for a malformed query, reported as a 400
+ * @param {String} message - Error message
+ * @returns {Error} Error with a status
+ */
+const queryError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Resolves a dotted path in an object
+ * @param {Object} obj - Object to read from
+ * @param {String} path - Dotted path, e.g. linked_companies.<id>
+ * @returns {Object} { found, value, keys } where keys are the property names the path resolved to
+ */
+export const resolvePath = (obj, path) => {
+  if (obj === null || typeof obj !== 'object') return { found: false };
+  if (hasOwn(obj, path)) return { found: true, value: obj[path], keys: [path] };
+
+  for (let dot = path.indexOf('.'); dot !== -1; dot = path.indexOf('.', dot + 1)) {
+    const head = path.slice(0, dot);
+    if (!hasOwn(obj, head)) continue;
+    const rest = resolvePath(obj[head], path.slice(dot + 1));
+    if (rest.found) return { found: true, value: rest.value, keys: [head, ...rest.keys] };
+  }
+  return { found: false };
+};
+
+const toComparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    const time = Date.parse(value);
+    if (!isNaN(time)) return time;
+  }
+  return value;
+};
+
+/**
+ * Compares two values, dates given as Date objects or ISO strings compare by time
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {Number|null} Negative, zero or positive, null when the values cannot be compared
+ */
+export const compareValues = (a, b) => {
+  const left = toComparable(a);
+  const right = toComparable(b);
+  if (typeof left === 'number' && typeof right === 'number') return left - right;
+  if (typeof left === 'string' && typeof right === 'string') return left.localeCompare(right);
+  return null;
+};
+
+const equals = (actual, expected) => {
+  if (expected instanceof Date) return compareValues(actual, expected) === 0;
+  return isDeepStrictEqual(actual, expected);
+};
+
+// A value matches when it equals the expected one, or when it is an array containing it
+const matchesValue = (actual, predicate) =>
+  predicate(actual) || (Array.isArray(actual) && actual.some(predicate));
+
+const toRegExp = (pattern, flags = '') => {
+  if (pattern instanceof RegExp) return pattern;
+  try {
+    return new RegExp(pattern, flags);
+  } catch (err) {
+    throw queryError(`Invalid $regex [${pattern}]: ${err.message}`);
+  }
+};
+
+const ordered = (check) => (actual, expected) =>
+  matchesValue(actual, value => {
+    const order = compareValues(value, expected);
+    return order !== null && check(order);
+  });
+
+const operators = {
+  $eq: (actual, expected) => matchesValue(actual, value => equals(value, expected)),
+  $ne: (actual, expected, found) => !found || !operators.$eq(actual, expected),
+  $gt: ordered(order => order > 0),
+  $gte: ordered(order => order >= 0),
+  $lt: ordered(order => order < 0),
+  $lte: ordered(order => order <= 0),
+  $in: (actual, expected) => {
+    if (!Array.isArray(expected)) throw queryError('$in expects an array');
+    return expected.some(value => operators.$eq(actual, value));
+  },
+  $nin: (actual, expected, found) => {
+    if (!Array.isArray(expected)) throw queryError('$nin expects an array');
+    return !found || !operators.$in(actual, expected);
+  },
+  $exists: (actual, expected, found) => found === Boolean(expected),
+  $regex: (actual, expected, found, condition) => {
+    const regex = toRegExp(expected, condition.$options);
+    return matchesValue(actual, value => typeof value === 'string' && regex.test(value));
+  },
+  // Read by $regex
+  $options: () => true
+};
+
+// Operators that can match a field the object does not have
+const matchesMissing = new Set(['$ne', '$nin', '$exists', '$options']);
+
+const isOperatorObject = (value) =>
+  isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+/**
+ * Checks a field of an object against a condition
+ * @param {Object} obj - Object to check
+ * @param {String} field - Dotted path of the field
+ * @param {*} condition - Value, RegExp or object of operators
+ * @returns {Boolean} True when the field matches
+ */
+const matchesField = (obj, field, condition) => {
+  const { found, value } = resolvePath(obj, field);
+
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, expected]) => {
+      if (!operators[operator]) throw queryError(`Unknown operator [${operator}] for field [${field}]`);
+      if (!found && !matchesMissing.has(operator)) return false;
+      return operators[operator](value, expected, found, condition);
+    });
+  }
+  if (!found) return false;
+  if (condition instanceof RegExp) {
+    return matchesValue(value, candidate => typeof candidate === 'string' && condition.test(candidate));
+  }
+  // Kept from the original search: a string name matches case-insensitively anywhere in the name
+  if (field === 'name' && typeof condition === 'string' && typeof value === 'string') {
+    return value.toLowerCase().includes(condition.toLowerCase());
+  }
+  return operators.$eq(value, condition);
+};
+
+/**
+ * Checks an object against a filter
+ * @param {Object} obj - Object to check
+ * @param {Object} filters - Filter, e.g. { region: 'EMEA', modification_date: { $gt: '2025-01-01' } }
+ * @returns {Boolean} True when every condition matches
+ */
+export const matchesFilter = (obj, filters = {}) => {
+  if (!isPlainObject(filters)) throw queryError('Filters must be an object');
+
+  return Object.entries(filters).every(([key, condition]) => {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(condition) || condition.length === 0) {
+        throw queryError(`${key} expects a non-empty array of filters`);
+      }
+      return key === '$and'
+        ? condition.every(filter => matchesFilter(obj, filter))
+        : condition.some(filter => matchesFilter(obj, filter));
+    }
+    if (key.startsWith('$')) throw queryError(`Unknown operator [${key}]`);
+    return matchesField(obj, key, condition);
+  });
+};
+
+/**
+ * Normalizes the sort option
+ * @param {String|Array|Object} sort - Field name (prefix - for descending), an array of those or of
+ * { field, descending }, or an object of field to 1 or -1
+ * @param {Boolean} [descending=false] - Direction for a single field name without a prefix
+ * @returns {Array<Object>} Sort keys as { field, descending }
+ */
+export const normalizeSort = (sort, descending = false) => {
+  if (!sort) return [];
+  const toKey = (key) => {
+    if (typeof key === 'string') {
+      return key.startsWith('-') ? { field: key.slice(1), descending: true } : { field: key, descending };
+    }
+    if (isPlainObject(key) && typeof key.field === 'string') {
+      return { field: key.field, descending: Boolean(key.descending) };
+    }
+    throw queryError(`Invalid sort key [${JSON.stringify(key)}]`);
+  };
+  if (Array.isArray(sort)) return sort.map(toKey);
+  if (isPlainObject(sort)) {
+    return Object.entries(sort).map(([field, direction]) => ({ field, descending: direction === -1 || direction === 'desc' }));
+  }
+  return [toKey(sort)];
+};
+
+/**
+ * Sorts objects by several keys, objects missing a key sort after the others whatever the direction
+ * @param {Array} objects - Objects to sort, sorted in place
+ * @param {Array<Object>} keys - Sort keys from normalizeSort
+ * @returns {Array} The sorted objects
+ */
+export const sortObjects = (objects, keys) => {
+  if (keys.length === 0) return objects;
+  return objects.sort((a, b) => {
+    for (const { field, descending } of keys) {
+      const left = resolvePath(a, field).value;
+      const right = resolvePath(b, field).value;
+      const leftMissing = left === undefined || left === null || left === '';
+      const rightMissing = right === undefined || right === null || right === '';
+      if (leftMissing || rightMissing) {
+        if (leftMissing !== rightMissing) return leftMissing ? 1 : -1;
+        continue;
+      }
+      const order = compareValues(left, right) ?? String(left).localeCompare(String(right));
+      if (order !== 0) return descending ? -order : order;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Copies only the given fields of an object, nested fields keep their structure
+ * @param {Object} obj - Object to project
+ * @param {Array<String>} fields - Dotted paths to keep
+ * @returns {Object} Projected object
+ */
+export const project = (obj, fields) => {
+  const projected = {};
+  for (const field of fields) {
+    const { found, value, keys } = resolvePath(obj, field);
+    if (!found) continue;
+    let target = projected;
+    for (const key of keys.slice(0, -1)) {
+      target = target[key] = target[key] || {};
+    }
+    target[keys[keys.length - 1]] = value;
+  }
+  return projected;
+};
+
+/**
+ * Serializes filters or options for cache keys and cursors, keeping regular expressions apart
+ * @param {*} value - Value to serialize
+ * @returns {String} Serialized value
+ */
+export const serializeQuery = (value) =>
+  JSON.stringify(value, (key, item) => (item instanceof RegExp ? `/${item.source}/${item.flags}` : item));
+
+const queryHash = (filters, sort) =>
+  createHash('sha256').update(serializeQuery({ filters, sort })).digest('hex').slice(0, 12);
+
+/**
+ * Creates an opaque cursor for the page starting at an offset
+ * @param {Number} offset - Offset of the next page
+ * @param {Object} filters - Filters of the query
+ * @param {Array<Object>} sort - Normalized sort of the query
+ * @returns {String} Cursor
+ */
+export const encodeCursor = (offset, filters, sort) =>
+  Buffer.from(JSON.stringify({ offset, query: queryHash(filters, sort) })).toString('base64url');
+
+/**
+ * Reads the offset from a cursor, which must come from the same filters and sort
+ * @param {String} cursor - Cursor from a previous page
+ * @param {Object} filters - Filters of the query
+ * @param {Array<Object>} sort - Normalized sort of the query
+ * @returns {Number} Offset
+ */
+export const decodeCursor = (cursor, filters, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+  } catch {
+    throw queryError('Invalid cursor');
+  }
+  if (!Number.isInteger(decoded.offset) || decoded.offset < 0) throw queryError('Invalid cursor');
+  if (decoded.query !== queryHash(filters, sort)) throw queryError('Cursor does not belong to this query');
+  return decoded.offset;
+};
+
+/**
+ * Filters, sorts, pages and projects objects
+ * @param {Array} objects - Objects to query
+ * @param {Object} [filters] - Filter, see matchesFilter
+ * @param {Object} [options] - Query options
+ * @param {String|Array|Object} [options.sort] - Sort, see normalizeSort
+ * @param {Boolean} [options.descending=false] - Direction for a single sort field
+ * @param {Number} [options.limit=0] - Page size, 0 for everything
+ * @param {Number} [options.offset=0] - Number of matches to skip
+ * @param {String} [options.cursor] - Cursor from a previous page, replaces offset
+ * @param {Array<String>} [options.fields] - Fields to return, all when omitted
+ * @returns {Object} { items, total, offset, limit, nextCursor }
+ */
+export const runQuery = (objects, filters = {}, options = {}) => {
+  const { limit = 0, fields } = options;
+  if (!Number.isInteger(limit) || limit < 0) throw queryError('limit must be a non-negative integer');
+  if (fields !== undefined && !Array.isArray(fields)) throw queryError('fields must be an array of field names');
+
+  const sort = normalizeSort(options.sort, options.descending);
+  const offset = options.cursor ? decodeCursor(options.cursor, filters, sort) : (options.offset || 0);
+  if (!Number.isInteger(offset) || offset < 0) throw queryError('offset must be a non-negative integer');
+
+  const matches = sortObjects(objects.filter(obj => matchesFilter(obj, filters)), sort);
+  const page = limit > 0 ? matches.slice(offset, offset + limit) : matches.slice(offset);
+  const nextOffset = offset + page.length;
+
+  return {
+    items: fields ? page.map(obj => project(obj, fields)) : page,
+    total: matches.length,
+    offset,
+    limit,
+    nextCursor: limit > 0 && nextOffset < matches.length ? encodeCursor(nextOffset, filters, sort) : null
+  };
+};
\ No newline at end of file
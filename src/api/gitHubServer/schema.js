@@ -3,87 +3,128 @@
  * @file schema.js
  * @license Apache-2.0
  * @version 3.0.0
- * 
+ *
  * @author Michael Hay <michael.hay@mediumroast.io>
  * @copyright 2025 Mediumroast, Inc. All rights reserved.
  */
 
-// Add this import at the top of the file
-import { isEmpty, isArray } from '../../utils/helpers.js';
+import { createRequire } from 'module';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+
+// The schemas are published as JSON files so other tools can validate against them too
+const require = createRequire(import.meta.url);
+
+/**
+ * Keyword rejecting strings that are empty or only whitespace, used for object names
+ */
+const notBlank = {
+  keyword: 'notBlank',
+  type: 'string',
+  schemaType: 'boolean',
+  errors: true,
+  validate: function validateNotBlank(schema, data) {
+    if (!schema || data.trim().length > 0) return true;
+    validateNotBlank.errors = [{ keyword: 'notBlank', message: 'must not be blank', params: {} }];
+    return false;
+  }
+};
 
 export class SchemaValidator {
-  constructor(schemas = {}) {
-    this.schemas = schemas;
+  /**
+   * @constructor
+   * @param {Object} [schemas] - JSON Schemas (draft 2020-12) by entity type
+   * @param {Object} [options] - Options passed to Ajv
+   */
+  constructor(schemas = {}, options = {}) {
+    this.schemas = { ...schemas };
+    this._validators = new Map();
+    this.ajv = new Ajv2020({ allErrors: true, strict: false, ...options });
+    addFormats(this.ajv);
+    this.ajv.addKeyword(notBlank);
   }
-    
+
   /**
    * Add or update schema
    * @param {string} entityType - Entity type
    * @param {Object} schema - Schema definition
    */
   setSchema(entityType, schema) {
+    const previous = this.schemas[entityType];
+    if (previous && previous.$id) {
+      this.ajv.removeSchema(previous.$id);
+    }
     this.schemas[entityType] = schema;
+    this._validators.delete(entityType);
+  }
+
+  /**
+   * Add a custom keyword, see the Ajv documentation for the definition
+   * @param {Object} definition - Keyword definition, e.g. { keyword, type, validate }
+   */
+  addKeyword(definition) {
+    this.ajv.addKeyword(definition);
+    this._validators.clear();
+  }
+
+  /**
+   * Add a custom string format
+   * @param {string} name - Format name
+   * @param {RegExp|Function} format - Pattern or function the value must satisfy
+   */
+  addFormat(name, format) {
+    this.ajv.addFormat(name, format);
+    this._validators.clear();
   }
-    
+
+  /**
+   * Get the compiled validator of an entity type, compiling it on first use
+   * @private
+   * @param {string} entityType - Entity type
+   * @returns {Function|null} Compiled validator, null when there is no schema
+   */
+  _compile(entityType) {
+    const schema = this.schemas[entityType];
+    if (!schema) return null;
+    if (!this._validators.has(entityType)) {
+      this._validators.set(entityType, this.ajv.getSchema(schema.$id) || this.ajv.compile(schema));
+    }
+    return this._validators.get(entityType);
+  }
+
   /**
    * Validate object against schema
    * @param {string} entityType - Entity type
    * @param {Object} obj - Object to validate
-   * @returns {Object} Validation result {valid, errors}
+   * @param {Object} [options] - Validation options
+   * @param {Array<string>} [options.fields] - Only report errors for these top level fields, e.g. the fields
+   * being updated, so existing data written before the schema does not block unrelated changes
+   * @returns {Object} Validation result {valid, errors} where every error names its field
    */
-  validate(entityType, obj) {
-    const schema = this.schemas[entityType];
-    if (!schema) {
-      return { valid: true, errors: [] }; // No schema defined
+  validate(entityType, obj, { fields } = {}) {
+    const validate = this._compile(entityType);
+    if (!validate || validate(obj)) {
+      return { valid: true, errors: [] }; // No schema defined or nothing wrong
     }
-        
+
+    // Report one error per field, the first is the most specific since anyOf reports after its branches
     const errors = [];
-        
-    // Check required fields
-    if (schema.required) {
-      for (const field of schema.required) {
-        if (isEmpty(obj[field])) {
-          errors.push(`Required field [${field}] is missing`);
-        }
-      }
+    const seen = new Set();
+    for (const error of validate.errors) {
+      const field = error.keyword === 'required'
+        ? [error.instancePath.slice(1), error.params.missingProperty].filter(Boolean).join('/')
+        : error.instancePath.slice(1);
+      if (seen.has(field)) continue;
+      if (fields && !fields.includes(field.split('/')[0])) continue;
+      seen.add(field);
+      errors.push({
+        field: field || '(root)',
+        message: error.message,
+        keyword: error.keyword,
+        params: error.params
+      });
     }
-        
-    // Check field types
-    if (schema.properties) {
-      for (const [field, def] of Object.entries(schema.properties)) {
-        if (obj[field] !== undefined) {
-          if (def.type === 'string' && typeof obj[field] !== 'string') {
-            errors.push(`Field [${field}] must be a string`);
-          }
-          else if (def.type === 'number' && typeof obj[field] !== 'number') {
-            errors.push(`Field [${field}] must be a number`);
-          }
-          else if (def.type === 'boolean' && typeof obj[field] !== 'boolean') {
-            errors.push(`Field [${field}] must be a boolean`);
-          }
-          else if (def.type === 'array' && !isArray(obj[field])) {
-            errors.push(`Field [${field}] must be an array`);
-          }
-          else if (def.type === 'object' && (typeof obj[field] !== 'object' || obj[field] === null)) {
-            errors.push(`Field [${field}] must be an object`);
-          }
-                    
-          // Check enum values
-          if (def.enum && !def.enum.includes(obj[field])) {
-            errors.push(`Field [${field}] must be one of: ${def.enum.join(', ')}`);
-          }
-                    
-          // Check pattern
-          if (def.pattern && typeof obj[field] === 'string') {
-            const regex = new RegExp(def.pattern);
-            if (!regex.test(obj[field])) {
-              errors.push(`Field [${field}] does not match required pattern`);
-            }
-          }
-        }
-      }
-    }
-        
+
     return {
       valid: errors.length === 0,
       errors
@@ -92,54 +133,10 @@ export class SchemaValidator {
 }
 
 // Define schemas
-const schemas = {
-  Companies: {
-    required: ['name'],
-    properties: {
-      name: { type: 'string' },
-      company_type: { 
-        type: 'string',
-        enum: ['Public', 'Private', 'Non-profit', 'Government', 'Educational']
-      },
-      status: {
-        type: 'string',
-        enum: ['Active', 'Inactive', 'Acquired', 'Merged', 'Bankrupt']
-      },
-      url: {
-        type: 'string',
-        pattern: '^https?://.+'
-      }
-      // Other fields...
-    }
-  },
-  Interactions: {
-    required: ['name'],
-    properties: {
-      name: { type: 'string' },
-      content_type: { 
-        type: 'string',
-        enum: ['PDF', 'DOC', 'DOCX', 'TXT', 'HTML', 'PPT', 'PPTX', 'XLS', 'XLSX', 'CSV']
-      },
-      status: {
-        type: 'string',
-        enum: ['Draft', 'Published', 'Archived']
-      },
-      public: { type: 'boolean' }
-      // Other fields...
-    }
-  },
-  Studies: {
-    required: ['name'],
-    properties: {
-      name: { type: 'string' },
-      status: {
-        type: 'string',
-        enum: ['Active', 'Completed', 'Cancelled']
-      },
-      public: { type: 'boolean' }
-      // Other fields...
-    }
-  }
+export const schemas = {
+  Companies: require('./schemas/companies.schema.json'),
+  Interactions: require('./schemas/interactions.schema.json'),
+  Studies: require('./schemas/studies.schema.json')
 };
 
 // Create and export validator instance
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Inverted full-text index with BM25 ranking, phrase queries and highlighted snippets
+ * @file searchIndex.js
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+import { analyze } from './text.js';
+
+// Bump when the stored layout or the analyzer changes, older indexes are then rebuilt
+export const INDEX_FORMAT = 1;
+
+/**
+ * Parses a query into clauses. Quoted text is a phrase that must appear, a leading - excludes a word or phrase
+ * and other words are ranked by BM25.
+ * @param {String} query - Query, e.g. "price increase" churn -rumor
+ * @returns {Array<Object>} Clauses as { terms: [{ term, offset }], phrase, exclude }
+ */
+export const parseQuery = (query) => {
+  const clauses = [];
+  for (const match of String(query).matchAll(/(-?)"([^"]+)"|(-?)(\S+)/g)) {
+    const exclude = (match[1] || match[3]) === '-';
+    const phrase = match[2] !== undefined;
+    const tokens = analyze(phrase ? match[2] : match[4]);
+    if (tokens.length === 0) continue;
+    const first = tokens[0].position;
+    clauses.push({
+      terms: tokens.map(token => ({ term: token.term, offset: token.position - first })),
+      phrase: phrase && tokens.length > 1,
+      exclude
+    });
+  }
+  return clauses;
+};
+
+/**
+ * Full-text index over named documents. Postings keep term positions so phrases can be matched, and the text
+ * of each document is kept to cut snippets from.
+ */
+export class SearchIndex {
+  /**
+   * @constructor
+   * @param {Object} [options] - Ranking options
+   * @param {Number} [options.k1=1.2] - BM25 term frequency saturation
+   * @param {Number} [options.b=0.75] - BM25 length normalization
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.docs = new Map();
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {Number} Document count
+   */
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * Checks if a document is indexed at a fingerprint
+   * @param {String} name - Document name
+   * @param {String} [fingerprint] - Fingerprint of the content, e.g. the file hash
+   * @returns {Boolean} True when indexed, and with the same fingerprint when one is given
+   */
+  has(name, fingerprint) {
+    const doc = this.docs.get(name);
+    return Boolean(doc) && (fingerprint === undefined || doc.fingerprint === fingerprint);
+  }
+
+  /**
+   * Adds or replaces a document
+   * @param {String} name - Document name
+   * @param {String} text - Text to index
+   * @param {String} [fingerprint] - Fingerprint of the content, used to skip unchanged documents
+   */
+  add(name, text, fingerprint = null) {
+    this.remove(name);
+
+    const tokens = analyze(text);
+    for (const { term, position } of tokens) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      const postings = this.postings.get(term);
+      if (!postings.has(name)) postings.set(name, []);
+      postings.get(name).push(position);
+    }
+    this.docs.set(name, { fingerprint, length: tokens.length, text });
+    this.totalLength += tokens.length;
+  }
+
+  /**
+   * Removes a document
+   * @param {String} name - Document name
+   * @returns {Boolean} True when the document was indexed
+   */
+  remove(name) {
+    const doc = this.docs.get(name);
+    if (!doc) return false;
+
+    for (const [term, postings] of this.postings) {
+      if (postings.delete(name) && postings.size === 0) this.postings.delete(term);
+    }
+    this.docs.delete(name);
+    this.totalLength -= doc.length;
+    return true;
+  }
+
+  /**
+   * Gets the positions of a phrase in a document
+   * @private
+   * @param {String} name - Document name
+   * @param {Array<Object>} terms - Phrase terms with their offsets
+   * @returns {Array<Number>} Positions where the phrase starts
+   */
+  _phrasePositions(name, terms) {
+    const [first, ...rest] = terms;
+    const starts = this.postings.get(first.term)?.get(name) || [];
+    return starts.filter(start => rest.every(({ term, offset }) =>
+      (this.postings.get(term)?.get(name) || []).includes(start + offset)
+    ));
+  }
+
+  /**
+   * Checks if a clause matches a document
+   * @private
+   */
+  _matches(name, clause) {
+    if (clause.phrase) return this._phrasePositions(name, clause.terms).length > 0;
+    return clause.terms.every(({ term }) => this.postings.get(term)?.has(name));
+  }
+
+  /**
+   * Scores a term in a document with BM25
+   * @private
+   */
+  _bm25(term, name) {
+    const postings = this.postings.get(term);
+    const frequency = postings?.get(name)?.length || 0;
+    if (frequency === 0) return 0;
+
+    const idf = Math.log(1 + (this.docs.size - postings.size + 0.5) / (postings.size + 0.5));
+    const averageLength = this.totalLength / this.docs.size || 1;
+    const length = this.docs.get(name).length;
+    return idf * (frequency * (this.k1 + 1)) /
+      (frequency + this.k1 * (1 - this.b + this.b * length / averageLength));
+  }
+
+  /**
+   * Cuts the part of a document with the most matches and highlights them
+   * @private
+   * @param {String} name - Document name
+   * @param {Array<Object>} clauses - Included clauses
+   * @param {Object} options - Snippet length and highlight markers
+   * @returns {String} Snippet
+   */
+  _snippet(name, clauses, { snippetLength, highlight }) {
+    const { text } = this.docs.get(name);
+    const tokens = analyze(text);
+    const byPosition = new Map(tokens.map(token => [token.position, token]));
+
+    // Positions of every matched word, phrases count as a whole
+    const matched = new Set();
+    for (const clause of clauses) {
+      if (clause.phrase) {
+        for (const start of this._phrasePositions(name, clause.terms)) {
+          clause.terms.forEach(({ offset }) => matched.add(start + offset));
+        }
+      } else {
+        const terms = new Set(clause.terms.map(({ term }) => term));
+        tokens.filter(token => terms.has(token.term)).forEach(token => matched.add(token.position));
+      }
+    }
+    const hits = [...matched].sort((a, b) => a - b).map(position => byPosition.get(position));
+    if (hits.length === 0) {
+      return text.length > snippetLength ? `${text.slice(0, snippetLength).trim()}…` : text;
+    }
+
+    // Pick the window holding the most hits
+    let best = { from: hits[0].start, count: 0 };
+    for (const hit of hits) {
+      const count = hits.filter(other => other.start >= hit.start && other.end <= hit.start + snippetLength).length;
+      if (count > best.count) best = { from: hit.start, count };
+    }
+    let from = Math.max(0, best.from - Math.floor(snippetLength / 4));
+    let to = Math.min(text.length, from + snippetLength);
+
+    // Do not cut words in half
+    if (from > 0) {
+      const space = text.indexOf(' ', from);
+      if (space !== -1 && space < best.from) from = space + 1;
+    }
+    if (to < text.length) {
+      const space = text.lastIndexOf(' ', to);
+      if (space > best.from) to = space;
+    }
+
+    let snippet = '';
+    let cursor = from;
+    for (const hit of hits.filter(h => h.start >= from && h.end <= to)) {
+      snippet += text.slice(cursor, hit.start) + highlight[0] + text.slice(hit.start, hit.end) + highlight[1];
+      cursor = hit.end;
+    }
+    snippet += text.slice(cursor, to);
+    snippet = snippet.replace(/\s+/g, ' ').trim();
+    return `${from > 0 ? '…' : ''}${snippet}${to < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Searches the index
+   * @param {String} query - Words, "quoted phrases" and -exclusions
+   * @param {Object} [options] - Search options
+   * @param {Number} [options.limit=10] - Maximum number of results, 0 for all
+   * @param {Number} [options.snippetLength=160] - Approximate snippet length in characters
+   * @param {Array<String>} [options.highlight] - Markers put around matches, <mark> and </mark> by default
+   * @returns {Array<Object>} Results as { name, score, snippet }, best first
+   */
+  search(query, { limit = 10, snippetLength = 160, highlight = ['<mark>', '</mark>'] } = {}) {
+    const clauses = parseQuery(query);
+    const included = clauses.filter(clause => !clause.exclude);
+    const excluded = clauses.filter(clause => clause.exclude);
+    const phrases = included.filter(clause => clause.phrase);
+    if (included.length === 0) return [];
+
+    // Candidates contain every phrase and at least one word
+    const candidates = new Set();
+    for (const clause of included) {
+      for (const { term } of clause.terms) {
+        for (const name of this.postings.get(term)?.keys() || []) candidates.add(name);
+      }
+    }
+
+    const terms = [...new Set(included.flatMap(clause => clause.terms.map(({ term }) => term)))];
+    const results = [];
+    for (const name of candidates) {
+      if (!phrases.every(clause => this._matches(name, clause))) continue;
+      if (excluded.some(clause => this._matches(name, clause))) continue;
+      const score = terms.reduce((sum, term) => sum + this._bm25(term, name), 0);
+      results.push({ name, score });
+    }
+
+    results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+    const page = limit > 0 ? results.slice(0, limit) : results;
+    return page.map(result => ({
+      ...result,
+      snippet: this._snippet(result.name, included, { snippetLength, highlight })
+    }));
+  }
+
+  /**
+   * Serializes the index for a cache store
+   * @returns {Object} Plain object, see fromJSON
+   */
+  toJSON() {
+    return {
+      format: INDEX_FORMAT,
+      k1: this.k1,
+      b: this.b,
+      docs: Object.fromEntries(this.docs),
+      postings: Object.fromEntries([...this.postings].map(([term, postings]) => [term, Object.fromEntries(postings)]))
+    };
+  }
+
+  /**
+   * Restores an index serialized with toJSON
+   * @param {Object} data - Serialized index
+   * @returns {SearchIndex|null} Index, or null when it was written in another format
+   */
+  static fromJSON(data) {
+    if (!data || data.format !== INDEX_FORMAT) return null;
+
+    const index = new SearchIndex({ k1: data.k1, b: data.b });
+    for (const [name, doc] of Object.entries(data.docs)) {
+      index.docs.set(name, doc);
+      index.totalLength += doc.length;
+    }
+    for (const [term, postings] of Object.entries(data.postings)) {
+      index.postings.set(term, new Map(Object.entries(postings)));
+    }
+    return index;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Lexicon based sentiment analysis with negation, intensifiers, sentence scores and pluggable
+ * domain dictionaries
+ * @file sentiment.js
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+import { tokenize } from './text.js';
+
+/**
+ * General English words scored from -3, very negative, to 3, very positive. Words are lower case and entries
+ * may be phrases of up to three words.
+ */
+export const GENERAL_LEXICON = {
+  // Positive
+  'good': 2, 'great': 3, 'excellent': 3, 'outstanding': 3, 'exceptional': 3, 'positive': 2, 'advantage': 2,
+  'advantages': 2, 'benefit': 2, 'benefits': 2, 'strong': 2, 'stronger': 2, 'strongest': 3, 'success': 2,
+  'successful': 2, 'succeed': 2, 'improve': 2, 'improved': 2, 'improvement': 2, 'improves': 2, 'gain': 2,
+  'gains': 2, 'win': 3, 'wins': 3, 'won': 3, 'winning': 3, 'best': 3, 'better': 2, 'leading': 2, 'leader': 2,
+  'innovative': 2, 'innovation': 2, 'efficient': 2, 'reliable': 2, 'robust': 2, 'impressive': 3, 'love': 3,
+  'loved': 3, 'liked': 2, 'happy': 3, 'pleased': 2, 'satisfied': 2, 'satisfaction': 2,
+  'opportunity': 2, 'opportunities': 2, 'profitable': 2, 'profit': 2, 'profits': 2, 'boost': 2,
+  'boosted': 2, 'effective': 2, 'easy': 1, 'simple': 1, 'fast': 1, 'faster': 1, 'secure': 2, 'stable': 1,
+  'recommend': 2, 'recommended': 2, 'praise': 3, 'praised': 3, 'favorable': 2, 'optimistic': 2, 'confident': 2,
+  'exceed': 2, 'exceeded': 2, 'exceeds': 2, 'beat': 2, 'thrive': 3, 'thriving': 3, 'healthy': 2, 'valuable': 2,
+  'promising': 2, 'upbeat': 2, 'solid': 2, 'superior': 2, 'enthusiastic': 3, 'excited': 3,
+  // Negative
+  'bad': -2, 'poor': -2, 'terrible': -3, 'awful': -3, 'worst': -3, 'worse': -2, 'negative': -2,
+  'disadvantage': -2, 'disadvantages': -2, 'problem': -2, 'problems': -2, 'issue': -1, 'issues': -1, 'weak': -2,
+  'weaker': -2, 'weakness': -2, 'fail': -2, 'failed': -2, 'failure': -2, 'fails': -2, 'loss': -2, 'losses': -2,
+  'lose': -2, 'lost': -2, 'losing': -2, 'decline': -2, 'declined': -2, 'declining': -2, 'drop': -1,
+  'dropped': -1, 'risk': -1, 'risks': -1, 'risky': -2, 'threat': -2, 'threats': -2, 'concern': -1,
+  'concerns': -1, 'concerned': -2, 'difficult': -1, 'difficulty': -1, 'slow': -1, 'slower': -1, 'expensive': -1,
+  'costly': -2, 'hate': -3, 'angry': -3, 'unhappy': -2, 'disappointed': -2, 'disappointing': -2,
+  'frustrated': -2, 'frustrating': -2, 'complaint': -2, 'complaints': -2, 'broken': -2, 'bug': -1, 'bugs': -1,
+  'crash': -2, 'crashes': -2, 'delay': -1, 'delayed': -1, 'delays': -1, 'miss': -1, 'missed': -2,
+  'unreliable': -2, 'insecure': -2, 'vulnerable': -2, 'pessimistic': -2, 'uncertain': -1, 'uncertainty': -1,
+  'crisis': -3, 'struggle': -2, 'struggling': -2, 'struggles': -2, 'warning': -2, 'warned': -2, 'collapse': -3,
+  'damage': -2, 'damaged': -2, 'harm': -2, 'inferior': -2, 'criticism': -2, 'criticized': -2, 'weakened': -2
+};
+
+/**
+ * Competitive intelligence terms, events that are good or bad news for the company they are about
+ */
+export const COMPETITIVE_LEXICON = {
+  'churn': -2, 'layoff': -3, 'layoffs': -3, 'laid off': -3, 'downsizing': -2, 'restructuring': -1,
+  'lawsuit': -2, 'litigation': -2, 'sued': -2, 'recall': -2, 'breach': -3, 'data breach': -3, 'outage': -2,
+  'outages': -2, 'bankruptcy': -3, 'insolvency': -3, 'fined': -2, 'penalty': -2, 'investigation': -2,
+  'downgrade': -2, 'downgraded': -2, 'write down': -2, 'impairment': -2, 'shortfall': -2, 'headwinds': -2,
+  'price increase': -1, 'discontinued': -2, 'attrition': -2, 'delisted': -3, 'defaulted': -3,
+  'acquisition': 1, 'acquired': 1, 'merger': 1, 'partnership': 2, 'partnered': 2, 'funding': 2,
+  'expansion': 2, 'expanded': 2, 'expands': 2, 'launch': 1, 'launched': 1, 'growth': 2, 'growing': 2,
+  'grew': 2, 'upgrade': 2, 'upgraded': 2, 'award': 2, 'awarded': 2, 'milestone': 2, 'adoption': 1,
+  'market share': 1, 'tailwinds': 2, 'hiring': 1, 'ipo': 1, 'patent': 1, 'patents': 1
+};
+
+// Words that flip the sentiment of the next few words
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'without', 'hardly', 'barely', 'cannot',
+  'lack', 'lacks', 'lacking'
+]);
+
+// Words that scale the sentiment word right after them
+const INTENSIFIERS = new Map(Object.entries({
+  'very': 1.5, 'extremely': 1.75, 'highly': 1.5, 'really': 1.3, 'so': 1.3, 'too': 1.3, 'significantly': 1.5,
+  'substantially': 1.5, 'hugely': 1.75, 'sharply': 1.5, 'incredibly': 1.75, 'particularly': 1.3, 'major': 1.5,
+  'massive': 1.75, 'most': 1.3, 'totally': 1.5, 'completely': 1.5, 'deeply': 1.5,
+  'slightly': 0.5, 'somewhat': 0.6, 'marginally': 0.5, 'partly': 0.6, 'mildly': 0.5, 'minor': 0.5,
+  'little': 0.6, 'fairly': 0.8
+}));
+
+// How many words a negation reaches and how much it flips them, "not good" is milder than "bad"
+const NEGATION_SCOPE = 3;
+const NEGATION_FACTOR = -0.75;
+
+// Scales a score into -1 to 1, larger values approach the bounds
+const ALPHA = 15;
+const normalize = (score) => score / Math.sqrt(score * score + ALPHA);
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Splits text into sentences at end punctuation and blank lines
+ * @param {String} text - Text to split
+ * @returns {Array<String>} Sentences with their white space collapsed
+ */
+export const splitSentences = (text) => String(text || '')
+  .split(/(?<=[.!?])\s+|\n\s*\n/)
+  .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+  .filter(Boolean);
+
+const isNegator = (word) => NEGATORS.has(word) || word.endsWith('n\'t');
+
+/**
+ * Scores text against a lexicon. Sentiment words after a negation flip, words after an intensifier scale and
+ * in a sentence with but the part after it counts more, as in "pricing is high but support is excellent".
+ */
+export class SentimentAnalyzer {
+  /**
+   * @constructor
+   * @param {Object} [lexicons] - Lexicons by name, later ones override the scores of earlier ones
+   */
+  constructor(lexicons = { general: GENERAL_LEXICON, competitive: COMPETITIVE_LEXICON }) {
+    this.lexicons = new Map(Object.entries(lexicons));
+    this.version = 0;
+    this._rebuild();
+  }
+
+  /**
+   * Merges the lexicons into one word list
+   * @private
+   */
+  _rebuild() {
+    this._scores = new Map();
+    this._longest = 1;
+    this.lexicons.forEach(lexicon => Object.entries(lexicon).forEach(([entry, score]) => {
+      const words = tokenize(entry).map(token => token.word);
+      if (words.length === 0 || typeof score !== 'number') return;
+      this._scores.set(words.join(' '), score);
+      this._longest = Math.max(this._longest, words.length);
+    }));
+    this.version++;
+  }
+
+  /**
+   * Adds or replaces a lexicon, e.g. the terms of a team's domain
+   * @param {String} name - Lexicon name
+   * @param {Object} lexicon - Scores from -3 to 3 by word or phrase
+   */
+  addLexicon(name, lexicon) {
+    this.lexicons.delete(name);
+    this.lexicons.set(name, lexicon);
+    this._rebuild();
+  }
+
+  /**
+   * Removes a lexicon
+   * @param {String} name - Lexicon name
+   * @returns {Boolean} True when the lexicon was present
+   */
+  removeLexicon(name) {
+    const removed = this.lexicons.delete(name);
+    if (removed) this._rebuild();
+    return removed;
+  }
+
+  /**
+   * Scores one sentence
+   * @param {String} sentence - Sentence
+   * @returns {Object} { score, words: [{ term, score }] }
+   */
+  scoreSentence(sentence) {
+    const words = tokenize(sentence).map(token => token.word);
+    const found = [];
+    const butAt = words.indexOf('but');
+
+    for (let i = 0; i < words.length; i++) {
+      // Longest lexicon entry starting here
+      let term = null;
+      for (let size = Math.min(this._longest, words.length - i); size > 0 && !term; size--) {
+        const candidate = words.slice(i, i + size).join(' ');
+        if (this._scores.has(candidate)) term = { text: candidate, size };
+      }
+      if (!term) continue;
+
+      let score = this._scores.get(term.text);
+      const previous = words[i - 1];
+      if (INTENSIFIERS.has(previous)) score *= INTENSIFIERS.get(previous);
+      if (words.slice(Math.max(0, i - NEGATION_SCOPE), i).some(isNegator)) score *= NEGATION_FACTOR;
+      if (butAt !== -1) score *= i < butAt ? 0.5 : 1.5;
+
+      found.push({ term: term.text, score: round(score) });
+      i += term.size - 1;
+    }
+
+    return { score: round(found.reduce((sum, word) => sum + word.score, 0)), words: found };
+  }
+
+  /**
+   * Scores text sentence by sentence
+   * @param {String} text - Text to analyze
+   * @returns {Object} { score, comparative, normalized, interpretation, positive, negative, sentences }. score
+   * sums every sentiment word, comparative divides it by the number of words and normalized, from -1 to 1,
+   * averages the sentences that carry sentiment. positive and negative list the terms found and sentences
+   * holds each sentence with sentiment as { index, text, score, normalized }.
+   */
+  analyze(text) {
+    const positive = new Set();
+    const negative = new Set();
+    const sentences = [];
+    let score = 0;
+
+    splitSentences(text).forEach((sentence, index) => {
+      const result = this.scoreSentence(sentence);
+      result.words.forEach(word => (word.score > 0 ? positive : negative).add(word.term));
+      if (result.score === 0) return;
+      score += result.score;
+      sentences.push({ index, text: sentence, score: result.score, normalized: round(normalize(result.score)) });
+    });
+
+    const wordCount = tokenize(text).length;
+    const normalized = sentences.length > 0
+      ? round(sentences.reduce((sum, sentence) => sum + sentence.normalized, 0) / sentences.length)
+      : 0;
+    return {
+      score: round(score),
+      comparative: wordCount > 0 ? round(score / wordCount) : 0,
+      normalized,
+      interpretation: interpret(normalized),
+      positive: [...positive],
+      negative: [...negative],
+      sentences
+    };
+  }
+}
+
+/**
+ * Names a normalized score
+ * @param {Number} normalized - Score from -1 to 1
+ * @returns {String} Positive, Negative or Neutral
+ */
+export const interpret = (normalized) =>
+  normalized >= 0.05 ? 'Positive' : normalized <= -0.05 ? 'Negative' : 'Neutral';
+
+// Period of a date for trends
+const PERIODS = {
+  day: date => date.toISOString().slice(0, 10),
+  month: date => date.toISOString().slice(0, 7),
+  quarter: date => `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`,
+  year: date => String(date.getUTCFullYear())
+};
+
+/**
+ * Combines the sentiment of several interactions, e.g. those of a company or study, with a trend over time
+ * @param {Array<Object>} entries - Sentiment of each interaction as { date, normalized }
+ * @param {Object} [options] - Aggregation options
+ * @param {String} [options.period='month'] - Trend period: day, month, quarter or year
+ * @returns {Object} { average, interpretation, interactions, positive, negative, neutral,
+ * trend: [{ period, average, interactions }] } with the trend in time order, undated entries are left out of it
+ */
+export const aggregateSentiment = (entries, { period = 'month' } = {}) => {
+  const toPeriod = PERIODS[period];
+  if (!toPeriod) {
+    const err = new Error(`Unknown sentiment period [${period}], use one of ${Object.keys(PERIODS).join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const counts = { Positive: 0, Negative: 0, Neutral: 0 };
+  const periods = new Map();
+  let total = 0;
+  entries.forEach(({ date, normalized }) => {
+    total += normalized;
+    counts[interpret(normalized)]++;
+
+    const parsed = date ? new Date(date) : null;
+    if (!parsed || Number.isNaN(parsed.getTime())) return;
+    const key = toPeriod(parsed);
+    const bucket = periods.get(key) || { period: key, total: 0, interactions: 0 };
+    bucket.total += normalized;
+    bucket.interactions++;
+    periods.set(key, bucket);
+  });
+
+  const average = entries.length > 0 ? round(total / entries.length) : 0;
+  return {
+    average,
+    interpretation: interpret(average),
+    interactions: entries.length,
+    positive: counts.Positive,
+    negative: counts.Negative,
+    neutral: counts.Neutral,
+    trend: [...periods.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(bucket => ({ period: bucket.period, average: round(bucket.total / bucket.interactions), interactions: bucket.interactions }))
+  };
+};
+
+/**
+ * Shared analyzer used by the entities, add domain lexicons to it with addLexicon
+ */
+export const sentiment = new SentimentAnalyzer();
\ No newline at end of file
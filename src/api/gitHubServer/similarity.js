@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Document similarity: cosine ranking of sparse TF-IDF or dense embedding vectors and a vector
+ * index for pluggable embedding models
+ * @file similarity.js
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+import { tokenize } from './text.js';
+
+// Bump when the stored layout changes, older indexes are then rebuilt
+export const VECTOR_FORMAT = 1;
+
+/**
+ * Cosine similarity of two vectors, either sparse as a Map of dimension to weight or dense as arrays
+ * @param {Map|Array<Number>} a - First vector
+ * @param {Map|Array<Number>} b - Second vector
+ * @returns {Number} Similarity from -1 to 1, 0 when either vector is empty
+ */
+export const cosine = (a, b) => {
+  if (!a || !b) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  if (a instanceof Map) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    small.forEach((weight, key) => { dot += weight * (large.get(key) || 0); });
+    a.forEach(weight => { normA += weight * weight; });
+    b.forEach(weight => { normB += weight * weight; });
+  } else {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) dot += a[i] * b[i];
+    a.forEach(weight => { normA += weight * weight; });
+    b.forEach(weight => { normB += weight * weight; });
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Ranks candidates by their similarity to a vector
+ * @param {Map|Array<Number>} vector - Vector to compare with
+ * @param {Iterable<Array>} candidates - Pairs of name and vector
+ * @param {Object} [options] - Ranking options
+ * @param {Number} [options.k=5] - Maximum number of results, 0 for all
+ * @param {Number} [options.threshold=0] - Lowest similarity kept, results must be above 0 in any case
+ * @returns {Array<Object>} Results as { name, score }, most similar first
+ */
+export const rankBySimilarity = (vector, candidates, { k = 5, threshold = 0 } = {}) => {
+  const results = [];
+  for (const [name, candidate] of candidates) {
+    const score = cosine(vector, candidate);
+    if (score > 0 && score >= threshold) results.push({ name, score: Math.round(score * 10000) / 10000 });
+  }
+  results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+  return k > 0 ? results.slice(0, k) : results;
+};
+
+/**
+ * Vectors of named documents computed by an embedding model. Long texts are embedded in chunks whose vectors
+ * are averaged, so models with a short input limit see all of a document.
+ *
+ * An embedder is an object with a name, which is stored with the vectors so a different model rebuilds them,
+ * and an embed(texts) function resolving to one array of numbers per text.
+ */
+export class VectorIndex {
+  /**
+   * @constructor
+   * @param {Object} options - Index options
+   * @param {Object} options.embedder - Embedding model as { name, embed(texts) }
+   * @param {Number} [options.chunkWords=200] - Words per chunk sent to the model
+   */
+  constructor({ embedder, chunkWords = 200 } = {}) {
+    if (!embedder || typeof embedder.embed !== 'function') {
+      throw new Error('A vector index needs an embedder with an embed(texts) function');
+    }
+    this.embedder = embedder;
+    this.chunkWords = chunkWords;
+    this.docs = new Map();
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {Number} Document count
+   */
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * Checks if a document is indexed at a fingerprint
+   * @param {String} name - Document name
+   * @param {String} [fingerprint] - Fingerprint of the content
+   * @returns {Boolean} True when indexed, and with the same fingerprint when one is given
+   */
+  has(name, fingerprint) {
+    const doc = this.docs.get(name);
+    return Boolean(doc) && (fingerprint === undefined || doc.fingerprint === fingerprint);
+  }
+
+  /**
+   * Embeds text, averaging the vectors of its chunks
+   * @param {String} text - Text to embed
+   * @returns {Promise<Array<Number>|null>} Unit length vector, or null for text without words
+   */
+  async embed(text) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return null;
+
+    // Chunks end at word boundaries and keep the original text
+    const chunks = [];
+    for (let i = 0; i < tokens.length; i += this.chunkWords) {
+      const last = tokens[Math.min(i + this.chunkWords, tokens.length) - 1];
+      chunks.push(String(text).slice(tokens[i].start, last.end));
+    }
+
+    const vectors = await this.embedder.embed(chunks);
+    const sum = new Array(vectors[0].length).fill(0);
+    vectors.forEach(vector => vector.forEach((value, i) => { sum[i] += value; }));
+    const norm = Math.hypot(...sum) || 1;
+    return sum.map(value => value / norm);
+  }
+
+  /**
+   * Adds or replaces a document
+   * @param {String} name - Document name
+   * @param {String} text - Text to embed
+   * @param {String} [fingerprint] - Fingerprint of the content, used to skip unchanged documents
+   */
+  async add(name, text, fingerprint = null) {
+    const vector = await this.embed(text);
+    this.docs.set(name, { fingerprint, vector });
+  }
+
+  /**
+   * Removes a document
+   * @param {String} name - Document name
+   * @returns {Boolean} True when the document was indexed
+   */
+  remove(name) {
+    return this.docs.delete(name);
+  }
+
+  /**
+   * Gets the vector of a document
+   * @param {String} name - Document name
+   * @returns {Array<Number>|null} Vector, or null when the document is not indexed or has no words
+   */
+  vector(name) {
+    return this.docs.get(name)?.vector || null;
+  }
+
+  /**
+   * Serializes the index for a cache store
+   * @returns {Object} Plain object, see fromJSON
+   */
+  toJSON() {
+    return {
+      format: VECTOR_FORMAT,
+      embedder: this.embedder.name,
+      chunkWords: this.chunkWords,
+      docs: Object.fromEntries(this.docs)
+    };
+  }
+
+  /**
+   * Restores an index serialized with toJSON
+   * @param {Object} data - Serialized index
+   * @param {Object} options - Index options
+   * @param {Object} options.embedder - Embedding model, must have the name the index was built with
+   * @returns {VectorIndex|null} Index, or null when it was written in another format or by another model
+   */
+  static fromJSON(data, { embedder } = {}) {
+    if (!data || data.format !== VECTOR_FORMAT || !embedder || data.embedder !== embedder.name) return null;
+
+    const index = new VectorIndex({ embedder, chunkWords: data.chunkWords });
+    Object.entries(data.docs).forEach(([name, doc]) => index.docs.set(name, doc));
+    return index;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,322 @@
+/**
+ * @fileoverview Tabular formats for bulk import and export: CSV, JSON Lines and XLSX records, and coercion of
+ * spreadsheet cells to the types of a JSON Schema
+ * @file tabular.js
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+import { zipSync, strToU8 } from 'fflate';
+import { parseCsv, readPackage, decodeEntities } from './extractors.js';
+
+export const TABULAR_FORMATS = ['csv', 'jsonl', 'xlsx'];
+
+/**
+ * Creates an error for unusable input, reported as a 400
+ * @param {String} message - Error message
+ * @returns {Error} Error with a status
+ */
+const tableError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+/**
+ * Checks and normalizes a format name
+ * @param {String} format - csv, jsonl or xlsx in any case
+ * @returns {String} Lower case format
+ */
+export const normalizeFormat = (format) => {
+  const normalized = String(format || '').toLowerCase();
+  if (!TABULAR_FORMATS.includes(normalized)) {
+    throw tableError(`Unsupported format [${format}], expected one of [${TABULAR_FORMATS.join(', ')}]`);
+  }
+  return normalized;
+};
+
+/**
+ * Reads a source completely
+ * @param {Buffer|String|AsyncIterable} source - Content, or a readable stream of it
+ * @returns {Promise<Buffer>} Content
+ */
+export const readSource = async (source) => {
+  if (Buffer.isBuffer(source)) return source;
+  if (typeof source === 'string') return Buffer.from(source);
+  if (source instanceof Uint8Array) return Buffer.from(source);
+  if (source && typeof source[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    return Buffer.concat(chunks);
+  }
+  throw tableError('The source must be a Buffer, a string or a readable stream');
+};
+
+// Column letters of a cell reference such as AB12, as a zero based index
+const columnIndex = (reference) => {
+  const letters = /^[A-Z]+/i.exec(reference || '')?.[0];
+  if (!letters) return null;
+  return [...letters.toUpperCase()].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Text of the <t> elements in a shared string or inline string, rich text runs included
+const runsText = (xml) => [...xml.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(match => decodeEntities(match[1])).join('');
+
+const attribute = (attributes, name) => new RegExp(`\\b${name}="([^"]*)"`).exec(attributes)?.[1];
+
+/**
+ * Reads the first sheet of an XLSX workbook
+ * @param {Buffer} buffer - File content
+ * @returns {Array<Object>} Rows as { number, cells }, cells hold strings, numbers and booleans by column
+ */
+export const readXlsx = (buffer) => {
+  let entries;
+  try {
+    entries = readPackage(buffer, 'XLSX');
+  } catch (err) {
+    throw tableError(err.message);
+  }
+
+  // The first sheet in the workbook, through the workbook's relationships
+  const sheetId = attribute(/<sheet\b[^>]*>/.exec(entries['xl/workbook.xml'] || '')?.[0] || '', 'r:id');
+  const relationship = [...(entries['xl/_rels/workbook.xml.rels'] || '').matchAll(/<Relationship\b[^>]*>/g)]
+    .map(([element]) => element)
+    .find(element => attribute(element, 'Id') === sheetId);
+  const target = relationship && attribute(relationship, 'Target');
+  const sheetPath = target && (target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+  const sheet = entries[sheetPath] ||
+    entries[Object.keys(entries).filter(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name)).sort()[0]];
+  if (!sheet) {
+    throw tableError('The XLSX file has no worksheet');
+  }
+
+  const sharedStrings = [...(entries['xl/sharedStrings.xml'] || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(match => runsText(match[1]));
+
+  const rows = [];
+  for (const [, rowAttributes, rowXml = ''] of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const number = Number(attribute(rowAttributes, 'r')) || (rows.length > 0 ? rows[rows.length - 1].number + 1 : 1);
+    const cells = [];
+    for (const [, cellAttributes, cellXml = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const index = columnIndex(attribute(cellAttributes, 'r')) ?? cells.length;
+      const type = attribute(cellAttributes, 't');
+      const raw = /<v>([^<]*)<\/v>/.exec(cellXml)?.[1];
+      if (type === 'inlineStr') cells[index] = runsText(cellXml);
+      else if (raw === undefined) continue;
+      else if (type === 's') cells[index] = sharedStrings[Number(raw)] ?? '';
+      else if (type === 'b') cells[index] = raw === '1';
+      else if (type === 'str' || type === 'e') cells[index] = decodeEntities(raw);
+      else cells[index] = Number(raw);
+    }
+    rows.push({ number, cells });
+  }
+  return rows;
+};
+
+const escapeXml = (text) => String(text)
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const OFFICE_RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Writes rows as a single sheet XLSX workbook, strings are stored inline
+ * @param {Array<Array>} rows - Rows of strings, numbers and booleans, null for an empty cell
+ * @param {Object} [options] - Workbook options
+ * @param {String} [options.sheetName='Sheet1'] - Name of the sheet
+ * @returns {Buffer} File content
+ */
+export const writeXlsx = (rows, { sheetName = 'Sheet1' } = {}) => {
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const reference = `${columnName(c)}${r + 1}`;
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${reference}"><v>${value}</v></c>`;
+      if (typeof value === 'boolean') return `<c r="${reference}" t="b"><v>${value ? 1 : 0}</v></c>`;
+      return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    });
+    return `<row r="${r + 1}">${cells.join('')}</row>`;
+  });
+
+  // Sheet names are limited to 31 characters without []:*?/\
+  const name = escapeXml(String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1');
+  return Buffer.from(zipSync({
+    '[Content_Types].xml': strToU8(XML_DECLARATION +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ' +
+      'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ' +
+      'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>'),
+    '_rels/.rels': strToU8(XML_DECLARATION + `<Relationships xmlns="${RELATIONSHIPS_NS}">` +
+      `<Relationship Id="rId1" Type="${OFFICE_RELATIONSHIPS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`),
+    'xl/workbook.xml': strToU8(XML_DECLARATION +
+      `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${OFFICE_RELATIONSHIPS}">` +
+      `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`),
+    'xl/_rels/workbook.xml.rels': strToU8(XML_DECLARATION + `<Relationships xmlns="${RELATIONSHIPS_NS}">` +
+      `<Relationship Id="rId1" Type="${OFFICE_RELATIONSHIPS}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`),
+    'xl/worksheets/sheet1.xml': strToU8(XML_DECLARATION +
+      `<worksheet xmlns="${SPREADSHEET_NS}"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`)
+  }));
+};
+
+/**
+ * Writes rows as CSV with CRLF line breaks, quoting fields as described in RFC 4180
+ * @param {Array<Array>} rows - Rows of values, null for an empty field
+ * @returns {String} CSV text
+ */
+export const toCsv = (rows) => rows
+  .map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(','))
+  .join('\r\n') + '\r\n';
+
+// Value of a spreadsheet cell, objects and arrays are written as JSON
+const cellValue = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+
+/**
+ * Reads the records of a CSV, JSON Lines or XLSX file. The first row of a CSV or XLSX file holds the column
+ * headers, empty cells are left out and strings are trimmed.
+ * @param {String} format - csv, jsonl or xlsx
+ * @param {Buffer} buffer - File content
+ * @returns {Object} { records, errors }: records as { row, values } and unreadable lines as { row, message },
+ * row is the line of a JSON Lines file or the row of a sheet, counting the header
+ */
+export const readRecords = (format, buffer) => {
+  const records = [];
+  const errors = [];
+
+  const normalized = normalizeFormat(format);
+  if (normalized === 'jsonl') {
+    buffer.toString('utf-8').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, i) => {
+      if (line.trim() === '') return;
+      try {
+        const values = JSON.parse(line);
+        if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+          errors.push({ row: i + 1, message: 'The line is not a JSON object' });
+        } else {
+          records.push({ row: i + 1, values });
+        }
+      } catch (err) {
+        errors.push({ row: i + 1, message: `Invalid JSON: ${err.message}` });
+      }
+    });
+    return { records, errors };
+  }
+
+  const rows = normalized === 'csv'
+    ? parseCsv(buffer.toString('utf-8')).map((cells, i) => ({ number: i + 1, cells }))
+    : readXlsx(buffer);
+  const isBlank = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+  const filled = rows.filter(({ cells }) => !cells.every(isBlank));
+  if (filled.length === 0) return { records, errors };
+
+  const [header, ...data] = filled;
+  const headers = Array.from(header.cells, cell => (isBlank(cell) ? null : String(cell).trim()));
+  for (const { number, cells } of data) {
+    const values = {};
+    headers.forEach((column, i) => {
+      if (column === null || isBlank(cells[i])) return;
+      values[column] = typeof cells[i] === 'string' ? cells[i].trim() : cells[i];
+    });
+    records.push({ row: number, values });
+  }
+  return { records, errors };
+};
+
+/**
+ * Writes records as a CSV, JSON Lines or XLSX file. Objects and arrays become JSON text in CSV and XLSX cells.
+ * @param {String} format - csv, jsonl or xlsx
+ * @param {Array<Object>} records - Records to write
+ * @param {Array<Object>} columns - Columns as { header, field }, in order
+ * @param {Object} [options] - Writer options
+ * @param {String} [options.sheetName] - Name of the XLSX sheet
+ * @returns {Buffer} File content
+ */
+export const writeRecords = (format, records, columns, { sheetName } = {}) => {
+  const normalized = normalizeFormat(format);
+  if (normalized === 'jsonl') {
+    return Buffer.from(records.map(record => JSON.stringify(Object.fromEntries(
+      columns.filter(({ field }) => record[field] !== undefined).map(({ header, field }) => [header, record[field]])
+    )) + '\n').join(''));
+  }
+
+  const rows = [
+    columns.map(({ header }) => header),
+    ...records.map(record => columns.map(({ field }) => cellValue(record[field])))
+  ];
+  return normalized === 'csv' ? Buffer.from(toCsv(rows)) : writeXlsx(rows, { sheetName });
+};
+
+/**
+ * Collects the JSON types a schema allows for a top level field, following $ref, anyOf and oneOf
+ * @param {Object} schema - JSON Schema of the entity
+ * @param {String} field - Field name
+ * @returns {Set<String>} Types, empty when the field is not described
+ */
+export const fieldTypes = (schema, field) => {
+  const types = new Set();
+  const visit = (node, depth = 0) => {
+    if (!node || depth > 8) return;
+    if (typeof node.$ref === 'string' && node.$ref.startsWith('#/')) {
+      visit(node.$ref.slice(2).split('/').reduce((target, key) => target?.[key], schema), depth + 1);
+    }
+    [].concat(node.type || []).forEach(type => types.add(type));
+    [...(node.anyOf || []), ...(node.oneOf || [])].forEach(branch => visit(branch, depth + 1));
+  };
+  visit(schema?.properties?.[field]);
+  return types;
+};
+
+/**
+ * Converts a spreadsheet value to a type the schema allows. Numeric text becomes a number, true, false, yes and
+ * no become booleans, and JSON or a list separated by semicolons becomes an array. Values that do not convert
+ * are returned as they are, for the schema validation to report.
+ * @param {*} value - Cell value
+ * @param {Set<String>} types - Types allowed, see fieldTypes
+ * @returns {*} Converted value
+ */
+export const coerceValue = (value, types) => {
+  if (types.size === 0) return value;
+  const numeric = types.has('number') || types.has('integer');
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    const allowed = typeof value === 'number' ? numeric : types.has('boolean');
+    return !allowed && types.has('string') ? String(value) : value;
+  }
+  if (typeof value !== 'string') return value;
+
+  if (numeric && value !== '' && Number.isFinite(Number(value))) return Number(value);
+  if (types.has('boolean') && /^(true|false|yes|no)$/i.test(value)) return /^(true|yes)$/i.test(value);
+  if (types.has('array') || types.has('object')) {
+    if (/^[[{]/.test(value)) {
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    }
+    if (types.has('array')) return value.split(';').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+};
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Text analysis shared by search and content analysis: tokenizing, stop words and stemming
+ * @file text.js
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+// Words made of letters and digits with inner apostrophes kept, e.g. don't, hyphenated words are split
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+/**
+ * English stop words, words too common to tell documents apart
+ */
+export const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do',
+  'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he',
+  'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+  'itself', 'just', 'may', 'me', 'might', 'more', 'most', 'must', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of',
+  'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'same', 'shall',
+  'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then',
+  'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'upon', 'us', 'very',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would',
+  'you', 'your', 'yours', 'yourself', 'yourselves'
+]);
+
+/**
+ * Stop words of the languages found in interactions besides English
+ */
+export const STOP_WORDS_BY_LANGUAGE = {
+  en: STOP_WORDS,
+  es: new Set([
+    'a', 'al', 'algo', 'como', 'con', 'cual', 'cuando', 'de', 'del', 'desde', 'donde', 'dos', 'el', 'ella', 'ellos',
+    'en', 'entre', 'era', 'es', 'esa', 'ese', 'eso', 'esta', 'este', 'esto', 'está', 'están', 'fue', 'ha', 'han',
+    'hay', 'la', 'las', 'le', 'les', 'lo', 'los', 'mas', 'más', 'me', 'mi', 'muy', 'no', 'nos', 'o', 'otro', 'para',
+    'pero', 'por', 'porque', 'que', 'qué', 'se', 'sea', 'ser', 'si', 'sin', 'sobre', 'son', 'su', 'sus', 'también',
+    'te', 'todo', 'tiene', 'un', 'una', 'uno', 'y', 'ya', 'yo'
+  ]),
+  fr: new Set([
+    'a', 'au', 'aux', 'avec', 'ce', 'ces', 'cette', 'comme', 'dans', 'de', 'des', 'du', 'elle', 'elles', 'en', 'est',
+    'et', 'etait', 'été', 'être', 'il', 'ils', 'je', 'la', 'le', 'les', 'leur', 'leurs', 'lui', 'mais', 'me', 'même',
+    'mes', 'moi', 'mon', 'ne', 'nos', 'notre', 'nous', 'on', 'ont', 'ou', 'où', 'par', 'pas', 'plus', 'pour', 'qu',
+    'que', 'qui', 'sa', 'sans', 'se', 'ses', 'son', 'sont', 'sur', 'ta', 'te', 'tes', 'toi', 'ton', 'tous', 'tout',
+    'tu', 'un', 'une', 'vos', 'votre', 'vous', 'y'
+  ]),
+  de: new Set([
+    'aber', 'alle', 'als', 'also', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bis', 'da', 'das', 'dass', 'dem',
+    'den', 'der', 'des', 'die', 'dies', 'diese', 'dieser', 'doch', 'du', 'durch', 'ein', 'eine', 'einem', 'einen',
+    'einer', 'es', 'für', 'hat', 'haben', 'ich', 'ihr', 'im', 'in', 'ist', 'ja', 'kann', 'mit', 'nach', 'nicht',
+    'noch', 'nur', 'oder', 'sein', 'sich', 'sie', 'sind', 'so', 'über', 'um', 'und', 'uns', 'unter', 'vom', 'von',
+    'vor', 'war', 'was', 'wenn', 'wie', 'wir', 'wird', 'wurde', 'zu', 'zum', 'zur'
+  ]),
+  it: new Set([
+    'a', 'al', 'alla', 'anche', 'che', 'chi', 'come', 'con', 'da', 'dal', 'dalla', 'degli', 'dei', 'del', 'della',
+    'di', 'e', 'è', 'gli', 'ha', 'hanno', 'i', 'il', 'in', 'io', 'la', 'le', 'lo', 'loro', 'ma', 'mi', 'nel', 'nella',
+    'non', 'o', 'per', 'più', 'quella', 'quello', 'questa', 'questo', 'se', 'si', 'sono', 'su', 'sua', 'suo', 'tra',
+    'un', 'una', 'uno'
+  ]),
+  pt: new Set([
+    'a', 'ao', 'aos', 'as', 'com', 'como', 'da', 'das', 'de', 'do', 'dos', 'e', 'é', 'ela', 'ele', 'eles', 'em',
+    'entre', 'era', 'essa', 'esse', 'esta', 'este', 'eu', 'foi', 'há', 'isso', 'já', 'mais', 'mas', 'me', 'muito',
+    'na', 'nas', 'no', 'nos', 'não', 'o', 'os', 'ou', 'para', 'pela', 'pelo', 'por', 'que', 'se', 'sem', 'seu', 'sua',
+    'são', 'também', 'um', 'uma'
+  ]),
+  nl: new Set([
+    'aan', 'al', 'als', 'bij', 'dan', 'dat', 'de', 'die', 'dit', 'door', 'een', 'en', 'er', 'had', 'heb', 'heeft',
+    'het', 'hij', 'hoe', 'ik', 'in', 'is', 'je', 'kan', 'maar', 'met', 'naar', 'niet', 'nog', 'of', 'om', 'ook',
+    'op', 'over', 'te', 'tot', 'uit', 'van', 'voor', 'was', 'wat', 'we', 'wel', 'wij', 'wordt', 'zijn', 'ze', 'zich',
+    'zo', 'zou'
+  ])
+};
+
+/**
+ * Splits text into words with their position and character offsets
+ * @param {String} text - Text to split
+ * @returns {Array<Object>} Tokens as { word, position, start, end }, word is lower case
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  let position = 0;
+  for (const match of String(text || '').matchAll(WORD)) {
+    tokens.push({
+      word: match[0].toLowerCase().replace(/’/g, '\''),
+      position: position++,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+};
+
+// Porter stemmer, see https://tartarus.org/martin/PorterStemmer/def.txt
+const VOWEL = '[aeiouy]';
+const CONSONANT = '[^aeiou]';
+const C = `${CONSONANT}[^aeiouy]*`;
+const V = `${VOWEL}[aeiou]*`;
+const MEASURE_GT_0 = new RegExp(`^(${C})?${V}${C}`);
+const MEASURE_EQ_1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const HAS_VOWEL = new RegExp(`^(${C})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${C}${VOWEL}[^aeiouwxy]$`);
+
+const STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al', entli: 'ent',
+  eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful',
+  ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+const STEP4 = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+const replaceSuffix = (word, suffixes, condition) => {
+  for (const [suffix, replacement] of Object.entries(suffixes)) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return condition.test(stem) ? stem + replacement : word;
+    }
+  }
+  return word;
+};
+
+/**
+ * Reduces an English word to its stem, e.g. acquisitions and acquired both become acquisit and acquir
+ * @param {String} word - Lower case word
+ * @returns {String} Stem
+ */
+export const stem = (word) => {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let w = word[0] === 'y' ? `Y${word.slice(1)}` : word;
+
+  // Step 1a: plurals
+  if (/sses$|ies$/.test(w)) w = w.slice(0, -2);
+  else if (/[^s]s$/.test(w)) w = w.slice(0, -1);
+
+  // Step 1b: past tense and gerunds
+  let match;
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (ENDS_CVC.test(w)) w += 'e';
+  }
+
+  // Step 1c: y to i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) w = `${match[1]}i`;
+
+  // Steps 2 and 3: double and single suffixes
+  w = replaceSuffix(w, STEP2, MEASURE_GT_0);
+  w = replaceSuffix(w, STEP3, MEASURE_GT_0);
+
+  // Step 4: remaining suffixes
+  if ((match = STEP4.exec(w)) && MEASURE_GT_1.test(match[1])) {
+    w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w)) && MEASURE_GT_1.test(match[1] + match[2])) {
+    w = match[1] + match[2];
+  }
+
+  // Step 5: final e and double l
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+
+  return w[0] === 'Y' ? `y${w.slice(1)}` : w;
+};
+
+/**
+ * Turns text into index terms: tokenized, without stop words and stemmed. Positions count the removed stop
+ * words so phrases still line up.
+ * @param {String} text - Text to analyze
+ * @param {Object} [options] - Analyzer options
+ * @param {Set<String>} [options.stopWords] - Stop words, English by default
+ * @param {Function} [options.stemmer] - Stemmer, Porter by default, or null to keep words as they are
+ * @returns {Array<Object>} Tokens as { term, word, position, start, end }
+ */
+export const analyze = (text, { stopWords = STOP_WORDS, stemmer = stem } = {}) =>
+  tokenize(text)
+    .filter(token => !stopWords.has(token.word))
+    .map(token => ({ ...token, term: stemmer ? stemmer(token.word.replace(/'s$/, '')) : token.word }));
+
+/**
+ * Guesses the language of text from the stop words it uses, a union of every list would drop words such as
+ * war or die from English text
+ * @param {Array<Object>|String} text - Text or its tokens
+ * @returns {String} Language code of STOP_WORDS_BY_LANGUAGE, en when nothing stands out
+ */
+export const detectLanguage = (text) => {
+  const tokens = typeof text === 'string' ? tokenize(text) : text;
+  let best = { language: 'en', hits: 0 };
+  for (const [language, stopWords] of Object.entries(STOP_WORDS_BY_LANGUAGE)) {
+    const hits = tokens.reduce((sum, token) => sum + (stopWords.has(token.word) ? 1 : 0), 0);
+    if (hits > best.hits) best = { language, hits };
+  }
+  return best.language;
+};
\ No newline at end of file
@@ -0,0 +1,405 @@
+/**
+ * @fileoverview Keyword and topic extraction: TF-IDF over the interactions corpus, n-gram phrases and NMF
+ * clustering, all computed locally
+ * @file topics.js
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+import { tokenize, stem, detectLanguage, STOP_WORDS, STOP_WORDS_BY_LANGUAGE } from './text.js';
+
+// Bump when the stored layout or the term extraction changes, older models are then rebuilt
+export const MODEL_FORMAT = 1;
+
+// Punctuation, table cells and blank lines between two words end a phrase
+const PHRASE_BREAK = /[.,;:!?()[\]{}"“”|\t•]|\n\s*\n/;
+
+/**
+ * Extracts candidate terms from text: single words and phrases of up to maxNgram words that hold no stop
+ * word, number or punctuation. Terms are keyed by their stemmed words so price increases and price increase
+ * count as one.
+ * @param {String} text - Text to extract from
+ * @param {Object} [options] - Extraction options
+ * @param {Number} [options.maxNgram=3] - Longest phrase in words
+ * @param {Set<String>} [options.stopWords] - Stop words, English plus those of the detected language by default
+ * @param {Number} [options.minLength=3] - Shortest single word kept
+ * @returns {Object} { terms: Map term → count, labels: Map term → most used wording, length: words in the text }
+ */
+export const extractTerms = (text, { maxNgram = 3, stopWords, minLength = 3 } = {}) => {
+  const tokens = tokenize(text);
+  if (!stopWords) {
+    stopWords = new Set([...STOP_WORDS, ...STOP_WORDS_BY_LANGUAGE[detectLanguage(tokens)]]);
+  }
+
+  // Runs of consecutive content words
+  const runs = [];
+  let run = [];
+  tokens.forEach((token, i) => {
+    const previous = tokens[i - 1];
+    if (previous && PHRASE_BREAK.test(String(text).slice(previous.end, token.start))) {
+      runs.push(run);
+      run = [];
+    }
+    if (stopWords.has(token.word) || /^\d+$/.test(token.word)) {
+      runs.push(run);
+      run = [];
+    } else {
+      run.push({ word: token.word, term: stem(token.word.replace(/'s$/, '')) });
+    }
+  });
+  runs.push(run);
+
+  const terms = new Map();
+  const wordings = new Map();
+  for (const words of runs) {
+    for (let size = 1; size <= maxNgram; size++) {
+      for (let start = 0; start + size <= words.length; start++) {
+        const gram = words.slice(start, start + size);
+        if (size === 1 && gram[0].word.length < minLength) continue;
+        const term = gram.map(word => word.term).join(' ');
+        const wording = gram.map(word => word.word).join(' ');
+        terms.set(term, (terms.get(term) || 0) + 1);
+        if (!wordings.has(term)) wordings.set(term, new Map());
+        wordings.get(term).set(wording, (wordings.get(term).get(wording) || 0) + 1);
+      }
+    }
+  }
+
+  const labels = new Map([...wordings].map(([term, counts]) =>
+    [term, [...counts].sort(([a, x], [b, y]) => y - x || a.localeCompare(b))[0][0]]
+  ));
+  return { terms, labels, length: tokens.length };
+};
+
+// Checks if one term is part of another, e.g. price in price increase
+const overlaps = (a, b) => ` ${a} `.includes(` ${b} `) || ` ${b} `.includes(` ${a} `);
+
+// Deterministic random numbers so clusters do not change between runs, mulberry32
+const random = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Scales weights to sum to 1
+const normalize = (items) => {
+  const total = items.reduce((sum, item) => sum + item.weight, 0) || 1;
+  return items.map(item => ({ ...item, weight: round(item.weight / total) }));
+};
+
+/**
+ * Document frequencies and term counts of a corpus, used to score the keywords of one document against all of
+ * them and to cluster the corpus into topics
+ */
+export class TopicModel {
+  /**
+   * @constructor
+   * @param {Object} [options] - Extraction options
+   * @param {Number} [options.maxNgram=3] - Longest phrase in words
+   * @param {Number} [options.minPhraseCount=2] - Times a phrase must occur in a document to be a keyword
+   */
+  constructor({ maxNgram = 3, minPhraseCount = 2 } = {}) {
+    this.maxNgram = maxNgram;
+    this.minPhraseCount = minPhraseCount;
+    this.docs = new Map();
+    this.df = new Map();
+  }
+
+  /**
+   * Number of documents
+   * @returns {Number} Document count
+   */
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * Checks if a document is in the model at a fingerprint
+   * @param {String} name - Document name
+   * @param {String} [fingerprint] - Fingerprint of the content
+   * @returns {Boolean} True when present, and with the same fingerprint when one is given
+   */
+  has(name, fingerprint) {
+    const doc = this.docs.get(name);
+    return Boolean(doc) && (fingerprint === undefined || doc.fingerprint === fingerprint);
+  }
+
+  /**
+   * Adds or replaces a document
+   * @param {String} name - Document name
+   * @param {String} text - Text of the document
+   * @param {String} [fingerprint] - Fingerprint of the content, used to skip unchanged documents
+   */
+  add(name, text, fingerprint = null) {
+    this.remove(name);
+
+    const { terms, labels } = extractTerms(text, { maxNgram: this.maxNgram });
+    terms.forEach((count, term) => this.df.set(term, (this.df.get(term) || 0) + 1));
+    this.docs.set(name, { fingerprint, terms, labels });
+  }
+
+  /**
+   * Removes a document
+   * @param {String} name - Document name
+   * @returns {Boolean} True when the document was in the model
+   */
+  remove(name) {
+    const doc = this.docs.get(name);
+    if (!doc) return false;
+
+    doc.terms.forEach((count, term) => {
+      const df = this.df.get(term) - 1;
+      if (df > 0) this.df.set(term, df);
+      else this.df.delete(term);
+    });
+    this.docs.delete(name);
+    return true;
+  }
+
+  /**
+   * Smoothed inverse document frequency, terms found in every document score lowest
+   * @private
+   */
+  _idf(term) {
+    return Math.log((1 + this.docs.size) / (1 + (this.df.get(term) || 0))) + 1;
+  }
+
+  /**
+   * Scores the terms of a document with TF-IDF. Phrases score higher than the words they are made of.
+   * @private
+   * @param {Object} doc - Document terms and labels
+   * @returns {Array<Object>} Terms as { term, score, count }, best first
+   */
+  _score(doc) {
+    const scored = [];
+    doc.terms.forEach((count, term) => {
+      const size = term.split(' ').length;
+      if (size > 1 && count < this.minPhraseCount) return;
+      scored.push({ term, count, score: (1 + Math.log(count)) * this._idf(term) * (1 + (size - 1) / 2) });
+    });
+    return scored.sort((a, b) => b.score - a.score || a.term.localeCompare(b.term));
+  }
+
+  /**
+   * Gets the keywords of a document. Terms overlapping a better scored one are left out, so a document about
+   * price increases lists either the phrase or its words.
+   * @param {String} name - Document name
+   * @param {Object} [options] - Keyword options
+   * @param {Number} [options.limit=10] - Maximum number of keywords
+   * @returns {Array<Object>|null} Keywords as { topic, weight, count } with weights summing to 1, best first,
+   * or null when the document is not in the model
+   */
+  keywords(name, { limit = 10 } = {}) {
+    const doc = this.docs.get(name);
+    if (!doc) return null;
+
+    const picked = [];
+    for (const candidate of this._score(doc)) {
+      if (picked.length >= limit) break;
+      if (picked.some(({ term }) => overlaps(term, candidate.term))) continue;
+      picked.push(candidate);
+    }
+    return normalize(picked.map(({ term, score, count }) => ({ topic: doc.labels.get(term), weight: score, count })));
+  }
+
+  /**
+   * Weighs term counts with TF-IDF against the corpus
+   * @private
+   * @param {Map} terms - Term counts
+   * @returns {Map} Term weights
+   */
+  _weigh(terms) {
+    const vector = new Map();
+    terms.forEach((count, term) => vector.set(term, (1 + Math.log(count)) * this._idf(term)));
+    return vector;
+  }
+
+  /**
+   * Gets the TF-IDF vector of a document, weighed with the current document frequencies
+   * @param {String} name - Document name
+   * @returns {Map|null} Term weights, or null when the document is not in the model
+   */
+  vector(name) {
+    const doc = this.docs.get(name);
+    return doc ? this._weigh(doc.terms) : null;
+  }
+
+  /**
+   * Gets the TF-IDF vector of text that is not in the model, e.g. a query
+   * @param {String} text - Text
+   * @returns {Map} Term weights
+   */
+  vectorize(text) {
+    return this._weigh(extractTerms(text, { maxNgram: this.maxNgram }).terms);
+  }
+
+  /**
+   * Clusters the corpus into topics with non-negative matrix factorization of its TF-IDF matrix
+   * @param {Object} [options] - Clustering options
+   * @param {Number} [options.k=5] - Number of topics, at most the number of documents
+   * @param {Number} [options.topTerms=10] - Terms listed per topic
+   * @param {Number} [options.maxTerms=1000] - Vocabulary size, the terms found in the most documents are kept
+   * @param {Number} [options.iterations=200] - Multiplicative update rounds
+   * @param {Number} [options.seed=1] - Seed of the initial factors
+   * @returns {Object} { topics: [{ id, label, weight, terms: [{ topic, weight }] }],
+   * documents: [{ name, topics: [{ id, weight }] }] }
+   */
+  clusters({ k = 5, topTerms = 10, maxTerms = 1000, iterations = 200, seed = 1 } = {}) {
+    const names = [...this.docs.keys()];
+    k = Math.min(k, names.length);
+    if (k === 0) return { topics: [], documents: [] };
+
+    // Terms found in every document do not tell topics apart
+    const vocabulary = [...this.df]
+      .filter(([, df]) => df < names.length || names.length === 1)
+      .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+      .slice(0, maxTerms)
+      .map(([term]) => term);
+    const columns = new Map(vocabulary.map((term, j) => [term, j]));
+    if (vocabulary.length === 0) return { topics: [], documents: names.map(name => ({ name, topics: [] })) };
+
+    // Rows are L2 normalized TF-IDF vectors
+    const V = names.map(name => {
+      const row = new Float64Array(vocabulary.length);
+      this.docs.get(name).terms.forEach((count, term) => {
+        if (columns.has(term)) row[columns.get(term)] = (1 + Math.log(count)) * this._idf(term);
+      });
+      const norm = Math.hypot(...row) || 1;
+      return row.map(value => value / norm);
+    });
+
+    const next = random(seed);
+    const W = names.map(() => Float64Array.from({ length: k }, () => next() + 0.01));
+    const H = Array.from({ length: k }, () => Float64Array.from(vocabulary, () => next() + 0.01));
+    const n = names.length;
+    const m = vocabulary.length;
+    const epsilon = 1e-9;
+
+    // Lee and Seung multiplicative updates minimizing the Frobenius norm of V - WH
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      // H ← H ∘ (WᵀV) / (WᵀWH)
+      const WtW = Array.from({ length: k }, (_, a) =>
+        Float64Array.from({ length: k }, (__, b) => W.reduce((sum, w) => sum + w[a] * w[b], 0)));
+      for (let a = 0; a < k; a++) {
+        for (let j = 0; j < m; j++) {
+          let numerator = 0;
+          for (let i = 0; i < n; i++) numerator += W[i][a] * V[i][j];
+          let denominator = 0;
+          for (let b = 0; b < k; b++) denominator += WtW[a][b] * H[b][j];
+          H[a][j] *= numerator / (denominator + epsilon);
+        }
+      }
+
+      // W ← W ∘ (VHᵀ) / (WHHᵀ)
+      const HHt = Array.from({ length: k }, (_, a) =>
+        Float64Array.from({ length: k }, (__, b) => H[a].reduce((sum, h, j) => sum + h * H[b][j], 0)));
+      for (let i = 0; i < n; i++) {
+        for (let a = 0; a < k; a++) {
+          let numerator = 0;
+          for (let j = 0; j < m; j++) numerator += V[i][j] * H[a][j];
+          let denominator = 0;
+          for (let b = 0; b < k; b++) denominator += W[i][b] * HHt[b][a];
+          W[i][a] *= numerator / (denominator + epsilon);
+        }
+      }
+    }
+
+    // Wordings of the terms, from the documents that use them
+    const labels = new Map();
+    this.docs.forEach(doc => doc.labels.forEach((label, term) => {
+      if (!labels.has(term)) labels.set(term, label);
+    }));
+
+    const mass = W.reduce((total, w) => total + w.reduce((sum, value) => sum + value, 0), 0) || 1;
+    const topics = H.map((h, id) => {
+      const terms = normalize([...h]
+        .map((weight, j) => ({ topic: labels.get(vocabulary[j]), weight }))
+        .filter(term => term.weight > epsilon)
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, topTerms));
+      const label = [];
+      terms.forEach(({ topic }) => {
+        if (label.length < 3 && !label.some(other => overlaps(other, topic))) label.push(topic);
+      });
+      return {
+        id,
+        label: label.join(', '),
+        weight: round(W.reduce((sum, w) => sum + w[id], 0) / mass),
+        terms
+      };
+    });
+
+    const documents = names.map((name, i) => ({
+      name,
+      topics: normalize([...W[i]].map((weight, id) => ({ id, weight })))
+        .filter(topic => topic.weight >= 0.01)
+        .sort((a, b) => b.weight - a.weight)
+    }));
+    return { topics, documents };
+  }
+
+  /**
+   * Serializes the model for a cache store
+   * @returns {Object} Plain object, see fromJSON
+   */
+  toJSON() {
+    return {
+      format: MODEL_FORMAT,
+      maxNgram: this.maxNgram,
+      minPhraseCount: this.minPhraseCount,
+      docs: Object.fromEntries([...this.docs].map(([name, doc]) => [name, {
+        fingerprint: doc.fingerprint,
+        terms: Object.fromEntries(doc.terms),
+        labels: Object.fromEntries(doc.labels)
+      }]))
+    };
+  }
+
+  /**
+   * Restores a model serialized with toJSON
+   * @param {Object} data - Serialized model
+   * @returns {TopicModel|null} Model, or null when it was written in another format
+   */
+  static fromJSON(data) {
+    if (!data || data.format !== MODEL_FORMAT) return null;
+
+    const model = new TopicModel({ maxNgram: data.maxNgram, minPhraseCount: data.minPhraseCount });
+    for (const [name, doc] of Object.entries(data.docs)) {
+      const terms = new Map(Object.entries(doc.terms));
+      terms.forEach((count, term) => model.df.set(term, (model.df.get(term) || 0) + 1));
+      model.docs.set(name, { fingerprint: doc.fingerprint, terms, labels: new Map(Object.entries(doc.labels)) });
+    }
+    return model;
+  }
+}
+
+/**
+ * Combines the topics stored on several interactions, e.g. those of a study. Each interaction counts the same
+ * whatever the number of its topics.
+ * @param {Array<Array<Object>>} topicLists - Topics of each interaction as { topic, weight }
+ * @param {Object} [options] - Aggregation options
+ * @param {Number} [options.limit=10] - Maximum number of topics
+ * @returns {Array<Object>} Topics as { topic, weight, interactions }, weights summing to 1, best first
+ */
+export const aggregateTopics = (topicLists, { limit = 10 } = {}) => {
+  const totals = new Map();
+  for (const topics of topicLists) {
+    if (!Array.isArray(topics) || topics.length === 0) continue;
+    normalize(topics.filter(topic => topic?.topic)).forEach(({ topic, weight }) => {
+      const total = totals.get(topic) || { topic, weight: 0, interactions: 0 };
+      total.weight += weight;
+      total.interactions += 1;
+      totals.set(topic, total);
+    });
+  }
+  const ranked = [...totals.values()]
+    .sort((a, b) => b.weight - a.weight || a.topic.localeCompare(b.topic))
+    .slice(0, limit);
+  return normalize(ranked);
+};
\ No newline at end of file
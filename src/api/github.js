@@ -9,6 +9,7 @@
  * 
  * @class GitHubFunctions
  * @classdesc Core functions needed to interact with the GitHub API for mediumroast.io.
+ * @augments StorageAdapter
  * 
  * @requires octokit
  * 
@@ -20,41 +21,46 @@
  */
 
 import { Octokit } from 'octokit';
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+import { readFile } from 'fs/promises';
+import { Readable } from 'stream';
 
 // Import refactored modules
+import StorageAdapter from './adapter.js';
 import ResponseFactory from './github/response.js';
 import ContainerOperations from './github/container.js';
-import RepositoryManager from './github/repository.js';
+import RepositoryManager, { CONTENTS_API_MAX_SIZE } from './github/repository.js';
+import LfsClient, { formatPointer, parsePointer, spoolToFile, LFS_POINTER_MAX_SIZE } from './github/lfs.js';
 import UserManager from './github/user.js';
 import BillingManager from './github/billing.js';
 import BranchManager from './github/branch.js';
 import { encodeContent, decodeJsonContent, customEncodeURIComponent } from './github/utils.js';
-import { isEmpty, isArray, deepClone, mergeObjects, formatDate } from '../utils/helpers.js';
+import { isEmpty, isArray } from '../utils/helpers.js';
 
-class GitHubFunctions {
+class GitHubFunctions extends StorageAdapter {
   /**
      * @constructor
      * @classdesc Core functions needed to interact with the GitHub API for mediumroast.io.
      * @param {String} token - the GitHub token for the mediumroast.io application
      * @param {String} org - the GitHub organization for the mediumroast.io application
      * @param {String} processName - the name of the process that is using the GitHub API
+     * @param {Object} [options] - Optional settings
+     * @param {Object} [options.octokit] - Octokit compatible client to use instead of creating one, e.g. FakeOctokit
+     * @param {Number} [options.lockTtl=600] - Lease length of container locks in seconds
+     * @param {Object} [options.logger] - Logger from createLogger, or a pino or winston style logger
+     * @param {Boolean|Object} [options.lfs] - Store large blobs with Git LFS, true or { threshold, fetch, endpoint }
+     * @param {Number} [options.lfs.threshold=52428800] - Blobs of this many bytes or more go to LFS
+     * @param {Function} [options.lfs.fetch] - Fetch implementation for the LFS API, defaults to the global fetch
      * @memberof GitHubFunctions
     */
-  constructor(token, org, processName) {
+  constructor(token, org, processName, options = {}) {
+    super(processName, options);
     this.token = token;
     this.orgName = org;
     this.repoName = `${org}_discovery`;
     this.repoDesc = 'A repository for all of the mediumroast.io application assets.';
-    this.octCtl = new Octokit({auth: token});
-    this.lockFileName = `${processName}.lock`;
-    this.mainBranchName = 'main';
-    this.objectFiles = {
-      Studies: 'Studies.json',
-      Companies: 'Companies.json',
-      Interactions: 'Interactions.json',
-      Users: null,
-      Billings: null
-    };
+    this.octCtl = options.octokit || new Octokit({auth: token});
 
     // Initialize our specialized managers
     this.repositoryManager = new RepositoryManager(
@@ -70,7 +76,8 @@ class GitHubFunctions {
       this.orgName,
       this.repoName,
       this.mainBranchName,
-      this.lockFileName
+      this.lockFileName,
+      this.lockTtl
     );
         
     this.userManager = new UserManager(
@@ -91,186 +98,10 @@ class GitHubFunctions {
       this.mainBranchName
     );
 
-    // Add field map for cross-references as a class property 
-    this.fieldMap = {
-      Interactions: {
-        Companies: 'linked_interactions'
-      },
-      Companies: {
-        Interactions: 'linked_companies'
-      },
-      Studies: {
-        Interactions: 'linked_studies',
-        Companies: 'linked_studies'
-      }
-    };
-
-    // Add a cache for frequently used data
-    this._cache = new Map();
-    this._defaultTtl = 60000; // 1 minute default TTL
-
-    // Add transaction tracking for complex operations
-    this._transactionDepth = 0;
-  }
-
-  /**
-     * Gets or sets a value in the cache
-     * @private
-     * @param {String} key - Cache key
-     * @param {Function} fetchFn - Function to fetch data if not in cache
-     * @param {Number} ttlMs - Time to live in milliseconds
-     * @returns {Promise<Array>} Cached or freshly fetched data
-     */
-  async _getCachedOrFetch(key, fetchFn, ttlMs = this._defaultTtl) {
-    const now = Date.now();
-    const cached = this._cache.get(key);
-        
-    // Return cached data if valid
-    if (cached && (now - cached.timestamp < ttlMs)) {
-      return cached.data;
-    }
-        
-    // Otherwise fetch fresh data
-    const result = await fetchFn();
-        
-    // Only cache successful responses
-    if (result[0]) {
-      this._cache.set(key, {
-        timestamp: now,
-        data: result
-      });
-    }
-        
-    return result;
-  }
-    
-  /**
-     * Invalidate a specific cache entry or the entire cache
-     * @param {String} [key] - Optional key to invalidate specific entry
-     */
-  invalidateCache(key = null) {
-    if (key === null) {
-      this._cache.clear();
-    } else {
-      this._cache.delete(key);
-    }
-  }
-
-  /**
-     * Validates parameters against expected types
-     * @private
-     * @param {Object} params - Parameters to validate
-     * @param {Object} expectedTypes - Expected types for each parameter
-     * @returns {Array|null} Error response or null if valid
-     */
-  _validateParams(params, expectedTypes) {
-    for (const [name, value] of Object.entries(params)) {
-      const expectedType = expectedTypes[name];
-      if (!expectedType) continue;
-            
-      if (expectedType === 'array') {
-        if (!isArray(value)) {
-          return ResponseFactory.error(
-            `Invalid parameter: [${name}] must be an array`,
-            null,
-            400
-          );
-        }
-      } else if (expectedType === 'object') {
-        if (typeof value !== 'object' || value === null) {
-          return ResponseFactory.error(
-            `Invalid parameter: [${name}] must be an object`,
-            null,
-            400
-          );
-        }
-      } else if (expectedType === 'string') {
-        if (typeof value !== 'string' || isEmpty(value)) {
-          return ResponseFactory.error(
-            `Invalid parameter: [${name}] must be a non-empty string`,
-            null,
-            400
-          );
-        }
-      } else if (expectedType === 'boolean') {
-        if (typeof value !== 'boolean') {
-          return ResponseFactory.error(
-            `Invalid parameter: [${name}] must be a boolean`,
-            null,
-            400
-          );
-        }
-      } else if (expectedType === 'number') {
-        if (typeof value !== 'number') {
-          return ResponseFactory.error(
-            `Invalid parameter: [${name}] must be a number`,
-            null,
-            400
-          );
-        }
-      }
-    }
-        
-    return null; // No validation errors
-  }
-    
-  /**
-     * Executes a series of operations as a transaction
-     * @private
-     * @param {Array<Function>} operations - Array of async functions to execute
-     * @param {String} transactionName - Name of the transaction for logging
-     * @returns {Promise<Array>} Result of the transaction
-     */
-  async _executeTransaction(operations, transactionName) {
-    this._transactionDepth++;
-    const transactionId = `${transactionName}-${Date.now()}-${this._transactionDepth}`;
-        
-    try {
-      const results = [];
-      for (let i = 0; i < operations.length; i++) {
-        const operation = operations[i];
-        const operationName = operation.name || `Step${i+1}`;
-                
-        try {
-          const result = await operation();
-          results.push(result);
-                    
-          if (!result[0]) {
-            // Operation failed, abort transaction
-            return ResponseFactory.error(
-              `Transaction [${transactionName}] failed at step [${operationName}]: ${result[1]}`,
-              { 
-                transactionId,
-                failedStep: operationName,
-                stepResult: result,
-                completedSteps: i
-              },
-              result[3] || 500
-            );
-          }
-        } catch (err) {
-          return ResponseFactory.error(
-            `Transaction [${transactionName}] failed at step [${operationName}]: ${err.message}`,
-            { 
-              transactionId,
-              failedStep: operationName,
-              error: err,
-              completedSteps: i
-            },
-            500
-          );
-        }
-      }
-            
-      // All operations succeeded
-      return ResponseFactory.success(
-        `Transaction [${transactionName}] completed successfully`,
-        results[results.length - 1][2],
-        200
-      );
-    } finally {
-      this._transactionDepth--;
-    }
+    // Pointers are resolved on read even when new blobs are not written to LFS
+    const lfsOptions = typeof options.lfs === 'object' && options.lfs !== null ? options.lfs : {};
+    this.lfsThreshold = options.lfs ? lfsOptions.threshold || 50 * 1024 * 1024 : null;
+    this.lfsClient = new LfsClient(token, this.orgName, this.repoName, lfsOptions);
   }
 
   /**
@@ -413,7 +244,7 @@ class GitHubFunctions {
       );
     }
         
-    return this.repositoryManager.createContainers(containers);
+    return this.repositoryManager.createContainers(containers, this.objectFiles, this.mainBranchName);
   }
 
   /**
@@ -452,7 +283,8 @@ class GitHubFunctions {
      * @function checkForLock
      * @async
      * @param {string} containerName - The name of the container to check for a lock.
-     * @returns {Promise<Array>} A promise that resolves to an array containing status and message.
+     * @returns {Promise<Array>} A promise that resolves to an array containing status, message and either the
+     * holder of the lock (process, login, hostname, acquired_at, ttl, held_for, expires_in, expired) or false.
      */
   async checkForLock(containerName) {
     if (isEmpty(containerName)) {
@@ -507,7 +339,85 @@ class GitHubFunctions {
   }
 
   /**
-     * Read a blob (file) from a container (directory) in a specific branch.
+     * @description Breaks the lock on a container when its lease has expired, e.g. after a process crashed
+     * between catching and releasing the container.
+     * @function breakStaleLock
+     * @async
+     * @param {string} containerName - The name of the container to unlock.
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.force=false] - Break the lock even if the lease is still live or unknown.
+     * @returns {Promise<Array>} A promise that resolves to an array containing status, message and the broken locks.
+     */
+  async breakStaleLock(containerName, options = {}) {
+    if (isEmpty(containerName)) {
+      return ResponseFactory.error(
+        'Missing required parameter: [containerName]', 
+        null, 
+        400
+      );
+    }
+
+    return this.containerOps.breakStaleLock(containerName, options);
+  }
+
+  /**
+     * @description Restores a file to the content of a previous blob, used to undo writes.
+     * @function restoreBlob
+     * @async
+     * @param {string} containerName - The name of the container.
+     * @param {string} fileName - The short name of the file.
+     * @param {string} sha - The blob SHA to restore.
+     * @param {string} branchName - The name of the branch, defaults to main.
+     * @returns {Promise<Array>} A promise that resolves to an array containing status and message.
+     */
+  async restoreBlob(containerName, fileName, sha, branchName = this.mainBranchName) {
+    if (isEmpty(containerName) || isEmpty(fileName) || isEmpty(sha)) {
+      return ResponseFactory.error(
+        `Missing required parameters: [containerName=${containerName}], [fileName=${fileName}], [sha=${sha}]`, 
+        null, 
+        400
+      );
+    }
+
+    this.invalidateCache(`container_${containerName}`);
+    return this.repositoryManager.restoreBlob(`${containerName}/${fileName}`, sha, branchName);
+  }
+
+  /**
+     * @description Starts an atomic commit on the main branch, see CommitBuilder in github/commit.js.
+     * @function beginCommit
+     * @async
+     * @returns {Promise<Array>} A promise that resolves to an array containing status, message and the builder.
+     */
+  async beginCommit() {
+    return this.repositoryManager.beginCommit(this.mainBranchName);
+  }
+
+  /**
+     * @description Gets the commit SHA the main branch points to.
+     * @function getHeadSha
+     * @async
+     * @returns {Promise<Array>} A promise that resolves to an array containing status, message and the commit SHA.
+     */
+  async getHeadSha() {
+    return this.repositoryManager.getHeadSha(this.mainBranchName);
+  }
+
+  /**
+     * @description Lists the files that changed between two commits, with their new blob SHAs.
+     * @function getChangedFiles
+     * @async
+     * @param {string} baseSha - The older commit.
+     * @param {string} headSha - The newer commit.
+     * @returns {Promise<Array>} A promise that resolves to an array containing status, message and { files, truncated }.
+     */
+  async getChangedFiles(baseSha, headSha) {
+    return this.repositoryManager.compareCommits(baseSha, headSha);
+  }
+
+  /**
+     * Read a blob (file) from a container (directory) in a specific branch. Files over 1 MB are read as git
+     * blobs and files stored with Git LFS are downloaded, size is then the size of the content, not the pointer.
      * @param {string} fileName - The name of the blob to read with a complete path to the file.
      * @returns {Array} A list containing success status, message, and the blob's raw data.
      */
@@ -521,10 +431,63 @@ class GitHubFunctions {
     }
         
     // Create an enhanced repository manager method that handles decoding
-    return this.repositoryManager.readBlobWithDecoding(
-      customEncodeURIComponent(fileName), 
-      this.token
+    const result = await this.repositoryManager.readBlobWithDecoding(
+      customEncodeURIComponent(fileName)
     );
+    const pointer = result[0] && result[2].size <= LFS_POINTER_MAX_SIZE &&
+      parsePointer(Buffer.from(result[2].content || '', 'base64'));
+    if (!pointer) {
+      return result;
+    }
+
+    const download = await this.lfsClient.download(pointer);
+    if (!download[0]) {
+      return download;
+    }
+    const chunks = [];
+    const hash = createHash('sha256');
+    for await (const chunk of download[2]) {
+      chunks.push(chunk);
+      hash.update(chunk);
+    }
+    const content = Buffer.concat(chunks);
+    if (content.length !== pointer.size || hash.digest('hex') !== pointer.oid) {
+      return ResponseFactory.error(`The LFS content of [${fileName}] does not match its pointer`, pointer, 502);
+    }
+    return ResponseFactory.success(`Retrieved content at ${fileName} from LFS`, {
+      ...result[2],
+      size: content.length,
+      lfs: pointer,
+      content: content.toString('base64'),
+      decodedContent: content.toString('utf-8')
+    });
+  }
+
+  /**
+     * Read a blob (file) as a stream. Content stored with Git LFS streams from its download, other files are
+     * fetched whole and then streamed.
+     * @param {string} fileName - The name of the blob to read with a complete path to the file.
+     * @returns {Array} A list containing success status, message, and a readable stream of the content.
+     */
+  async readBlobStream(fileName) {
+    if (isEmpty(fileName)) {
+      return ResponseFactory.error(
+        'Missing required parameter: [fileName]', 
+        null, 
+        400
+      );
+    }
+
+    const result = await this.repositoryManager.getFileContent(customEncodeURIComponent(fileName));
+    if (!result[0]) {
+      return result;
+    }
+    const content = Buffer.from(result[2].content || '', 'base64');
+    const pointer = result[2].size <= LFS_POINTER_MAX_SIZE && parsePointer(content);
+    if (pointer) {
+      return this.lfsClient.download(pointer);
+    }
+    return ResponseFactory.success(`Streaming content at ${fileName}`, Readable.from([content]));
   }
 
   /**
@@ -549,10 +512,13 @@ class GitHubFunctions {
   }
 
   /**
-     * Write a blob (file) to a container (directory)
+     * Write a blob (file) to a container (directory). Files up to 1 MB go through the Contents API and larger
+     * ones through the Git Data API. When LFS is enabled, files at or over its threshold are uploaded to Git LFS
+     * and a pointer is committed in their place; streams are spooled to a temporary file for this rather than
+     * held in memory.
      * @param {string} containerName - The container name
      * @param {string} fileName - The file name
-     * @param {string} blob - The blob to write
+     * @param {string|Buffer|Readable} blob - The blob to write
      * @param {string} branchName - The branch name
      * @param {string} sha - The SHA of the file if updating
      * @returns {Array} A list containing success status, message, and response
@@ -565,18 +531,68 @@ class GitHubFunctions {
         400
       );
     }
-        
-    const encodedContent = typeof blob === 'string' ? encodeContent(blob) : blob;
+
+    const path = `${containerName}/${fileName}`;
+    let content = blob;
+    if (blob && typeof blob === 'object' && !Buffer.isBuffer(blob) && typeof blob[Symbol.asyncIterator] === 'function') {
+      const spooled = await spoolToFile(blob);
+      try {
+        if (this.lfsThreshold && spooled.size >= this.lfsThreshold) {
+          const pointer = { oid: spooled.oid, size: spooled.size };
+          return await this._writeLfsBlob(path, () => createReadStream(spooled.path), pointer, branchName, sha);
+        }
+        content = await readFile(spooled.path);
+      } finally {
+        await spooled.cleanup();
+      }
+    }
+    content = Buffer.isBuffer(content) ? content : Buffer.from(content || '');
+
+    if (this.lfsThreshold && content.length >= this.lfsThreshold) {
+      const pointer = { oid: createHash('sha256').update(content).digest('hex'), size: content.length };
+      return this._writeLfsBlob(path, content, pointer, branchName, sha);
+    }
+    if (content.length > CONTENTS_API_MAX_SIZE) {
+      return this.repositoryManager.commitFile(path, content, branchName, sha, {
+        message: `Writing [${fileName}] to container [${containerName}]`
+      });
+    }
         
     return this.repositoryManager.writeBlob(
       containerName, 
       customEncodeURIComponent(fileName), 
-      encodedContent, 
+      content, 
       branchName, 
       sha
     );
   }
 
+  /**
+     * Uploads content to Git LFS and commits its pointer along with the .gitattributes entry for the path
+     * @private
+     * @param {string} path - The path of the file
+     * @param {Buffer|Function} content - The content, or a function returning a new stream of it
+     * @param {Object} pointer - The LFS object as { oid, size }
+     * @param {string} branchName - The branch name
+     * @param {string} sha - The SHA of the file if updating
+     * @returns {Promise<Array>} Status, message, and response, its size is that of the content
+     */
+  async _writeLfsBlob(path, content, pointer, branchName, sha) {
+    const uploaded = await this.lfsClient.upload(content, pointer, branchName);
+    if (!uploaded[0]) {
+      return uploaded;
+    }
+
+    const result = await this.repositoryManager.commitFile(path, Buffer.from(formatPointer(pointer)), branchName, sha, {
+      message: `Writing [${path}] to Git LFS`,
+      lfs: true
+    });
+    if (result[0]) {
+      result[2].content = { ...result[2].content, size: pointer.size, lfs: pointer };
+    }
+    return result;
+  }
+
   /**
      * @function writeObject
      * @description Writes an object to a specified container using the GitHub API.
@@ -628,7 +644,7 @@ class GitHubFunctions {
     }
         
     const path = `${containerName}/${this.objectFiles[containerName]}`;
-    const result = await this.repositoryManager.getContent(
+    const result = await this.repositoryManager.getFileContent(
       path, 
       this.mainBranchName
     );
@@ -647,328 +663,6 @@ class GitHubFunctions {
     return result;
   }
 
-  /**
-     * @function updateObject
-     * @description Updates an object in a specified container
-     * @async
-     * @param {string} containerName - The name of the container containing the object
-     * @param {string} objName - The name of the object to update
-     * @param {string} key - The key of the object to update
-     * @param {string} value - The value to update the key with
-     * @param {boolean} [dontWrite=false] - A flag to indicate if the object should be written back
-     * @param {boolean} [system=false] - A flag to indicate if the update is a system call
-     * @param {Array} [whiteList=[]] - A list of keys that are allowed to be updated
-     * @returns {Promise<Array>} Status, message, and response
-     */
-  async updateObject(containerName, objName, key, value, dontWrite=false, system=false, whiteList=[]) {
-    // Validate parameters using the new validation method
-    const validationError = this._validateParams(
-      { containerName, objName, key, dontWrite, system, whiteList },
-      { 
-        containerName: 'string', 
-        objName: 'string', 
-        key: 'string',
-        dontWrite: 'boolean',
-        system: 'boolean',
-        whiteList: 'array'
-      }
-    );
-        
-    if (validationError) return validationError;
-        
-    // Authorization check
-    if (!system && !whiteList.includes(key)) {
-      return ResponseFactory.error(
-        `Unauthorized operation: Updating the key [${key}] is not supported`,
-        null,
-        403
-      );
-    }
-
-    // Use transaction pattern for the complex update operation
-    return this._executeTransaction([
-      // Step 1: Read the objects
-      async () => {
-        const readResponse = await this.readObjects(containerName);
-        if (!readResponse[0]) {
-          return ResponseFactory.error(
-            `Unable to read source objects from [${containerName}]`,
-            readResponse[2],
-            500
-          );
-        }
-                
-        // Store the read response for next steps
-        this._tempReadResponse = readResponse;
-        return readResponse;
-      },
-            
-      // Step 2: Catch the container if needed
-      async () => {
-        if (dontWrite) {
-          return ResponseFactory.success(
-            'Skipping container locking for read-only update',
-            null
-          );
-        }
-                
-        const repoMetadata = {containers: {}, branch: {}};
-        repoMetadata.containers[containerName] = {};
-        const caught = await this.catchContainer(repoMetadata);
-                
-        // Store the caught data for next steps
-        this._tempCaught = caught;
-        return caught;
-      },
-            
-      // Step 3: Update the object
-      async () => {
-        const objectsCopy = deepClone(this._tempReadResponse[2].mrJson);
-        let objectFound = false;
-                
-        for (const obj in objectsCopy) {
-          if (objectsCopy[obj].name === objName) {
-            objectFound = true;
-            const updates = { 
-              [key]: value,
-              modification_date: formatDate(new Date())
-            };
-            objectsCopy[obj] = mergeObjects(objectsCopy[obj], updates);
-          }
-        }
-                
-        if (!objectFound) {
-          return ResponseFactory.error(
-            `Object with name [${objName}] not found in [${containerName}]`,
-            null,
-            404
-          );
-        }
-                
-        // Store updated objects for next steps
-        this._tempUpdatedObjects = objectsCopy;
-                
-        if (dontWrite) {
-          return ResponseFactory.success(
-            `Merged updates object(s) with [${containerName}] objects`,
-            objectsCopy
-          );
-        }
-                
-        return ResponseFactory.success('Object updated in memory', objectsCopy);
-      },
-            
-      // Step 4: Write the objects (if not dontWrite)
-      async () => {
-        if (dontWrite) {
-          return ResponseFactory.success(
-            'Skipping writing for read-only update',
-            this._tempUpdatedObjects
-          );
-        }
-                
-        const writeResponse = await this.writeObject(
-          containerName, 
-          this._tempUpdatedObjects, 
-          this._tempCaught[2].branch.name,
-          this._tempCaught[2].containers[containerName].objectSha
-        );
-                
-        return writeResponse;
-      },
-            
-      // Step 5: Release the container (if not dontWrite)
-      async () => {
-        if (dontWrite) {
-          return ResponseFactory.success(
-            'Skipping container release for read-only update',
-            this._tempUpdatedObjects
-          );
-        }
-                
-        return this.releaseContainer(this._tempCaught[2]);
-      }
-    ], `update-object-${containerName}-${objName}`);
-  }
-
-  /**
-     * @function deleteObject
-     * @description Deletes an object from a specified container
-     * @async
-     * @param {string} objName - The name of the object to delete
-     * @param {object} source - The source object that contains the from and to containers
-     * @param {object} repoMetadata - The repository metadata
-     * @param {boolean} catchIt - Whether to catch the container
-     * @returns {Promise<Array>} Status, message, and response
-     */
-  async deleteObject(objName, source, repoMetadata=null, catchIt=true) {
-    // Validate parameters
-    const validationError = this._validateParams(
-      { objName, source, catchIt },
-      { 
-        objName: 'string',
-        source: 'object',
-        catchIt: 'boolean'
-      }
-    );
-        
-    if (validationError) return validationError;
-        
-    // Additional validation for source object
-    if (isEmpty(source.from) || !isArray(source.to) || source.to.length === 0) {
-      return ResponseFactory.error(
-        'Invalid source configuration: [from] must be a non-empty string and [to] must be a non-empty array',
-        null,
-        400
-      );
-    }
-        
-    // Define transaction steps
-    const deleteSteps = [];
-        
-    // Step 1: Catch container if needed
-    if (catchIt) {
-      deleteSteps.push(async () => {
-        const metadata = {containers: {}, branch: {}};
-        metadata.containers[source.from] = {};
-        metadata.containers[source.to[0]] = {};
-        const caught = await this.catchContainer(metadata);
-                
-        // Store for later steps
-        this._tempRepoMetadata = deepClone(caught[2]);
-        return caught;
-      });
-    } else {
-      deleteSteps.push(async () => {
-        this._tempRepoMetadata = repoMetadata;
-        return ResponseFactory.success('Using provided repository metadata', repoMetadata);
-      });
-    }
-        
-    // Step 2: Find and delete the object
-    deleteSteps.push(async () => {
-      let objectFound = false;
-      for (const obj in this._tempRepoMetadata.containers[source.from].objects) {
-        if (this._tempRepoMetadata.containers[source.from].objects[obj].name === objName) {
-          objectFound = true;
-                    
-          // For Interactions, delete the actual file
-          if (source.from === 'Interactions') {
-            const fileName = this._tempRepoMetadata.containers[source.from].objects[obj].url;
-                        
-            try {
-              const { data } = await this.octCtl.rest.repos.getContent({
-                owner: this.orgName,
-                repo: this.repoName,
-                path: customEncodeURIComponent(fileName)
-              });
-                            
-              const fileBits = fileName.split('/');
-              const shortFilename = fileBits[fileBits.length - 1];
-                            
-              const deleteResponse = await this.deleteBlob(
-                source.from, 
-                shortFilename, 
-                this._tempRepoMetadata.branch.name,
-                data.sha
-              );
-                            
-              if (!deleteResponse[0]) {
-                return deleteResponse; // Transaction will abort
-              }
-            } catch (err) {
-              return ResponseFactory.error(
-                `Failed to get content for [${fileName}]: ${err.message}`,
-                err,
-                503
-              );
-            }
-          }
-                    
-          // Remove the object from the array
-          this._tempRepoMetadata.containers[source.from].objects.splice(obj, 1);
-          break;
-        }
-      }
-            
-      if (!objectFound) {
-        return ResponseFactory.error(
-          `Object with name [${objName}] not found in [${source.from}]`,
-          null,
-          404
-        );
-      }
-            
-      return ResponseFactory.success(`Found and removed object [${objName}]`, null);
-    });
-        
-    // Step 3: Update references in linked objects
-    deleteSteps.push(async () => {
-      for (const obj in this._tempRepoMetadata.containers[source.to[0]].objects) {
-        if (this._tempRepoMetadata.containers[source.to[0]].objects[obj][this.fieldMap[source.from][source.to[0]]] && 
-                    objName in this._tempRepoMetadata.containers[source.to[0]].objects[obj][this.fieldMap[source.from][source.to[0]]]) {
-                    
-          delete this._tempRepoMetadata.containers[source.to[0]].objects[obj][this.fieldMap[source.from][source.to[0]]][objName];
-                    
-          // Update modification date using the helper function
-          this._tempRepoMetadata.containers[source.to[0]].objects[obj].modification_date = formatDate(new Date());
-        }
-      }
-            
-      return ResponseFactory.success('Updated cross-references', null);
-    });
-        
-    // Add steps for writing changes
-    deleteSteps.push(
-      // Step 4: Write source container
-      async () => {
-        const fromSha = await this.getSha(source.from, this.objectFiles[source.from], this._tempRepoMetadata.branch.name);
-        if (!fromSha[0]) {
-          return fromSha; // Transaction will abort
-        }
-                
-        return this.writeObject(
-          source.from, 
-          this._tempRepoMetadata.containers[source.from].objects, 
-          this._tempRepoMetadata.branch.name,
-          fromSha[2]
-        );
-      },
-            
-      // Step 5: Write target container
-      async () => {
-        const toSha = await this.getSha(source.to[0], this.objectFiles[source.to[0]], this._tempRepoMetadata.branch.name);
-        if (!toSha[0]) {
-          return toSha; // Transaction will abort
-        }
-                
-        return this.writeObject(
-          source.to[0], 
-          this._tempRepoMetadata.containers[source.to[0]].objects, 
-          this._tempRepoMetadata.branch.name,
-          toSha[2]
-        );
-      }
-    );
-        
-    // Step 6: Release container if needed
-    if (catchIt) {
-      deleteSteps.push(async () => {
-        return this.releaseContainer(this._tempRepoMetadata);
-      });
-    } else {
-      deleteSteps.push(async () => {
-        return ResponseFactory.success(
-          `Deleted [${source.from}] object of the name [${objName}] without releasing container`,
-          null
-        );
-      });
-    }
-        
-    // Execute the delete transaction
-    return this._executeTransaction(deleteSteps, `delete-object-${source.from}-${objName}`);
-  }
-
   /**
      * @function catchContainer
      * @description Catches a container by locking it, creating a new branch, reading the objects
@@ -992,6 +686,27 @@ class GitHubFunctions {
     );
   }
 
+  /**
+     * @function abortContainer
+     * @description Undoes a partial or failed catch by removing its locks and deleting its branch
+     * @param {Object} repoMetadata - The metadata object passed to catchContainer
+     * @returns {Promise<Array>} Status, message, and what was undone
+     */
+  async abortContainer(repoMetadata) {
+    if (!repoMetadata || !repoMetadata.containers) {
+      return ResponseFactory.error(
+        'Invalid parameter: [repoMetadata] must contain containers property', 
+        null, 
+        400
+      );
+    }
+
+    return this.containerOps.abortContainers(
+      repoMetadata,
+      (branchName) => this.branchManager.deleteBranch(branchName)
+    );
+  }
+
   /**
      * @function releaseContainer
      * @description Releases a container by unlocking it and merging the branch
@@ -0,0 +1,569 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { Readable } from 'stream';
+import GitHubFunctions from './github.js';
+import MediumroastClient from './client.js';
+import FakeOctokit from './github/fakeOctokit.js';
+import { Companies, Interactions, Studies } from './gitHubServer.js';
+import { logger } from './gitHubServer/logger.js';
+import { FileCacheStore } from './gitHubServer/cache.js';
+
+const ORG = 'acme-org';
+const REPO = `${ORG}_discovery`;
+
+describe('GitHubFunctions against FakeOctokit', () => {
+  let octokit;
+  let gitHubCtl;
+
+  beforeEach(() => {
+    // Keep the console quiet, the entities log every response
+    logger.setLevel('silent');
+
+    octokit = new FakeOctokit({
+      files: {
+        'Companies/Companies.json': '[]',
+        'Interactions/Interactions.json': '[]',
+        'Studies/Studies.json': '[]'
+      }
+    });
+    gitHubCtl = new GitHubFunctions('token', ORG, 'test-process', { octokit });
+  });
+
+  afterEach(() => {
+    logger.setLevel('info');
+    vi.restoreAllMocks();
+  });
+
+  it('should lock, branch, write, merge and unlock through catch and release', async () => {
+    const repoMetadata = { containers: { Companies: {} }, branch: {} };
+    const caught = await gitHubCtl.catchContainer(repoMetadata);
+    expect(caught[0]).toBe(true);
+    expect(octokit.readFile(ORG, REPO, 'Companies/test-process.lock')).not.toBeNull();
+    expect(octokit.listBranches(ORG, REPO)).toContain(repoMetadata.branch.name);
+
+    const written = await gitHubCtl.writeObject(
+      'Companies',
+      [{ name: 'Acme' }],
+      repoMetadata.branch.name,
+      repoMetadata.containers.Companies.objectSha
+    );
+    expect(written[0]).toBe(true);
+    expect(octokit.readFile(ORG, REPO, 'Companies/Companies.json')).toBe('[]');
+
+    const released = await gitHubCtl.releaseContainer(repoMetadata);
+    expect(released[0]).toBe(true);
+    expect(JSON.parse(octokit.readFile(ORG, REPO, 'Companies/Companies.json'))).toEqual([{ name: 'Acme' }]);
+    expect(octokit.listFiles(ORG, REPO)).not.toContain('Companies/test-process.lock');
+  });
+
+  it('should refuse to catch a container locked by the same process', async () => {
+    await gitHubCtl.catchContainer({ containers: { Companies: {} }, branch: {} });
+
+    const result = await gitHubCtl.catchContainer({ containers: { Companies: {} }, branch: {} });
+    expect(result[0]).toBe(false);
+    expect(result[1].status_code).toBe(503);
+  });
+
+  it('should reject a second lock taken with a stale commit SHA', async () => {
+    const other = new GitHubFunctions('token', ORG, 'test-process', { octokit });
+    const [first, second] = await Promise.all([
+      gitHubCtl.lockContainer('Companies'),
+      other.lockContainer('Companies')
+    ]);
+
+    expect([first[0], second[0]].sort()).toEqual([false, true]);
+    expect([first, second].find(result => !result[0])[1].status_code).toBe(409);
+  });
+
+  it('should report who holds a lock and block other processes', async () => {
+    await gitHubCtl.lockContainer('Companies');
+
+    const other = new GitHubFunctions('token', ORG, 'other-process', { octokit });
+    const lock = await other.checkForLock('Companies');
+    expect(lock[1].status_code).toBe(200);
+    expect(lock[2]).toMatchObject({ process: 'test-process', login: 'fake-user', ttl: 600, expired: false });
+    expect(lock[2].expires_in).toBeGreaterThan(0);
+
+    const caught = await other.catchContainer({ containers: { Companies: {} }, branch: {} });
+    expect(caught[1].status_code).toBe(503);
+    expect(caught[1].status_msg).toContain('[test-process] as [fake-user]');
+  });
+
+  it('should only break expired leases unless forced', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    try {
+      const shortCtl = new GitHubFunctions('token', ORG, 'crashed-process', { octokit, lockTtl: 60 });
+      await shortCtl.lockContainer('Companies');
+
+      const live = await gitHubCtl.breakStaleLock('Companies');
+      expect(live[1].status_code).toBe(409);
+
+      vi.setSystemTime(Date.now() + 61000);
+      const broken = await gitHubCtl.breakStaleLock('Companies');
+      expect(broken[0]).toBe(true);
+      expect(broken[2][0]).toMatchObject({ process: 'crashed-process', expired: true });
+      expect((await gitHubCtl.checkForLock('Companies'))[2]).toBe(false);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should treat empty lock files as locks that only break when forced', async () => {
+    octokit = new FakeOctokit({ files: { 'Companies/Companies.json': '[]', 'Companies/old.lock': '' } });
+    gitHubCtl = new GitHubFunctions('token', ORG, 'test-process', { octokit });
+
+    expect((await gitHubCtl.checkForLock('Companies'))[2]).toMatchObject({ process: 'old', legacy: true });
+    expect((await gitHubCtl.breakStaleLock('Companies'))[1].status_code).toBe(409);
+    expect((await gitHubCtl.breakStaleLock('Companies', { force: true }))[0]).toBe(true);
+    expect(octokit.listFiles(ORG, REPO)).toEqual(['Companies/Companies.json']);
+  });
+
+  it('should reject writes made with a stale SHA', async () => {
+    const stale = (await gitHubCtl.readObjects('Companies'))[2].sha;
+    expect((await gitHubCtl.writeObject('Companies', [{ name: 'Acme' }], 'main', stale))[0]).toBe(true);
+
+    const result = await gitHubCtl.writeObject('Companies', [{ name: 'Other' }], 'main', stale);
+    expect(result[0]).toBe(false);
+    expect(JSON.parse(octokit.readFile(ORG, REPO, 'Companies/Companies.json'))).toEqual([{ name: 'Acme' }]);
+  });
+
+  it('should fail to merge branches that changed the same file', async () => {
+    const first = { containers: { Companies: {} }, branch: {} };
+    const second = { containers: { Companies: {} }, branch: {} };
+    const otherCtl = new GitHubFunctions('token', ORG, 'other-process', { octokit });
+    await gitHubCtl.catchContainer(first);
+    await otherCtl.catchContainer(second);
+
+    await gitHubCtl.writeObject('Companies', [{ name: 'Acme' }], first.branch.name, first.containers.Companies.objectSha);
+    await otherCtl.writeObject('Companies', [{ name: 'Globex' }], second.branch.name, second.containers.Companies.objectSha);
+
+    expect((await gitHubCtl.releaseContainer(first))[0]).toBe(true);
+    const conflicted = await otherCtl.releaseContainer(second);
+    expect(conflicted[0]).toBe(false);
+    expect(JSON.parse(octokit.readFile(ORG, REPO, 'Companies/Companies.json'))).toEqual([{ name: 'Acme' }]);
+  });
+
+  it('should run entity operations end to end', async () => {
+    const companies = new Companies('token', ORG, 'test-process', { adapter: gitHubCtl });
+
+    expect((await companies.createObj([{ name: 'Acme', region: 'AMER' }]))[0]).toBe(true);
+    expect((await companies.updateObj({ name: 'Acme', key: 'region', value: 'EMEA' }))[0]).toBe(true);
+
+    const stored = JSON.parse(octokit.readFile(ORG, REPO, 'Companies/Companies.json'));
+    expect(stored).toHaveLength(1);
+    expect(stored[0]).toMatchObject({ name: 'Acme', region: 'EMEA' });
+    expect(octokit.listFiles(ORG, REPO).filter(file => file.endsWith('.lock'))).toEqual([]);
+  });
+
+  describe('atomic commits', () => {
+    it('should write several files in one commit and fast-forward main', async () => {
+      const before = (await octokit.rest.git.getRef({ owner: ORG, repo: REPO, ref: 'heads/main' })).data.object.sha;
+
+      const started = await gitHubCtl.beginCommit();
+      const commit = started[2];
+      commit.writeJson('Companies/Companies.json', [{ name: 'Acme' }]);
+      commit.writeFile('Interactions/notes.txt', 'Hello');
+      const committed = await commit.commit('Two files');
+
+      expect(committed[0]).toBe(true);
+      const head = await octokit.rest.repos.getCommit({ owner: ORG, repo: REPO, ref: 'main' });
+      expect(head.data.sha).toBe(committed[2].sha);
+      expect(head.data.parents).toEqual([{ sha: before }]);
+      expect(octokit.readFile(ORG, REPO, 'Interactions/notes.txt')).toBe('Hello');
+      expect(octokit.listBranches(ORG, REPO)).toEqual(['main']);
+    });
+
+    it('should refuse to move main when it changed after the snapshot', async () => {
+      const first = (await gitHubCtl.beginCommit())[2];
+      const second = (await gitHubCtl.beginCommit())[2];
+      first.writeJson('Companies/Companies.json', [{ name: 'Acme' }]);
+      second.writeJson('Companies/Companies.json', [{ name: 'Globex' }]);
+
+      expect((await first.commit('First'))[0]).toBe(true);
+      const result = await second.commit('Second');
+      expect(result[1].status_code).toBe(409);
+      expect(JSON.parse(octokit.readFile(ORG, REPO, 'Companies/Companies.json'))).toEqual([{ name: 'Acme' }]);
+    });
+
+    it('should refuse to start a commit when the tree listing is truncated', async () => {
+      const getTree = octokit.rest.git.getTree;
+      vi.spyOn(octokit.rest.git, 'getTree').mockImplementationOnce(async (params) => {
+        const listed = await getTree(params);
+        return { ...listed, data: { ...listed.data, truncated: true } };
+      });
+
+      const companies = new Companies('token', ORG, 'test-process', { adapter: gitHubCtl });
+      const created = await companies.createObj([{ name: 'Acme' }]);
+      expect(created[0]).toBe(false);
+      expect(created[1].status_msg).toContain('too large to list in full');
+      expect(octokit.readFile(ORG, REPO, 'Companies/Companies.json')).toBe('[]');
+    });
+
+    it('should delete an interaction, its blob and references in a single commit without locks', async () => {
+      const seed = (await gitHubCtl.beginCommit())[2];
+      seed.writeFile('Interactions/call.txt', 'Call notes');
+      seed.writeJson('Interactions/Interactions.json', [{ name: 'Call', url: 'Interactions/call.txt' }]);
+      seed.writeJson('Companies/Companies.json', [{ name: 'Acme', linked_interactions: { Call: 'hash' } }]);
+      await seed.commit('Seed');
+
+      octokit.calls = [];
+      const interactions = new Interactions('token', ORG, 'test-process', { adapter: gitHubCtl });
+      const deleted = await interactions.deleteObj('Call');
+
+      expect(deleted[0]).toBe(true);
+      const endpoints = octokit.calls.map(call => call.endpoint);
+      expect(endpoints.filter(endpoint => endpoint === 'git.createCommit')).toHaveLength(1);
+      expect(endpoints).not.toContain('repos.createOrUpdateFileContents');
+      expect(endpoints).not.toContain('pulls.create');
+      expect(octokit.listFiles(ORG, REPO)).not.toContain('Interactions/call.txt');
+      expect(JSON.parse(octokit.readFile(ORG, REPO, 'Companies/Companies.json'))[0].linked_interactions).toEqual({});
+    });
+
+    it('should move a trashed blob without uploading it again and move it back on restore', async () => {
+      const seed = (await gitHubCtl.beginCommit())[2];
+      seed.writeFile('Interactions/call.txt', 'Call notes');
+      seed.writeJson('Interactions/Interactions.json', [{ name: 'Call', url: 'Interactions/call.txt' }]);
+      seed.writeJson('Companies/Companies.json', [{ name: 'Acme', linked_interactions: { Call: 'hash' } }]);
+      await seed.commit('Seed');
+
+      octokit.calls = [];
+      const interactions = new Interactions('token', ORG, 'test-process', { adapter: gitHubCtl, softDelete: true });
+      expect((await interactions.deleteObj('Call'))[0]).toBe(true);
+      const blobs = octokit.calls.filter(call => call.endpoint === 'git.createBlob');
+      expect(blobs.map(call => Buffer.from(call.params.content, 'base64').toString())).not.toContain('Call notes');
+      expect(octokit.readFile(ORG, REPO, 'Trash/Interactions/call.txt')).toBe('Call notes');
+      expect(octokit.listFiles(ORG, REPO)).not.toContain('Interactions/call.txt');
+
+      expect((await interactions.restore('Call'))[0]).toBe(true);
+      expect(octokit.readFile(ORG, REPO, 'Interactions/call.txt')).toBe('Call notes');
+      expect(octokit.listFiles(ORG, REPO)).not.toContain('Trash/Interactions/call.txt');
+      expect(JSON.parse(octokit.readFile(ORG, REPO, 'Companies/Companies.json'))[0].linked_interactions)
+        .toEqual({ Call: 'hash' });
+    });
+
+    it('should retry against the new snapshot when main moves', async () => {
+      let attempts = 0;
+      const result = await gitHubCtl.commitChanges('Append', async (commit) => {
+        attempts++;
+        const companies = await commit.readJson('Companies/Companies.json');
+        if (attempts === 1) {
+          // Another writer lands between the snapshot and the commit
+          await octokit.rest.repos.createOrUpdateFileContents({
+            owner: ORG,
+            repo: REPO,
+            path: 'Companies/Companies.json',
+            message: 'Concurrent write',
+            content: Buffer.from(JSON.stringify([{ name: 'Globex' }])).toString('base64'),
+            sha: (await gitHubCtl.getSha('Companies', 'Companies.json', 'main'))[2]
+          });
+        }
+        commit.writeJson('Companies/Companies.json', [...companies, { name: 'Acme' }]);
+      }, { containers: ['Companies'] });
+
+      expect(result[0]).toBe(true);
+      expect(attempts).toBe(2);
+      expect(JSON.parse(octokit.readFile(ORG, REPO, 'Companies/Companies.json')).map(c => c.name)).toEqual(['Globex', 'Acme']);
+    });
+
+    it('should refuse to commit to a caught container', async () => {
+      await gitHubCtl.lockContainer('Studies');
+      const studies = new Studies('token', ORG, 'other-process', { adapter: gitHubCtl });
+
+      const result = await studies.addToStudy('Study 1', 'Companies', 'Acme');
+      expect(result[1].status_code).toBe(503);
+    });
+
+    it('should link a study and an entity in one commit', async () => {
+      const seed = (await gitHubCtl.beginCommit())[2];
+      seed.writeJson('Studies/Studies.json', [{ name: 'Study 1' }]);
+      seed.writeJson('Companies/Companies.json', [{ name: 'Acme' }]);
+      await seed.commit('Seed');
+
+      const studies = new Studies('token', ORG, 'test-process', { adapter: gitHubCtl });
+      const result = await studies.addToStudy('Study 1', 'Companies', 'Acme');
+
+      expect(result[0]).toBe(true);
+      const study = JSON.parse(octokit.readFile(ORG, REPO, 'Studies/Studies.json'))[0];
+      const company = JSON.parse(octokit.readFile(ORG, REPO, 'Companies/Companies.json'))[0];
+      expect(Object.keys(study.linked_companies)).toEqual(['Acme']);
+      expect(Object.keys(company.linked_studies)).toEqual(['Study 1']);
+    });
+  });
+
+  describe('rollback of failed transactions', () => {
+    let companies;
+    let studies;
+
+    beforeEach(async () => {
+      companies = new Companies('token', ORG, 'test-process', { adapter: gitHubCtl });
+      studies = new Studies('token', ORG, 'test-process', { adapter: gitHubCtl });
+      await companies.createObj([{ name: 'Acme' }]);
+      await studies.createObj([{ name: 'Pricing' }]);
+    });
+
+    it('should unlock the containers and delete the branch when the merge fails', async () => {
+      const mergeError = Object.assign(new Error('Pull Request is not mergeable'), { status: 405 });
+      vi.spyOn(octokit.rest.pulls, 'merge').mockRejectedValueOnce(mergeError);
+
+      const result = await companies.link('Acme', 'Studies:Pricing');
+
+      expect(result[0]).toBe(false);
+      expect(result[1].status_msg).toContain('rolled back [3/3] undo actions');
+      expect(result[2].rollback.map(action => action.success)).toEqual([true, true, true]);
+      expect(octokit.listFiles(ORG, REPO)).not.toContain('Companies/test-process.lock');
+      expect(octokit.listFiles(ORG, REPO)).not.toContain('Studies/test-process.lock');
+      expect(octokit.listBranches(ORG, REPO)).toEqual(['main']);
+    });
+
+    it('should clean up the locks of a partial catch', async () => {
+      vi.spyOn(octokit.rest.git, 'createRef').mockRejectedValueOnce(Object.assign(new Error('boom'), { status: 500 }));
+
+      const result = await companies.link('Acme', 'Studies:Pricing');
+
+      expect(result[0]).toBe(false);
+      expect(result[2].rollback[0]).toMatchObject({ success: true });
+      expect(octokit.listFiles(ORG, REPO)).not.toContain('Companies/test-process.lock');
+    });
+
+    it('should restore the previous objects when the release fails after the merge', async () => {
+      const deleteFile = octokit.rest.repos.deleteFile;
+      vi.spyOn(octokit.rest.repos, 'deleteFile').mockImplementationOnce(deleteFile).mockImplementationOnce(async () => {
+        throw Object.assign(new Error('Server Error'), { status: 502 });
+      });
+
+      const result = await companies.link('Acme', 'Studies:Pricing');
+
+      expect(result[0]).toBe(false);
+      expect(result[2].rollback.map(action => action.name)).toEqual([
+        'restore Studies/Studies.json',
+        'restore Companies/Companies.json',
+        'abort catch of [Companies, Studies]'
+      ]);
+      expect(result[2].rollback.every(action => action.success)).toBe(true);
+      expect(JSON.parse(octokit.readFile(ORG, REPO, 'Companies/Companies.json'))[0].linked_studies).toBeUndefined();
+      expect(JSON.parse(octokit.readFile(ORG, REPO, 'Studies/Studies.json'))[0].linked_companies).toBeUndefined();
+      expect(octokit.listFiles(ORG, REPO)).not.toContain('Companies/test-process.lock');
+      expect(octokit.listFiles(ORG, REPO)).not.toContain('Studies/test-process.lock');
+    });
+  });
+
+  describe('large blobs', () => {
+    // Stands in for the LFS server, keeps the uploaded objects by oid
+    const createLfsServer = () => {
+      const objects = new Map();
+      const requests = [];
+      const reply = (status, body = null) => ({
+        ok: status < 300,
+        status,
+        json: async () => body,
+        text: async () => JSON.stringify(body),
+        arrayBuffer: async () => body
+      });
+      const fetch = async (url, init = {}) => {
+        const method = init.method || 'GET';
+        requests.push(`${method} ${url.replace(/^.*\/lfs/, '')}`);
+        if (url.endsWith('/objects/batch')) {
+          const { operation, objects: [pointer] } = JSON.parse(init.body);
+          const href = `https://lfs.example/lfs/objects/${pointer.oid}`;
+          const actions = operation === 'download'
+            ? { download: { href } }
+            : objects.has(pointer.oid) ? undefined : { upload: { href }, verify: { href: `${href}/verify` } };
+          return reply(200, { objects: [{ ...pointer, actions }] });
+        }
+        if (method === 'PUT') {
+          const chunks = [];
+          for await (const chunk of Buffer.isBuffer(init.body) ? [init.body] : init.body) chunks.push(chunk);
+          objects.set(url.split('/').pop(), Buffer.concat(chunks));
+          return reply(200);
+        }
+        if (url.endsWith('/verify')) {
+          return reply(objects.has(JSON.parse(init.body).oid) ? 200 : 404);
+        }
+        const content = objects.get(url.split('/').pop());
+        return content ? reply(200, content) : reply(404);
+      };
+      return { objects, requests, fetch };
+    };
+
+    const readAll = async (stream) => {
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      return Buffer.concat(chunks);
+    };
+
+    it('should write and read blobs over 1 MB through the Git Data API', async () => {
+      const content = Buffer.alloc(1536 * 1024, 'slide ');
+      octokit.calls = [];
+
+      const written = await gitHubCtl.writeBlob('Interactions', 'deck.pptx', content, 'main');
+      expect(written[0]).toBe(true);
+      expect(written[2].content.size).toBe(content.length);
+      const endpoints = octokit.calls.map(call => call.endpoint);
+      expect(endpoints).toContain('git.createBlob');
+      expect(endpoints).not.toContain('repos.createOrUpdateFileContents');
+
+      const read = await gitHubCtl.readBlob('Interactions/deck.pptx');
+      expect(read[0]).toBe(true);
+      expect(read[2].size).toBe(content.length);
+      expect(Buffer.from(read[2].content, 'base64').equals(content)).toBe(true);
+
+      const overwritten = await gitHubCtl.writeBlob('Interactions', 'deck.pptx', content, 'main');
+      expect(overwritten[0]).toBe(false);
+      expect(overwritten[1].status_code).toBe(422);
+      const updated = await gitHubCtl.writeBlob('Interactions', 'deck.pptx', content, 'main', written[2].content.sha);
+      expect(updated[0]).toBe(true);
+    });
+
+    it('should store blobs over the LFS threshold as pointers and stream them back', async () => {
+      const lfs = createLfsServer();
+      gitHubCtl = new GitHubFunctions('token', ORG, 'test-process', {
+        octokit,
+        lfs: { threshold: 1024, fetch: lfs.fetch }
+      });
+      const content = Buffer.alloc(4096, 'audio ');
+
+      const written = await gitHubCtl.writeBlob(
+        'Interactions', 'call.mp3', Readable.from([content.subarray(0, 1000), content.subarray(1000)]), 'main'
+      );
+      expect(written[0]).toBe(true);
+      expect(written[2].content.size).toBe(content.length);
+      expect(lfs.objects.get(written[2].content.lfs.oid).equals(content)).toBe(true);
+      expect(octokit.readFile(ORG, REPO, 'Interactions/call.mp3')).toMatch(/^version https:\/\/git-lfs/);
+      expect(octokit.readFile(ORG, REPO, '.gitattributes'))
+        .toBe('Interactions/call.mp3 filter=lfs diff=lfs merge=lfs -text\n');
+
+      const read = await gitHubCtl.readBlob('Interactions/call.mp3');
+      expect(read[0]).toBe(true);
+      expect(read[2].size).toBe(content.length);
+      expect(read[2].lfs).toEqual(written[2].content.lfs);
+      expect(Buffer.from(read[2].content, 'base64').equals(content)).toBe(true);
+
+      const stream = await gitHubCtl.readBlobStream('Interactions/call.mp3');
+      expect(stream[0]).toBe(true);
+      expect((await readAll(stream[2])).equals(content)).toBe(true);
+
+      // The same content under another name is not uploaded twice
+      lfs.requests.length = 0;
+      const copied = await gitHubCtl.writeBlob('Interactions', 'copy.mp3', content, 'main');
+      expect(copied[0]).toBe(true);
+      expect(lfs.requests).toEqual(['POST /objects/batch']);
+
+      lfs.objects.set(written[2].content.lfs.oid, Buffer.from('tampered'));
+      const tampered = await gitHubCtl.readBlob('Interactions/call.mp3');
+      expect(tampered[0]).toBe(false);
+      expect(tampered[1].status_code).toBe(502);
+    });
+
+    it('should keep blobs under the LFS threshold in the repository', async () => {
+      const lfs = createLfsServer();
+      gitHubCtl = new GitHubFunctions('token', ORG, 'test-process', {
+        octokit,
+        lfs: { threshold: 1024, fetch: lfs.fetch }
+      });
+
+      const written = await gitHubCtl.writeBlob('Interactions', 'notes.txt', Buffer.from('Hello'), 'main');
+      expect(written[0]).toBe(true);
+      expect(lfs.requests).toEqual([]);
+      expect(octokit.readFile(ORG, REPO, 'Interactions/notes.txt')).toBe('Hello');
+
+      const stream = await gitHubCtl.readBlobStream('Interactions/notes.txt');
+      expect((await readAll(stream[2])).toString()).toBe('Hello');
+    });
+  });
+
+  describe('persistent cache', () => {
+    let cacheDir;
+    let store;
+
+    // Each new entity stands in for a new CLI process sharing the cache directory
+    const getAllAsNewProcess = async () => {
+      octokit.calls = [];
+      const companies = new Companies('token', ORG, 'test-process', { adapter: gitHubCtl, cacheStore: store });
+      const result = await companies.getAll();
+      return { objects: result[2].mrJson, endpoints: octokit.calls.map(call => call.endpoint) };
+    };
+
+    beforeEach(() => {
+      cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-cache-'));
+      store = new FileCacheStore({ dir: cacheDir });
+    });
+
+    afterEach(() => {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    it('should reuse a persisted container until its object file changes', async () => {
+      await new Companies('token', ORG, 'test-process', { adapter: gitHubCtl }).createObj([{ name: 'Acme' }]);
+
+      const first = await getAllAsNewProcess();
+      expect(first.endpoints).toContain('repos.getContent');
+
+      const unchanged = await getAllAsNewProcess();
+      expect(unchanged.objects).toEqual(first.objects);
+      expect(unchanged.endpoints).toEqual(['git.getRef']);
+
+      await gitHubCtl.writeBlob('Interactions', 'notes.txt', Buffer.from('Hello'), 'main');
+      const otherContainer = await getAllAsNewProcess();
+      expect(otherContainer.objects).toEqual(first.objects);
+      expect(otherContainer.endpoints).toEqual(['git.getRef', 'repos.compareCommitsWithBasehead']);
+
+      await new Companies('token', ORG, 'test-process', { adapter: gitHubCtl })
+        .updateObj({ name: 'Acme', key: 'region', value: 'EMEA' });
+      const changed = await getAllAsNewProcess();
+      expect(changed.objects[0].region).toBe('EMEA');
+      expect(changed.endpoints).toContain('repos.getContent');
+    });
+
+    it('should fall back to fetching when the store is unreadable', async () => {
+      store = { get: () => { throw new Error('corrupt'); }, set: () => { throw new Error('read-only'); } };
+
+      const result = await getAllAsNewProcess();
+      expect(result.objects).toEqual([]);
+      expect(result.endpoints).toContain('repos.getContent');
+    });
+  });
+
+  describe('MediumroastClient', () => {
+    let client;
+
+    beforeEach(async () => {
+      const seed = (await gitHubCtl.beginCommit())[2];
+      seed.writeJson('Studies/Studies.json', [{ name: 'Study 1', linked_companies: {}, linked_interactions: {} }]);
+      seed.writeJson('Companies/Companies.json', [{ name: 'Acme' }]);
+      await seed.commit('Seed');
+
+      client = new MediumroastClient('token', ORG, 'test-process', { octokit });
+    });
+
+    const companyReads = () => octokit.calls.filter(
+      call => call.endpoint === 'repos.getContent' && call.params.path === 'Companies/Companies.json'
+    ).length;
+
+    it('should hand out one entity of each type backed by the same Octokit', () => {
+      expect(client.companies).toBe(client.companies);
+      expect(client.companies.serverCtl).toBe(client.studies.serverCtl);
+      expect(client.octokit).toBe(octokit);
+    });
+
+    it('should invalidate what other entities cached when a change touches their container', async () => {
+      expect((await client.companies.getAll())[2].mrJson[0].linked_studies).toBeUndefined();
+
+      expect((await client.studies.addToStudy('Study 1', 'Companies', 'Acme'))[0]).toBe(true);
+
+      const companies = (await client.companies.getAll())[2].mrJson;
+      expect(Object.keys(companies[0].linked_studies)).toEqual(['Study 1']);
+    });
+
+    it('should let helpers reuse containers that are already cached', async () => {
+      await client.studies.addToStudy('Study 1', 'Companies', 'Acme');
+      await client.companies.getAll();
+      const reads = companyReads();
+
+      const summary = await client.studies.getStudySummary('Study 1');
+      expect(summary[0]).toBe(true);
+      expect(companyReads()).toBe(reads);
+    });
+  });
+});
\ No newline at end of file
@@ -6,6 +6,7 @@
  * @copyright 2025 Mediumroast, Inc. All rights reserved.
  */
 
+import { randomBytes } from 'crypto';
 import ResponseFactory from './response.js';
 
 /**
@@ -31,7 +32,8 @@ class BranchManager {
    * @returns {Promise<Array>} ResponseFactory result
    */
   async createBranchFromMain() {
-    const branchName = Date.now().toString();
+    // Suffix the timestamp so catches started in the same millisecond do not collide
+    const branchName = `${Date.now()}-${randomBytes(3).toString('hex')}`;
     
     try {
       // Get the SHA of the latest commit on the main branch
@@ -61,6 +63,28 @@ class BranchManager {
     }
   }
 
+  /**
+   * Deletes a branch
+   * @param {String} branchName - Branch to delete
+   * @returns {Promise<Array>} ResponseFactory result
+   */
+  async deleteBranch(branchName) {
+    try {
+      await this.octokit.rest.git.deleteRef({
+        owner: this.orgName,
+        repo: this.repoName,
+        ref: `heads/${branchName}`
+      });
+      return ResponseFactory.success(`Deleted branch ${branchName}`, branchName);
+    } catch (error) {
+      return ResponseFactory.error(
+        `Failed to delete branch ${branchName}: ${error.message}`, 
+        error,
+        error.status || 500
+      );
+    }
+  }
+
   /**
    * Merges a branch into the main branch
    * @param {String} branchName - Branch to merge
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Atomic multi-file commits through the Git Data API
+ * @license Apache-2.0
+ * @version 3.0.0
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+import ResponseFactory from './response.js';
+import { gitBlobSha } from './utils.js';
+
+/**
+ * Builds a single commit out of any number of file changes. The builder reads from the snapshot of the branch
+ * taken when it began, stages writes and deletes in memory, then creates one tree and one commit and moves the
+ * branch with a compare-and-swap: if the branch moved in the meantime nothing is written and a 409 is returned.
+ */
+class CommitBuilder {
+  /**
+   * @constructor
+   * @param {Object} octokit - Octokit instance
+   * @param {String} orgName - GitHub organization name
+   * @param {String} repoName - GitHub repository name
+   * @param {String} branchName - Branch to commit to
+   */
+  constructor(octokit, orgName, repoName, branchName) {
+    this.octokit = octokit;
+    this.orgName = orgName;
+    this.repoName = repoName;
+    this.branchName = branchName;
+
+    this.baseSha = null;
+    this.baseTreeSha = null;
+
+    // Path -> blob SHA of the snapshot, and path -> Buffer of the staged changes, where null marks a delete and
+    // a blob SHA a file moved within the snapshot
+    this.files = new Map();
+    this.changes = new Map();
+  }
+
+  /**
+   * Takes the snapshot of the branch the commit will be built on
+   * @returns {Promise<Array>} ResponseFactory result
+   */
+  async begin() {
+    try {
+      const { data: ref } = await this.octokit.rest.git.getRef({
+        owner: this.orgName,
+        repo: this.repoName,
+        ref: `heads/${this.branchName}`
+      });
+      const { data: commit } = await this.octokit.rest.git.getCommit({
+        owner: this.orgName,
+        repo: this.repoName,
+        commit_sha: ref.object.sha
+      });
+      const { data: tree } = await this.octokit.rest.git.getTree({
+        owner: this.orgName,
+        repo: this.repoName,
+        tree_sha: commit.tree.sha,
+        recursive: 'true'
+      });
+      // A truncated listing would hide files from exists() and from the deletes of the commit
+      if (tree.truncated) {
+        return ResponseFactory.error(
+          `Unable to start a commit on ${this.branchName}: the tree at ${ref.object.sha} is too large to list in full`,
+          { base: ref.object.sha },
+          500
+        );
+      }
+
+      this.baseSha = ref.object.sha;
+      this.baseTreeSha = commit.tree.sha;
+      this.files = new Map(
+        tree.tree.filter(entry => entry.type === 'blob').map(entry => [entry.path, entry.sha])
+      );
+      return ResponseFactory.success(`Started a commit on ${this.branchName} at ${this.baseSha}`, this);
+    } catch (err) {
+      return ResponseFactory.error(
+        `Unable to start a commit on ${this.branchName}: ${err.message}`,
+        err,
+        err.status || 500
+      );
+    }
+  }
+
+  /**
+   * Lists the lock files of a container in the snapshot
+   * @param {String} containerName - Container name
+   * @returns {Array<String>} Lock file paths
+   */
+  locks(containerName) {
+    return [...this.files.keys()].filter(
+      path => path.startsWith(`${containerName}/`) && path.endsWith('.lock')
+    );
+  }
+
+  /**
+   * Checks if a file exists in the snapshot, including staged changes
+   * @param {String} path - File path
+   * @returns {Promise<Boolean>} True when the file exists
+   */
+  async exists(path) {
+    return this.changes.has(path) ? this.changes.get(path) !== null : this.files.has(path);
+  }
+
+  /**
+   * Reads a file from the snapshot, staged changes take precedence
+   * @param {String} path - File path
+   * @returns {Promise<Buffer|null>} Content or null when the file does not exist
+   */
+  async readFile(path) {
+    const staged = this.changes.has(path) ? this.changes.get(path) : undefined;
+    if (staged === null || Buffer.isBuffer(staged)) return staged;
+    if (staged === undefined && !this.files.has(path)) return null;
+
+    const { data } = await this.octokit.rest.git.getBlob({
+      owner: this.orgName,
+      repo: this.repoName,
+      file_sha: staged || this.files.get(path)
+    });
+    return Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf-8');
+  }
+
+  /**
+   * Reads and parses a JSON file from the snapshot
+   * @param {String} path - File path
+   * @returns {Promise<*>} Parsed content or null when the file does not exist
+   */
+  async readJson(path) {
+    const content = await this.readFile(path);
+    return content === null ? null : JSON.parse(content.toString('utf-8'));
+  }
+
+  /**
+   * Gets the git blob SHA of a file in the snapshot, staged changes take precedence
+   * @param {String} path - File path
+   * @returns {Promise<String|null>} SHA or null when the file does not exist
+   */
+  async sha(path) {
+    const staged = this.changes.has(path) ? this.changes.get(path) : undefined;
+    if (staged === null || typeof staged === 'string') return staged;
+    if (Buffer.isBuffer(staged)) return gitBlobSha(staged);
+    return this.files.get(path) || null;
+  }
+
+  /**
+   * Stages a file write
+   * @param {String} path - File path
+   * @param {String|Buffer} content - Content to write
+   */
+  writeFile(path, content) {
+    this.changes.set(path, Buffer.isBuffer(content) ? content : Buffer.from(content));
+  }
+
+  /**
+   * Stages a JSON file write, using the same serialization as writeObject
+   * @param {String} path - File path
+   * @param {*} value - Value to serialize
+   */
+  writeJson(path, value) {
+    this.writeFile(path, JSON.stringify(value));
+  }
+
+  /**
+   * Stages a file delete
+   * @param {String} path - File path
+   */
+  deleteFile(path) {
+    this.changes.set(path, null);
+  }
+
+  /**
+   * Stages a file move. A file of the snapshot keeps its blob, so its content is neither downloaded nor
+   * uploaded again.
+   * @param {String} from - Current file path
+   * @param {String} to - New file path
+   */
+  moveFile(from, to) {
+    this.changes.set(to, this.changes.has(from) ? this.changes.get(from) : this.files.get(from) || null);
+    this.changes.set(from, null);
+  }
+
+  /**
+   * Creates the commit and fast-forwards the branch to it
+   * @param {String} message - Commit message
+   * @returns {Promise<Array>} ResponseFactory result with the commit SHA and changed paths
+   */
+  async commit(message) {
+    const paths = [...this.changes.keys()];
+    if (paths.length === 0) {
+      return ResponseFactory.success('Nothing to commit', { sha: this.baseSha, paths });
+    }
+
+    try {
+      const tree = [];
+      for (const [path, content] of this.changes) {
+        // Deleting a path that does not exist is an error for the Git Data API
+        if (content === null && !this.files.has(path)) continue;
+
+        let sha = typeof content === 'string' ? content : null;
+        if (Buffer.isBuffer(content)) {
+          const { data: blob } = await this.octokit.rest.git.createBlob({
+            owner: this.orgName,
+            repo: this.repoName,
+            content: content.toString('base64'),
+            encoding: 'base64'
+          });
+          sha = blob.sha;
+        }
+        tree.push({ path, mode: '100644', type: 'blob', sha });
+      }
+
+      const { data: newTree } = await this.octokit.rest.git.createTree({
+        owner: this.orgName,
+        repo: this.repoName,
+        base_tree: this.baseTreeSha,
+        tree
+      });
+      const { data: newCommit } = await this.octokit.rest.git.createCommit({
+        owner: this.orgName,
+        repo: this.repoName,
+        message,
+        tree: newTree.sha,
+        parents: [this.baseSha]
+      });
+
+      try {
+        await this.octokit.rest.git.updateRef({
+          owner: this.orgName,
+          repo: this.repoName,
+          ref: `heads/${this.branchName}`,
+          sha: newCommit.sha,
+          force: false
+        });
+      } catch (err) {
+        // Not a fast forward, another commit landed after the snapshot was taken
+        if (err.status === 422) {
+          return ResponseFactory.error(
+            `The branch ${this.branchName} moved after ${this.baseSha}, the commit was not applied`,
+            { base: this.baseSha, commit: newCommit.sha },
+            409
+          );
+        }
+        throw err;
+      }
+
+      return ResponseFactory.success(
+        `Committed [${paths.length}] change(s) to ${this.branchName}`,
+        { sha: newCommit.sha, parent: this.baseSha, paths }
+      );
+    } catch (err) {
+      return ResponseFactory.error(
+        `Unable to commit to ${this.branchName}: ${err.message}`,
+        err,
+        err.status || 500
+      );
+    }
+  }
+}
+
+export default CommitBuilder;
\ No newline at end of file
@@ -8,6 +8,7 @@
 
 import ResponseFactory from './response.js';
 import { encodeContent } from './utils.js';
+import { createLease, parseLease, describeLock, formatLock } from '../lease.js';
 
 /**
  * Manages container operations (locking, object manipulation)
@@ -20,51 +21,92 @@ class ContainerOperations {
    * @param {String} repoName - GitHub repository name
    * @param {String} mainBranchName - Main branch name
    * @param {String} lockFileName - Lock file name
+   * @param {Number} lockTtl - Lease length of new locks in seconds
    */
-  constructor(octokit, orgName, repoName, mainBranchName, lockFileName) {
+  constructor(octokit, orgName, repoName, mainBranchName, lockFileName, lockTtl) {
     this.octokit = octokit;
     this.orgName = orgName;
     this.repoName = repoName;
     this.mainBranchName = mainBranchName;
     this.lockFileName = lockFileName;
+    this.lockTtl = lockTtl;
   }
 
   /**
-   * Checks if a container is locked
+   * Gets the login of the authenticated user for lock leases, cached after the first call
+   * @private
+   * @returns {Promise<String|null>} Login or null when it cannot be determined, e.g. for app tokens
+   */
+  async _getLogin() {
+    if (this._login === undefined) {
+      try {
+        const { data } = await this.octokit.rest.users.getAuthenticated();
+        this._login = data.login;
+      } catch {
+        this._login = null;
+      }
+    }
+    return this._login;
+  }
+
+  /**
+   * Lists the lock files of a container on the main branch with their leases
+   * @private
    * @param {String} containerName - Container name
-   * @returns {Promise<Array>} ResponseFactory result
+   * @returns {Promise<Array>} Lock descriptions, oldest lease first
    */
-  async checkForLock(containerName) {
-    try {
-      // Get the latest commit
-      const latestCommit = await this.octokit.rest.repos.getCommit({
-        owner: this.orgName,
-        repo: this.repoName,
-        ref: this.mainBranchName,
-      });
+  async _listLocks(containerName) {
+    // Get the latest commit
+    const latestCommit = await this.octokit.rest.repos.getCommit({
+      owner: this.orgName,
+      repo: this.repoName,
+      ref: this.mainBranchName,
+    });
 
-      // Check if the lock file exists
-      const mainContents = await this.octokit.rest.repos.getContent({
+    // Any lock file blocks the container, not just the one owned by this process
+    const mainContents = await this.octokit.rest.repos.getContent({
+      owner: this.orgName,
+      repo: this.repoName,
+      ref: latestCommit.data.sha,
+      path: containerName
+    });
+    const lockFiles = mainContents.data.filter(
+      item => item.type === 'file' && item.name.endsWith('.lock')
+    );
+
+    const locks = [];
+    for (const lockFile of lockFiles) {
+      const { data } = await this.octokit.rest.repos.getContent({
         owner: this.orgName,
         repo: this.repoName,
         ref: latestCommit.data.sha,
-        path: containerName
+        path: lockFile.path
       });
+      const lease = parseLease(Buffer.from(data.content || '', 'base64'));
+      locks.push(describeLock(lockFile, lease));
+    }
+    return locks.sort((a, b) => (a.acquired_at || '').localeCompare(b.acquired_at || ''));
+  }
 
-      const lockExists = mainContents.data.some(
-        item => item.path === `${containerName}/${this.lockFileName}`
-      );
+  /**
+   * Checks if a container is locked
+   * @param {String} containerName - Container name
+   * @returns {Promise<Array>} ResponseFactory result, the data describes the oldest lock or is false
+   */
+  async checkForLock(containerName) {
+    try {
+      const locks = await this._listLocks(containerName);
 
-      if (lockExists) {
+      if (locks.length > 0) {
         return ResponseFactory.success(
-          `Container ${containerName} is locked with lock file ${this.lockFileName}`,
-          lockExists,
+          `Container ${containerName} is locked by ${formatLock(locks[0])}`,
+          locks[0],
           200
         );
       } else {
         return ResponseFactory.success(
-          `Container ${containerName} is not locked with lock file ${this.lockFileName}`,
-          lockExists,
+          `Container ${containerName} is not locked`,
+          false,
           404
         );
       }
@@ -93,11 +135,18 @@ class ContainerOperations {
         ref: this.mainBranchName,
       });
 
+      // The lease tells other processes who holds the lock and when it may be broken
+      const lease = createLease({
+        process: this.lockFileName.replace(/\.lock$/, ''),
+        login: await this._getLogin(),
+        ttl: this.lockTtl
+      });
+
       const lockResponse = await this.octokit.rest.repos.createOrUpdateFileContents({
         owner: this.orgName,
         repo: this.repoName,
         path: lockFile,
-        content: encodeContent(''),
+        content: encodeContent(JSON.stringify(lease, null, 2)),
         branch: this.mainBranchName,
         message: `Locking container [${containerName}]`,
         sha: latestCommit.sha
@@ -110,7 +159,56 @@ class ContainerOperations {
     } catch (err) {
       return ResponseFactory.error(
         `Unable to lock the container ${containerName}: ${err.message}`, 
-        err
+        err,
+        err.status || 500
+      );
+    }
+  }
+
+  /**
+   * Removes lock files whose lease has expired, or every lock file when forced
+   * @param {String} containerName - Container name
+   * @param {Object} [options] - Options
+   * @param {Boolean} [options.force=false] - Also remove locks with a live lease or without lease information
+   * @returns {Promise<Array>} ResponseFactory result with the removed locks
+   */
+  async breakStaleLock(containerName, { force = false } = {}) {
+    try {
+      const locks = await this._listLocks(containerName);
+      if (locks.length === 0) {
+        return ResponseFactory.success(`Container ${containerName} is not locked`, [], 404);
+      }
+
+      const stale = locks.filter(lock => force || lock.expired);
+      if (stale.length === 0) {
+        return ResponseFactory.error(
+          `Container ${containerName} is locked by ${formatLock(locks[0])}, use force to break it`,
+          locks,
+          409
+        );
+      }
+
+      // Deleting with the listed SHA fails if the lock was replaced since it was read
+      for (const lock of stale) {
+        await this.octokit.rest.repos.deleteFile({
+          owner: this.orgName,
+          repo: this.repoName,
+          path: lock.path,
+          branch: this.mainBranchName,
+          message: `Breaking ${lock.expired ? 'stale ' : ''}lock on container [${containerName}] held by [${lock.process}]`,
+          sha: lock.sha
+        });
+      }
+
+      return ResponseFactory.success(
+        `Broke [${stale.length}] lock(s) on the container ${containerName}`,
+        stale
+      );
+    } catch (err) {
+      return ResponseFactory.error(
+        `Unable to break the lock on container ${containerName}: ${err.message}`,
+        err,
+        err.status || 500
       );
     }
   }
@@ -152,11 +250,66 @@ class ContainerOperations {
     } catch (err) {
       return ResponseFactory.error(
         `Error unlocking container ${containerName}: ${err.message}`, 
-        err
+        err,
+        err.status || 500
       );
     }
   }
 
+  /**
+   * Undoes a partial or failed catch, removing the locks it took and its branch
+   * @param {Object} repoMetadata - Container metadata object filled in by catchContainers
+   * @param {Function} deleteBranchFn - Function to delete a branch
+   * @returns {Promise<Array>} ResponseFactory result
+   */
+  async abortContainers(repoMetadata, deleteBranchFn) {
+    const undone = [];
+    const failed = [];
+
+    for (const container in repoMetadata.containers) {
+      const lockSha = repoMetadata.containers[container].lockSha;
+      if (!lockSha) continue;
+
+      const lockFile = `${container}/${this.lockFileName}`;
+      try {
+        // Only remove the lock this catch wrote, it may already be gone or belong to a later catch
+        const { data } = await this.octokit.rest.repos.getContent({
+          owner: this.orgName,
+          repo: this.repoName,
+          path: lockFile,
+          ref: this.mainBranchName
+        });
+        if (data.sha !== lockSha) continue;
+
+        await this.octokit.rest.repos.deleteFile({
+          owner: this.orgName,
+          repo: this.repoName,
+          path: lockFile,
+          branch: this.mainBranchName,
+          message: `Unlocking container [${container}] after a failed operation`,
+          sha: lockSha
+        });
+        undone.push(lockFile);
+      } catch (err) {
+        if (err.status !== 404) failed.push(`${lockFile}: ${err.message}`);
+      }
+    }
+
+    if (repoMetadata.branch && repoMetadata.branch.name) {
+      const deleted = await deleteBranchFn(repoMetadata.branch.name);
+      if (deleted[0]) {
+        undone.push(`branch ${repoMetadata.branch.name}`);
+      } else if (deleted[1].status_code !== 422 && deleted[1].status_code !== 404) {
+        failed.push(deleted[1].status_msg);
+      }
+    }
+
+    if (failed.length > 0) {
+      return ResponseFactory.error(`Unable to undo the catch: ${failed.join('; ')}`, { undone, failed });
+    }
+    return ResponseFactory.success(`Undid the catch: [${undone.join(', ')}]`, { undone });
+  }
+
   /**
    * Catches multiple containers (locks them and prepares for operations)
    * @param {Object} repoMetadata - Container metadata object
@@ -171,7 +324,7 @@ class ContainerOperations {
       const lockExists = await this.checkForLock(container);
       if (lockExists[0] && lockExists[2]) {
         return ResponseFactory.error(
-          `The container [${container}] is locked unable and cannot perform creates, updates or deletes on objects.`,
+          `The container [${container}] is locked by ${formatLock(lockExists[2])} and cannot perform creates, updates or deletes on objects.`,
           lockExists,
           503
         );
@@ -0,0 +1,703 @@
+/**
+ * @fileoverview In-memory stand-in for the Octokit REST endpoints used by the SDK
+ * @license Apache-2.0
+ * @version 3.0.0
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Error shaped like the Octokit RequestError so callers can inspect status and message
+ */
+class FakeRequestError extends Error {
+  /**
+   * @constructor
+   * @param {String} message - Error message
+   * @param {Number} status - HTTP status code
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.response = { status, data: { message } };
+  }
+}
+
+/**
+ * Computes a git style SHA-1 for an object
+ * @param {String} type - Git object type
+ * @param {Buffer|String} content - Object content
+ * @returns {String} Hex encoded SHA-1
+ */
+const gitSha = (type, content) => {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  return createHash('sha1')
+    .update(`${type} ${buffer.length}\0`)
+    .update(buffer)
+    .digest('hex');
+};
+
+/**
+ * Files larger than this are returned without content by the Contents API, as on GitHub
+ */
+const CONTENTS_API_MAX_SIZE = 1024 * 1024;
+
+/**
+ * In-memory model of a GitHub repository with real blob, tree and commit SHAs, refs and pull requests.
+ * Passing an instance as the `octokit` option of GitHubFunctions exercises the lock, branch, write,
+ * pull request, merge and unlock flow without network access.
+ *
+ * @example
+ * const octokit = new FakeOctokit({ files: { 'Companies/Companies.json': '[]' } })
+ * const gitHubCtl = new GitHubFunctions('token', 'my-org', 'my-process', { octokit })
+ * const companies = new Companies('token', 'my-org', 'my-process', { adapter: gitHubCtl })
+ */
+class FakeOctokit {
+  /**
+   * @constructor
+   * @param {Object} [options] - Fake server options
+   * @param {Object} [options.files] - Files, by path, every repository starts with
+   * @param {String} [options.login] - Login of the authenticated user
+   */
+  constructor(options = {}) {
+    this.initialFiles = options.files || {};
+    this.login = options.login || 'fake-user';
+    this.repos = new Map();
+
+    // Every call made through the REST namespaces, useful for counting round trips
+    this.calls = [];
+
+    this.rest = {
+      repos: this._namespace('repos', {
+        getContent: this._getContent,
+        createOrUpdateFileContents: this._createOrUpdateFileContents,
+        deleteFile: this._deleteFile,
+        getCommit: this._getCommit,
+        compareCommitsWithBasehead: this._compareCommits
+      }),
+      git: this._namespace('git', {
+        getRef: this._getRef,
+        createRef: this._createRef,
+        updateRef: this._updateRef,
+        deleteRef: this._deleteRef,
+        getCommit: this._getGitCommit,
+        createCommit: this._createCommit,
+        getTree: this._getTree,
+        createTree: this._createTree,
+        getBlob: this._getBlob,
+        createBlob: this._createBlob
+      }),
+      pulls: this._namespace('pulls', {
+        create: this._createPull,
+        merge: this._mergePull
+      }),
+      users: this._namespace('users', {
+        getAuthenticated: async () => ({ status: 200, data: { login: this.login } })
+      })
+    };
+  }
+
+  /**
+   * Binds endpoint handlers and records every call
+   * @private
+   * @param {String} name - Namespace name
+   * @param {Object} handlers - Endpoint handlers
+   * @returns {Object} Namespace of bound endpoints
+   */
+  _namespace(name, handlers) {
+    const namespace = {};
+    for (const [endpoint, handler] of Object.entries(handlers)) {
+      namespace[endpoint] = async (params = {}) => {
+        this.calls.push({ endpoint: `${name}.${endpoint}`, params });
+        return handler.call(this, params);
+      };
+    }
+    return namespace;
+  }
+
+  /**
+   * Gets a repository, creating it from the initial files on first use
+   * @private
+   * @param {Object} params - Request parameters with owner and repo
+   * @returns {Object} Repository state
+   */
+  _repo({ owner, repo }) {
+    const key = `${owner}/${repo}`;
+    if (!this.repos.has(key)) {
+      const state = {
+        blobs: new Map(),
+        trees: new Map(),
+        commits: new Map(),
+        refs: new Map(),
+        pulls: new Map(),
+        commitCount: 0
+      };
+      const files = new Map();
+      for (const [path, content] of Object.entries(this.initialFiles)) {
+        const raw = typeof content === 'string' || Buffer.isBuffer(content) ?
+          content :
+          JSON.stringify(content);
+        files.set(path, this._putBlob(state, Buffer.from(raw)));
+      }
+      const commitSha = this._putCommit(state, files, [], 'Initial commit');
+      state.refs.set('heads/main', commitSha);
+      this.repos.set(key, state);
+    }
+    return this.repos.get(key);
+  }
+
+  /**
+   * Stores a blob
+   * @private
+   * @param {Object} state - Repository state
+   * @param {Buffer} content - Blob content
+   * @returns {String} Blob SHA
+   */
+  _putBlob(state, content) {
+    const sha = gitSha('blob', content);
+    state.blobs.set(sha, content);
+    return sha;
+  }
+
+  /**
+   * Stores a flat tree (path -> blob SHA)
+   * @private
+   * @param {Object} state - Repository state
+   * @param {Map} files - Files in the tree
+   * @returns {String} Tree SHA
+   */
+  _putTree(state, files) {
+    const entries = [...files.entries()].sort(([a], [b]) => a.localeCompare(b));
+    const sha = gitSha('tree', JSON.stringify(entries));
+    state.trees.set(sha, new Map(entries));
+    return sha;
+  }
+
+  /**
+   * Stores a commit
+   * @private
+   * @param {Object} state - Repository state
+   * @param {Map} files - Files in the commit's tree
+   * @param {Array<String>} parents - Parent commit SHAs
+   * @param {String} message - Commit message
+   * @returns {String} Commit SHA
+   */
+  _putCommit(state, files, parents, message) {
+    const tree = this._putTree(state, files);
+    const date = new Date().toISOString();
+    state.commitCount++;
+    const sha = gitSha('commit', JSON.stringify({ tree, parents, message, date, n: state.commitCount }));
+    state.commits.set(sha, {
+      sha,
+      tree,
+      parents,
+      message,
+      author: { name: this.login, email: `${this.login}@example.com`, date },
+      committer: { name: this.login, email: `${this.login}@example.com`, date }
+    });
+    return sha;
+  }
+
+  /**
+   * Resolves a branch name, full ref or commit SHA to a commit SHA
+   * @private
+   * @param {Object} state - Repository state
+   * @param {String} [ref] - Reference to resolve, defaults to main
+   * @returns {String} Commit SHA
+   */
+  _resolve(state, ref = 'main') {
+    const name = ref.replace(/^refs\//, '').replace(/^heads\//, '');
+    if (state.refs.has(`heads/${name}`)) return state.refs.get(`heads/${name}`);
+    if (state.commits.has(ref)) return ref;
+    throw new FakeRequestError(`No commit found for the ref ${ref}`, 404);
+  }
+
+  /**
+   * Gets the files of a commit
+   * @private
+   * @param {Object} state - Repository state
+   * @param {String} commitSha - Commit SHA
+   * @returns {Map} Copy of the commit's files
+   */
+  _files(state, commitSha) {
+    return new Map(state.trees.get(state.commits.get(commitSha).tree));
+  }
+
+  /**
+   * Decodes the path parameter, the SDK percent encodes file names
+   * @private
+   * @param {String} path - Path parameter
+   * @returns {String} Decoded path
+   */
+  _path(path = '') {
+    return decodeURIComponent(path).replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * Describes a file in the shape returned by the Contents API
+   * @private
+   */
+  _fileData(state, path, sha, withContent = true) {
+    const content = state.blobs.get(sha);
+    const data = {
+      type: 'file',
+      name: path.split('/').pop(),
+      path,
+      sha,
+      size: content.length
+    };
+    if (withContent) {
+      const tooLarge = content.length > CONTENTS_API_MAX_SIZE;
+      data.encoding = tooLarge ? 'none' : 'base64';
+      data.content = tooLarge ? '' : content.toString('base64');
+    }
+    return data;
+  }
+
+  /**
+   * Describes a commit in the shape returned by the Commits API
+   * @private
+   */
+  _commitData(state, sha) {
+    const commit = state.commits.get(sha);
+    return {
+      sha,
+      commit: {
+        message: commit.message,
+        tree: { sha: commit.tree },
+        author: commit.author,
+        committer: commit.committer
+      },
+      parents: commit.parents.map(parent => ({ sha: parent })),
+      html_url: `https://github.com/fake/fake/commit/${sha}`
+    };
+  }
+
+  /**
+   * Commits a set of file changes to a branch
+   * @private
+   * @param {Object} state - Repository state
+   * @param {String} branch - Branch name
+   * @param {Object} changes - Path to Buffer, null deletes the path
+   * @param {String} message - Commit message
+   * @returns {String} Commit SHA
+   */
+  _commitToBranch(state, branch, changes, message) {
+    if (!state.refs.has(`heads/${branch}`)) {
+      throw new FakeRequestError(`Branch not found: ${branch}`, 404);
+    }
+    const parent = state.refs.get(`heads/${branch}`);
+    const files = this._files(state, parent);
+    for (const [path, content] of Object.entries(changes)) {
+      if (content === null) {
+        files.delete(path);
+      } else {
+        files.set(path, this._putBlob(state, content));
+      }
+    }
+    const sha = this._putCommit(state, files, [parent], message);
+    state.refs.set(`heads/${branch}`, sha);
+    return sha;
+  }
+
+  /**
+   * Collects every ancestor of a commit including itself
+   * @private
+   */
+  _ancestors(state, sha) {
+    const seen = new Set();
+    const queue = [sha];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (seen.has(current)) continue;
+      seen.add(current);
+      queue.push(...state.commits.get(current).parents);
+    }
+    return seen;
+  }
+
+  /**
+   * Finds the nearest common ancestor of two commits
+   * @private
+   */
+  _mergeBase(state, a, b) {
+    const ancestors = this._ancestors(state, a);
+    const queue = [b];
+    const seen = new Set();
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (ancestors.has(current)) return current;
+      if (seen.has(current)) continue;
+      seen.add(current);
+      queue.push(...state.commits.get(current).parents);
+    }
+    return null;
+  }
+
+  async _getContent(params) {
+    const state = this._repo(params);
+    const commitSha = this._resolve(state, params.ref);
+    const files = this._files(state, commitSha);
+    const path = this._path(params.path);
+
+    if (files.has(path)) {
+      return { status: 200, data: this._fileData(state, path, files.get(path)) };
+    }
+
+    // Directory listing of the direct children
+    const prefix = path === '' ? '' : `${path}/`;
+    const children = new Map();
+    for (const [filePath, sha] of files) {
+      if (!filePath.startsWith(prefix)) continue;
+      const rest = filePath.slice(prefix.length).split('/');
+      if (rest.length === 1) {
+        children.set(rest[0], this._fileData(state, filePath, sha, false));
+      } else if (!children.has(rest[0])) {
+        children.set(rest[0], { type: 'dir', name: rest[0], path: `${prefix}${rest[0]}`, sha: null, size: 0 });
+      }
+    }
+    if (children.size === 0) {
+      throw new FakeRequestError('Not Found', 404);
+    }
+    return { status: 200, data: [...children.values()] };
+  }
+
+  async _createOrUpdateFileContents(params) {
+    const state = this._repo(params);
+    const branch = params.branch || 'main';
+    const path = this._path(params.path);
+    const files = this._files(state, this._resolve(state, branch));
+
+    if (files.has(path)) {
+      if (!params.sha) {
+        throw new FakeRequestError('Invalid request.\n\n"sha" wasn\'t supplied.', 422);
+      }
+      if (params.sha !== files.get(path)) {
+        throw new FakeRequestError(`${path} does not match ${params.sha}`, 409);
+      }
+    }
+
+    const content = Buffer.from(params.content || '', 'base64');
+    const commitSha = this._commitToBranch(state, branch, { [path]: content }, params.message);
+    return {
+      status: files.has(path) ? 200 : 201,
+      data: {
+        content: this._fileData(state, path, gitSha('blob', content), false),
+        commit: this._commitData(state, commitSha)
+      }
+    };
+  }
+
+  async _deleteFile(params) {
+    const state = this._repo(params);
+    const branch = params.branch || 'main';
+    const path = this._path(params.path);
+    const files = this._files(state, this._resolve(state, branch));
+
+    if (!files.has(path)) {
+      throw new FakeRequestError('Not Found', 404);
+    }
+    if (!params.sha) {
+      throw new FakeRequestError('Invalid request.\n\n"sha" wasn\'t supplied.', 422);
+    }
+    if (params.sha !== files.get(path)) {
+      throw new FakeRequestError(`${path} does not match ${params.sha}`, 409);
+    }
+
+    const commitSha = this._commitToBranch(state, branch, { [path]: null }, params.message);
+    return { status: 200, data: { content: null, commit: this._commitData(state, commitSha) } };
+  }
+
+  async _getCommit(params) {
+    const state = this._repo(params);
+    const sha = this._resolve(state, params.ref);
+    return { status: 200, data: this._commitData(state, sha) };
+  }
+
+  async _compareCommits(params) {
+    const state = this._repo(params);
+    const [base, head] = params.basehead.split('...');
+    const baseSha = this._resolve(state, base);
+    const headSha = this._resolve(state, head);
+    const before = this._files(state, baseSha);
+    const after = this._files(state, headSha);
+
+    const files = [];
+    for (const [path, sha] of after) {
+      if (!before.has(path)) {
+        files.push({ filename: path, status: 'added', sha });
+      } else if (before.get(path) !== sha) {
+        files.push({ filename: path, status: 'modified', sha });
+      }
+    }
+    for (const [path, sha] of before) {
+      if (!after.has(path)) files.push({ filename: path, status: 'removed', sha });
+    }
+    return {
+      status: 200,
+      data: {
+        status: baseSha === headSha ? 'identical' : 'ahead',
+        base_commit: this._commitData(state, baseSha),
+        files
+      }
+    };
+  }
+
+  async _getRef(params) {
+    const state = this._repo(params);
+    const ref = params.ref.replace(/^refs\//, '');
+    if (!state.refs.has(ref)) {
+      throw new FakeRequestError('Not Found', 404);
+    }
+    return {
+      status: 200,
+      data: { ref: `refs/${ref}`, object: { sha: state.refs.get(ref), type: 'commit' } }
+    };
+  }
+
+  async _createRef(params) {
+    const state = this._repo(params);
+    const ref = params.ref.replace(/^refs\//, '');
+    if (state.refs.has(ref)) {
+      throw new FakeRequestError('Reference already exists', 422);
+    }
+    if (!state.commits.has(params.sha)) {
+      throw new FakeRequestError('Object does not exist', 422);
+    }
+    state.refs.set(ref, params.sha);
+    return {
+      status: 201,
+      data: { ref: `refs/${ref}`, object: { sha: params.sha, type: 'commit' } }
+    };
+  }
+
+  async _updateRef(params) {
+    const state = this._repo(params);
+    const ref = params.ref.replace(/^refs\//, '');
+    if (!state.refs.has(ref)) {
+      throw new FakeRequestError('Reference does not exist', 422);
+    }
+    if (!state.commits.has(params.sha)) {
+      throw new FakeRequestError('Object does not exist', 422);
+    }
+    if (!params.force && !this._ancestors(state, params.sha).has(state.refs.get(ref))) {
+      throw new FakeRequestError('Update is not a fast forward', 422);
+    }
+    state.refs.set(ref, params.sha);
+    return {
+      status: 200,
+      data: { ref: `refs/${ref}`, object: { sha: params.sha, type: 'commit' } }
+    };
+  }
+
+  async _deleteRef(params) {
+    const state = this._repo(params);
+    const ref = params.ref.replace(/^refs\//, '');
+    if (!state.refs.has(ref)) {
+      throw new FakeRequestError('Reference does not exist', 422);
+    }
+    state.refs.delete(ref);
+    return { status: 204, data: null };
+  }
+
+  async _getGitCommit(params) {
+    const state = this._repo(params);
+    const commit = state.commits.get(params.commit_sha);
+    if (!commit) {
+      throw new FakeRequestError('Not Found', 404);
+    }
+    return {
+      status: 200,
+      data: {
+        sha: commit.sha,
+        message: commit.message,
+        tree: { sha: commit.tree },
+        parents: commit.parents.map(parent => ({ sha: parent })),
+        author: commit.author,
+        committer: commit.committer
+      }
+    };
+  }
+
+  async _createCommit(params) {
+    const state = this._repo(params);
+    const files = state.trees.get(params.tree);
+    const parents = params.parents || [];
+    if (!files || parents.some(parent => !state.commits.has(parent))) {
+      throw new FakeRequestError('Tree or parent does not exist', 422);
+    }
+    const sha = this._putCommit(state, new Map(files), parents, params.message);
+    return { status: 201, data: (await this._getGitCommit({ ...params, commit_sha: sha })).data };
+  }
+
+  async _getTree(params) {
+    const state = this._repo(params);
+    const files = state.trees.get(params.tree_sha);
+    if (!files) {
+      throw new FakeRequestError('Not Found', 404);
+    }
+
+    // Trees are stored flat, non recursive listings only show the top level
+    const tree = [];
+    const dirs = new Set();
+    for (const [path, sha] of files) {
+      const parts = path.split('/');
+      for (let i = 1; i < parts.length; i++) {
+        dirs.add(parts.slice(0, i).join('/'));
+      }
+      if (params.recursive || parts.length === 1) {
+        tree.push({ path, mode: '100644', type: 'blob', sha, size: state.blobs.get(sha).length });
+      }
+    }
+    for (const dir of dirs) {
+      if (params.recursive || !dir.includes('/')) {
+        tree.push({ path: dir, mode: '040000', type: 'tree', sha: null });
+      }
+    }
+    return { status: 200, data: { sha: params.tree_sha, tree, truncated: false } };
+  }
+
+  async _createTree(params) {
+    const state = this._repo(params);
+    let files = new Map();
+    if (params.base_tree) {
+      if (!state.trees.has(params.base_tree)) {
+        throw new FakeRequestError('Invalid tree info', 422);
+      }
+      files = new Map(state.trees.get(params.base_tree));
+    }
+    for (const entry of params.tree || []) {
+      if (entry.content !== undefined) {
+        files.set(entry.path, this._putBlob(state, Buffer.from(entry.content)));
+      } else if (entry.sha === null) {
+        files.delete(entry.path);
+      } else if (state.blobs.has(entry.sha)) {
+        files.set(entry.path, entry.sha);
+      } else {
+        throw new FakeRequestError('Invalid tree info', 422);
+      }
+    }
+    const sha = this._putTree(state, files);
+    return { status: 201, data: { sha, truncated: false } };
+  }
+
+  async _getBlob(params) {
+    const state = this._repo(params);
+    const content = state.blobs.get(params.file_sha);
+    if (!content) {
+      throw new FakeRequestError('Not Found', 404);
+    }
+    return {
+      status: 200,
+      data: { sha: params.file_sha, size: content.length, encoding: 'base64', content: content.toString('base64') }
+    };
+  }
+
+  async _createBlob(params) {
+    const state = this._repo(params);
+    const content = Buffer.from(params.content || '', params.encoding === 'base64' ? 'base64' : 'utf-8');
+    const sha = this._putBlob(state, content);
+    return { status: 201, data: { sha, url: `https://api.github.com/repos/fake/fake/git/blobs/${sha}` } };
+  }
+
+  async _createPull(params) {
+    const state = this._repo(params);
+    const headSha = this._resolve(state, params.head);
+    const baseSha = this._resolve(state, params.base);
+    if (this._ancestors(state, baseSha).has(headSha)) {
+      throw new FakeRequestError(`Validation Failed: No commits between ${params.base} and ${params.head}`, 422);
+    }
+
+    const number = state.pulls.size + 1;
+    const pull = {
+      number,
+      state: 'open',
+      merged: false,
+      title: params.title,
+      body: params.body,
+      head: { ref: params.head, sha: headSha },
+      base: { ref: params.base, sha: baseSha }
+    };
+    state.pulls.set(number, pull);
+    return { status: 201, data: { ...pull } };
+  }
+
+  async _mergePull(params) {
+    const state = this._repo(params);
+    const pull = state.pulls.get(params.pull_number);
+    if (!pull) {
+      throw new FakeRequestError('Not Found', 404);
+    }
+    if (pull.state !== 'open') {
+      throw new FakeRequestError('Pull Request is not mergeable', 405);
+    }
+
+    const headSha = this._resolve(state, pull.head.ref);
+    const baseSha = this._resolve(state, pull.base.ref);
+    const ancestor = this._mergeBase(state, baseSha, headSha);
+    const original = ancestor ? this._files(state, ancestor) : new Map();
+    const ours = this._files(state, baseSha);
+    const theirs = this._files(state, headSha);
+
+    // Three way merge by path, both sides changing the same path differently is a conflict
+    const merged = new Map();
+    for (const path of new Set([...original.keys(), ...ours.keys(), ...theirs.keys()])) {
+      const [o, a, b] = [original.get(path), ours.get(path), theirs.get(path)];
+      let result;
+      if (a === b) result = a;
+      else if (a === o) result = b;
+      else if (b === o) result = a;
+      else throw new FakeRequestError('Pull Request is not mergeable', 405);
+      if (result !== undefined) merged.set(path, result);
+    }
+
+    const message = params.commit_title || `Merge pull request #${pull.number}`;
+    const sha = this._putCommit(state, merged, [baseSha, headSha], message);
+    state.refs.set(`heads/${pull.base.ref}`, sha);
+    pull.state = 'closed';
+    pull.merged = true;
+    return { status: 200, data: { sha, merged: true, message: 'Pull Request successfully merged' } };
+  }
+
+  /**
+   * Reads a file as text, intended for assertions in tests
+   * @param {String} owner - Repository owner
+   * @param {String} repo - Repository name
+   * @param {String} path - File path
+   * @param {String} [ref='main'] - Branch name or commit SHA
+   * @returns {String|null} File content or null when missing
+   */
+  readFile(owner, repo, path, ref = 'main') {
+    const state = this._repo({ owner, repo });
+    const files = this._files(state, this._resolve(state, ref));
+    return files.has(path) ? state.blobs.get(files.get(path)).toString('utf-8') : null;
+  }
+
+  /**
+   * Lists the files on a branch, intended for assertions in tests
+   * @param {String} owner - Repository owner
+   * @param {String} repo - Repository name
+   * @param {String} [ref='main'] - Branch name or commit SHA
+   * @returns {Array<String>} Sorted file paths
+   */
+  listFiles(owner, repo, ref = 'main') {
+    const state = this._repo({ owner, repo });
+    return [...this._files(state, this._resolve(state, ref)).keys()].sort();
+  }
+
+  /**
+   * Lists the branch names of a repository
+   * @param {String} owner - Repository owner
+   * @param {String} repo - Repository name
+   * @returns {Array<String>} Branch names
+   */
+  listBranches(owner, repo) {
+    const state = this._repo({ owner, repo });
+    return [...state.refs.keys()].map(ref => ref.replace(/^heads\//, ''));
+  }
+}
+
+export { FakeRequestError };
+export default FakeOctokit;
\ No newline at end of file
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Git LFS support for large blobs: pointer files, .gitattributes entries and the batch API
+ * @license Apache-2.0
+ * @version 3.0.0
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+import { createHash } from 'crypto';
+import { createWriteStream } from 'fs';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import ResponseFactory from './response.js';
+
+const POINTER_VERSION = 'https://git-lfs.github.com/spec/v1';
+const LFS_MEDIA_TYPE = 'application/vnd.git-lfs+json';
+
+/**
+ * Pointer files are small, anything larger is content
+ */
+const LFS_POINTER_MAX_SIZE = 1024;
+
+/**
+ * Formats the pointer file committed in place of a file stored with Git LFS
+ * @param {Object} pointer - Object as { oid, size }, oid is the SHA-256 of the content
+ * @returns {String} Pointer file
+ */
+const formatPointer = ({ oid, size }) => `version ${POINTER_VERSION}\noid sha256:${oid}\nsize ${size}\n`;
+
+/**
+ * Parses a Git LFS pointer file
+ * @param {Buffer|String} content - File content
+ * @returns {Object|null} { oid, size }, or null when the content is not a pointer
+ */
+const parsePointer = (content) => {
+  if (!content || content.length > LFS_POINTER_MAX_SIZE) return null;
+  const match = /^version https:\/\/git-lfs\.github\.com\/spec\/v1\noid sha256:([0-9a-f]{64})\nsize (\d+)\n?$/
+    .exec(content.toString('utf-8'));
+  return match ? { oid: match[1], size: Number(match[2]) } : null;
+};
+
+/**
+ * Adds the line that marks a path as stored with Git LFS to a .gitattributes file, so git clients check out
+ * its content instead of the pointer
+ * @param {String} attributes - Current content of .gitattributes
+ * @param {String} path - Path of the file
+ * @returns {String} Content with the path tracked, unchanged when it already is
+ */
+const trackPath = (attributes, path) => {
+  // Spaces end a pattern in .gitattributes, other glob characters are escaped
+  const pattern = path.replace(/[\\*?[\]]/g, '\\$&').replace(/ /g, '[[:space:]]');
+  const line = `${pattern} filter=lfs diff=lfs merge=lfs -text`;
+  const lines = attributes.split('\n').filter(Boolean);
+  return lines.includes(line) ? attributes : [...lines, line].join('\n') + '\n';
+};
+
+/**
+ * Writes a stream to a temporary file, hashing and counting it on the way. Streams are spooled because the
+ * size and SHA-256 of an LFS object are needed before its upload starts.
+ * @param {AsyncIterable} source - Readable stream
+ * @returns {Promise<Object>} { path, size, oid, cleanup }, cleanup removes the file
+ */
+const spoolToFile = async (source) => {
+  const dir = await mkdtemp(join(tmpdir(), 'mr-blob-'));
+  const cleanup = () => rm(dir, { recursive: true, force: true });
+  const path = join(dir, 'blob');
+  const hash = createHash('sha256');
+  let size = 0;
+  try {
+    await pipeline(
+      source,
+      async function* (chunks) {
+        for await (const chunk of chunks) {
+          const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+          hash.update(buffer);
+          size += buffer.length;
+          yield buffer;
+        }
+      },
+      createWriteStream(path)
+    );
+  } catch (err) {
+    await cleanup();
+    throw err;
+  }
+  return { path, size, oid: hash.digest('hex'), cleanup };
+};
+
+/**
+ * Client of the Git LFS batch API with the basic transfer adapter. Uploads and downloads stream their bodies,
+ * so objects never have to be base64 encoded or held in memory as a whole.
+ */
+class LfsClient {
+  /**
+   * @constructor
+   * @param {String} token - GitHub token
+   * @param {String} orgName - GitHub organization name
+   * @param {String} repoName - GitHub repository name
+   * @param {Object} [options] - Client options
+   * @param {Function} [options.fetch] - Fetch implementation, defaults to the global fetch
+   * @param {String} [options.endpoint] - LFS endpoint, defaults to the repository's on github.com
+   */
+  constructor(token, orgName, repoName, options = {}) {
+    this.token = token;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.endpoint = options.endpoint || `https://github.com/${orgName}/${repoName}.git/info/lfs`;
+  }
+
+  /**
+   * Runs a request against the batch API for a single object
+   * @private
+   * @param {String} operation - upload or download
+   * @param {Object} pointer - Object as { oid, size }
+   * @param {String} [ref] - Branch the object is for
+   * @returns {Promise<Array>} ResponseFactory result with the object's entry, including its actions
+   */
+  async _batch(operation, pointer, ref) {
+    const body = { operation, transfers: ['basic'], objects: [pointer], hash_algo: 'sha256' };
+    if (ref) body.ref = { name: `refs/heads/${ref}` };
+
+    const response = await this.fetch(`${this.endpoint}/objects/batch`, {
+      method: 'POST',
+      headers: {
+        Accept: LFS_MEDIA_TYPE,
+        'Content-Type': LFS_MEDIA_TYPE,
+        Authorization: `Basic ${Buffer.from(`x-access-token:${this.token}`).toString('base64')}`
+      },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      return ResponseFactory.error(
+        `The LFS ${operation} of [${pointer.oid}] was refused: ${response.status} ${await response.text()}`,
+        null,
+        response.status
+      );
+    }
+
+    const entry = (await response.json()).objects?.find(object => object.oid === pointer.oid);
+    if (!entry || entry.error) {
+      return ResponseFactory.error(
+        `The LFS ${operation} of [${pointer.oid}] failed: ${entry?.error?.message || 'the object is missing'}`,
+        entry || null,
+        entry?.error?.code || 502
+      );
+    }
+    return ResponseFactory.success(`Prepared the LFS ${operation} of [${pointer.oid}]`, entry);
+  }
+
+  /**
+   * Uploads an object unless the server already has it
+   * @param {Buffer|Function} content - Content, or a function returning a new readable stream of it
+   * @param {Object} pointer - Object as { oid, size }
+   * @param {String} [ref] - Branch the object is for
+   * @returns {Promise<Array>} ResponseFactory result with the pointer
+   */
+  async upload(content, pointer, ref) {
+    try {
+      const batch = await this._batch('upload', pointer, ref);
+      if (!batch[0]) return batch;
+
+      const { upload, verify } = batch[2].actions || {};
+      if (upload) {
+        const body = typeof content === 'function' ? content() : content;
+        const response = await this.fetch(upload.href, {
+          method: 'PUT',
+          headers: {
+            ...upload.header,
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': String(pointer.size)
+          },
+          body,
+          duplex: 'half'
+        });
+        if (!response.ok) {
+          return ResponseFactory.error(`Failed to upload [${pointer.oid}]: ${response.status}`, null, response.status);
+        }
+      }
+      if (upload && verify) {
+        const response = await this.fetch(verify.href, {
+          method: 'POST',
+          headers: { ...verify.header, Accept: LFS_MEDIA_TYPE, 'Content-Type': LFS_MEDIA_TYPE },
+          body: JSON.stringify(pointer)
+        });
+        if (!response.ok) {
+          return ResponseFactory.error(`Failed to verify [${pointer.oid}]: ${response.status}`, null, response.status);
+        }
+      }
+      return ResponseFactory.success(
+        upload ? `Uploaded [${pointer.oid}] to LFS` : `LFS already stores [${pointer.oid}]`,
+        pointer
+      );
+    } catch (err) {
+      return ResponseFactory.error(`Failed to upload [${pointer.oid}] to LFS: ${err.message}`, err, err.status || 500);
+    }
+  }
+
+  /**
+   * Downloads an object as a stream
+   * @param {Object} pointer - Object as { oid, size }
+   * @returns {Promise<Array>} ResponseFactory result with a readable stream of the content
+   */
+  async download(pointer) {
+    try {
+      const batch = await this._batch('download', pointer);
+      if (!batch[0]) return batch;
+
+      const { download } = batch[2].actions || {};
+      if (!download) {
+        return ResponseFactory.error(`LFS offered no download of [${pointer.oid}]`, batch[2], 502);
+      }
+      const response = await this.fetch(download.href, { headers: download.header || {} });
+      if (!response.ok) {
+        return ResponseFactory.error(`Failed to download [${pointer.oid}]: ${response.status}`, null, response.status);
+      }
+      const body = response.body && typeof response.body.getReader === 'function'
+        ? Readable.fromWeb(response.body)
+        : Readable.from([Buffer.from(await response.arrayBuffer())]);
+      return ResponseFactory.success(`Downloading [${pointer.oid}] from LFS`, body);
+    } catch (err) {
+      return ResponseFactory.error(`Failed to download [${pointer.oid}] from LFS: ${err.message}`, err, err.status || 500);
+    }
+  }
+}
+
+export default LfsClient;
+
+export {
+  LFS_POINTER_MAX_SIZE,
+  formatPointer,
+  parsePointer,
+  trackPath,
+  spoolToFile
+};
\ No newline at end of file
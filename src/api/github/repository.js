@@ -7,7 +7,19 @@
  */
 
 import ResponseFactory from './response.js';
-import { encodeContent } from './utils.js';
+import { encodeContent, decodeContent, gitBlobSha } from './utils.js';
+import CommitBuilder from './commit.js';
+import { trackPath } from './lfs.js';
+
+/**
+ * The Contents API leaves out the content of larger files, they are read and written as git blobs instead
+ */
+const CONTENTS_API_MAX_SIZE = 1024 * 1024;
+
+/**
+ * GitHub refuses blobs larger than this, such files need Git LFS
+ */
+const GIT_BLOB_MAX_SIZE = 100 * 1024 * 1024;
 
 /**
  * Manages low-level GitHub repository operations
@@ -98,6 +110,288 @@ class RepositoryManager {
     }
   }
 
+  /**
+   * Gets the SHA of a file in the repository
+   * @param {String} path - Path to the file
+   * @param {String} ref - Branch or commit reference
+   * @returns {Promise<Array>} ResponseFactory result with the SHA as data
+   */
+  async getSha(path, ref) {
+    const result = await this.getContent(path, ref);
+    if (!result[0]) {
+      return result;
+    }
+    return ResponseFactory.success(`Retrieved SHA for ${path}`, result[2].sha);
+  }
+
+  /**
+   * Gets a file with its base64 content, which the Contents API only includes up to 1 MB; the content of
+   * larger files is fetched as a git blob
+   * @param {String} path - Path to the file
+   * @param {String} ref - Branch or commit reference
+   * @returns {Promise<Array>} ResponseFactory result with the file data
+   */
+  async getFileContent(path, ref) {
+    const result = await this.getContent(path, ref);
+    if (!result[0] || result[2].type !== 'file' || (result[2].content && result[2].encoding === 'base64')) {
+      return result;
+    }
+    if (result[2].size === 0) {
+      return ResponseFactory.success(result[1].status_msg, { ...result[2], encoding: 'base64', content: '' });
+    }
+
+    const blob = await this.getBlob(result[2].sha);
+    if (!blob[0]) {
+      return blob;
+    }
+    return ResponseFactory.success(
+      `Retrieved content at ${path} as blob ${result[2].sha}`,
+      { ...result[2], encoding: 'base64', content: blob[2].toString('base64') }
+    );
+  }
+
+  /**
+   * Gets a git blob, which works for files of up to 100 MB
+   * @param {String} sha - Blob SHA
+   * @returns {Promise<Array>} ResponseFactory result with the content as a Buffer
+   */
+  async getBlob(sha) {
+    try {
+      const { data } = await this.octokit.rest.git.getBlob({
+        owner: this.orgName,
+        repo: this.repoName,
+        file_sha: sha
+      });
+      return ResponseFactory.success(
+        `Retrieved blob ${sha}`,
+        Buffer.from(data.content || '', data.encoding === 'base64' ? 'base64' : 'utf-8')
+      );
+    } catch (err) {
+      return ResponseFactory.error(`Failed to get blob ${sha}: ${err.message}`, err, err.status || 500);
+    }
+  }
+
+  /**
+   * Reads a file from the main branch and decodes its content
+   * @param {String} path - Path to the file
+   * @returns {Promise<Array>} ResponseFactory result with the file data and a decodedContent property
+   */
+  async readBlobWithDecoding(path) {
+    const result = await this.getFileContent(path);
+    if (!result[0]) {
+      return result;
+    }
+    result[2].decodedContent = decodeContent(result[2].content || '');
+    return result;
+  }
+
+  /**
+   * Writes a file through the Git Data API: a blob, a tree and a commit on the branch. Unlike the Contents API
+   * this takes files of up to 100 MB.
+   * @param {String} path - Path to the file, not URI encoded
+   * @param {Buffer} content - Content to write
+   * @param {String} branch - Branch name
+   * @param {String} [sha] - SHA of the file, required when it exists
+   * @param {Object} [options] - Write options
+   * @param {String} [options.message] - Commit message
+   * @param {Boolean} [options.lfs=false] - The content is an LFS pointer, the path is added to .gitattributes
+   * in the same commit
+   * @returns {Promise<Array>} ResponseFactory result shaped like a Contents API write
+   */
+  async commitFile(path, content, branch, sha = null, { message, lfs = false } = {}) {
+    if (content.length > GIT_BLOB_MAX_SIZE) {
+      return ResponseFactory.error(
+        `${path} is larger than ${GIT_BLOB_MAX_SIZE} bytes, enable Git LFS to store it`,
+        { size: content.length },
+        413
+      );
+    }
+
+    const started = await this.beginCommit(branch);
+    if (!started[0]) {
+      return started;
+    }
+    const builder = started[2];
+
+    // The same preconditions as the Contents API
+    const current = builder.files.get(path);
+    if (current && !sha) {
+      return ResponseFactory.error(`Failed to write ${path}: "sha" wasn't supplied`, null, 422);
+    }
+    if (current && sha !== current) {
+      return ResponseFactory.error(`Failed to write ${path}: ${path} does not match ${sha}`, null, 409);
+    }
+
+    builder.writeFile(path, content);
+    if (lfs) {
+      const attributes = (await builder.readFile('.gitattributes'))?.toString('utf-8') || '';
+      const tracked = trackPath(attributes, path);
+      if (tracked !== attributes) builder.writeFile('.gitattributes', tracked);
+    }
+
+    const committed = await builder.commit(message || `Writing [${path}]`);
+    if (!committed[0]) {
+      return committed;
+    }
+    return ResponseFactory.success(`Wrote ${path}`, {
+      content: { name: path.split('/').pop(), path, sha: gitBlobSha(content), size: content.length },
+      commit: { sha: committed[2].sha }
+    });
+  }
+
+  /**
+   * Writes base64 encoded content to a file in a container
+   * @param {String} containerName - Container name
+   * @param {String} fileName - File name within the container
+   * @param {String|Buffer} content - Base64 encoded content, or a Buffer of raw bytes
+   * @param {String} branch - Branch name
+   * @param {String} sha - SHA of the file (if updating)
+   * @returns {Promise<Array>} ResponseFactory result
+   */
+  async writeBlob(containerName, fileName, content, branch, sha = null) {
+    const path = `${containerName}/${fileName}`;
+    try {
+      const params = {
+        owner: this.orgName,
+        repo: this.repoName,
+        path,
+        message: `Writing [${fileName}] to container [${containerName}]`,
+        content: Buffer.isBuffer(content) ? content.toString('base64') : content,
+        branch
+      };
+
+      if (sha) params.sha = sha;
+
+      const response = await this.octokit.rest.repos.createOrUpdateFileContents(params);
+      return ResponseFactory.success(`Wrote ${path}`, response.data);
+    } catch (err) {
+      return ResponseFactory.error(`Failed to write ${path}: ${err.message}`, err, err.status || 500);
+    }
+  }
+
+  /**
+   * Deletes a file from a container
+   * @param {String} path - Path to the file
+   * @param {String} branch - Branch name
+   * @param {String} sha - SHA of the file
+   * @returns {Promise<Array>} ResponseFactory result
+   */
+  async deleteBlob(path, branch, sha) {
+    return this.deleteFile(path, `Deleting [${path}]`, branch, sha);
+  }
+
+  /**
+   * Creates the containers and their empty object files on the main branch
+   * @param {Array<String>} containers - Container names
+   * @param {Object} objectFiles - Mapping of container names to their object files
+   * @param {String} branch - Branch name
+   * @returns {Promise<Array>} ResponseFactory result
+   */
+  async createContainers(containers, objectFiles, branch) {
+    const responses = [];
+    for (const container of containers) {
+      const result = await this.createOrUpdateFile(
+        `${container}/${objectFiles[container]}`,
+        [],
+        `Creating container [${container}]`,
+        branch
+      );
+      if (!result[0]) {
+        return result;
+      }
+      responses.push(result[2]);
+    }
+    return ResponseFactory.success(`Created [${containers.length}] containers`, responses);
+  }
+
+  /**
+   * Gets the commit SHA a branch points to, a single small request used to check if cached data is current
+   * @param {String} branch - Branch name
+   * @returns {Promise<Array>} ResponseFactory result with the commit SHA as data
+   */
+  async getHeadSha(branch) {
+    try {
+      const { data: ref } = await this.octokit.rest.git.getRef({
+        owner: this.orgName,
+        repo: this.repoName,
+        ref: `heads/${branch}`
+      });
+      return ResponseFactory.success(`Retrieved the head of ${branch}`, ref.object.sha);
+    } catch (err) {
+      return ResponseFactory.error(`Failed to get the head of ${branch}: ${err.message}`, err, err.status || 500);
+    }
+  }
+
+  /**
+   * Lists the files that differ between two commits
+   * @param {String} base - Base commit SHA
+   * @param {String} head - Head commit SHA
+   * @returns {Promise<Array>} ResponseFactory result with the changed files and whether the list is truncated
+   */
+  async compareCommits(base, head) {
+    try {
+      const { data } = await this.octokit.rest.repos.compareCommitsWithBasehead({
+        owner: this.orgName,
+        repo: this.repoName,
+        basehead: `${base}...${head}`
+      });
+      const files = (data.files || []).map(({ filename, status, sha }) => ({ filename, status, sha }));
+      // The API returns at most 300 files per comparison
+      return ResponseFactory.success(
+        `Compared ${base} with ${head}`,
+        { files, truncated: files.length >= 300 }
+      );
+    } catch (err) {
+      return ResponseFactory.error(`Failed to compare ${base} with ${head}: ${err.message}`, err, err.status || 500);
+    }
+  }
+
+  /**
+   * Restores a file to the content of a previous blob
+   * @param {String} path - Path to the file
+   * @param {String} sha - Blob SHA to restore
+   * @param {String} branch - Branch name
+   * @returns {Promise<Array>} ResponseFactory result
+   */
+  async restoreBlob(path, sha, branch) {
+    const current = await this.getSha(path, branch);
+    if (current[0] && current[2] === sha) {
+      return ResponseFactory.success(`${path} is already at ${sha}`, null);
+    }
+
+    try {
+      const { data: blob } = await this.octokit.rest.git.getBlob({
+        owner: this.orgName,
+        repo: this.repoName,
+        file_sha: sha
+      });
+      const params = {
+        owner: this.orgName,
+        repo: this.repoName,
+        path,
+        message: `Restoring [${path}] to [${sha}]`,
+        content: blob.content.replace(/\n/g, ''),
+        branch
+      };
+      if (current[0]) params.sha = current[2];
+
+      const response = await this.octokit.rest.repos.createOrUpdateFileContents(params);
+      return ResponseFactory.success(`Restored ${path} to ${sha}`, response.data);
+    } catch (err) {
+      return ResponseFactory.error(`Failed to restore ${path}: ${err.message}`, err, err.status || 500);
+    }
+  }
+
+  /**
+   * Starts an atomic multi-file commit on a branch
+   * @param {String} branch - Branch name
+   * @returns {Promise<Array>} ResponseFactory result with a CommitBuilder as data
+   */
+  async beginCommit(branch) {
+    const builder = new CommitBuilder(this.octokit, this.orgName, this.repoName, branch);
+    return builder.begin();
+  }
+
   /**
    * Gets user information
    * @returns {Promise<Array>} ResponseFactory result
@@ -193,4 +487,6 @@ class RepositoryManager {
   }
 }
 
-export default RepositoryManager;
\ No newline at end of file
+export default RepositoryManager;
+
+export { CONTENTS_API_MAX_SIZE, GIT_BLOB_MAX_SIZE };
\ No newline at end of file
@@ -6,6 +6,8 @@
  * @copyright 2025 Mediumroast, Inc. All rights reserved.
  */
 
+import { createHash } from 'crypto';
+
 /**
  * Encodes content for GitHub API
  * @param {String|Object} content - Content to encode
@@ -53,9 +55,19 @@ const customEncodeURIComponent = (str) => {
   }).join('');
 };
 
+/**
+ * Computes the SHA git gives a blob, so SHAs of local files match what GitHub would report
+ * @param {Buffer} content - Blob content
+ * @returns {String} Hex encoded SHA-1
+ */
+const gitBlobSha = (content) => {
+  return createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+};
+
 export {
   encodeContent,
   decodeContent,
   decodeJsonContent,
-  customEncodeURIComponent
+  customEncodeURIComponent,
+  gitBlobSha
 };
\ No newline at end of file
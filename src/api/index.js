@@ -4,13 +4,37 @@ import {
   Studies, 
   Users, 
   Storage, 
-  Actions } from './gitHubServer.js';
+  Actions,
+  logger,
+  createLogger,
+  consoleTransport,
+  streamTransport,
+  fileTransport,
+  callbackTransport,
+  FileCacheStore } from './gitHubServer.js';
+import StorageAdapter from './adapter.js';
+import GitHubFunctions from './github.js';
+import LocalFunctions from './local.js';
+import FakeOctokit from './github/fakeOctokit.js';
+import MediumroastClient from './client.js';
 
 export {
+  MediumroastClient,
   Interactions,
   Companies,
   Studies,
   Users,
   Storage,
-  Actions
+  Actions,
+  StorageAdapter,
+  GitHubFunctions,
+  LocalFunctions,
+  FakeOctokit,
+  logger,
+  createLogger,
+  consoleTransport,
+  streamTransport,
+  fileTransport,
+  callbackTransport,
+  FileCacheStore
 };
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Lease helpers for container lock files shared by all storage backends
+ * @license Apache-2.0
+ * @version 3.0.0
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+import os from 'os';
+
+/**
+ * Default lease length in seconds
+ */
+const DEFAULT_LOCK_TTL = 600;
+
+/**
+ * Creates the lease written into a lock file
+ * @param {Object} owner - Lock owner
+ * @param {String} owner.process - Process name holding the lock
+ * @param {String} [owner.login] - Login of the authenticated user, when known
+ * @param {Number} [owner.ttl] - Lease length in seconds
+ * @param {Date} [now] - Acquisition time
+ * @returns {Object} Lease
+ */
+const createLease = ({ process, login = null, ttl = DEFAULT_LOCK_TTL }, now = new Date()) => {
+  return {
+    process,
+    login,
+    hostname: os.hostname(),
+    acquired_at: now.toISOString(),
+    ttl,
+    expires_at: new Date(now.getTime() + ttl * 1000).toISOString()
+  };
+};
+
+/**
+ * Parses the content of a lock file
+ * @param {String|Buffer} content - Lock file content
+ * @returns {Object|null} Lease, or null for empty and unreadable lock files written by older releases
+ */
+const parseLease = (content) => {
+  const text = content ? content.toString('utf-8').trim() : '';
+  if (text === '') return null;
+  try {
+    const lease = JSON.parse(text);
+    return lease && typeof lease === 'object' && lease.acquired_at ? lease : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Describes a lock file and its lease for callers of checkForLock
+ * @param {Object} file - Lock file
+ * @param {String} file.name - File name, e.g. my-process.lock
+ * @param {String} file.path - Repository relative path
+ * @param {String} file.sha - Blob SHA of the lock file
+ * @param {Object|null} lease - Parsed lease
+ * @param {Number} [now] - Current time in milliseconds
+ * @returns {Object} Lock description, lock files without a lease never expire on their own
+ */
+const describeLock = (file, lease, now = Date.now()) => {
+  const lock = {
+    name: file.name,
+    path: file.path,
+    sha: file.sha,
+    process: lease?.process || file.name.replace(/\.lock$/, ''),
+    login: lease?.login || null,
+    hostname: lease?.hostname || null,
+    acquired_at: lease?.acquired_at || null,
+    ttl: lease?.ttl ?? null,
+    expires_at: lease?.expires_at || null,
+    held_for: null,
+    expires_in: null,
+    expired: false,
+    legacy: lease === null
+  };
+  if (lease) {
+    const expiresAt = Date.parse(lease.expires_at);
+    lock.held_for = Math.max(0, Math.round((now - Date.parse(lease.acquired_at)) / 1000));
+    lock.expires_in = Math.round((expiresAt - now) / 1000);
+    lock.expired = expiresAt <= now;
+  }
+  return lock;
+};
+
+/**
+ * Formats who holds a lock for log and error messages
+ * @param {Object} lock - Lock description from describeLock
+ * @returns {String} Human readable holder
+ */
+const formatLock = (lock) => {
+  const owner = `[${lock.process}]` +
+    (lock.login ? ` as [${lock.login}]` : '') +
+    (lock.hostname ? ` on [${lock.hostname}]` : '');
+  if (lock.legacy) {
+    return `${owner} with no lease information`;
+  }
+  const expiry = lock.expired ?
+    `expired ${-lock.expires_in}s ago` :
+    `expires in ${lock.expires_in}s`;
+  return `${owner} for ${lock.held_for}s, lease ${expiry}`;
+};
+
+export {
+  DEFAULT_LOCK_TTL,
+  createLease,
+  parseLease,
+  describeLock,
+  formatLock
+};
\ No newline at end of file
@@ -0,0 +1,1062 @@
+/**
+ * @fileoverview A storage backend that keeps mediumroast.io containers in a local directory
+ * @license Apache-2.0
+ * @version 3.0.0
+ *
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @file local.js
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ *
+ * @class LocalFunctions
+ * @classdesc Implements the storage adapter contract against a directory laid out like the GitHub
+ * repository (Companies/Companies.json, Interactions/<blob>, ...). Writes made between catch and release
+ * are staged on an in-memory branch and applied to the directory when the containers are released. When
+ * the directory is a git working tree each release can also be committed.
+ * @augments StorageAdapter
+ *
+ * @exports LocalFunctions
+ *
+ * @example
+ * const localCtl = new LocalFunctions('/var/lib/mediumroast', 'mr-cli', { git: true })
+ * await localCtl.createContainers()
+ * const companies = new Companies(null, null, 'mr-cli', { adapter: localCtl })
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+import StorageAdapter from './adapter.js';
+import ResponseFactory from './github/response.js';
+import { gitBlobSha } from './github/utils.js';
+import { createLease, parseLease, describeLock, formatLock } from './lease.js';
+import { isEmpty, isArray } from '../utils/helpers.js';
+
+const execFileAsync = promisify(execFile);
+
+// Number of overwritten blobs kept for restoreBlob
+const HISTORY_SIZE = 50;
+
+// Lock file held while a commit checks and writes the directory, how long to wait for it and when a lock
+// left by a crashed process is taken over
+const COMMIT_LOCK = '.commit.lock';
+const COMMIT_LOCK_WAIT = 5000;
+const COMMIT_LOCK_STALE = 60000;
+
+/**
+ * Gets the name of the local user recorded in lock leases
+ * @returns {String|null} User name or null when it cannot be determined
+ */
+const localLogin = () => {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Atomic commit against the directory, the local counterpart of CommitBuilder in github/commit.js. The SHA of
+ * every path read or staged is remembered and checked again before anything is written, so a commit fails with
+ * a 409 instead of overwriting changes another process made in the meantime. The check and the writes happen
+ * under a lock on the directory, and the files already written are restored when a write fails.
+ */
+class LocalCommitBuilder {
+  /**
+     * @constructor
+     * @param {LocalFunctions} localCtl - Backend the commit applies to
+     */
+  constructor(localCtl) {
+    this.localCtl = localCtl;
+    this.branchName = localCtl.mainBranchName;
+    this.changes = new Map();
+    this._seen = new Map();
+    this._locks = new Map();
+  }
+
+  /**
+     * Takes the lock snapshot of the known containers
+     * @returns {Promise<Array>} ResponseFactory result with the builder as data
+     */
+  async begin() {
+    try {
+      for (const container of Object.keys(this.localCtl.objectFiles)) {
+        const locks = await this.localCtl._listLocks(container);
+        this._locks.set(container, locks.map(lock => lock.path));
+      }
+      return ResponseFactory.success(`Started a commit on ${this.branchName}`, this);
+    } catch (err) {
+      return ResponseFactory.error(`Unable to start a commit on ${this.branchName}: ${err.message}`, err);
+    }
+  }
+
+  locks(containerName) {
+    return this._locks.get(containerName) || [];
+  }
+
+  async _remember(filePath) {
+    if (!this._seen.has(filePath)) {
+      const content = await this.localCtl._readFile(filePath);
+      this._seen.set(filePath, content === null ? null : gitBlobSha(content));
+      return content;
+    }
+    return this.localCtl._readFile(filePath);
+  }
+
+  async exists(filePath) {
+    if (this.changes.has(filePath)) return this.changes.get(filePath) !== null;
+    return await this._remember(filePath) !== null;
+  }
+
+  async readFile(filePath) {
+    const staged = this.changes.get(filePath);
+    if (staged && !Buffer.isBuffer(staged)) return this._remember(staged.from);
+    if (this.changes.has(filePath)) return staged;
+    return this._remember(filePath);
+  }
+
+  async readJson(filePath) {
+    const content = await this.readFile(filePath);
+    return content === null ? null : JSON.parse(content.toString('utf-8'));
+  }
+
+  async sha(filePath) {
+    const content = await this.readFile(filePath);
+    return content === null ? null : gitBlobSha(content);
+  }
+
+  writeFile(filePath, content) {
+    this.changes.set(filePath, Buffer.isBuffer(content) ? content : Buffer.from(content));
+  }
+
+  writeJson(filePath, value) {
+    this.writeFile(filePath, JSON.stringify(value));
+  }
+
+  deleteFile(filePath) {
+    this.changes.set(filePath, null);
+  }
+
+  moveFile(from, to) {
+    // The content of a file that is not staged is read when the commit is applied
+    this.changes.set(to, this.changes.has(from) ? this.changes.get(from) : { from });
+    this.changes.set(from, null);
+  }
+
+  /**
+     * Checks nothing changed since it was read, then writes every staged change, all under the commit lock
+     * @param {String} message - Commit message, used when git support is enabled
+     * @returns {Promise<Array>} ResponseFactory result with the changed paths
+     */
+  async commit(message) {
+    const paths = [...this.changes.keys()];
+    if (paths.length === 0) {
+      return ResponseFactory.success('Nothing to commit', { sha: null, paths });
+    }
+
+    for (const filePath of paths) {
+      if (!this._seen.has(filePath)) await this._remember(filePath);
+    }
+
+    let locked;
+    try {
+      locked = await this.localCtl._lockCommits();
+    } catch (err) {
+      return ResponseFactory.error(`Unable to commit to ${this.branchName}: ${err.message}`, err);
+    }
+    if (!locked) {
+      return ResponseFactory.error(`Another commit to ${this.branchName} is in progress, the commit was not applied`, null, 409);
+    }
+    try {
+      return await this._apply(paths, message);
+    } finally {
+      await this.localCtl._unlockCommits();
+    }
+  }
+
+  /**
+     * Checks the SHAs and writes the changes, restoring the files already written when a write fails
+     * @private
+     */
+  async _apply(paths, message) {
+    for (const [filePath, expected] of this._seen) {
+      const content = await this.localCtl._readFile(filePath);
+      const actual = content === null ? null : gitBlobSha(content);
+      if (actual !== expected) {
+        return ResponseFactory.error(
+          `[${filePath}] changed after the commit was started, the commit was not applied`,
+          { expected, actual },
+          409
+        );
+      }
+    }
+
+    const written = [];
+    try {
+      const writes = [];
+      for (const [filePath, content] of this.changes) {
+        const moved = content && !Buffer.isBuffer(content);
+        writes.push([filePath, moved ? await this.localCtl._readFile(content.from) : content]);
+      }
+      for (const [filePath, content] of writes) {
+        const previous = await this.localCtl._readFile(filePath);
+        await this.localCtl._writeFile(filePath, content);
+        written.push([filePath, previous]);
+      }
+    } catch (err) {
+      const failed = [];
+      for (const [filePath, previous] of written.reverse()) {
+        try {
+          await this.localCtl._writeFile(filePath, previous);
+        } catch {
+          failed.push(filePath);
+        }
+      }
+      return ResponseFactory.error(
+        `Unable to commit to ${this.branchName}: ${err.message}` +
+          (failed.length > 0 ? `, [${failed.join(', ')}] could not be restored` : ''),
+        { error: err, notRestored: failed }
+      );
+    }
+    const committed = await this.localCtl._commit(message);
+    if (!committed[0]) return committed;
+    return ResponseFactory.success(
+      `Committed [${paths.length}] change(s) to ${this.branchName}`,
+      { sha: committed[2] ? committed[2].sha : null, paths }
+    );
+  }
+}
+
+class LocalFunctions extends StorageAdapter {
+  /**
+     * @constructor
+     * @classdesc Storage backend for a local directory or git working tree.
+     * @param {String} rootDir - the directory holding the containers
+     * @param {String} processName - the name of the process that is using the backend
+     * @param {Object} [options] - backend options
+     * @param {Boolean} [options.git=false] - commit each released change with git
+     * @param {String} [options.org] - organization name reported to callers, defaults to the directory name
+     * @param {Number} [options.lockTtl=600] - lease length of container locks in seconds
+     * @param {Object} [options.logger] - logger from createLogger, or a pino or winston style logger
+     * @memberof LocalFunctions
+    */
+  constructor(rootDir, processName, options = {}) {
+    super(processName, options);
+    this.rootDir = path.resolve(rootDir);
+    this.token = null;
+    this.orgName = options.org || path.basename(this.rootDir);
+    this.useGit = options.git === true;
+
+    // Staged writes keyed by branch name, each a Map of path -> Buffer (null marks a delete)
+    this._branches = new Map();
+
+    // Recently overwritten content by blob SHA so restoreBlob can undo writes to the directory
+    this._history = new Map();
+  }
+
+  /**
+     * Resolves a repository relative path to an absolute path inside the root directory
+     * @private
+     * @param {String} filePath - Repository relative path
+     * @returns {String} Absolute path
+     */
+  _resolve(filePath) {
+    const resolved = path.resolve(this.rootDir, filePath);
+    if (resolved !== this.rootDir && !resolved.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Path [${filePath}] is outside of [${this.rootDir}]`);
+    }
+    return resolved;
+  }
+
+  /**
+     * Reads a file as it exists on a branch, staged changes take precedence over the directory
+     * @private
+     * @param {String} filePath - Repository relative path
+     * @param {String} branchName - Branch name
+     * @returns {Promise<Buffer|null>} File content or null when the file does not exist
+     */
+  async _readFile(filePath, branchName = this.mainBranchName) {
+    const staged = this._branches.get(branchName);
+    if (staged && staged.has(filePath)) {
+      return staged.get(filePath);
+    }
+    try {
+      return await fs.readFile(this._resolve(filePath));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+     * Writes (or deletes) a file on a branch, writes to main go straight to the directory
+     * @private
+     * @param {String} filePath - Repository relative path
+     * @param {Buffer|null} content - Content to write, null to delete
+     * @param {String} branchName - Branch name
+     */
+  async _writeFile(filePath, content, branchName = this.mainBranchName) {
+    if (branchName !== this.mainBranchName) {
+      this._branches.get(branchName).set(filePath, content);
+      return;
+    }
+    const previous = await this._readFile(filePath);
+    if (previous !== null) {
+      this._history.set(gitBlobSha(previous), previous);
+      if (this._history.size > HISTORY_SIZE) {
+        this._history.delete(this._history.keys().next().value);
+      }
+    }
+    const target = this._resolve(filePath);
+    if (content === null) {
+      await fs.rm(target, { force: true });
+    } else {
+      // Readers see the old or the new file, never a partly written one
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      const temp = `${target}.${process.pid}.tmp`;
+      try {
+        await fs.writeFile(temp, content);
+        await fs.rename(temp, target);
+      } catch (err) {
+        await fs.rm(temp, { force: true });
+        throw err;
+      }
+    }
+  }
+
+  /**
+     * Takes the lock commits hold on the directory, waiting for another commit to finish. A lock older than
+     * COMMIT_LOCK_STALE was left by a process that crashed and is taken over.
+     * @private
+     * @returns {Promise<Boolean>} False when the lock could not be taken in time
+     */
+  async _lockCommits() {
+    const target = this._resolve(COMMIT_LOCK);
+    const deadline = Date.now() + COMMIT_LOCK_WAIT;
+    for (;;) {
+      try {
+        await fs.writeFile(target, `${process.pid}`, { flag: 'wx' });
+        return true;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      const stat = await fs.stat(target).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > COMMIT_LOCK_STALE) {
+        await fs.rm(target, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) return false;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  /**
+     * Releases the commit lock
+     * @private
+     */
+  async _unlockCommits() {
+    await fs.rm(this._resolve(COMMIT_LOCK), { force: true });
+  }
+
+  /**
+     * Writes a file after checking the caller knows its current SHA, mirroring the Contents API rules
+     * @private
+     * @param {String} filePath - Repository relative path
+     * @param {Buffer|null} content - Content to write, null to delete
+     * @param {String} branchName - Branch name
+     * @param {String} sha - SHA the caller expects the file to have
+     * @returns {Promise<Array>} ResponseFactory result
+     */
+  async _putFile(filePath, content, branchName, sha) {
+    if (branchName !== this.mainBranchName && !this._branches.has(branchName)) {
+      return ResponseFactory.error(`Branch [${branchName}] does not exist`, null, 404);
+    }
+
+    const current = await this._readFile(filePath, branchName);
+    if (current !== null) {
+      const currentSha = gitBlobSha(current);
+      if (isEmpty(sha)) {
+        return ResponseFactory.error(`[${filePath}] already exists and no SHA was supplied`, null, 422);
+      }
+      if (sha !== currentSha) {
+        return ResponseFactory.error(
+          `[${filePath}] is at [${currentSha}] but [${sha}] was expected`,
+          { expected: sha, actual: currentSha },
+          409
+        );
+      }
+    } else if (content === null) {
+      return ResponseFactory.error(`[${filePath}] does not exist`, null, 404);
+    }
+
+    await this._writeFile(filePath, content, branchName);
+    const data = {
+      content: content === null ? null : {
+        name: path.basename(filePath),
+        path: filePath,
+        sha: gitBlobSha(content),
+        size: content.length
+      },
+      commit: { sha: null }
+    };
+    return ResponseFactory.success(`${content === null ? 'Deleted' : 'Wrote'} ${filePath}`, data);
+  }
+
+  /**
+     * Commits the working tree when git support is enabled
+     * @private
+     * @param {String} message - Commit message
+     * @returns {Promise<Array>} ResponseFactory result
+     */
+  async _commit(message) {
+    if (!this.useGit) {
+      return ResponseFactory.success('Git support is disabled, nothing to commit');
+    }
+    try {
+      // The commit lock is held while committing and stays out of the history
+      await execFileAsync('git', ['-C', this.rootDir, 'add', '-A', '--', '.', `:!${COMMIT_LOCK}`]);
+      const status = await execFileAsync('git', ['-C', this.rootDir, 'status', '--porcelain']);
+      if (isEmpty(status.stdout.trim())) {
+        return ResponseFactory.success('Working tree clean, nothing to commit');
+      }
+      await execFileAsync('git', ['-C', this.rootDir, 'commit', '-q', '-m', message]);
+      const head = await execFileAsync('git', ['-C', this.rootDir, 'rev-parse', 'HEAD']);
+      return ResponseFactory.success(`Committed [${message}]`, { sha: head.stdout.trim() });
+    } catch (err) {
+      return ResponseFactory.error(`Failed to commit [${message}]: ${err.message}`, err);
+    }
+  }
+
+  /**
+     * @function createContainers
+     * @description Creates the container directories and their empty object files
+     * @param {Array<String>} containers - Names of the containers to create
+     * @returns {Promise<Array>} Status, message, and the created paths
+     * @memberof LocalFunctions
+     */
+  async createContainers(containers = ['Studies', 'Companies', 'Interactions']) {
+    if (!isArray(containers)) {
+      return ResponseFactory.error('Invalid parameter: [containers] must be an array', null, 400);
+    }
+
+    const created = [];
+    try {
+      for (const container of containers) {
+        const filePath = `${container}/${this.objectFiles[container]}`;
+        if (await this._readFile(filePath) === null) {
+          await this._writeFile(filePath, Buffer.from(JSON.stringify([])));
+          created.push(filePath);
+        }
+      }
+    } catch (err) {
+      return ResponseFactory.error(`Failed to create containers: ${err.message}`, err);
+    }
+    const commit = await this._commit(`Created containers [${containers.join(', ')}]`);
+    if (!commit[0]) return commit;
+    return ResponseFactory.success(`Created [${created.length}] containers`, created);
+  }
+
+  /**
+     * @async
+     * @function getSha
+     * @description Gets the SHA of a file in a container on a branch
+     * @param {String} containerName - the name of the container to get the SHA from
+     * @param {String} fileName - the short name of the file to get the SHA from
+     * @param {String} branchName - the name of the branch to get the SHA from
+     * @returns {Promise<Array>} Status, message, and the SHA
+     * @memberof LocalFunctions
+     */
+  async getSha(containerName, fileName, branchName) {
+    if (isEmpty(containerName) || isEmpty(fileName) || isEmpty(branchName)) {
+      return ResponseFactory.error(
+        `Missing required parameters: [containerName=${containerName}], [fileName=${fileName}], [branchName=${branchName}]`,
+        null,
+        400
+      );
+    }
+
+    const filePath = `${containerName}/${fileName}`;
+    const content = await this._readFile(filePath, branchName);
+    if (content === null) {
+      return ResponseFactory.error(`Failed to get content at ${filePath}: Not Found`, null, 404);
+    }
+    return ResponseFactory.success(`Retrieved SHA for ${filePath}`, gitBlobSha(content));
+  }
+
+  /**
+     * Lists the lock files of a container with their leases
+     * @private
+     * @param {String} containerName - Container name
+     * @returns {Promise<Array>} Lock descriptions, oldest lease first
+     */
+  async _listLocks(containerName) {
+    let entries;
+    try {
+      entries = await fs.readdir(this._resolve(containerName), { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const locks = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || !entry.name.endsWith('.lock')) continue;
+      const lockPath = `${containerName}/${entry.name}`;
+      const content = await this._readFile(lockPath);
+      if (content === null) continue;
+      locks.push(describeLock(
+        { name: entry.name, path: lockPath, sha: gitBlobSha(content) },
+        parseLease(content)
+      ));
+    }
+    return locks.sort((a, b) => (a.acquired_at || '').localeCompare(b.acquired_at || ''));
+  }
+
+  /**
+     * @description Checks to see if a container is locked by any process.
+     * @function checkForLock
+     * @async
+     * @param {string} containerName - The name of the container to check for a lock.
+     * @returns {Promise<Array>} A promise that resolves to an array containing status, message and the holder of
+     * the oldest lock or false.
+     * @memberof LocalFunctions
+     */
+  async checkForLock(containerName) {
+    if (isEmpty(containerName)) {
+      return ResponseFactory.error('Missing required parameter: [containerName]', null, 400);
+    }
+
+    try {
+      const locks = await this._listLocks(containerName);
+      if (locks.length === 0) {
+        return ResponseFactory.success(`Container ${containerName} is not locked`, false, 404);
+      }
+      return ResponseFactory.success(
+        `Container ${containerName} is locked by ${formatLock(locks[0])}`,
+        locks[0],
+        200
+      );
+    } catch (err) {
+      return ResponseFactory.error(`Failed to check if container ${containerName} is locked: ${err.message}`, err);
+    }
+  }
+
+  /**
+     * @description Locks a container by creating a lock file holding a lease in the container.
+     * @function lockContainer
+     * @async
+     * @param {string} containerName - The name of the container to lock.
+     * @returns {Promise<Array>} A promise that resolves to an array containing status and message.
+     * @memberof LocalFunctions
+     */
+  async lockContainer(containerName) {
+    if (isEmpty(containerName)) {
+      return ResponseFactory.error('Missing required parameter: [containerName]', null, 400);
+    }
+
+    const lockFile = `${containerName}/${this.lockFileName}`;
+    try {
+      // The exclusive flag makes lock acquisition atomic between processes sharing the directory
+      const target = this._resolve(lockFile);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      const lease = createLease({ process: this.processName, login: localLogin(), ttl: this.lockTtl });
+      const content = Buffer.from(JSON.stringify(lease, null, 2));
+      await fs.writeFile(target, content, { flag: 'wx' });
+      return ResponseFactory.success(`Locked the container ${containerName}`, {
+        content: { name: this.lockFileName, path: lockFile, sha: gitBlobSha(content), size: content.length },
+        commit: { sha: null }
+      });
+    } catch (err) {
+      return ResponseFactory.error(
+        `Unable to lock the container ${containerName}: ${err.message}`,
+        err,
+        err.code === 'EEXIST' ? 409 : 500
+      );
+    }
+  }
+
+  /**
+     * @description Breaks the locks on a container whose lease has expired, e.g. after a process crashed
+     * between catching and releasing the container.
+     * @function breakStaleLock
+     * @async
+     * @param {string} containerName - The name of the container.
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.force=false] - Break locks even if their lease is still live or unknown.
+     * @returns {Promise<Array>} A promise that resolves to an array containing status, message and the broken locks.
+     * @memberof LocalFunctions
+     */
+  async breakStaleLock(containerName, { force = false } = {}) {
+    if (isEmpty(containerName)) {
+      return ResponseFactory.error('Missing required parameter: [containerName]', null, 400);
+    }
+
+    const locks = await this._listLocks(containerName);
+    if (locks.length === 0) {
+      return ResponseFactory.success(`Container ${containerName} is not locked`, [], 404);
+    }
+
+    const stale = locks.filter(lock => force || lock.expired);
+    if (stale.length === 0) {
+      return ResponseFactory.error(
+        `Container ${containerName} is locked by ${formatLock(locks[0])}, use force to break it`,
+        locks,
+        409
+      );
+    }
+
+    // Deleting with the listed SHA fails if the lock was replaced since it was read
+    for (const lock of stale) {
+      const removed = await this._putFile(lock.path, null, this.mainBranchName, lock.sha);
+      if (!removed[0]) {
+        return ResponseFactory.error(
+          `Unable to break the lock on container ${containerName}: ${removed[1].status_msg}`,
+          removed[2],
+          removed[1].status_code
+        );
+      }
+    }
+    return ResponseFactory.success(`Broke [${stale.length}] lock(s) on the container ${containerName}`, stale);
+  }
+
+  /**
+     * @description Unlocks a container by deleting the lock file in the container.
+     * @function unlockContainer
+     * @async
+     * @param {string} containerName - The name of the container to unlock.
+     * @param {string} commitSha - The SHA of the lock file.
+     * @param {string} branchName - The name of the branch to unlock the container on.
+     * @returns {Promise<Array>} A promise that resolves to an array containing status and message.
+     * @memberof LocalFunctions
+     */
+  async unlockContainer(containerName, commitSha, branchName = this.mainBranchName) {
+    if (isEmpty(containerName) || isEmpty(commitSha)) {
+      return ResponseFactory.error(
+        `Missing required parameters: [containerName=${containerName}], [commitSha=${commitSha}]`,
+        null,
+        400
+      );
+    }
+
+    const lockFile = `${containerName}/${this.lockFileName}`;
+    const result = await this._putFile(lockFile, null, branchName, commitSha);
+    if (!result[0]) {
+      return ResponseFactory.error(
+        `Unable to unlock the container ${containerName}: ${result[1].status_msg}`,
+        result[2],
+        result[1].status_code
+      );
+    }
+    return ResponseFactory.success(`Unlocked the container ${containerName}`, result[2]);
+  }
+
+  /**
+     * Read a blob (file) using its complete path
+     * @param {string} fileName - The name of the blob to read with a complete path to the file.
+     * @returns {Array} A list containing success status, message, and the blob's raw data.
+     * @memberof LocalFunctions
+     */
+  async readBlob(fileName) {
+    if (isEmpty(fileName)) {
+      return ResponseFactory.error('Missing required parameter: [fileName]', null, 400);
+    }
+
+    const content = await this._readFile(fileName);
+    if (content === null) {
+      return ResponseFactory.error(`Failed to get content at ${fileName}: Not Found`, null, 404);
+    }
+    return ResponseFactory.success(`Retrieved content at ${fileName}`, {
+      name: path.basename(fileName),
+      path: fileName,
+      sha: gitBlobSha(content),
+      size: content.length,
+      encoding: 'base64',
+      content: content.toString('base64'),
+      decodedContent: content.toString('utf-8')
+    });
+  }
+
+  /**
+     * Delete a blob (file) from a container (directory)
+     * @param {string} containerName - The container name
+     * @param {string} fileName - The file name
+     * @param {string} branchName - The branch name
+     * @param {string} sha - The SHA of the file
+     * @returns {Array} A list containing success status, message, and response
+     * @memberof LocalFunctions
+     */
+  async deleteBlob(containerName, fileName, branchName, sha) {
+    if (isEmpty(containerName) || isEmpty(fileName) || isEmpty(branchName) || isEmpty(sha)) {
+      return ResponseFactory.error(
+        `Missing required parameters: [containerName=${containerName}], [fileName=${fileName}], [branchName=${branchName}], [sha=${sha}]`,
+        null,
+        400
+      );
+    }
+
+    return this._putFile(`${containerName}/${fileName}`, null, branchName, sha);
+  }
+
+  /**
+     * Write a blob (file) to a container (directory)
+     * @param {string} containerName - The container name
+     * @param {string} fileName - The file name
+     * @param {string|Buffer|Readable} blob - The blob to write
+     * @param {string} branchName - The branch name
+     * @param {string} sha - The SHA of the file if updating
+     * @returns {Array} A list containing success status, message, and response
+     * @memberof LocalFunctions
+     */
+  async writeBlob(containerName, fileName, blob, branchName, sha) {
+    if (isEmpty(containerName) || isEmpty(fileName) || isEmpty(branchName)) {
+      return ResponseFactory.error(
+        `Missing required parameters: [containerName=${containerName}], [fileName=${fileName}], [branchName=${branchName}]`,
+        null,
+        400
+      );
+    }
+
+    let content = blob;
+    if (blob && typeof blob === 'object' && !Buffer.isBuffer(blob) && typeof blob[Symbol.asyncIterator] === 'function') {
+      const chunks = [];
+      for await (const chunk of blob) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      content = Buffer.concat(chunks);
+    }
+    content = Buffer.isBuffer(content) ? content : Buffer.from(content || '');
+    return this._putFile(`${containerName}/${fileName}`, content, branchName, sha);
+  }
+
+  /**
+     * @function writeObject
+     * @description Writes the objects of a container to a branch
+     * @async
+     * @param {string} containerName - The name of the container to write the object to.
+     * @param {object} obj - The object to write to the container.
+     * @param {string} ref - The reference to use when writing the object.
+     * @param {string} mySha - The SHA of the current file if updating.
+     * @returns {Promise<Array>} Status, message, and response
+     * @memberof LocalFunctions
+     */
+  async writeObject(containerName, obj, ref, mySha) {
+    this.invalidateCache(`container_${containerName}`);
+
+    if (isEmpty(containerName) || obj === null || isEmpty(ref)) {
+      return ResponseFactory.error(
+        `Missing required parameters: [containerName=${containerName}], [obj=${obj !== null ? 'present' : 'null'}], [ref=${ref}]`,
+        null,
+        400
+      );
+    }
+
+    return this._putFile(
+      `${containerName}/${this.objectFiles[containerName]}`,
+      Buffer.from(JSON.stringify(obj)),
+      ref,
+      mySha
+    );
+  }
+
+  /**
+     * @function readObjects
+     * @description Reads objects from a specified container on the main branch.
+     * @async
+     * @param {string} containerName - The name of the container to read objects from.
+     * @returns {Promise<Array>} Status, message, and contents
+     * @memberof LocalFunctions
+     */
+  async readObjects(containerName) {
+    if (isEmpty(containerName) || isEmpty(this.objectFiles[containerName])) {
+      return ResponseFactory.error(
+        `Invalid container name or no object file defined for ${containerName}`,
+        null,
+        400
+      );
+    }
+
+    const filePath = `${containerName}/${this.objectFiles[containerName]}`;
+    const content = await this._readFile(filePath);
+    if (content === null) {
+      return ResponseFactory.error(`Failed to get content at ${filePath}: Not Found`, null, 404);
+    }
+
+    let mrJson;
+    try {
+      mrJson = JSON.parse(content.toString('utf-8'));
+    } catch (err) {
+      return ResponseFactory.error(`Unable to parse [${filePath}] as JSON`, err);
+    }
+
+    return ResponseFactory.success(`Retrieved content at ${filePath}`, {
+      name: this.objectFiles[containerName],
+      path: filePath,
+      sha: gitBlobSha(content),
+      size: content.length,
+      mrJson
+    });
+  }
+
+  /**
+     * @function catchContainer
+     * @description Catches containers by locking them, creating a staging branch and reading the objects
+     * @param {Object} repoMetadata - The metadata object
+     * @returns {Promise<Array>} Status, message, and metadata
+     * @memberof LocalFunctions
+     */
+  async catchContainer(repoMetadata) {
+    if (!repoMetadata || !repoMetadata.containers || Object.keys(repoMetadata.containers).length === 0) {
+      return ResponseFactory.error(
+        'Invalid parameter: [repoMetadata] must contain containers property with at least one container',
+        null,
+        400
+      );
+    }
+
+    // Check locks
+    for (const container in repoMetadata.containers) {
+      const lockExists = await this.checkForLock(container);
+      if (lockExists[0] && lockExists[2]) {
+        return ResponseFactory.error(
+          `The container [${container}] is locked by ${formatLock(lockExists[2])} and cannot perform creates, updates or deletes on objects.`,
+          lockExists,
+          503
+        );
+      }
+    }
+
+    // Lock containers
+    for (const container in repoMetadata.containers) {
+      const locked = await this.lockContainer(container);
+      if (!locked[0]) {
+        return ResponseFactory.error(
+          `Unable to lock [${container}] and cannot perform creates, updates or deletes on objects.`,
+          locked,
+          503
+        );
+      }
+      repoMetadata.containers[container].lockSha = locked[2].content.sha;
+    }
+
+    // Create the staging branch
+    let branchName = Date.now().toString();
+    while (this._branches.has(branchName)) {
+      branchName = `${branchName}-1`;
+    }
+    this._branches.set(branchName, new Map());
+    repoMetadata.branch = { name: branchName, sha: null };
+
+    // Read objects
+    for (const container in repoMetadata.containers) {
+      const readResponse = await this.readObjects(container);
+      if (!readResponse[0]) {
+        return ResponseFactory.error(
+          `Unable to read the source objects [${container}/${this.objectFiles[container]}].`,
+          readResponse,
+          503
+        );
+      }
+
+      repoMetadata.containers[container].objectSha = readResponse[2].sha;
+      repoMetadata.containers[container].objects = readResponse[2].mrJson;
+    }
+
+    return ResponseFactory.success(
+      `${Object.keys(repoMetadata.containers).length} containers are ready for use.`,
+      repoMetadata,
+      200
+    );
+  }
+
+  /**
+     * @function beginCommit
+     * @description Starts an atomic commit against the directory, see StorageAdapter.beginCommit
+     * @returns {Promise<Array>} Status, message, and the commit builder
+     * @memberof LocalFunctions
+     */
+  async beginCommit() {
+    return new LocalCommitBuilder(this).begin();
+  }
+
+  /**
+     * @function getHeadSha
+     * @description Gets the commit HEAD points to, only available when git support is enabled
+     * @returns {Promise<Array>} Status, message, and the commit SHA
+     * @memberof LocalFunctions
+     */
+  async getHeadSha() {
+    if (!this.useGit) return this._notImplemented('getHeadSha');
+    try {
+      const head = await execFileAsync('git', ['-C', this.rootDir, 'rev-parse', 'HEAD']);
+      return ResponseFactory.success('Retrieved the head commit', head.stdout.trim());
+    } catch (err) {
+      return ResponseFactory.error(`Failed to get the head commit: ${err.message}`, err);
+    }
+  }
+
+  /**
+     * @function getChangedFiles
+     * @description Lists the files that changed between two commits, only available when git support is enabled
+     * @param {String} baseSha - The older commit
+     * @param {String} headSha - The newer commit
+     * @returns {Promise<Array>} Status, message, and { files: [{ filename, status, sha }], truncated }
+     * @memberof LocalFunctions
+     */
+  async getChangedFiles(baseSha, headSha) {
+    if (!this.useGit) return this._notImplemented('getChangedFiles');
+    const statuses = { A: 'added', D: 'removed', M: 'modified' };
+    try {
+      const diff = await execFileAsync(
+        'git',
+        ['-C', this.rootDir, 'diff', '--raw', '--no-abbrev', '--no-renames', baseSha, headSha]
+      );
+      // :<old mode> <new mode> <old sha> <new sha> <status>\t<path>
+      const files = diff.stdout.split('\n').filter(line => line.startsWith(':')).map(line => {
+        const [meta, filename] = line.split('\t');
+        const [, , oldSha, newSha, status] = meta.split(' ');
+        return {
+          filename,
+          status: statuses[status] || 'modified',
+          sha: status === 'D' ? oldSha : newSha
+        };
+      });
+      return ResponseFactory.success(`Compared ${baseSha} with ${headSha}`, { files, truncated: false });
+    } catch (err) {
+      return ResponseFactory.error(`Failed to compare ${baseSha} with ${headSha}: ${err.message}`, err);
+    }
+  }
+
+  /**
+     * @function abortContainer
+     * @description Undoes a partial or failed catch by removing its locks and discarding its staging branch
+     * @param {Object} repoMetadata - The metadata object passed to catchContainer
+     * @returns {Promise<Array>} Status, message, and what was undone
+     * @memberof LocalFunctions
+     */
+  async abortContainer(repoMetadata) {
+    if (!repoMetadata || !repoMetadata.containers) {
+      return ResponseFactory.error('Invalid parameter: [repoMetadata] must contain containers property', null, 400);
+    }
+
+    const undone = [];
+    const failed = [];
+    for (const container in repoMetadata.containers) {
+      const lockSha = repoMetadata.containers[container].lockSha;
+      if (!lockSha) continue;
+
+      // Only remove the lock this catch wrote, it may already be gone or belong to a later catch
+      const lockFile = `${container}/${this.lockFileName}`;
+      const content = await this._readFile(lockFile);
+      if (content === null || gitBlobSha(content) !== lockSha) continue;
+      const removed = await this._putFile(lockFile, null, this.mainBranchName, lockSha);
+      if (removed[0]) {
+        undone.push(lockFile);
+      } else {
+        failed.push(`${lockFile}: ${removed[1].status_msg}`);
+      }
+    }
+
+    if (repoMetadata.branch && this._branches.delete(repoMetadata.branch.name)) {
+      undone.push(`branch ${repoMetadata.branch.name}`);
+    }
+
+    if (failed.length > 0) {
+      return ResponseFactory.error(`Unable to undo the catch: ${failed.join('; ')}`, { undone, failed });
+    }
+    return ResponseFactory.success(`Undid the catch: [${undone.join(', ')}]`, { undone });
+  }
+
+  /**
+     * @function restoreBlob
+     * @description Restores a file to the content of a previous blob, only recently overwritten blobs are kept
+     * @param {String} containerName - The name of the container
+     * @param {String} fileName - The short name of the file
+     * @param {String} sha - The blob SHA to restore
+     * @param {String} [branchName] - The branch, defaults to main
+     * @returns {Promise<Array>} Status, message, and response
+     * @memberof LocalFunctions
+     */
+  async restoreBlob(containerName, fileName, sha, branchName = this.mainBranchName) {
+    if (isEmpty(containerName) || isEmpty(fileName) || isEmpty(sha)) {
+      return ResponseFactory.error(
+        `Missing required parameters: [containerName=${containerName}], [fileName=${fileName}], [sha=${sha}]`,
+        null,
+        400
+      );
+    }
+
+    const filePath = `${containerName}/${fileName}`;
+    const current = await this._readFile(filePath, branchName);
+    const currentSha = current === null ? null : gitBlobSha(current);
+    if (currentSha === sha) {
+      return ResponseFactory.success(`${filePath} is already at ${sha}`, null);
+    }
+    if (!this._history.has(sha)) {
+      return ResponseFactory.error(`Unable to restore ${filePath}: blob [${sha}] is no longer available`, null, 404);
+    }
+
+    this.invalidateCache(`container_${containerName}`);
+    return this._putFile(filePath, this._history.get(sha), branchName, currentSha);
+  }
+
+  /**
+     * @function releaseContainer
+     * @description Releases containers by applying the staged branch to the directory and unlocking them
+     * @param {Object} repoMetadata - The metadata object
+     * @returns {Promise<Array>} Status, message, and response
+     * @memberof LocalFunctions
+     */
+  async releaseContainer(repoMetadata) {
+    if (!repoMetadata || !repoMetadata.containers || !repoMetadata.branch) {
+      return ResponseFactory.error(
+        'Invalid parameter: [repoMetadata] must contain containers and branch information',
+        null,
+        400
+      );
+    }
+
+    const staged = this._branches.get(repoMetadata.branch.name);
+    if (!staged) {
+      return ResponseFactory.error(`Branch [${repoMetadata.branch.name}] does not exist`, null, 404);
+    }
+
+    // Merge the branch into the directory
+    try {
+      for (const [filePath, content] of staged) {
+        await this._writeFile(filePath, content);
+      }
+    } catch (err) {
+      return ResponseFactory.error(`Unable to merge the branch to main: ${err.message}`, err, 503);
+    }
+    this._branches.delete(repoMetadata.branch.name);
+
+    // Unlock containers
+    for (const container in repoMetadata.containers) {
+      const unlocked = await this.unlockContainer(
+        container,
+        repoMetadata.containers[container].lockSha,
+        this.mainBranchName
+      );
+      if (!unlocked[0]) {
+        return ResponseFactory.error(
+          `Unable to unlock the container, objects may have been written please check [${container}] for objects and the lock file.`,
+          unlocked,
+          503
+        );
+      }
+    }
+
+    const commit = await this._commit(
+      `Performed CRUD operation on [${Object.keys(repoMetadata.containers).join(', ')}]`
+    );
+    if (!commit[0]) return commit;
+
+    return ResponseFactory.success(
+      `Released [${Object.keys(repoMetadata.containers).length}] containers.`,
+      null,
+      200
+    );
+  }
+}
+
+export default LocalFunctions;
\ No newline at end of file
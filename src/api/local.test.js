@@ -0,0 +1,1012 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { execFileSync } from 'child_process';
+import { createHash } from 'crypto';
+import { Readable } from 'stream';
+import LocalFunctions from './local.js';
+import { Companies, Interactions, Studies } from './gitHubServer.js';
+import { logger } from './gitHubServer/logger.js';
+import { FileCacheStore } from './gitHubServer/cache.js';
+import { objectVersion } from '../utils/helpers.js';
+import { sentiment } from './gitHubServer/sentiment.js';
+
+describe('LocalFunctions', () => {
+  let rootDir;
+  let localCtl;
+
+  beforeEach(async () => {
+    // Keep the console quiet, the entities log every response
+    logger.setLevel('silent');
+
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-local-'));
+    localCtl = new LocalFunctions(rootDir, 'test-process');
+    await localCtl.createContainers();
+  });
+
+  afterEach(() => {
+    logger.setLevel('info');
+    vi.restoreAllMocks();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  describe('containers', () => {
+    it('should create empty containers laid out like the GitHub repository', async () => {
+      const content = fs.readFileSync(path.join(rootDir, 'Companies', 'Companies.json'), 'utf-8');
+      expect(JSON.parse(content)).toEqual([]);
+
+      const result = await localCtl.readObjects('Companies');
+      expect(result[0]).toBe(true);
+      expect(result[2].mrJson).toEqual([]);
+      expect(result[2].sha).toMatch(/^[0-9a-f]{40}$/);
+    });
+
+    it('should report the git blob SHA for files', async () => {
+      // The SHA of an empty JSON array as reported by `git hash-object`
+      const result = await localCtl.getSha('Companies', 'Companies.json', 'main');
+      expect(result[2]).toBe('0637a088a01e8ddab3bf3fa98dbe804cbde1a0dc');
+    });
+
+    it('should refuse to catch a locked container', async () => {
+      await localCtl.lockContainer('Companies');
+
+      const result = await localCtl.catchContainer({ containers: { Companies: {} }, branch: {} });
+      expect(result[0]).toBe(false);
+      expect(result[1].status_code).toBe(503);
+    });
+
+    it('should break a lock left behind by a crashed process once its lease expires', async () => {
+      const crashed = new LocalFunctions(rootDir, 'crashed-process', { lockTtl: 60 });
+      await crashed.lockContainer('Companies');
+      expect((await localCtl.checkForLock('Companies'))[2]).toMatchObject({ process: 'crashed-process', ttl: 60 });
+      expect((await localCtl.breakStaleLock('Companies'))[1].status_code).toBe(409);
+
+      const lockPath = path.join(rootDir, 'Companies', 'crashed-process.lock');
+      const lease = JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+      lease.expires_at = new Date(Date.now() - 1000).toISOString();
+      fs.writeFileSync(lockPath, JSON.stringify(lease));
+
+      const broken = await localCtl.breakStaleLock('Companies');
+      expect(broken[0]).toBe(true);
+      expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    it('should stage writes on the branch until the containers are released', async () => {
+      const repoMetadata = { containers: { Companies: {} }, branch: {} };
+      await localCtl.catchContainer(repoMetadata);
+      expect(fs.existsSync(path.join(rootDir, 'Companies', 'test-process.lock'))).toBe(true);
+
+      const written = await localCtl.writeObject(
+        'Companies',
+        [{ name: 'Acme' }],
+        repoMetadata.branch.name,
+        repoMetadata.containers.Companies.objectSha
+      );
+      expect(written[0]).toBe(true);
+      expect((await localCtl.readObjects('Companies'))[2].mrJson).toEqual([]);
+
+      const released = await localCtl.releaseContainer(repoMetadata);
+      expect(released[0]).toBe(true);
+      expect((await localCtl.readObjects('Companies'))[2].mrJson).toEqual([{ name: 'Acme' }]);
+      expect(fs.existsSync(path.join(rootDir, 'Companies', 'test-process.lock'))).toBe(false);
+    });
+
+    it('should reject writes made with a stale SHA', async () => {
+      const stale = (await localCtl.readObjects('Companies'))[2].sha;
+      await localCtl.writeObject('Companies', [{ name: 'Acme' }], 'main', stale);
+
+      const result = await localCtl.writeObject('Companies', [{ name: 'Other' }], 'main', stale);
+      expect(result[0]).toBe(false);
+      expect(result[1].status_code).toBe(409);
+    });
+
+    it('should apply atomic commits only when nothing changed since it was read', async () => {
+      const first = (await localCtl.beginCommit())[2];
+      const second = (await localCtl.beginCommit())[2];
+      await first.readJson('Companies/Companies.json');
+      await second.readJson('Companies/Companies.json');
+      first.writeJson('Companies/Companies.json', [{ name: 'Acme' }]);
+      second.writeJson('Companies/Companies.json', [{ name: 'Globex' }]);
+
+      expect((await first.commit('First'))[0]).toBe(true);
+      expect((await second.commit('Second'))[1].status_code).toBe(409);
+      expect((await localCtl.readObjects('Companies'))[2].mrJson).toEqual([{ name: 'Acme' }]);
+    });
+
+    it('should restore the files already written when a commit fails partway', async () => {
+      const commit = (await localCtl.beginCommit())[2];
+      commit.writeJson('Companies/Companies.json', [{ name: 'Acme' }]);
+      commit.writeJson('Studies/Studies.json', [{ name: 'Market' }]);
+      const writeFile = localCtl._writeFile.bind(localCtl);
+      vi.spyOn(localCtl, '_writeFile')
+        .mockImplementationOnce(writeFile)
+        .mockRejectedValueOnce(new Error('disk full'));
+
+      const result = await commit.commit('Partial');
+      expect(result[0]).toBe(false);
+      expect(result[1].status_msg).toContain('disk full');
+      expect((await localCtl.readObjects('Companies'))[2].mrJson).toEqual([]);
+      expect((await localCtl.readObjects('Studies'))[2].mrJson).toEqual([]);
+      expect(fs.existsSync(path.join(rootDir, '.commit.lock'))).toBe(false);
+    });
+
+    it('should refuse to commit while another commit holds the directory', async () => {
+      fs.writeFileSync(path.join(rootDir, '.commit.lock'), 'other');
+      const commit = (await localCtl.beginCommit())[2];
+      commit.writeJson('Companies/Companies.json', [{ name: 'Acme' }]);
+      // Let the clock run a second per look so the wait for the lock runs out at once
+      const now = Date.now();
+      let tick = 0;
+      vi.spyOn(Date, 'now').mockImplementation(() => now + 1000 * tick++);
+
+      const result = await commit.commit('Blocked');
+      expect(result[1].status_code).toBe(409);
+      expect((await localCtl.readObjects('Companies'))[2].mrJson).toEqual([]);
+    });
+
+    it('should round trip blobs', async () => {
+      await localCtl.writeBlob('Interactions', 'notes.txt', 'Hello world', 'main');
+
+      const result = await localCtl.readBlob('Interactions/notes.txt');
+      expect(result[0]).toBe(true);
+      expect(result[2].decodedContent).toBe('Hello world');
+    });
+
+    it('should commit released changes when git support is enabled', async () => {
+      execFileSync('git', ['init', '-q', rootDir]);
+      execFileSync('git', ['-C', rootDir, 'config', 'user.email', 'test@example.com']);
+      execFileSync('git', ['-C', rootDir, 'config', 'user.name', 'Test']);
+      const gitCtl = new LocalFunctions(rootDir, 'test-process', { git: true });
+
+      const repoMetadata = { containers: { Studies: {} }, branch: {} };
+      await gitCtl.catchContainer(repoMetadata);
+      await gitCtl.writeObject('Studies', [{ name: 'Study 1' }], repoMetadata.branch.name, repoMetadata.containers.Studies.objectSha);
+      const released = await gitCtl.releaseContainer(repoMetadata);
+
+      expect(released[0]).toBe(true);
+      const log = execFileSync('git', ['-C', rootDir, 'log', '--oneline']).toString();
+      expect(log).toContain('Performed CRUD operation on [Studies]');
+      const tracked = execFileSync('git', ['-C', rootDir, 'ls-files']).toString();
+      expect(tracked).not.toContain('.lock');
+    });
+  });
+
+  describe('entities backed by a local directory', () => {
+    let companies;
+    let interactions;
+
+    beforeEach(() => {
+      companies = new Companies(null, null, 'test-process', { adapter: localCtl });
+      interactions = new Interactions(null, null, 'test-process', { adapter: localCtl });
+    });
+
+    it('should create and find objects', async () => {
+      const created = await companies.createObj([{ name: 'Acme', region: 'AMER' }]);
+      expect(created[0]).toBe(true);
+
+      const found = await companies.findByName('acme');
+      expect(found[0]).toBe(true);
+      expect(found[2][0].region).toBe('AMER');
+    });
+
+    it('should update objects with updateObj and batchUpdate', async () => {
+      await companies.createObj([{ name: 'Acme' }, { name: 'Globex' }]);
+
+      const updated = await companies.updateObj({ name: 'Acme', key: 'region', value: 'EMEA' });
+      expect(updated[0]).toBe(true);
+
+      const batched = await companies.batchUpdate([
+        { name: 'Acme', key: 'country', value: 'France' },
+        { name: 'Globex', key: 'country', value: 'USA' }
+      ]);
+      expect(batched[0]).toBe(true);
+
+      const all = (await localCtl.readObjects('Companies'))[2].mrJson;
+      expect(all.find(c => c.name === 'Acme')).toMatchObject({ region: 'EMEA', country: 'France' });
+      expect(all.find(c => c.name === 'Globex').country).toBe('USA');
+    });
+
+    it('should refuse a batch with an unauthorized key and count only the updates applied', async () => {
+      await companies.createObj([{ name: 'Acme' }]);
+
+      const refused = await companies.batchUpdate([
+        { name: 'Acme', key: 'country', value: 'France' },
+        { name: 'Missing', key: '_id', value: 'other' }
+      ]);
+      expect(refused[1].status_code).toBe(403);
+      expect((await localCtl.readObjects('Companies'))[2].mrJson[0].country).toBeUndefined();
+
+      const batched = await companies.batchUpdate([
+        { name: 'Acme', key: 'country', value: 'France' },
+        { name: 'Acme', value: 'skipped' }
+      ]);
+      expect(batched[1].status_msg).toBe('Updated [1] objects in [Companies]');
+      expect(batched[2].map(({ name }) => name)).toEqual(['Acme']);
+    });
+
+    it('should only apply updates whose expected version is current', async () => {
+      await companies.createObj([{ name: 'Acme' }, { name: 'Globex' }]);
+      const { version } = (await companies.getVersion('Acme'))[2];
+
+      const first = await companies.updateObj({ name: 'Acme', key: 'region', value: 'EMEA', expectedVersion: version });
+      expect(first[0]).toBe(true);
+      expect(first[2].version).not.toBe(version);
+
+      const stale = await companies.updateObj({ name: 'Acme', key: 'region', value: 'APAC', expectedVersion: version });
+      expect(stale[0]).toBe(false);
+      expect(stale[1].status_code).toBe(409);
+      expect(stale[2]).toMatchObject({ name: 'Acme', expectedVersion: version, currentVersion: first[2].version });
+
+      const batched = await companies.batchUpdate([
+        { name: 'Globex', key: 'region', value: 'AMER' },
+        { name: 'Acme', key: 'region', value: 'APAC', expectedVersion: version }
+      ]);
+      expect(batched[1].status_code).toBe(409);
+
+      const all = (await localCtl.readObjects('Companies'))[2].mrJson;
+      expect(all.find(c => c.name === 'Acme').region).toBe('EMEA');
+      expect(all.find(c => c.name === 'Globex').region).toBeUndefined();
+      expect((await localCtl.checkForLock('Companies'))[2]).toBe(false);
+    });
+
+    it('should check the container SHA when ifMatch is given', async () => {
+      await companies.createObj([{ name: 'Acme' }]);
+      const { containerSha } = (await companies.getVersion('Acme'))[2];
+      await companies.updateObj({ name: 'Acme', key: 'region', value: 'EMEA' });
+
+      const stale = await companies.updateObj({ name: 'Acme', key: 'region', value: 'APAC', ifMatch: containerSha });
+      expect(stale[1].status_code).toBe(409);
+      expect(stale[2].expectedSha).toBe(containerSha);
+
+      const fresh = await companies.batchUpdate(
+        [{ name: 'Acme', key: 'region', value: 'APAC' }],
+        { ifMatch: (await localCtl.readObjects('Companies'))[2].sha }
+      );
+      expect(fresh[0]).toBe(true);
+      expect(fresh[2][0].name).toBe('Acme');
+    });
+
+    it('should search with operators, dotted paths, sorting and projection', async () => {
+      await companies.createObj([
+        { name: 'Acme', region: 'EMEA' },
+        { name: 'Globex', region: 'AMER' },
+        { name: 'Initech Inc.', region: 'EMEA' }
+      ]);
+      const ids = Object.fromEntries((await localCtl.readObjects('Companies'))[2].mrJson.map(obj => [obj.name, obj._id]));
+      const link = name => ({ [ids[name]]: { name, linked_date: '2025-01-01T00:00:00.000Z' } });
+      await interactions.createObj([
+        { name: 'Call', linked_companies: link('Acme'), modification_date: '2025-03-01', word_count: 10 },
+        { name: 'Memo', linked_companies: link('Initech Inc.'), modification_date: '2025-03-15', word_count: 500 },
+        { name: 'Old', linked_companies: link('Acme'), modification_date: '2024-01-01', word_count: 10 },
+        { name: 'Deck', linked_companies: link('Globex'), modification_date: '2025-03-20' },
+        // Older links are keyed by the name, which can contain dots
+        { name: 'Legacy', linked_companies: { 'Initech Inc.': '' }, modification_date: '2024-01-01' }
+      ]);
+
+      const emea = (await companies.search({ region: 'EMEA' }, { fields: ['_id'] }))[2].map(company => company._id);
+      const result = await interactions.search(
+        {
+          modification_date: { $gt: new Date('2025-02-15') },
+          $or: emea.map(id => ({ [`linked_companies.${id}`]: { $exists: true } }))
+        },
+        { sort: ['-word_count', 'name'], fields: ['name', `linked_companies.${emea[1]}`] }
+      );
+
+      expect(result[0]).toBe(true);
+      expect(result[2]).toEqual([{ name: 'Memo', linked_companies: link('Initech Inc.') }, { name: 'Call' }]);
+      expect(result[1].page).toMatchObject({ total: 2, nextCursor: null });
+
+      const legacy = await interactions.search({ 'linked_companies.Initech Inc.': { $exists: true } }, { fields: ['name'] });
+      expect(legacy[2]).toEqual([{ name: 'Legacy' }]);
+
+      const matched = await interactions.search({ name: { $regex: '^(call|deck)$', $options: 'i' }, word_count: { $in: [10, 500] } });
+      expect(matched[2].map(interaction => interaction.name)).toEqual(['Call']);
+
+      const invalid = await interactions.search({ word_count: { $near: 10 } });
+      expect(invalid[1].status_code).toBe(400);
+    });
+
+    it('should page search results with cursors', async () => {
+      await companies.createObj(['Delta', 'Alpha', 'Echo', 'Charlie', 'Bravo'].map(name => ({ name })));
+
+      const names = [];
+      let cursor;
+      do {
+        const page = await companies.search({}, { sort: 'name', limit: 2, cursor });
+        names.push(...page[2].map(company => company.name));
+        cursor = page[1].page.nextCursor;
+      } while (cursor);
+      expect(names).toEqual(['Alpha', 'Bravo', 'Charlie', 'Delta', 'Echo']);
+
+      const first = await companies.search({}, { sort: 'name', limit: 2 });
+      expect((await companies.search({}, { sort: '-name', cursor: first[1].page.nextCursor }))[1].status_code).toBe(400);
+      expect((await companies.search({}, { sort: 'name', offset: 4 }))[2]).toEqual([{ _id: expect.any(String), name: 'Echo' }]);
+    });
+
+    it('should rank interactions by their content and keep the index up to date', async () => {
+      const cacheStore = new FileCacheStore({ dir: path.join(rootDir, '.cache') });
+      const indexed = new Interactions(null, null, 'test-process', { adapter: localCtl, cacheStore });
+      await localCtl.writeBlob('Interactions', 'call.txt', 'Acme is planning an acquisition. The price increase hurt renewals.', 'main');
+      await localCtl.writeBlob('Interactions', 'memo.txt', 'Globex acquired a startup. Acquisitions continue. Prices increase later.', 'main');
+      await indexed.createObj([
+        { name: 'Call', url: 'Interactions/call.txt' },
+        { name: 'Memo', url: 'Interactions/memo.txt', abstract: 'Quarterly memo' }
+      ]);
+
+      const stemmed = await indexed.searchText('acquisitions memo');
+      expect(stemmed[2].map(result => result.name)).toEqual(['Memo', 'Call']);
+      expect(stemmed[2][0].interaction.abstract).toBe('Quarterly memo');
+
+      const phrase = await indexed.searchText('"price increase" -globex', { highlight: ['[', ']'] });
+      expect(phrase[2]).toHaveLength(1);
+      expect(phrase[2][0]).toMatchObject({ name: 'Call', snippet: expect.stringContaining('The [price] [increase] hurt') });
+
+      await localCtl.writeBlob('Interactions', 'notes.txt', 'Layoffs announced after the acquisition.', 'main');
+      await indexed.createObj([{ name: 'Notes', url: 'Interactions/notes.txt' }]);
+      await indexed.deleteObj('Memo');
+
+      // A new process picks up the saved index instead of reading every blob again
+      const reader = new Interactions(null, null, 'test-process', { adapter: localCtl, cacheStore });
+      const readBlob = vi.spyOn(localCtl, 'readBlob');
+      const found = await reader.searchText('acquisition layoff');
+      expect(found[2].map(result => result.name)).toEqual(['Notes', 'Call']);
+      expect(readBlob).not.toHaveBeenCalled();
+
+      expect((await reader.findByText('quarter'))[1].status_code).toBe(404);
+      expect((await reader.findByText('plan'))[2].map(interaction => interaction.name)).toEqual(['Call']);
+    });
+
+    it('should extract weighted topics against the corpus and aggregate them in studies', async () => {
+      await localCtl.writeBlob('Interactions', 'call.txt', 'The company said which price increase would hit renewals. ' +
+        'The price increase starts in May. Renewals would slip.', 'main');
+      await localCtl.writeBlob('Interactions', 'memo.txt', 'The company plans a new factory. The factory opens in Ohio ' +
+        'and hires engineers.', 'main');
+      await localCtl.writeBlob('Interactions', 'plant.txt', 'A second factory in Texas needs engineers.', 'main');
+      await interactions.createObj([
+        { name: 'Call', url: 'Interactions/call.txt' },
+        { name: 'Memo', url: 'Interactions/memo.txt' },
+        { name: 'Plant', url: 'Interactions/plant.txt' }
+      ]);
+
+      const topics = await interactions.extractTopics('Call', { limit: 3, save: true });
+      expect(topics[2].map(topic => topic.topic)).toEqual(['price increase', 'renewals', 'call']);
+      expect(topics[2][0]).toMatchObject({ count: 2, weight: expect.any(Number) });
+      expect(topics[2].reduce((sum, topic) => sum + topic.weight, 0)).toBeCloseTo(1, 3);
+      await interactions.extractTopics('Memo', { limit: 3, save: true });
+
+      const stored = (await localCtl.readObjects('Interactions'))[2].mrJson;
+      expect(stored.find(interaction => interaction.name === 'Call').topics).toEqual(topics[2]);
+
+      const clusters = await interactions.clusterTopics({ k: 2 });
+      const topicOf = name => clusters[2].interactions.find(doc => doc.name === name).topics[0].id;
+      expect(topicOf('Memo')).toBe(topicOf('Plant'));
+      expect(topicOf('Call')).not.toBe(topicOf('Memo'));
+
+      const studies = new Studies(null, null, 'test-process', { adapter: localCtl });
+      await studies.createObj([{
+        name: 'Pricing',
+        linked_interactions: { Call: { linked_date: '2025-01-01' }, Memo: { linked_date: '2025-01-01' } }
+      }]);
+      const summary = await studies.getStudySummary('Pricing');
+      expect(summary[2].statistics.interactions.topics[0]).toMatchObject({ topic: 'price increase', interactions: 1 });
+    });
+
+    it('should find interactions with similar content', async () => {
+      await localCtl.writeBlob('Interactions', 'pricing.txt', 'Acme raised the price of its cloud storage plans.', 'main');
+      await localCtl.writeBlob('Interactions', 'discounts.txt', 'Globex cut cloud storage prices with new discounts.', 'main');
+      await localCtl.writeBlob('Interactions', 'hiring.txt', 'Initech hires engineers for a new factory.', 'main');
+      await interactions.createObj([
+        { name: 'Pricing', url: 'Interactions/pricing.txt', linked_companies: { Acme: {} } },
+        { name: 'Discounts', url: 'Interactions/discounts.txt', linked_companies: { Globex: {} } },
+        { name: 'Hiring', url: 'Interactions/hiring.txt', linked_companies: { Acme: {} } }
+      ]);
+
+      const similar = await interactions.findSimilar('Pricing');
+      expect(similar[2].map(result => result.name)).toEqual(['Discounts']);
+      expect(similar[2][0]).toMatchObject({ score: expect.any(Number), metadata: { linked_companies: ['Globex'] } });
+      expect((await interactions.findSimilar('Pricing', { sameCompany: true }))[2]).toEqual([]);
+
+      const toText = await interactions.findSimilarToText('Which factory needs engineers?');
+      expect(toText[2].map(result => result.name)).toEqual(['Hiring']);
+
+      // An embedder that only knows two dimensions, money and people
+      const embedder = {
+        name: 'toy',
+        embed: vi.fn(async texts => texts.map(text => [/pric|discount/i.test(text) ? 1 : 0, /hire|engineer/i.test(text) ? 1 : 0]))
+      };
+      const cacheStore = new FileCacheStore({ dir: path.join(rootDir, '.cache') });
+      const embedded = new Interactions(null, null, 'test-process', { adapter: localCtl, cacheStore, embedder });
+      const byEmbedding = await embedded.findSimilar('Hiring', { threshold: 0.5 });
+      expect(byEmbedding[2]).toEqual([]);
+      expect((await embedded.findSimilar('Discounts', { k: 1 }))[2]).toEqual([expect.objectContaining({ name: 'Pricing', score: 1 })]);
+      expect(embedder.embed).toHaveBeenCalledTimes(3);
+
+      // The vectors are kept in the cache store, only the query text is embedded again
+      const reader = new Interactions(null, null, 'test-process', { adapter: localCtl, cacheStore, embedder });
+      const found = await reader.findSimilarToText('Hiring an engineer');
+      expect(found[2].map(result => result.name)).toEqual(['Hiring']);
+      expect(embedder.embed).toHaveBeenCalledTimes(4);
+    });
+
+    it('should score sentiment by sentence and trend it for companies and studies', async () => {
+      await localCtl.writeBlob('Interactions', 'january.txt', 'The launch was not good. Churn rose sharply.', 'main');
+      await localCtl.writeBlob('Interactions', 'march.txt', 'Pricing is bad but support is excellent.', 'main');
+      await interactions.createObj([
+        { name: 'January', url: 'Interactions/january.txt', creation_date: '2025-01-15' },
+        { name: 'March', url: 'Interactions/march.txt', creation_date: '2025-03-02' }
+      ]);
+
+      const january = await interactions.getSentiment('January');
+      expect(january[2]).toMatchObject({ interpretation: 'Negative', negative: ['good', 'churn'] });
+      expect(january[2].sentences.map(sentence => sentence.score)).toEqual([-0.5, -2]);
+      expect((await interactions.getSentiment('March'))[2].interpretation).toBe('Positive');
+
+      await companies.createObj([{ name: 'Acme', linked_interactions: { January: {}, March: {} } }]);
+      const profile = await companies.generateCompanyProfile('Acme');
+      expect(profile[2].analytics.sentiment).toMatchObject({ interactions: 2, positive: 1, negative: 1 });
+      expect(profile[2].analytics.sentiment.trend.map(point => point.period)).toEqual(['2025-01', '2025-03']);
+
+      // Teams can teach the analyzer their own terms
+      try {
+        sentiment.addLexicon('support', { 'support': -3 });
+        expect((await interactions.getSentiment('March'))[2].interpretation).toBe('Negative');
+      } finally {
+        sentiment.removeLexicon('support');
+      }
+
+      const studies = new Studies(null, null, 'test-process', { adapter: localCtl });
+      await studies.createObj([{ name: 'Churn', linked_interactions: { January: { linked_date: '2025-04-01' } } }]);
+      const summary = await studies.getStudySummary('Churn');
+      expect(summary[2].statistics.interactions.sentiment).toMatchObject({ interactions: 1, interpretation: 'Negative' });
+      expect((await interactions.summarizeSentiment(['January'], { period: 'week' }))[1].status_code).toBe(400);
+    });
+
+    it('should build the relationship graph and query neighbors, paths and orphans', async () => {
+      const studies = new Studies(null, null, 'test-process', { adapter: localCtl });
+      const link = { linked_date: '2025-03-01' };
+      await studies.createObj([{ name: 'Pricing', linked_companies: { Acme: link } }]);
+      await companies.createObj([
+        { name: 'Acme', linked_interactions: { 'Joint call': link }, linked_studies: { Pricing: link } },
+        { name: 'Globex', linked_interactions: { 'Joint call': link } },
+        { name: 'Initech' }
+      ]);
+      await interactions.createObj([
+        { name: 'Joint call', linked_companies: { Acme: link, Globex: link, Umbrella: 'hash' } }
+      ]);
+
+      const graph = (await companies.getGraph())[2];
+      expect(graph.edges().find(edge => edge.source === 'Companies:Acme' && edge.target === 'Interactions:Joint call'))
+        .toEqual({
+          source: 'Companies:Acme',
+          target: 'Interactions:Joint call',
+          declaredBy: ['Companies:Acme', 'Interactions:Joint call'],
+          linked_date: '2025-03-01'
+        });
+      expect(graph.getNode('Companies:Umbrella').missing).toBe(true);
+      expect(graph.commonNeighbors('Companies:Acme', 'Companies:Globex').map(node => node.id))
+        .toEqual(['Interactions:Joint call']);
+
+      const neighbors = await companies.getNeighbors('Globex', 2);
+      expect(neighbors[2].map(node => [node.id, node.distance])).toEqual([
+        ['Interactions:Joint call', 1],
+        ['Companies:Acme', 2],
+        ['Companies:Umbrella', 2]
+      ]);
+      expect((await companies.getNeighbors('Globex', 3, { types: ['Studies'] }))[2].map(node => node.name))
+        .toEqual(['Pricing']);
+      expect((await companies.getNeighbors('Nobody'))[1].status_code).toBe(404);
+
+      const path = await studies.shortestPath('Pricing', 'Companies:Globex');
+      expect(path[2].map(node => node.id))
+        .toEqual(['Studies:Pricing', 'Companies:Acme', 'Interactions:Joint call', 'Companies:Globex']);
+      expect((await studies.shortestPath('Pricing', 'Companies:Initech'))[2]).toBeNull();
+      expect((await studies.shortestPath('Pricing', 'Acme'))[1].status_code).toBe(400);
+
+      expect((await companies.findOrphans())[2].map(node => node.name)).toEqual(['Initech']);
+
+      const graphml = (await companies.exportGraph('graphml'))[2];
+      expect(graphml).toContain('<node id="Companies:Acme"><data key="type">Companies</data>');
+      expect(graphml).toContain('<edge source="Companies:Globex" target="Interactions:Joint call">');
+      const dot = (await companies.exportGraph('dot'))[2];
+      expect(dot).toContain('"Companies:Umbrella" [label="Umbrella", shape=box, style=dashed];');
+      expect(dot).toContain('"Companies:Acme" -- "Studies:Pricing";');
+      expect((await companies.exportGraph('svg'))[1].status_code).toBe(400);
+
+      // The graph is rebuilt once a container changes
+      await companies.createObj([{ name: 'Hooli', linked_studies: { Pricing: link } }]);
+      expect((await companies.getNeighbors('Hooli'))[2].map(node => node.id)).toEqual(['Studies:Pricing']);
+    });
+
+    it('should report integrity issues and repair the links in one commit', async () => {
+      const writeContainer = (type, objects) =>
+        fs.writeFileSync(path.join(rootDir, type, `${type}.json`), JSON.stringify(objects));
+      writeContainer('Studies', [{ name: 'Pricing', linked_companies: { Acme: { linked_date: '2025-01-01' } } }]);
+      writeContainer('Companies', [
+        { name: 'Acme', linked_interactions: { Call: 'hash' } },
+        { name: 'Globex', linked_interactions: { Ghost: { linked_date: '2025-01-01' } } },
+        { name: 'Initech', region: 'AMER' },
+        { name: 'initech', region: 'EMEA' },
+        { name: 'Hooli' },
+        { name: 'Hooli' }
+      ]);
+      writeContainer('Interactions', [
+        { name: 'Call', url: 'Interactions/call.txt', linked_companies: { Acme: { linked_date: '2025-02-02' } }, linked_studies: ['Pricing'] },
+        { name: 'Lost', url: 'Interactions/lost.pdf' }
+      ]);
+      await localCtl.writeBlob('Interactions', 'call.txt', 'Call notes', 'main');
+
+      const verified = await companies.verifyIntegrity();
+      expect(verified[0]).toBe(true);
+      expect(verified[2].valid).toBe(false);
+      expect(verified[2].summary).toEqual({ duplicate: 2, malformed: 2, dangling: 1, asymmetric: 1, missing_blob: 1 });
+      expect(verified[2].issues).toContainEqual(expect.objectContaining({
+        type: 'asymmetric', container: 'Studies', name: 'Pricing', field: 'linked_companies', target: 'Acme'
+      }));
+
+      const before = fs.readFileSync(path.join(rootDir, 'Companies', 'Companies.json'), 'utf-8');
+      const dryRun = await companies.repairIntegrity({ dryRun: true });
+      expect(dryRun[2].repaired).toHaveLength(5);
+      expect(dryRun[2].changed).toEqual(['Studies', 'Companies', 'Interactions']);
+      expect(fs.readFileSync(path.join(rootDir, 'Companies', 'Companies.json'), 'utf-8')).toBe(before);
+
+      const repaired = await companies.repairIntegrity();
+      expect(repaired[0]).toBe(true);
+      expect(repaired[2].remaining.map(found => [found.type, found.name])).toEqual([
+        ['duplicate', 'initech'],
+        ['missing_blob', 'Lost']
+      ]);
+
+      const read = async (type) => (await localCtl.readObjects(type))[2].mrJson;
+      const [acme, globex] = await read('Companies');
+      expect(acme.linked_interactions).toEqual({ Call: { linked_date: '2025-02-02' } });
+      expect(acme.linked_studies).toEqual({ Pricing: { linked_date: '2025-01-01' } });
+      expect(globex.linked_interactions).toEqual({});
+      expect((await read('Companies')).filter(company => company.name === 'Hooli')).toHaveLength(1);
+      expect((await read('Interactions'))[0].linked_studies).toEqual({ Pricing: { linked_date: expect.any(String) } });
+      expect((await read('Studies'))[0].linked_interactions).toEqual({ Call: (await read('Interactions'))[0].linked_studies.Pricing });
+
+      const after = await companies.verifyIntegrity();
+      expect(after[2].summary).toEqual({ duplicate: 1, malformed: 0, dangling: 0, asymmetric: 0, missing_blob: 1 });
+    });
+
+    it('should link, unlink and set links on both sides in one catch', async () => {
+      const studies = new Studies(null, null, 'test-process', { adapter: localCtl });
+      await studies.createObj([{ name: 'Pricing' }]);
+      await companies.createObj([{ name: 'Acme' }]);
+      await interactions.createObj([{ name: 'Call' }, { name: 'Demo' }, { name: 'Memo' }]);
+      const read = async (type) => (await localCtl.readObjects(type))[2].mrJson;
+      const find = async (type, name) => (await read(type)).find(obj => obj.name === name);
+
+      const linked = await companies.link('Acme', 'Studies:Pricing');
+      expect(linked[0]).toBe(true);
+      expect(linked[2]).toEqual({ name: 'Acme', type: 'Studies', added: ['Pricing'], removed: [], links: ['Pricing'] });
+      // Links are stored under the id of the linked object, with its name for display
+      const acme = await find('Companies', 'Acme');
+      const pricing = await find('Studies', 'Pricing');
+      const date = acme.linked_studies[pricing._id].linked_date;
+      expect(acme.linked_studies).toEqual({ [pricing._id]: { name: 'Pricing', linked_date: date } });
+      expect(pricing.linked_companies).toEqual({ [acme._id]: { name: 'Acme', linked_date: date } });
+
+      const linkedNames = async (type, name, field) =>
+        Object.values((await find(type, name))[field]).map(link => link.name);
+      await companies.linkInteractions('Acme', [{ name: 'Call' }, { name: 'Demo' }]);
+      const set = await companies.setLinks('Acme', 'Interactions', ['Demo', 'Memo']);
+      expect(set[2]).toMatchObject({ added: ['Memo'], removed: ['Call'], links: ['Demo', 'Memo'] });
+      expect(await linkedNames('Companies', 'Acme', 'linked_interactions')).toEqual(['Demo', 'Memo']);
+      expect((await find('Interactions', 'Call')).linked_companies).toEqual({});
+      expect((await find('Interactions', 'Memo')).linked_companies).toHaveProperty([acme._id]);
+
+      const unlinked = await interactions.unlink('Demo', { type: 'Companies', name: 'Acme' });
+      expect(unlinked[2].removed).toEqual(['Acme']);
+      expect(await linkedNames('Companies', 'Acme', 'linked_interactions')).toEqual(['Memo']);
+      expect((await companies.verifyIntegrity())[2].valid).toBe(true);
+
+      expect((await companies.link('Acme', 'Interactions:Ghost'))[1].status_code).toBe(404);
+      expect((await companies.link('Nobody', 'Studies:Pricing'))[1].status_code).toBe(404);
+      expect((await companies.link('Acme', 'Companies:Acme'))[1].status_code).toBe(400);
+      expect((await companies.link('Acme', 'Pricing'))[1].status_code).toBe(400);
+      expect((await companies.setLinks('Acme', 'Interactions', 'Memo'))[1].status_code).toBe(400);
+
+      // Deletes clean up every link the link operations can write
+      await studies.link('Pricing', 'Interactions:Demo');
+      expect((await interactions.deleteObj('Demo'))[0]).toBe(true);
+      expect((await find('Studies', 'Pricing')).linked_interactions).toEqual({});
+      expect((await companies.deleteObj('Acme'))[0]).toBe(true);
+      expect((await find('Studies', 'Pricing')).linked_companies).toEqual({});
+      expect((await find('Interactions', 'Memo')).linked_companies).toEqual({});
+      expect((await companies.verifyIntegrity())[2].valid).toBe(true);
+    });
+
+    it('should rename an object and rewrite the references to it in one commit', async () => {
+      const studies = new Studies(null, null, 'test-process', { adapter: localCtl });
+      const link = { linked_date: '2025-03-01' };
+      const legacyHash = createHash('sha256').update('Acme').digest('hex');
+      await studies.createObj([{ name: 'Pricing', linked_companies: { Acme: link, Globex: link } }]);
+      await companies.createObj([{ name: 'Acme', linked_studies: { Pricing: link } }, { name: 'Globex' }]);
+      await interactions.createObj([
+        { name: 'Call', linked_companies: { Globex: link, Acme: legacyHash } },
+        { name: 'Old call', deleted_at: '2025-04-01T00:00:00.000Z', deleted_links: { Companies: { Acme: link } } }
+      ]);
+
+      const renamed = await companies.rename('Acme', 'Acme Corp');
+      expect(renamed[0]).toBe(true);
+      expect(renamed[2].references).toEqual({ Interactions: ['Call', 'Old call'], Studies: ['Pricing'] });
+
+      const read = async (type) => (await localCtl.readObjects(type))[2].mrJson;
+      expect((await read('Companies')).map(company => company.name)).toEqual(['Acme Corp', 'Globex']);
+      expect(Object.keys((await read('Studies'))[0].linked_companies)).toEqual(['Acme Corp', 'Globex']);
+      const [call, oldCall] = await read('Interactions');
+      expect(call.linked_companies).toEqual({
+        Globex: link,
+        'Acme Corp': createHash('sha256').update('Acme Corp').digest('hex')
+      });
+      expect(oldCall.deleted_links.Companies).toEqual({ 'Acme Corp': link });
+      expect((await companies.findByName('acme corp'))[2][0].linked_studies).toEqual({ Pricing: link });
+      expect((await companies.findByName('Acme'))[0]).toBe(false);
+
+      expect((await companies.rename('Acme Corp', 'globex'))[1].status_code).toBe(409);
+      expect((await companies.rename('Acme', 'Initech'))[1].status_code).toBe(404);
+      expect((await companies.rename('Acme Corp', ''))[1].status_code).toBe(400);
+      expect((await companies.rename('Acme Corp', 'acme corp'))[0]).toBe(true);
+    });
+
+    it('should give objects ids, look them up by id or name and back-fill ids in old containers', async () => {
+      const created = await companies.createObj([{ name: 'Acme' }, { _id: 'company-globex', name: 'Globex' }]);
+      expect(created[2][0]._id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(created[2][1]._id).toBe('company-globex');
+      const acmeId = created[2][0]._id;
+
+      expect((await companies.findById(acmeId))[2][0].name).toBe('Acme');
+      expect((await companies.findByRef('company-globex'))[2][0].name).toBe('Globex');
+      expect((await companies.findByRef('acme'))[2][0]._id).toBe(acmeId);
+      expect((await companies.createObj([{ _id: acmeId, name: 'Initech' }]))[1].status_code).toBe(409);
+      expect((await companies.updateObj({ name: 'Acme', key: '_id', value: 'other' }, false, true))[1].status_code)
+        .toBe(403);
+
+      await interactions.createObj([{ name: 'Call' }]);
+      const linked = await interactions.link('Call', `Companies:${acmeId}`);
+      expect(linked[2].links).toEqual(['Acme']);
+
+      // A company renamed outside the SDK is still found through the id its links are stored under
+      const read = async (type) => (await localCtl.readObjects(type))[2].mrJson;
+      const renamed = (await read('Companies')).map(company => company.name === 'Acme' ? { ...company, name: 'Acme Corp' } : company);
+      fs.writeFileSync(path.join(rootDir, 'Companies', 'Companies.json'), JSON.stringify(renamed));
+      expect((await interactions.getNeighbors('Call'))[2].map(node => node.id)).toEqual(['Companies:Acme Corp']);
+      expect((await interactions.verifyIntegrity())[2].issues).toEqual([expect.objectContaining({
+        type: 'malformed', container: 'Interactions', name: 'Call', target: 'Acme', repairable: true
+      })]);
+      await interactions.repairIntegrity();
+      expect((await read('Interactions'))[0].linked_companies).toEqual({
+        [acmeId]: { name: 'Acme Corp', linked_date: expect.any(String) }
+      });
+
+      // Containers written before objects had ids
+      const writeContainer = (type, objects) =>
+        fs.writeFileSync(path.join(rootDir, type, `${type}.json`), JSON.stringify(objects));
+      const link = { linked_date: '2025-01-01' };
+      writeContainer('Studies', [{ name: 'Pricing', linked_companies: { Hooli: link, Twin: link } }]);
+      writeContainer('Companies', [
+        { name: 'Hooli', linked_studies: { Pricing: link } },
+        { name: 'Twin' },
+        { name: 'Twin' }
+      ]);
+      writeContainer('Interactions', [
+        { name: 'Gone', deleted_at: '2025-02-01T00:00:00.000Z', deleted_links: { Companies: { Hooli: link } } }
+      ]);
+
+      const dryRun = await companies.migrateIds({ dryRun: true });
+      expect(dryRun[2]).toMatchObject({
+        assigned: { Studies: 1, Companies: 3, Interactions: 1 },
+        linked: 3,
+        ambiguous: [{ container: 'Studies', name: 'Pricing', field: 'linked_companies', target: 'Twin' }],
+        changed: ['Studies', 'Companies', 'Interactions']
+      });
+      expect((await read('Companies'))[0]._id).toBeUndefined();
+
+      expect((await companies.migrateIds())[0]).toBe(true);
+      const [hooli] = await read('Companies');
+      const [pricing] = await read('Studies');
+      const [gone] = await read('Interactions');
+      expect(pricing.linked_companies).toEqual({ [hooli._id]: { name: 'Hooli', ...link }, Twin: link });
+      expect(hooli.linked_studies).toEqual({ [pricing._id]: { name: 'Pricing', ...link } });
+      expect(gone.deleted_links.Companies).toEqual({ [hooli._id]: { name: 'Hooli', ...link } });
+      expect((await companies.migrateIds())[2].changed).toEqual([]);
+    });
+
+    it('should keep apart the links of objects that share a name and refuse new duplicate names', async () => {
+      // Containers written before names were checked on create can have several objects of a name
+      fs.writeFileSync(path.join(rootDir, 'Companies', 'Companies.json'), JSON.stringify([
+        { _id: 'twin-1', name: 'Twin' },
+        { _id: 'twin-2', name: 'Twin' }
+      ]));
+      const [call] = (await interactions.createObj([{ name: 'Call' }]))[2];
+      const read = async (type) => (await localCtl.readObjects(type))[2].mrJson;
+
+      expect((await interactions.link('Call', 'Companies:twin-2'))[0]).toBe(true);
+      const linked = await interactions.link('Call', 'Companies:twin-1');
+      expect(linked[2]).toMatchObject({ added: ['Twin'], links: ['Twin', 'Twin'] });
+      expect(Object.keys((await read('Interactions'))[0].linked_companies)).toEqual(['twin-2', 'twin-1']);
+      expect((await read('Companies')).map(company => Object.keys(company.linked_interactions)))
+        .toEqual([[call._id], [call._id]]);
+
+      // Deletes and renames only touch the links to their own object
+      expect((await companies.deleteObj('Twin'))[0]).toBe(true);
+      expect(Object.keys((await read('Interactions'))[0].linked_companies)).toEqual(['twin-2']);
+      expect((await companies.rename('twin-2', 'Twin Two'))[0]).toBe(true);
+      expect((await read('Interactions'))[0].linked_companies['twin-2'].name).toBe('Twin Two');
+
+      expect((await companies.createObj([{ name: 'twin two' }]))[1].status_code).toBe(409);
+      expect((await companies.createObj([{ name: 'Initech' }, { name: 'INITECH' }]))[1].status_code).toBe(409);
+      expect((await read('Companies')).map(company => company.name)).toEqual(['Twin Two']);
+    });
+
+    it('should reject objects that do not match the schema before writing', async () => {
+      const invalid = await companies.createObj([
+        { name: 'Acme', url: 'not a url', company_type: 'Startup' },
+        { name: ' ' }
+      ]);
+      expect(invalid[0]).toBe(false);
+      expect(invalid[1].status_code).toBe(400);
+      expect(invalid[2].errors).toEqual([
+        expect.objectContaining({ name: 'Acme', field: 'company_type', keyword: 'enum' }),
+        expect.objectContaining({ name: 'Acme', field: 'url', keyword: 'format' }),
+        expect.objectContaining({ name: ' ', field: 'name', keyword: 'notBlank' })
+      ]);
+      expect((await localCtl.readObjects('Companies'))[2].mrJson).toEqual([]);
+
+      await companies.createObj([{ name: 'Acme', url: 'https://acme.example.com' }]);
+      const updated = await companies.updateObj({ name: 'Acme', key: 'status', value: 'Dormant', system: true }, false, true);
+      expect(updated[1].status_code).toBe(400);
+      expect(updated[2].errors[0]).toMatchObject({ field: 'status', keyword: 'enum' });
+
+      const batched = await companies.batchUpdate([{ name: 'Acme', key: 'url', value: 'acme', system: true }]);
+      expect(batched[1].status_code).toBe(400);
+      expect((await localCtl.readObjects('Companies'))[2].mrJson[0]).toMatchObject({ url: 'https://acme.example.com' });
+      expect((await localCtl.checkForLock('Companies'))[2]).toBe(false);
+    });
+
+    it('should release the locks when a write fails', async () => {
+      const studies = new Studies(null, null, 'test-process', { adapter: localCtl });
+      await companies.createObj([{ name: 'Acme' }]);
+      await studies.createObj([{ name: 'Pricing' }]);
+      vi.spyOn(localCtl, 'writeObject').mockResolvedValueOnce([false, { status_code: 409, status_msg: 'stale' }, null]);
+
+      const result = await companies.link('Acme', 'Studies:Pricing');
+
+      expect(result[0]).toBe(false);
+      expect(result[2].rollback).toEqual([
+        expect.objectContaining({ name: 'abort catch of [Companies, Studies]', success: true })
+      ]);
+      expect(fs.existsSync(path.join(rootDir, 'Companies', 'test-process.lock'))).toBe(false);
+      expect(fs.existsSync(path.join(rootDir, 'Studies', 'test-process.lock'))).toBe(false);
+      expect((await companies.link('Acme', 'Studies:Pricing'))[0]).toBe(true);
+    });
+
+    it('should create and update objects without locking the container', async () => {
+      const writeObject = vi.spyOn(localCtl, 'writeObject');
+      await companies.createObj([{ name: 'Acme' }]);
+      await companies.updateObj({ name: 'Acme', key: 'region', value: 'EMEA' });
+      await companies.batchUpdate([{ name: 'Acme', key: 'country', value: 'France' }]);
+
+      expect(writeObject).not.toHaveBeenCalled();
+      expect(fs.readdirSync(path.join(rootDir, 'Companies')).filter(file => file.endsWith('.lock'))).toEqual([]);
+      expect((await localCtl.readObjects('Companies'))[2].mrJson[0]).toMatchObject({ region: 'EMEA', country: 'France' });
+    });
+
+    it('should delete an interaction, its blob and the company references', async () => {
+      await localCtl.writeBlob('Interactions', 'call.txt', 'Call notes', 'main');
+      await interactions.createObj([{ name: 'Call', url: 'Interactions/call.txt' }]);
+      await companies.createObj([{ name: 'Acme', linked_interactions: { Call: 'hash' } }]);
+
+      const deleted = await interactions.deleteObj('Call');
+      expect(deleted[0]).toBe(true);
+
+      expect(fs.existsSync(path.join(rootDir, 'Interactions', 'call.txt'))).toBe(false);
+      expect((await localCtl.readObjects('Interactions'))[2].mrJson).toEqual([]);
+      const acme = (await localCtl.readObjects('Companies'))[2].mrJson[0];
+      expect(acme.linked_interactions).toEqual({});
+    });
+
+    it('should move deleted objects to the trash, restore them with their links and purge them', async () => {
+      const trashing = { adapter: localCtl, softDelete: true };
+      interactions = new Interactions(null, null, 'test-process', trashing);
+      companies = new Companies(null, null, 'test-process', trashing);
+      await localCtl.writeBlob('Interactions', 'call.txt', 'Call notes', 'main');
+      await interactions.createObj([{ name: 'Call', url: 'Interactions/call.txt', linked_companies: { Acme: 'hash' } }]);
+      await companies.createObj([
+        { name: 'Acme', linked_interactions: { Call: { linked_date: '2025-01-02' } } },
+        { name: 'Globex' }
+      ]);
+
+      const deleted = await interactions.deleteObj('Call');
+      expect(deleted[0]).toBe(true);
+      expect(fs.existsSync(path.join(rootDir, 'Interactions', 'call.txt'))).toBe(false);
+      expect(fs.readFileSync(path.join(rootDir, 'Trash', 'Interactions', 'call.txt'), 'utf-8')).toBe('Call notes');
+      expect((await interactions.getAll())[2].mrJson).toEqual([]);
+      expect((await interactions.search({ name: 'Call' }))[1].status_code).toBe(404);
+      expect((await interactions.search({ name: 'Call' }, { includeDeleted: true }))[2]).toHaveLength(1);
+      const readAcme = async () => (await localCtl.readObjects('Companies'))[2].mrJson.find(obj => obj.name === 'Acme');
+      expect((await readAcme()).linked_interactions).toEqual({});
+      const acmeId = (await readAcme())._id;
+
+      const trash = await interactions.listDeleted();
+      expect(trash[2]).toHaveLength(1);
+      expect(trash[2][0]).toMatchObject({
+        name: 'Call',
+        deleted_by: 'test-process',
+        deleted_links: { Companies: { [acmeId]: { name: 'Acme', linked_date: '2025-01-02' } } }
+      });
+      expect((await interactions.deleteObj('Call'))[1].status_code).toBe(404);
+
+      const restored = await interactions.restore('Call');
+      expect(restored[0]).toBe(true);
+      expect(restored[2].missingLinks).toEqual({});
+      expect(fs.readFileSync(path.join(rootDir, 'Interactions', 'call.txt'), 'utf-8')).toBe('Call notes');
+      expect(fs.existsSync(path.join(rootDir, 'Trash', 'Interactions', 'call.txt'))).toBe(false);
+      expect((await interactions.findByName('Call'))[2][0].deleted_at).toBeUndefined();
+      // The link comes back under the id of the interaction
+      const callId = (await interactions.findByName('Call'))[2][0]._id;
+      expect((await readAcme()).linked_interactions).toEqual({ [callId]: { name: 'Call', linked_date: '2025-01-02' } });
+      expect((await interactions.restore('Call'))[1].status_code).toBe(404);
+
+      // Companies link back from interactions
+      await companies.deleteObj('Globex');
+      await companies.deleteObj('Acme');
+      expect((await localCtl.readObjects('Interactions'))[2].mrJson[0].linked_companies).toEqual({});
+
+      const notYet = await companies.purge({ olderThan: new Date(Date.now() - 3600 * 1000) });
+      expect(notYet[2]).toEqual([]);
+      const purged = await companies.purge();
+      expect(purged[2].map(company => company.name).sort()).toEqual(['Acme', 'Globex']);
+      expect((await localCtl.readObjects('Companies'))[2].mrJson).toEqual([]);
+      expect((await companies.restore('Acme'))[1].status_code).toBe(404);
+
+      await interactions.deleteObj('Call');
+      await interactions.purge();
+      expect(fs.existsSync(path.join(rootDir, 'Trash', 'Interactions', 'call.txt'))).toBe(false);
+      expect((await localCtl.readObjects('Interactions'))[2].mrJson).toEqual([]);
+    });
+
+    it('should only change the live object when one in the trash shares its name', async () => {
+      const trashing = new Companies(null, null, 'test-process', { adapter: localCtl, softDelete: true });
+      await trashing.createObj([{ name: 'Acme', description: 'old' }]);
+      expect((await trashing.deleteObj('Acme'))[0]).toBe(true);
+      expect((await trashing.createObj([{ name: 'Acme', description: 'new' }]))[0]).toBe(true);
+      const read = async () => (await localCtl.readObjects('Companies'))[2].mrJson;
+
+      const version = await trashing.getVersion('Acme');
+      expect(version[2].version).toBe(objectVersion((await read())[1]));
+      expect((await trashing.updateObj({ name: 'Acme', key: 'description', value: 'changed', expectedVersion: version[2].version }))[0])
+        .toBe(true);
+      expect((await trashing.batchUpdate([{ name: 'Acme', key: 'region', value: 'EMEA' }]))[0]).toBe(true);
+      expect((await interactions.ingest(Buffer.from('Call notes'), { name: 'Call', companies: ['Acme'] }))[0]).toBe(true);
+
+      let [trashed, live] = await read();
+      const [call] = (await localCtl.readObjects('Interactions'))[2].mrJson;
+      const callLink = { [call._id]: expect.objectContaining({ name: 'Call' }) };
+      expect(trashed).toMatchObject({ description: 'old', deleted_at: expect.any(String) });
+      expect(trashed.region).toBeUndefined();
+      expect(trashed.linked_interactions).toBeUndefined();
+      expect(live).toMatchObject({ description: 'changed', region: 'EMEA', linked_interactions: callLink });
+
+      // Purging takes the trashed object away and leaves the links of the live one alone
+      expect((await trashing.purge())[2]).toHaveLength(1);
+      [live] = await read();
+      expect((await read())).toHaveLength(1);
+      expect(live).toMatchObject({ description: 'changed', linked_interactions: callLink });
+      expect((await localCtl.readObjects('Interactions'))[2].mrJson[0].linked_companies)
+        .toEqual({ [live._id]: expect.objectContaining({ name: 'Acme' }) });
+    });
+
+    it('should import and export companies as CSV, JSONL and XLSX', async () => {
+      await companies.createObj([{ name: 'Acme', company_type: 'Public', latitude: 37.7 }]);
+      const csv = 'Company,company_type,latitude,cik,secret\r\n' +
+        'Acme,Private,38.1,,x\r\n' +
+        '"Globex, Inc.",Public,12.5,0001,x\r\n' +
+        ',Public,,,\r\n';
+
+      // Inserting fails for the existing company and the row without a name, and nothing is written
+      const columns = { Company: 'name' };
+      const inserted = await companies.importObjects('csv', csv, { columns });
+      expect(inserted[1].status_code).toBe(400);
+      expect(inserted[2]).toMatchObject({ total: 3, inserted: 1, failed: 2, ignoredColumns: ['secret'] });
+      expect(inserted[2].rows.map(row => [row.row, row.action])).toEqual([[2, 'error'], [3, 'insert'], [4, 'error']]);
+      expect((await localCtl.readObjects('Companies'))[2].mrJson).toHaveLength(1);
+
+      const csvRows = csv.split('\r\n').slice(0, 3).join('\r\n');
+      const dryRun = await companies.importObjects('CSV', csvRows, { columns, mode: 'upsert', dryRun: true });
+      expect(dryRun[2]).toMatchObject({ inserted: 1, updated: 1, failed: 0, dryRun: true });
+      expect((await localCtl.readObjects('Companies'))[2].mrJson).toHaveLength(1);
+
+      const upserted = await companies.importObjects('csv', Readable.from([Buffer.from(csvRows)]), { columns, mode: 'upsert' });
+      expect(upserted[0]).toBe(true);
+      const stored = (await localCtl.readObjects('Companies'))[2].mrJson;
+      expect(stored[0]).toMatchObject({ name: 'Acme', company_type: 'Private', latitude: 38.1 });
+      expect(stored[1]).toMatchObject({ name: 'Globex, Inc.', latitude: 12.5, cik: '0001' });
+      expect(stored[1]).not.toHaveProperty('secret');
+
+      // Exports read back unchanged, with the columns the objects have
+      const exported = await companies.exportObjects('csv');
+      expect(exported[2].toString()).toBe(
+        'name,company_type,latitude,cik\r\nAcme,Private,38.1,\r\n"Globex, Inc.",Public,12.5,0001\r\n'
+      );
+      for (const format of ['jsonl', 'xlsx']) {
+        const file = (await companies.exportObjects(format, { filters: { company_type: 'Public' } }))[2];
+        const reimported = await companies.importObjects(format, file, { mode: 'upsert' });
+        expect(reimported[2]).toMatchObject({ total: 1, unchanged: 1, failed: 0 });
+      }
+
+      const invalid = await companies.importObjects('jsonl', '{"name":"Initech","url":"nope"}\nnot json\n');
+      expect(invalid[2].rows).toEqual([
+        { row: 1, name: 'Initech', action: 'error', errors: [{ field: 'url', message: 'must match format "uri"' }] },
+        expect.objectContaining({ row: 2, action: 'error' })
+      ]);
+      expect((await companies.importObjects('xml', csv))[1].status_code).toBe(400);
+      expect((await companies.exportObjects('csv', { columns: ['name', 'linked_studies'] }))[1].status_code).toBe(400);
+    });
+
+    it('should ingest a file and link it to companies and studies in one catch', async () => {
+      const studies = new Studies(null, null, 'test-process', { adapter: localCtl });
+      await companies.createObj([{ name: 'Acme' }]);
+      await studies.createObj([{ name: 'Pricing' }]);
+      const filePath = path.join(rootDir, 'briefing.html');
+      fs.writeFileSync(filePath, '<html><body><h1>Acme briefing</h1><p>Prices rise in May.</p></body></html>');
+
+      const ingested = await interactions.ingest(filePath, {
+        companies: ['Acme'],
+        studies: ['Pricing'],
+        metadata: { description: 'Analyst briefing' }
+      });
+      expect(ingested[0]).toBe(true);
+      expect(ingested[2]).toMatchObject({
+        name: 'briefing',
+        url: 'Interactions/briefing.html',
+        content_type: 'HTML',
+        file_size: fs.statSync(filePath).size,
+        word_count: 6,
+        description: 'Analyst briefing'
+      });
+      expect(ingested[2].file_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(fs.existsSync(path.join(rootDir, 'Interactions', 'briefing.html'))).toBe(true);
+      const briefingLink = { [ingested[2]._id]: { name: 'briefing', linked_date: expect.any(String) } };
+      expect((await localCtl.readObjects('Companies'))[2].mrJson[0].linked_interactions).toEqual(briefingLink);
+      expect((await localCtl.readObjects('Studies'))[2].mrJson[0].linked_interactions).toEqual(briefingLink);
+      expect((await interactions.searchText('briefing'))[2].map(result => result.name)).toEqual(['briefing']);
+
+      // The same content under another name is refused
+      const duplicate = await interactions.ingest(fs.readFileSync(filePath), { fileName: 'copy.html' });
+      expect(duplicate[1].status_code).toBe(409);
+      expect(duplicate[2].name).toBe('briefing');
+
+      // A missing company leaves neither a blob nor an interaction behind
+      const orphan = await interactions.ingest(Buffer.from('Call notes'), { name: 'Call', companies: ['Globex'] });
+      expect(orphan[1].status_code).toBe(404);
+      expect(fs.existsSync(path.join(rootDir, 'Interactions', 'Call.txt'))).toBe(false);
+      expect((await localCtl.readObjects('Interactions'))[2].mrJson.map(obj => obj.name)).toEqual(['briefing']);
+      expect((await localCtl.checkForLock('Companies'))[2]).toBe(false);
+
+      const call = await interactions.ingest(Buffer.from('Call notes'), { name: 'Call', companies: ['Acme'] });
+      expect(call[2]).toMatchObject({ url: 'Interactions/Call.txt', content_type: 'TXT', word_count: 2 });
+      expect((await interactions.ingest(Buffer.from([0, 1, 2]), { name: 'Blob' }))[1].status_code).toBe(415);
+    });
+
+    it('should check ingested files against the live interactions once they are caught', async () => {
+      const trashing = new Interactions(null, null, 'test-process', { adapter: localCtl, softDelete: true });
+      await trashing.ingest(Buffer.from('Call notes'), { name: 'Call' });
+
+      // A duplicate written after the first check is still refused
+      vi.spyOn(trashing, 'findByHash').mockResolvedValueOnce([false, { status_code: 404 }, null]);
+      const raced = await trashing.ingest(Buffer.from('Call notes'), { name: 'Other' });
+      expect(raced[1].status_code).toBe(409);
+      expect(raced[1].status_msg).toContain('already stored as interaction [Call]');
+
+      // An interaction in the trash leaves its name and content free
+      expect((await trashing.deleteObj('Call'))[0]).toBe(true);
+      const again = await trashing.ingest(Buffer.from('Call notes'), { name: 'Call' });
+      expect(again[0]).toBe(true);
+      const stored = (await localCtl.readObjects('Interactions'))[2].mrJson;
+      expect(stored.map(({ name, deleted_at }) => [name, Boolean(deleted_at)])).toEqual([['Call', true], ['Call', false]]);
+    });
+  });
+});
\ No newline at end of file
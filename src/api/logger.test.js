@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import LocalFunctions from './local.js';
+import { Companies, Studies } from './gitHubServer.js';
+import {
+  createLogger,
+  toLogger,
+  streamTransport,
+  fileTransport,
+  callbackTransport
+} from './gitHubServer/logger.js';
+
+describe('logger', () => {
+  let records;
+  let log;
+
+  beforeEach(() => {
+    records = [];
+    log = createLogger({ level: 'debug', transports: [callbackTransport(record => records.push(record))] });
+  });
+
+  it('should drop records below the level', () => {
+    log.trace('hidden');
+    log.debug('shown');
+    log.setLevel('warn');
+    log.info('hidden');
+    log.error('shown');
+
+    expect(records.map(record => record.msg)).toEqual(['shown', 'shown']);
+    expect(() => log.setLevel('loud')).toThrow('Unknown log level [loud]');
+  });
+
+  it('should write JSON lines with bound fields, errors and extra values', () => {
+    const lines = [];
+    const json = createLogger({ format: 'json', transports: [streamTransport({ write: line => lines.push(line) })] });
+
+    json.child({ objType: 'Companies' }).error('Failed', new Error('Boom'), { code: 500 }, 'extra');
+
+    const record = JSON.parse(lines[0]);
+    expect(lines[0].endsWith('\n')).toBe(true);
+    expect(record).toMatchObject({
+      level: 'error',
+      msg: 'Failed',
+      objType: 'Companies',
+      code: 500,
+      data: 'extra',
+      err: { name: 'Error', message: 'Boom' }
+    });
+    expect(record.err.stack).toBeUndefined();
+  });
+
+  it('should append pretty lines to a file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-log-'));
+    try {
+      const file = path.join(dir, 'api.log');
+      const pretty = createLogger({ transports: [fileTransport(file)] });
+      pretty.info('Created', { objType: 'Studies', name: 'My study' });
+
+      expect(fs.readFileSync(file, 'utf-8')).toMatch(/^\[.+\] \[INFO\] Created objType=Studies name="My study"\n$/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should report the duration of tracked operations', () => {
+    const tracking = log.trackOperation('Companies', 'getAll');
+    tracking.end();
+
+    expect(records[0]).toMatchObject({ msg: 'Completed operation: Companies.getAll', objType: 'Companies', operation: 'getAll' });
+    expect(records[0].duration).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should forward to pino and winston style loggers', () => {
+    const pino = { bindings: () => ({}), info: vi.fn() };
+    const winston = { info: vi.fn(), debug: vi.fn() };
+
+    toLogger(pino).child({ objType: 'Studies' }).info('Hello');
+    toLogger(winston).trace('Hello', { operation: 'search' });
+
+    expect(pino.info).toHaveBeenCalledWith({ objType: 'Studies' }, 'Hello');
+    expect(winston.debug).toHaveBeenCalledWith('Hello', { operation: 'search' });
+  });
+
+  describe('injected into entities', () => {
+    let rootDir;
+
+    beforeEach(async () => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mr-local-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('should correlate lines by objType, operation and transactionId', async () => {
+      const localCtl = new LocalFunctions(rootDir, 'test-process', { logger: log });
+      await localCtl.createContainers();
+      const companies = new Companies(null, null, 'test-process', { adapter: localCtl, logger: log });
+
+      const studies = new Studies(null, null, 'test-process', { adapter: localCtl, logger: log });
+
+      await companies.createObj([{ name: 'Acme' }]);
+      await studies.createObj([{ name: 'Pricing' }]);
+      await companies.link('Acme', 'Studies:Pricing');
+      await companies.link('Acme', 'Interactions:Missing');
+
+      const linked = records.find(record => record.msg === 'Completed transaction: link-Companies-Acme');
+      expect(linked).toMatchObject({ objType: 'Companies', transactionId: expect.stringMatching(/^link-Companies-Acme-/) });
+      expect(linked.duration).toBeGreaterThanOrEqual(0);
+      expect(records.find(record => record.operation === 'createObj')).toMatchObject({ objType: 'Companies' });
+
+      const failed = records.find(record => record.level === 'warn');
+      expect(failed).toMatchObject({ objType: 'Companies', code: 404, transactionId: expect.stringMatching(/^link-Companies-Acme-/) });
+    });
+  });
+});
\ No newline at end of file
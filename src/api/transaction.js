@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Undo bookkeeping for multi-step transactions
+ * @license Apache-2.0
+ * @version 3.0.0
+ * @author Michael Hay <michael.hay@mediumroast.io>
+ * @copyright 2025 Mediumroast, Inc. All rights reserved.
+ */
+
+/**
+ * Passed to every transaction step so it can register how to undo what it did. When a later step fails the
+ * registered undo actions run in reverse order.
+ *
+ * @example
+ * async (previousData, tx) => {
+ *   tx.onRollback('unlock Companies', () => serverCtl.unlockContainer('Companies', lockSha))
+ *   return serverCtl.lockContainer('Companies')
+ * }
+ */
+class TransactionContext {
+  constructor() {
+    this.actions = [];
+  }
+
+  /**
+   * Registers an undo action
+   * @param {String} name - Name reported in the rollback results
+   * @param {Function} undoFn - Async function, a response array with a false status counts as a failure
+   */
+  onRollback(name, undoFn) {
+    this.actions.push({ name, undoFn });
+  }
+
+  /**
+   * Runs the registered undo actions in reverse order, a failing action does not stop the others
+   * @returns {Promise<Array<Object>>} One { name, success, message } entry per undo action, in the order run
+   */
+  async rollback() {
+    const results = [];
+    for (const { name, undoFn } of [...this.actions].reverse()) {
+      try {
+        const result = await undoFn();
+        const failed = Array.isArray(result) && result[0] === false;
+        results.push({
+          name,
+          success: !failed,
+          message: Array.isArray(result) && result[1] ? result[1].status_msg : 'Done'
+        });
+      } catch (err) {
+        results.push({ name, success: false, message: err.message });
+      }
+    }
+    this.actions = [];
+    return results;
+  }
+}
+
+/**
+ * Summarizes rollback results for a transaction error message
+ * @param {Array<Object>} results - Results from TransactionContext.rollback
+ * @returns {String} Summary, empty when nothing had to be undone
+ */
+const summarizeRollback = (results) => {
+  if (results.length === 0) return '';
+  const failed = results.filter(result => !result.success).map(result => result.name);
+  return ` (rolled back [${results.length - failed.length}/${results.length}] undo actions` +
+    (failed.length > 0 ? `, failed: [${failed.join(', ')}])` : ')');
+};
+
+export { TransactionContext, summarizeRollback };
\ No newline at end of file
@@ -1,5 +1,7 @@
 // This file includes utility functions that assist with various tasks throughout the module.
 
+import { createHash } from 'crypto';
+
 export const isEmpty = (value) => {
   return value === null || value === undefined || value === '';
 };
@@ -21,4 +23,21 @@ export const formatDate = (date) => {
     throw new Error('Invalid date');
   }
   return date.toISOString().split('T')[0];
+};
+
+// Serializes with sorted keys so equal objects always produce the same string
+const stableStringify = (value) => {
+  if (isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Content hash of an object used as its version for optimistic concurrency, any change gives a new version
+export const objectVersion = (obj) => {
+  return createHash('sha256').update(stableStringify(obj)).digest('hex').slice(0, 16);
 };
\ No newline at end of file